@@ -4,6 +4,7 @@ const CodeMirror = window.CodeMirror // Declare the variable using global CodeMi
 // Initialize CodeMirror
 const editor = CodeMirror.fromTextArea(document.getElementById("codeEditor"), {
   lineNumbers: true,
+  gutters: ["breakpoint-gutter", "CodeMirror-linenumbers", "diagnostic-gutter"],
   mode: "text/x-c++src",
   theme: "monokai",
   indentUnit: 4,
@@ -24,54 +25,26 @@ const editor = CodeMirror.fromTextArea(document.getElementById("codeEditor"), {
 class CodeAnalyzer {
   constructor() {
     this.currentHighlightedLine = null
+    this.diagnosticMarks = []
   }
 
   parseCode(code) {
+    const candidates = this.detectAlgorithm(code)
+    const algorithm = candidates.length > 0 ? candidates[0].name : "unknown"
     const analysis = {
-      algorithm: this.detectAlgorithm(code),
+      algorithm,
+      candidates,
       arrayData: this.extractArrayData(code),
       hasLoops: this.detectLoops(code),
-      complexity: this.estimateComplexity(code),
-      errors: this.validateCode(code),
+      complexity: this.estimateComplexity(code, algorithm),
+      diagnostics: this.validateCode(code),
     }
     return analysis
   }
 
+  // Ranked candidates from the program's structure (loops, recursion, swaps, queues), best match first
   detectAlgorithm(code) {
-    const algorithms = [
-      { name: "bubble", patterns: ["bubble", "Bubble Sort", "for.*for.*swap", "arr\\[j\\].*arr\\[j\\+1\\]"] },
-      { name: "selection", patterns: ["selection", "Selection Sort", "min.*=.*i", "findMin"] },
-      { name: "insertion", patterns: ["insertion", "Insertion Sort", "key.*=.*arr\\[i\\]", "while.*j.*>=.*0"] },
-      { name: "merge", patterns: ["merge", "Merge Sort", "mergeSort", "merge$$.*left.*right$$"] },
-      { name: "quick", patterns: ["quick", "Quick Sort", "quickSort", "partition", "pivot"] },
-      { name: "heap", patterns: ["heap", "Heap Sort", "heapify", "buildHeap"] },
-      {
-        name: "linear_search",
-        patterns: ["linear.*search", "Linear Search", "for.*arr\\[i\\].*==.*target", "linearSearch"],
-      },
-      {
-        name: "binary_search",
-        patterns: [
-          "binary.*search",
-          "Binary Search",
-          "while.*left.*<=.*right",
-          "mid.*=.*(left.*right)",
-          "binarySearch",
-        ],
-      },
-      { name: "bfs", patterns: ["BFS", "breadth.*first", "Breadth-First Search", "queue<int>", "q.push", "q.front"] },
-      { name: "dfs", patterns: ["DFS", "depth.*first", "Depth-First Search", "DFSUtil", "visited\\[vertex\\]"] },
-      { name: "fibonacci", patterns: ["fibonacci", "Fibonacci", "fib$$n-1$$", "fib$$n-2$$"] },
-    ]
-
-    for (const algo of algorithms) {
-      for (const pattern of algo.patterns) {
-        if (new RegExp(pattern, "i").test(code)) {
-          return algo.name
-        }
-      }
-    }
-    return "unknown"
+    return CppAlgorithmDetector.detect(code)
   }
 
   extractArrayData(code) {
@@ -110,7 +83,10 @@ class CodeAnalyzer {
     return loopPatterns.some((pattern) => pattern.test(code))
   }
 
-  estimateComplexity(code) {
+  // A recognised algorithm has known bounds; anything else is guessed from how many loops it has
+  estimateComplexity(code, algorithm) {
+    const known = ALGORITHM_COMPLEXITY[algorithm]
+    if (known) return `${known.average[0]} average (${known.best[0]} best, ${known.worst[0]} worst)`
     const nestedLoops = (code.match(/for\s*\(/g) || []).length
     if (nestedLoops >= 3) return "O(n³)"
     if (nestedLoops >= 2) return "O(n²)"
@@ -119,32 +95,58 @@ class CodeAnalyzer {
     return "O(1)"
   }
 
+  // Parses and type-checks the code, returning errors and warnings with line/column locations
   validateCode(code) {
-    const errors = []
+    return compileCppProgram(code).diagnostics
+  }
 
-    // Basic syntax checks
-    const openBraces = (code.match(/\{/g) || []).length
-    const closeBraces = (code.match(/\}/g) || []).length
-    if (openBraces !== closeBraces) {
-      errors.push("Mismatched braces")
-    }
+  showDiagnostics(diagnostics) {
+    this.clearDiagnostics()
 
-    const openParens = (code.match(/\(/g) || []).length
-    const closeParens = (code.match(/\)/g) || []).length
-    if (openParens !== closeParens) {
-      errors.push("Mismatched parentheses")
-    }
+    editor.operation(() => {
+      const markers = new Map()
 
-    // Check for common issues
-    if (!code.includes("main")) {
-      errors.push("No main function found")
-    }
+      diagnostics.forEach((diagnostic) => {
+        const { from, to } = this.diagnosticRange(diagnostic.loc)
+        this.diagnosticMarks.push(
+          editor.markText(from, to, { className: `cm-diagnostic-${diagnostic.severity}`, title: diagnostic.message }),
+        )
+
+        // One gutter marker per line; errors take precedence over warnings
+        const marker = markers.get(from.line) || { severity: "warning", messages: [] }
+        if (diagnostic.severity === "error") marker.severity = "error"
+        marker.messages.push(diagnostic.message)
+        markers.set(from.line, marker)
+      })
+
+      markers.forEach((marker, line) => {
+        const element = document.createElement("div")
+        element.className = `diagnostic-marker ${marker.severity}`
+        element.textContent = "●"
+        element.title = marker.messages.join("\n")
+        editor.setGutterMarker(line, "diagnostic-gutter", element)
+      })
+    })
+  }
+
+  diagnosticRange(loc) {
+    const line = Math.min(loc.line - 1, editor.lastLine())
+    const lineLength = editor.getLine(line).length
+    let fromCh = Math.min(loc.col - 1, lineLength)
+    let toCh = loc.endLine === loc.line ? Math.min(loc.endCol - 1, lineLength) : lineLength
 
-    if (!code.includes("#include")) {
-      errors.push("No include statements found")
+    // Errors at the end of a line still need at least one character to underline
+    if (toCh <= fromCh) {
+      fromCh = Math.max(0, Math.min(fromCh, lineLength - 1))
+      toCh = fromCh + 1
     }
+    return { from: { line, ch: fromCh }, to: { line, ch: toCh } }
+  }
 
-    return errors
+  clearDiagnostics() {
+    this.diagnosticMarks.forEach((mark) => mark.clear())
+    this.diagnosticMarks = []
+    editor.clearGutter("diagnostic-gutter")
   }
 
   highlightLine(lineNumber) {
@@ -169,6 +171,432 @@ class CodeAnalyzer {
   }
 }
 
+// Expression kinds a breakpoint condition may use; conditions only see the frame's variables
+const BREAKPOINT_CONDITION_KINDS = new Set(["Literal", "Identifier", "Binary", "Unary", "Conditional"])
+const BREAKPOINT_OUT_OF_SCOPE = Symbol("out of scope")
+
+// Breakpoints toggled from the gutter, kept on CodeMirror line handles so they follow edits. A condition is a C++
+// expression over the frame's variables, such as "j == 3 && key < 10"; it never matches while a variable is missing.
+class BreakpointManager {
+  constructor() {
+    this.breakpoints = new Map()
+    this.conditionWidget = null
+
+    editor.on("gutterClick", (cm, line, gutter, event) => {
+      if (gutter === "diagnostic-gutter") return
+      if (event.shiftKey) this.editCondition(line)
+      else this.toggle(line)
+    })
+    editor.on("gutterContextMenu", (cm, line, gutter, event) => {
+      if (gutter === "diagnostic-gutter") return
+      event.preventDefault()
+      this.editCondition(line)
+    })
+  }
+
+  toggle(line) {
+    const handle = editor.getLineHandle(line)
+    if (this.breakpoints.has(handle)) this.remove(handle)
+    else this.set(handle, "")
+  }
+
+  // Throws CppCompileError when the condition does not parse
+  set(handle, condition) {
+    const expression = condition ? BreakpointManager.compile(condition) : null
+    if (!this.breakpoints.has(handle)) handle.on("delete", () => this.breakpoints.delete(handle))
+    this.breakpoints.set(handle, { condition, expression })
+
+    const marker = document.createElement("div")
+    marker.className = condition ? "breakpoint-marker conditional" : "breakpoint-marker"
+    marker.textContent = condition ? "◆" : "●"
+    marker.title = condition ? `Break when ${condition}` : "Breakpoint (shift-click or right-click to add a condition)"
+    editor.setGutterMarker(handle, "breakpoint-gutter", marker)
+  }
+
+  remove(handle) {
+    this.breakpoints.delete(handle)
+    editor.setGutterMarker(handle, "breakpoint-gutter", null)
+  }
+
+  // Inline editor under the line; Enter saves, an empty condition breaks every time, Escape cancels
+  editCondition(line) {
+    this.closeConditionEditor()
+    const handle = editor.getLineHandle(line)
+    const existing = this.breakpoints.get(handle)
+
+    const element = document.createElement("div")
+    element.className = "breakpoint-editor"
+    const label = document.createElement("span")
+    label.textContent = `Break on line ${line + 1} when`
+    const input = document.createElement("input")
+    input.type = "text"
+    input.placeholder = "e.g. j == 3 (empty: always)"
+    input.value = existing ? existing.condition : ""
+    const message = document.createElement("span")
+    message.className = "breakpoint-editor-error"
+    element.append(label, input, message)
+
+    input.addEventListener("keydown", (event) => {
+      if (event.key === "Escape") {
+        this.closeConditionEditor()
+        return
+      }
+      if (event.key !== "Enter") return
+      try {
+        this.set(handle, input.value.trim())
+        this.closeConditionEditor()
+      } catch (error) {
+        if (!(error instanceof CppCompileError)) throw error
+        message.textContent = error.message
+      }
+    })
+
+    this.conditionWidget = editor.addLineWidget(handle, element)
+    input.focus()
+  }
+
+  closeConditionEditor() {
+    if (this.conditionWidget) this.conditionWidget.clear()
+    this.conditionWidget = null
+  }
+
+  hits(frame) {
+    if (!frame || frame.codeLine === null || frame.codeLine === undefined) return false
+    if (frame.codeLine < 0 || frame.codeLine > editor.lastLine()) return false
+    const breakpoint = this.breakpoints.get(editor.getLineHandle(frame.codeLine))
+    if (!breakpoint) return false
+    if (!breakpoint.expression) return true
+    try {
+      return Boolean(BreakpointManager.evaluate(breakpoint.expression, frame.variables || {}))
+    } catch (error) {
+      if (error === BREAKPOINT_OUT_OF_SCOPE) return false
+      throw error
+    }
+  }
+
+  static compile(condition) {
+    const parser = new CppParser(condition)
+    const expression = parser.parseExpression()
+    if (!parser.check("eof")) parser.error("Unexpected text after the condition", parser.peek())
+    const check = (node) => {
+      if (!BREAKPOINT_CONDITION_KINDS.has(node.kind)) {
+        throw new CppCompileError("Conditions can only use variables, numbers and operators", node.loc)
+      }
+      ;[node.left, node.right, node.argument, node.test, node.consequent, node.alternate].forEach(
+        (child) => child && check(child),
+      )
+    }
+    check(expression)
+    return expression
+  }
+
+  // Traced frames carry formatted values ("3", "\"abc\""), generated ones plain numbers
+  static value(variables, name) {
+    if (!(name in variables)) throw BREAKPOINT_OUT_OF_SCOPE
+    const value = variables[name]
+    if (typeof value !== "string") return value
+    if (value !== "" && !Number.isNaN(Number(value))) return Number(value)
+    if (value.startsWith('"')) return JSON.parse(value)
+    return value
+  }
+
+  static evaluate(node, variables) {
+    const evaluate = (child) => BreakpointManager.evaluate(child, variables)
+    switch (node.kind) {
+      case "Literal":
+        return node.value
+      case "Identifier":
+        return BreakpointManager.value(variables, node.name)
+      case "Conditional":
+        return evaluate(node.test) ? evaluate(node.consequent) : evaluate(node.alternate)
+      case "Unary": {
+        const value = evaluate(node.argument)
+        if (node.op === "!") return !value
+        if (node.op === "-") return -value
+        if (node.op === "~") return ~value
+        return +value
+      }
+      case "Binary": {
+        if (node.op === "&&") return evaluate(node.left) && evaluate(node.right)
+        if (node.op === "||") return evaluate(node.left) || evaluate(node.right)
+        const left = evaluate(node.left)
+        const right = evaluate(node.right)
+        switch (node.op) {
+          case "==":
+            return left === right
+          case "!=":
+            return left !== right
+          case "<":
+            return left < right
+          case ">":
+            return left > right
+          case "<=":
+            return left <= right
+          case ">=":
+            return left >= right
+          case "+":
+            return left + right
+          case "-":
+            return left - right
+          case "*":
+            return left * right
+          case "/":
+            return Number.isInteger(left) && Number.isInteger(right) ? Math.trunc(left / right) : left / right
+          case "%":
+            return left % right
+          case "&":
+            return left & right
+          case "|":
+            return left | right
+          case "^":
+            return left ^ right
+          case "<<":
+            return left << right
+          case ">>":
+            return left >> right
+        }
+      }
+    }
+    return undefined
+  }
+}
+
+// Cell fills for the grid searches; frontier and closed set match the graph view's queued and visited colors
+const GRID_COLORS = {
+  empty: "#1e293b",
+  wall: "#94a3b8",
+  weight: "#78350f",
+  frontier: "#3b82f6",
+  closed: "#1e3a8a",
+  current: "#f59e0b",
+  path: "#10b981",
+  start: "#10b981",
+  goal: "#ef4444",
+}
+
+// Cost of stepping onto a weighted cell in the grid searches; BFS ignores it
+const GRID_WEIGHT_COST = 5
+
+// Vertex fills for the three DFS states: unvisited, on the recursion stack, finished
+const GRAPH_DFS_COLORS = { white: "#f8fafc", gray: "#64748b", black: "#020617" }
+
+// Share of the playback interval spent tweening into the next frame, so each frame settles before the next one starts
+const FRAME_TWEEN_SHARE = 0.8
+
+// Timeline marker kinds, colored like the bars they come from: compared red, swapped orange, placed green
+const TIMELINE_EVENT_KINDS = {
+  compare: { label: "Comparison", color: "#ef4444" },
+  swap: { label: "Swap", color: "#f59e0b" },
+  pass: { label: "Pass / call", color: "#a855f7" },
+  placed: { label: "Element placed", color: "#10b981" },
+}
+
+// Shell sort gap sequences; Ciura's is empirical, so it is a fixed list rather than a formula
+const SHELL_CIURA_GAPS = [1, 4, 10, 23, 57, 132, 301, 701]
+const SHELL_GAP_SEQUENCE_NAMES = { shell: "Shell's", knuth: "Knuth's", ciura: "Ciura's" }
+
+// Tints for the interleaved shell sort groups, cycled when the gap is larger than the palette
+const GAP_GROUP_COLORS = ["#a855f7", "#ec4899", "#14b8a6", "#eab308", "#6366f1", "#f97316"]
+
+// Counting sort draws one counter per value between the minimum and the maximum, so wider ranges are not shown
+const COUNTING_SORT_MAX_RANGE = 256
+
+// Quick sort pivot choices; the random one is seeded so a run can be replayed with the same pivots
+const QUICK_SORT_PIVOT_NAMES = { first: "first", last: "last", random: "seeded random", median3: "median-of-three" }
+const QUICK_SORT_SEED = 42
+const QUICK_SORT_PIVOT_COLOR = "#a855f7"
+const QUICK_SORT_POINTER_COLORS = { i: "#22d3ee", j: "#f472b6" }
+
+// Call tree rings, one color per function name in order of first call
+const CALL_TREE_FUNCTION_COLORS = ["#60a5fa", "#f472b6", "#34d399", "#fbbf24", "#a78bfa", "#f87171"]
+
+// Merge sort segment outlines: being divided, waiting for its halves, merging, sorted
+const MERGE_SEGMENT_COLORS = { active: "#f59e0b", split: "#475569", merging: "#ef4444", sorted: "#10b981" }
+
+// Rows of the statistics panel, in order
+const OPERATION_STAT_LABELS = {
+  comparisons: "Comparisons",
+  swaps: "Swaps",
+  reads: "Array reads",
+  writes: "Array writes",
+  depth: "Recursion depth",
+}
+
+// Textbook cost of each algorithm as [growth, estimate for an array of n values], with best ≤ average ≤ worst for
+// every n. Comparison sorts and searches are measured in comparisons, counting and radix sort in array writes. The
+// estimates follow the generators: the splits below, the gaps of the run for shell sort (Shell's halving gaps for a
+// traced program), and no early exit in bubble sort. Comb, shell and heap sort averages have no closed form, so
+// estimates fitted to random runs stand in for them.
+const ALGORITHM_COMPLEXITY = (() => {
+  const harmonic = (n) => {
+    let sum = 0
+    for (let k = 1; k <= n; k++) sum += 1 / k
+    return sum
+  }
+
+  // Insertion sort of n values compares n - 1 times at best and n(n - 1)/2 at worst; a random order averages in
+  // between
+  const insertionBest = (n) => Math.max(n - 1, 0)
+  const insertionAverage = (n) => (n * (n - 1)) / 4 + n - harmonic(n)
+  const insertionWorst = (n) => (n * (n - 1)) / 2
+
+  // Costs of the generators' top-down splits: merge sort halves into ⌈n/2⌉ and ⌊n/2⌋, while quick sort and binary
+  // search split the n - 1 values beside the pivot or middle, ⌊(n - 1)/2⌋ of them to the left
+  const splitHalves = (n, cost) => cost(Math.ceil(n / 2)) + cost(Math.floor(n / 2))
+  const splitAround = (n, cost) => cost(Math.floor((n - 1) / 2)) + cost(Math.ceil((n - 1) / 2))
+
+  // Merging runs of a and b values compares min(a, b) times at best, a + b - 1 at worst and, for a random
+  // interleaving, a + b - a/(b + 1) - b/(a + 1) on average
+  const mergeComparisons = (n, merge) =>
+    n < 2 ? 0 : splitHalves(n, (half) => mergeComparisons(half, merge)) + merge(Math.ceil(n / 2), Math.floor(n / 2))
+
+  // Lomuto partitioning compares every other value with the pivot, and the best pivot splits them evenly
+  const quickBestComparisons = (n) => (n < 2 ? 0 : n - 1 + splitAround(n, quickBestComparisons))
+
+  // Probes binary search makes, summed over the positions it can find
+  const binarySearchProbes = (n) => (n < 1 ? 0 : n + splitAround(n, binarySearchProbes))
+
+  // Heap sort sifts every parent down to build the heap, then the new root of each heap one smaller. A sift compares
+  // the node's children, up to two per level: equal keys stop it at the first level, and at worst it reaches a leaf
+  const heapSortComparisons = (n, sift) => {
+    let total = 0
+    for (let i = 0; i < Math.floor(n / 2); i++) total += sift(n, i)
+    for (let size = 2; size < n; size++) total += sift(size, 0)
+    return total
+  }
+  const heapSiftFirst = (size, i) => Math.max(Math.min(2, size - 1 - 2 * i), 0)
+  const heapSiftToLeaf = (size, i) => 2 * Math.floor(Math.log2(size / (i + 1)))
+
+  // Shell sort at every gap is an insertion sort of the gap interleaved groups: ⌈n/gap⌉ values in the first n % gap
+  // of them and ⌊n/gap⌋ in the rest
+  const shellComparisons = (n, gaps, cost) =>
+    gaps.reduce((total, gap) => {
+      const size = Math.floor(n / gap)
+      return total + (n % gap) * cost(size + 1) + (gap - (n % gap)) * cost(size)
+    }, 0)
+
+  // Comb sort shrinks the gap by 10/13 down to 1, and then repeats gap 1 passes until one swaps nothing
+  const combComparisons = (n, passes) => {
+    let total = 0
+    for (let gap = Math.floor((n * 10) / 13); gap > 1; gap = Math.floor((gap * 10) / 13)) total += n - gap
+    return total + passes * Math.max(n - 1, 0)
+  }
+
+  // Bucket sort spreads the values over round(√n) buckets; evenly spread, a bucket holds ⌈n/k⌉ or ⌊n/k⌋ of them
+  const bucketComparisons = (n, cost) => {
+    const buckets = Math.max(1, Math.round(Math.sqrt(n)))
+    const size = Math.floor(n / buckets)
+    return (n % buckets) * cost(size + 1) + (buckets - (n % buckets)) * cost(size)
+  }
+
+  return {
+    bubble: {
+      measure: "comparisons",
+      best: ["O(n²)", (n) => (n * (n - 1)) / 2],
+      average: ["O(n²)", (n) => (n * (n - 1)) / 2],
+      worst: ["O(n²)", (n) => (n * (n - 1)) / 2],
+    },
+    selection: {
+      measure: "comparisons",
+      best: ["O(n²)", (n) => (n * (n - 1)) / 2],
+      average: ["O(n²)", (n) => (n * (n - 1)) / 2],
+      worst: ["O(n²)", (n) => (n * (n - 1)) / 2],
+    },
+    insertion: {
+      measure: "comparisons",
+      best: ["O(n)", insertionBest],
+      average: ["O(n²)", insertionAverage],
+      worst: ["O(n²)", insertionWorst],
+    },
+    // A trace follows a single array, so the comparisons in merge sort's buffers and inside std::sort for the buckets
+    // are only counted by the generators
+    merge: {
+      measure: "comparisons",
+      applies: ({ variable }) => variable === undefined,
+      best: ["O(n log n)", (n) => mergeComparisons(n, Math.min)],
+      average: ["O(n log n)", (n) => mergeComparisons(n, (a, b) => a + b - a / (b + 1) - b / (a + 1))],
+      worst: ["O(n log n)", (n) => mergeComparisons(n, (a, b) => a + b - 1)],
+    },
+    // Lomuto partitioning compares each value once whatever the pivot; Hoare's two scans and the median of three
+    // compare more than the estimates cover
+    quick: {
+      measure: "comparisons",
+      applies: ({ partition, pivotStrategy }) => partition !== "hoare" && pivotStrategy !== "median3",
+      best: ["O(n log n)", quickBestComparisons],
+      average: ["O(n log n)", (n) => Math.max(2 * (n + 1) * harmonic(n) - 4 * n, 0)],
+      worst: ["O(n²)", (n) => (n * (n - 1)) / 2],
+    },
+    heap: {
+      measure: "comparisons",
+      best: ["O(n)", (n) => heapSortComparisons(n, heapSiftFirst)],
+      average: [
+        "O(n log n)",
+        (n) => Math.max(heapSortComparisons(n, heapSiftToLeaf) - n, heapSortComparisons(n, heapSiftFirst)),
+      ],
+      worst: ["O(n log n)", (n) => heapSortComparisons(n, heapSiftToLeaf)],
+    },
+    shell: {
+      measure: "comparisons",
+      best: [
+        "O(n log n)",
+        (n, _, { gaps = sortingVisualizer.shellGaps(n) }) => shellComparisons(n, gaps, insertionBest),
+      ],
+      average: [
+        "O(n^1.5)",
+        (n, _, { gaps = sortingVisualizer.shellGaps(n) }) =>
+          Math.min(
+            Math.max((n - 1) ** 1.5, shellComparisons(n, gaps, insertionBest)),
+            shellComparisons(n, gaps, insertionWorst),
+          ),
+      ],
+      worst: ["O(n²)", (n, _, { gaps = sortingVisualizer.shellGaps(n) }) => shellComparisons(n, gaps, insertionWorst)],
+    },
+    cocktail: {
+      measure: "comparisons",
+      best: ["O(n)", (n) => Math.max(n - 1, 0)],
+      average: ["O(n²)", (n) => (n * (n - 1)) / 2],
+      worst: ["O(n²)", (n) => (n * (n - 1)) / 2],
+    },
+    comb: {
+      measure: "comparisons",
+      best: ["O(n log n)", (n) => combComparisons(n, 1)],
+      average: ["O(n log n)", (n) => combComparisons(n, 2)],
+      worst: ["O(n²)", (n) => combComparisons(n, n)],
+    },
+    counting: {
+      measure: "writes",
+      best: ["O(n + k)", (n) => n],
+      average: ["O(n + k)", (n) => n],
+      worst: ["O(n + k)", (n) => n],
+    },
+    radix: {
+      measure: "writes",
+      best: ["O(d·n)", (n, array) => n * String(Math.max(...array.map(Math.abs))).length],
+      average: ["O(d·n)", (n, array) => n * String(Math.max(...array.map(Math.abs))).length],
+      worst: ["O(d·n)", (n, array) => n * String(Math.max(...array.map(Math.abs))).length],
+    },
+    bucket: {
+      measure: "comparisons",
+      applies: ({ variable }) => variable === undefined,
+      best: ["O(n + k)", (n) => bucketComparisons(n, insertionBest)],
+      average: ["O(n + n²/k + k)", (n) => bucketComparisons(n, insertionAverage)],
+      worst: ["O(n²)", (n) => (n * (n - 1)) / 2],
+    },
+    linear_search: {
+      measure: "comparisons",
+      best: ["O(1)", () => 1],
+      average: ["O(n)", (n) => (n + 1) / 2],
+      worst: ["O(n)", (n) => n],
+    },
+    binary_search: {
+      measure: "comparisons",
+      best: ["O(1)", () => 1],
+      average: ["O(log n)", (n) => (2 * binarySearchProbes(n)) / n - 1],
+      worst: ["O(log n)", (n) => 2 * (Math.floor(Math.log2(n)) + 1)],
+    },
+  }
+})()
+
 class AnimationEngine {
   constructor(canvasId) {
     this.canvas = document.getElementById(canvasId)
@@ -178,14 +606,29 @@ class AnimationEngine {
     this.currentFrame = 0
     this.totalFrames = 0
     this.animationSpeed = 5
+    this.playDirection = 1
     this.animationId = null
     this.frames = []
     this.onFrameUpdate = null
     this.codeAnalyzer = new CodeAnalyzer()
+    this.breakpoints = new BreakpointManager()
+    this.treePositions = null
+    this.treeTransition = null
+    this.treeTransitionMs = 350
+    this.graphLayout = "auto"
+    this.graphPositions = null
+    this.showCallTree = false
+    this.pinnedVariables = new Set()
+    this.tween = null
+    this.frameEvents = []
+    this.thumbnailCanvas = document.createElement("canvas")
 
     // Set canvas size
     this.resizeCanvas()
-    window.addEventListener("resize", () => this.resizeCanvas())
+    window.addEventListener("resize", () => {
+      this.resizeCanvas()
+      this.drawTimelineMarkers()
+    })
   }
 
   resizeCanvas() {
@@ -201,12 +644,36 @@ class AnimationEngine {
     this.frames = frames
     this.totalFrames = frames.length
     this.currentFrame = 0
+    this.treePositions = null
+    this.graphPositions = null
+    this.tween = null
+    this.frameEvents = frames.map((frame, index) => this.frameEvent(frame, frames[index - 1]))
+    this.countRecursion(frames)
     this.updateTimelineSlider()
+    this.drawTimelineMarkers()
+
+    // Each panel only takes room beside the canvas when the frames carry what it shows
+    const hasFrames = frames.length > 0
+    const hasCalls = frames.some((frame) => frame.callStack)
+    const hasVariables = frames.some((frame) => frame.variables)
+    if (sidePanels.classList.contains("hidden") === hasFrames) {
+      sidePanels.classList.toggle("hidden", !hasFrames)
+      this.resizeCanvas()
+    }
+    statsPanel.classList.toggle("hidden", !frames.some((frame) => frame.stats))
+    callStackPanel.classList.toggle("hidden", !hasCalls)
+    watchPanel.classList.toggle("hidden", !hasVariables)
+    this.updateStatsPanel(frames[0], null)
+    this.updateCallStackPanel(frames[0])
+    this.updateWatchPanel(frames[0], null)
   }
 
-  play() {
+  // direction -1 plays backwards; calling it while playing only turns playback around
+  play(direction = 1) {
     if (this.frames.length === 0) return
 
+    this.playDirection = direction
+    if (this.isPlaying) return
     this.isPlaying = true
     this.isPaused = false
     this.animate()
@@ -226,6 +693,7 @@ class AnimationEngine {
     this.isPlaying = false
     this.isPaused = false
     this.currentFrame = 0
+    this.tween = null
     if (this.animationId) {
       cancelAnimationFrame(this.animationId)
     }
@@ -234,9 +702,11 @@ class AnimationEngine {
     this.codeAnalyzer.clearHighlight()
   }
 
+  // Stepping and seeking snap straight to the frame; only playback tweens
   stepForward() {
     if (this.currentFrame < this.totalFrames - 1) {
       this.currentFrame++
+      this.tween = null
       this.renderFrame(this.frames[this.currentFrame])
       this.updateFrameInfo()
     }
@@ -245,6 +715,7 @@ class AnimationEngine {
   stepBackward() {
     if (this.currentFrame > 0) {
       this.currentFrame--
+      this.tween = null
       this.renderFrame(this.frames[this.currentFrame])
       this.updateFrameInfo()
     }
@@ -253,11 +724,184 @@ class AnimationEngine {
   goToFrame(frameIndex) {
     if (frameIndex >= 0 && frameIndex < this.totalFrames) {
       this.currentFrame = frameIndex
+      this.tween = null
       this.renderFrame(this.frames[this.currentFrame])
       this.updateFrameInfo()
     }
   }
 
+  // Index of the first frame after the current one that passes test, or -1
+  findNextFrame(test) {
+    for (let index = this.currentFrame + 1; index < this.totalFrames; index++) {
+      if (test(this.frames[index])) return index
+    }
+    return -1
+  }
+
+  // Step into runs to the start of the next call made from here, step over to the next frame back at this depth and
+  // step out to the first frame after this call returns; each stops early at a breakpoint. Frames without call
+  // information, and step into when this call returns before making another, only step once.
+  stepInto() {
+    const frame = this.frames[this.currentFrame]
+    const change = frame ? this.frames[this.findNextFrame((next) => next.callDepth !== frame.callDepth)] : undefined
+    if (!change || !(change.callDepth > frame.callDepth)) return this.stepByDepth(() => true)
+    return this.stepByDepth((depth, from) => depth > from)
+  }
+
+  stepOver() {
+    return this.stepByDepth((depth, from) => depth <= from)
+  }
+
+  stepOut() {
+    return this.stepByDepth((depth, from) => depth < from)
+  }
+
+  stepByDepth(test) {
+    if (this.isPlaying) this.pause()
+    const frame = this.frames[this.currentFrame]
+    if (!frame || this.currentFrame >= this.totalFrames - 1) return -1
+
+    const index =
+      frame.callDepth === undefined
+        ? this.currentFrame + 1
+        : this.findNextFrame((next) => test(next.callDepth, frame.callDepth) || this.breakpoints.hits(next))
+    this.goToFrame(index === -1 ? this.totalFrames - 1 : index)
+    return index
+  }
+
+  // What a frame does relative to the one before, for the timeline: a pass or call boundary, an element placed (the
+  // sorted set or traversal grows, or a single slot is written), a swap, a comparison, or nothing worth a marker
+  frameEvent(frame, previous) {
+    if (!previous) return null
+    // Some generators list every sorted index, others only the one just settled
+    const newlySorted = (frame.sorted || []).some((index) => !(previous.sorted || []).includes(index))
+    const visitedMore =
+      frame.traversalOrder && previous.traversalOrder && frame.traversalOrder.length > previous.traversalOrder.length
+
+    // When the calls moved, a pass starts only with a new recursive call, not with a helper like partition or a return
+    const callsMoved = frame.callDepth !== previous.callDepth || frame.recursiveCall !== previous.recursiveCall
+    const pass = callsMoved ? frame.recursiveCall > previous.recursiveCall : this.outerLoopMoved(frame, previous)
+    if (pass) return "pass"
+    if (newlySorted || visitedMore) return "placed"
+    if (Array.isArray(frame.array) && Array.isArray(previous.array) && frame.array.length === previous.array.length) {
+      const changed = frame.array
+        .map((_, index) => index)
+        .filter((index) => frame.array[index] !== previous.array[index])
+      if (
+        changed.length === 2 &&
+        frame.array[changed[0]] === previous.array[changed[1]] &&
+        frame.array[changed[1]] === previous.array[changed[0]]
+      ) {
+        return "swap"
+      }
+      if (changed.length > 0) return "placed"
+    }
+    // Merge sort compares the heads of its buffers rather than array positions
+    if ((frame.comparisons && frame.comparisons.length > 0) || (frame.buffers && frame.buffers.compare))
+      return "compare"
+    return null
+  }
+
+  // Generators list the outermost loop's variable (i, gap, exp, ...) first and traced frames name it, so a change there
+  // starts a new pass
+  outerLoopMoved(frame, previous) {
+    if (!frame.variables || !previous.variables) return false
+    const name = "outerLoop" in frame ? frame.outerLoop : Object.keys(frame.variables)[0]
+    return typeof name === "string" && name in previous.variables && frame.variables[name] !== previous.variables[name]
+  }
+
+  // Generators and the tracer count their own operations, and recursion depth is read off the call data for both.
+  // Views that count nothing (graph and table frames) only get a depth when they recurse, and no statistics otherwise
+  countRecursion(frames) {
+    const counted = frames.some((frame) => frame.stats && "comparisons" in frame.stats)
+    if (!counted && !frames.some((frame) => frame.recursionDepth !== undefined)) return
+    let maxDepth = 0
+    frames.forEach((frame) => {
+      const depth = frame.recursionDepth || 0
+      // The most recent call data also covers calls made between frames, or past the end of a limited trace
+      maxDepth = Math.max(maxDepth, depth, frame.maxRecursionDepth || 0)
+      const counts = counted ? { comparisons: 0, swaps: 0, reads: 0, writes: 0, ...frame.stats } : {}
+      frame.stats = { ...counts, depth, maxDepth }
+    })
+  }
+
+  // Index of the next (direction 1) or previous (-1) frame with an event of the kind ("any" for every kind), or -1
+  findEvent(kind, direction) {
+    for (let index = this.currentFrame + direction; index >= 0 && index < this.totalFrames; index += direction) {
+      const event = this.frameEvents[index]
+      if (event && (kind === "any" || event === kind)) return index
+    }
+    return -1
+  }
+
+  // One tick per event under the slider, aligned with where the thumb sits for that frame
+  drawTimelineMarkers() {
+    const width = timelineMarkers.clientWidth
+    const height = timelineMarkers.clientHeight
+    timelineMarkers.width = width * window.devicePixelRatio
+    timelineMarkers.height = height * window.devicePixelRatio
+    const ctx = timelineMarkers.getContext("2d")
+    ctx.scale(window.devicePixelRatio, window.devicePixelRatio)
+    ctx.clearRect(0, 0, width, height)
+    if (this.totalFrames < 2) return
+
+    this.frameEvents.forEach((event, index) => {
+      if (!event) return
+      const x = (index / (this.totalFrames - 1)) * width
+      ctx.fillStyle = TIMELINE_EVENT_KINDS[event].color
+      ctx.fillRect(Math.round(x), event === "pass" ? 0 : 3, 1, event === "pass" ? height : height - 3)
+    })
+  }
+
+  // Draws a frame with drawFrame() into an offscreen canvas the size of the main one, then scales it into target.
+  // The main view's transition and highlight state is left as it was.
+  renderThumbnail(frameData, target) {
+    const saved = {
+      canvas: this.canvas,
+      ctx: this.ctx,
+      tween: this.tween,
+      treePositions: this.treePositions,
+      treeTransition: this.treeTransition,
+      graphPositions: this.graphPositions,
+    }
+    const offscreen = this.thumbnailCanvas
+    offscreen.width = this.canvas.width
+    offscreen.height = this.canvas.height
+    this.canvas = offscreen
+    this.ctx = offscreen.getContext("2d")
+    this.ctx.scale(window.devicePixelRatio, window.devicePixelRatio)
+    this.tween = null
+    this.treePositions = null
+    this.treeTransition = null
+    try {
+      this.drawFrame(frameData)
+    } finally {
+      Object.assign(this, saved)
+    }
+
+    target.height = Math.round((target.width * offscreen.height) / Math.max(1, offscreen.width))
+    const ctx = target.getContext("2d")
+    ctx.fillStyle = "#0f172a"
+    ctx.fillRect(0, 0, target.width, target.height)
+    ctx.drawImage(offscreen, 0, 0, target.width, target.height)
+  }
+
+  // Jumps to the next breakpoint hit, or to the last frame when none is left
+  continueToBreakpoint() {
+    if (this.isPlaying) this.pause()
+    const index = this.findNextFrame((frame) => this.breakpoints.hits(frame))
+    this.goToFrame(index === -1 ? this.totalFrames - 1 : index)
+    return index
+  }
+
+  // Jumps to the next frame on the line, stopping early at any breakpoint on the way
+  runToLine(line) {
+    if (this.isPlaying) this.pause()
+    const index = this.findNextFrame((frame) => frame.codeLine === line || this.breakpoints.hits(frame))
+    if (index !== -1) this.goToFrame(index)
+    return index
+  }
+
   setSpeed(speed) {
     this.animationSpeed = speed
   }
@@ -268,10 +912,21 @@ class AnimationEngine {
     const frameDelay = 1000 / this.animationSpeed
 
     setTimeout(() => {
-      if (this.currentFrame < this.totalFrames - 1) {
-        this.currentFrame++
-        this.renderFrame(this.frames[this.currentFrame])
+      // Paused, stopped or moved by a control while waiting
+      if (!this.isPlaying || this.isPaused) return
+
+      const next = this.currentFrame + this.playDirection
+      if (next >= 0 && next < this.totalFrames) {
+        const previous = this.frames[this.currentFrame]
+        this.currentFrame = next
+        const frame = this.frames[this.currentFrame]
+        this.startTween(previous, frame, frameDelay * FRAME_TWEEN_SHARE)
         this.updateFrameInfo()
+        if (this.breakpoints.hits(frame)) {
+          this.pause()
+          updateStatus(`Paused at the breakpoint on line ${frame.codeLine + 1}`)
+          return
+        }
         this.animationId = requestAnimationFrame(() => this.animate())
       } else {
         this.isPlaying = false
@@ -281,49 +936,177 @@ class AnimationEngine {
     }, frameDelay)
   }
 
+  // Bars are matched to where their element sat in the previous frame, so a swap slides instead of jumping. Frames
+  // that carry element ids are matched on those; others fall back to values, which cannot tell duplicates apart
+  startTween(from, to, duration) {
+    const keys = (frame) => (Array.isArray(from.ids) && Array.isArray(to.ids) ? frame.ids : frame.array)
+    const before = keys(from)
+    const after = keys(to)
+    const sources =
+      Array.isArray(before) && Array.isArray(after) && before.length === after.length
+        ? this.matchElements(before, after)
+        : null
+    this.tween = { from, to, sources, start: performance.now(), duration }
+    this.renderFrame(to)
+  }
+
+  // sources[i] is the index in before that the element now at i came from, or null when its key is new there.
+  // Keys that stayed put keep their place, the rest take the nearest unclaimed equal key.
+  matchElements(before, after) {
+    const sources = after.map((value, index) => (value !== null && before[index] === value ? index : null))
+    const claimed = new Set(sources.filter((source) => source !== null))
+    after.forEach((value, index) => {
+      if (sources[index] !== null || value === null) return
+      let best = null
+      before.forEach((candidate, source) => {
+        if (candidate !== value || claimed.has(source)) return
+        if (best === null || Math.abs(source - index) < Math.abs(best - index)) best = source
+      })
+      if (best !== null) {
+        sources[index] = best
+        claimed.add(best)
+      }
+    })
+    return sources
+  }
+
+  // The tween into frameData with its eased progress, or null when the frame is drawn as it is
+  tweenState(frameData) {
+    const tween = this.tween
+    if (!tween || tween.to !== frameData) return null
+    const progress = tween.duration > 0 ? Math.min(1, (performance.now() - tween.start) / tween.duration) : 1
+    return { ...tween, progress, eased: 1 - (1 - progress) ** 3 }
+  }
+
   renderFrame(frameData) {
+    this.drawFrame(frameData)
+    if (frameData.codeLine !== undefined) {
+      this.codeAnalyzer.highlightLine(frameData.codeLine)
+    }
+  }
+
+  // The canvas alone, redrawn on every animation tick until the tween into the frame settles
+  drawFrame(frameData) {
     this.clear()
 
-    if (frameData.type === "array") {
-      this.renderArray(frameData)
+    if (this.showCallTree && frameData.callTree) {
+      this.renderCallTree(frameData)
+    } else if (frameData.type === "array") {
+      if (frameData.auxiliary) this.renderWithAuxiliary(frameData)
+      else if (frameData.pointers) this.renderPartition(frameData)
+      else if (frameData.levels) this.renderMergeLevels(frameData)
+      else this.renderArray(frameData)
     } else if (frameData.type === "tree") {
       this.renderTree(frameData)
+    } else if (frameData.type === "heap") {
+      this.renderHeap(frameData)
     } else if (frameData.type === "graph") {
       this.renderGraph(frameData)
     } else if (frameData.type === "search") {
       this.renderSearch(frameData)
     } else if (frameData.type === "binary_search") {
       this.renderSearch(frameData)
+    } else if (frameData.type === "dp_table") {
+      this.renderDPTable(frameData)
+    } else if (frameData.type === "grid") {
+      this.renderGrid(frameData)
     }
 
-    if (frameData.codeLine !== undefined) {
-      this.codeAnalyzer.highlightLine(frameData.codeLine)
+    // Keep redrawing until the tween into this frame settles, unless playback has moved on
+    const tween = this.tween
+    const state = this.tweenState(frameData)
+    if (state && state.progress < 1) {
+      requestAnimationFrame(() => {
+        if (this.tween === tween && this.frames[this.currentFrame] === frameData) this.drawFrame(frameData)
+      })
+    }
+  }
+
+  canvasBounds() {
+    return {
+      x: 0,
+      y: 0,
+      width: this.canvas.width / window.devicePixelRatio,
+      height: this.canvas.height / window.devicePixelRatio,
     }
   }
 
-  renderArray(frameData) {
-    const { array, highlights, comparisons, sorted } = frameData
-    const canvasWidth = this.canvas.width / window.devicePixelRatio
-    const canvasHeight = this.canvas.height / window.devicePixelRatio
+  // Shared by the bar chart and the tree so an element has the same color in both views
+  elementColor(frameData, index) {
+    const { highlights, comparisons, sorted } = frameData
+    if (sorted && sorted.includes(index)) return "#10b981" // Green for sorted
+    if (frameData.pivotIndex === index) return QUICK_SORT_PIVOT_COLOR // Purple for the quick sort pivot
+    if (highlights && highlights.includes(index)) return "#f59e0b" // Orange for highlighted
+    if (comparisons && comparisons.includes(index)) return "#ef4444" // Red for comparison
+    return "#3b82f6" // Default blue
+  }
+
+  barLayout(length, bounds) {
+    const barWidth = Math.min(60, (bounds.width - 40) / length)
+    return { barWidth, barX: (index) => bounds.x + 20 + index * (barWidth + 5) }
+  }
 
-    const barWidth = Math.min(60, (canvasWidth - 40) / array.length)
-    const maxValue = Math.max(...array)
-    const barMaxHeight = canvasHeight - 80
+  renderArray(frameData, bounds = this.canvasBounds()) {
+    const { array } = frameData
+    const tween = this.tweenState(frameData)
+
+    const { barWidth, barX } = this.barLayout(array.length, bounds)
+    const maxValue = Math.max(1, ...array.map(Math.abs))
+    const barMaxHeight = bounds.height - 80
+    const baseline = bounds.y + bounds.height
+
+    // Shell sort: a column and a strip under each bar in its gap group's color, the group being sorted stronger
+    if (frameData.gap > 1) {
+      array.forEach((_, index) => {
+        const group = index % frameData.gap
+        const active = group === frameData.activeGroup
+        this.ctx.fillStyle = GAP_GROUP_COLORS[group % GAP_GROUP_COLORS.length]
+        this.ctx.globalAlpha = active ? 0.22 : 0.08
+        this.ctx.fillRect(barX(index) - 2, bounds.y + 10, barWidth + 4, baseline - 40 - bounds.y - 10)
+        this.ctx.globalAlpha = active ? 1 : 0.45
+        this.ctx.fillRect(barX(index), baseline - 37, barWidth, 4)
+      })
+      this.ctx.globalAlpha = 1
+    }
 
     array.forEach((value, index) => {
-      const x = 20 + index * (barWidth + 5)
-      const barHeight = (value / maxValue) * barMaxHeight
-      const y = canvasHeight - 40 - barHeight
+      const slotX = barX(index)
+      // Quick sort fades everything outside the range being partitioned
+      const range = frameData.range
+      const alpha = range && (index < range[0] || index > range[1]) ? 0.3 : 1
+      this.ctx.globalAlpha = alpha
+
+      // A slot whose value currently sits in the auxiliary storage
+      if (value === null) {
+        this.ctx.strokeStyle = "#475569"
+        this.ctx.lineWidth = 1
+        this.ctx.setLineDash([4, 3])
+        this.ctx.strokeRect(slotX, baseline - 52, barWidth, 12)
+        this.ctx.setLineDash([])
+        this.ctx.fillStyle = "#64748b"
+        this.ctx.font = "10px JetBrains Mono"
+        this.ctx.textAlign = "center"
+        this.ctx.fillText(index.toString(), slotX + barWidth / 2, baseline - 5)
+        return
+      }
 
-      // Determine bar color with priority order
-      let color = "#3b82f6" // Default blue
-      if (sorted && sorted.includes(index)) {
-        color = "#10b981" // Green for sorted
-      } else if (highlights && highlights.includes(index)) {
-        color = "#f59e0b" // Orange for highlighted
-      } else if (comparisons && comparisons.includes(index)) {
-        color = "#ef4444" // Red for comparison
+      let x = slotX
+      let barHeight = (Math.abs(value) / maxValue) * barMaxHeight
+      let color = this.elementColor(frameData, index)
+      let replaced = null
+      // Mid-tween a moved bar slides over from its old slot and an overwritten one grows or shrinks from the old
+      // value, whose label fades out; colors blend over from the previous frame
+      if (tween && tween.sources) {
+        const source = tween.sources[index] === null ? index : tween.sources[index]
+        const before = tween.from.array[source]
+        x += (barX(source) - slotX) * (1 - tween.eased)
+        color = this.blendColors(this.elementColor(tween.from, source), color, tween.eased)
+        if (tween.sources[index] === null && typeof before === "number") {
+          barHeight += ((Math.abs(before) / maxValue) * barMaxHeight - barHeight) * (1 - tween.eased)
+          replaced = before
+        }
       }
+      const y = baseline - 40 - barHeight
 
       // Draw bar with gradient effect
       const gradient = this.ctx.createLinearGradient(x, y, x, y + barHeight)
@@ -342,947 +1125,4582 @@ class AnimationEngine {
       this.ctx.fillStyle = "#e2e8f0"
       this.ctx.font = "12px JetBrains Mono"
       this.ctx.textAlign = "center"
-      this.ctx.fillText(value.toString(), x + barWidth / 2, canvasHeight - 20)
+      if (replaced !== null) {
+        this.ctx.globalAlpha = alpha * (1 - tween.eased)
+        this.ctx.fillText(replaced.toString(), x + barWidth / 2, baseline - 20)
+        this.ctx.globalAlpha = alpha * tween.eased
+      }
+      this.ctx.fillText(value.toString(), x + barWidth / 2, baseline - 20)
+      this.ctx.globalAlpha = alpha
 
       // Draw index
       this.ctx.fillStyle = "#64748b"
       this.ctx.font = "10px JetBrains Mono"
-      this.ctx.fillText(index.toString(), x + barWidth / 2, canvasHeight - 5)
+      this.ctx.fillText(index.toString(), slotX + barWidth / 2, baseline - 5)
     })
+    this.ctx.globalAlpha = 1
   }
 
-  renderTree(frameData) {
-    // Tree rendering implementation
-    this.ctx.fillStyle = "#64748b"
-    this.ctx.font = "14px Inter"
+  // Quick sort: the recursion range bracketed above the bars, the pivot value as a line across it,
+  // partition boundaries between bars and the i/j pointers underneath
+  renderPartition(frameData) {
+    const { array, range, depth, pivotValue, pointers, boundaries } = frameData
+    const bounds = this.canvasBounds()
+    const arrayBounds = { ...bounds, y: bounds.y + 30, height: bounds.height - 60 }
+    const { barWidth, barX } = this.barLayout(array.length, arrayBounds)
+    const baseline = arrayBounds.y + arrayBounds.height
+
+    this.renderArray(frameData, arrayBounds)
+    if (!range) return
+
+    const [low, high] = range
+    const left = barX(low)
+    const right = barX(high) + barWidth
+
+    this.ctx.strokeStyle = "#94a3b8"
+    this.ctx.lineWidth = 1.5
+    this.ctx.beginPath()
+    this.ctx.moveTo(left, arrayBounds.y + 14)
+    this.ctx.lineTo(left, arrayBounds.y + 6)
+    this.ctx.lineTo(right, arrayBounds.y + 6)
+    this.ctx.lineTo(right, arrayBounds.y + 14)
+    this.ctx.stroke()
+    this.ctx.fillStyle = "#94a3b8"
+    this.ctx.font = "12px Inter"
     this.ctx.textAlign = "center"
-    this.ctx.fillText(
-      "Tree visualization coming soon...",
-      this.canvas.width / 2 / window.devicePixelRatio,
-      this.canvas.height / 2 / window.devicePixelRatio,
-    )
-  }
+    this.ctx.fillText(`quickSort(${low}, ${high}) · depth ${depth}`, (left + right) / 2, arrayBounds.y)
+
+    if (pivotValue !== null) {
+      const maxValue = Math.max(1, ...array.map(Math.abs))
+      const y = baseline - 40 - (Math.abs(pivotValue) / maxValue) * (arrayBounds.height - 80)
+      this.ctx.strokeStyle = QUICK_SORT_PIVOT_COLOR
+      this.ctx.lineWidth = 1.5
+      this.ctx.setLineDash([6, 4])
+      this.ctx.beginPath()
+      this.ctx.moveTo(left - 4, y)
+      this.ctx.lineTo(right + 4, y)
+      this.ctx.stroke()
+      this.ctx.setLineDash([])
+      this.ctx.fillStyle = QUICK_SORT_PIVOT_COLOR
+      this.ctx.textAlign = "right"
+      this.ctx.fillText(`pivot ${pivotValue}`, right, y - 6)
+    }
 
-  renderSearch(frameData) {
-    const { array, currentIndex, target, found, left, right, mid } = frameData
-    const barWidth = Math.min(60, (this.canvas.width * 0.8) / array.length)
-    const barSpacing = 5
-    const totalWidth = array.length * barWidth + (array.length - 1) * barSpacing
-    const startX = (this.canvas.width - totalWidth) / 2
+    // A boundary at p separates positions p - 1 and p; the range edges need no line
+    this.ctx.strokeStyle = "#e2e8f0"
+    this.ctx.lineWidth = 2
+    this.ctx.setLineDash([3, 3])
+    for (const boundary of boundaries) {
+      if (boundary <= low || boundary > high) continue
+      const x = barX(boundary) - 2.5
+      this.ctx.beginPath()
+      this.ctx.moveTo(x, arrayBounds.y + 18)
+      this.ctx.lineTo(x, baseline - 36)
+      this.ctx.stroke()
+    }
+    this.ctx.setLineDash([])
 
-    // Clear canvas
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height)
+    // Pointers sharing a position are labelled together, e.g. "i j"
+    const labels = new Map()
+    for (const [name, index] of Object.entries(pointers)) {
+      if (index < 0 || index >= array.length) continue
+      labels.set(index, [...(labels.get(index) || []), name])
+    }
+    this.ctx.font = "bold 12px JetBrains Mono"
+    this.ctx.textAlign = "center"
+    for (const [index, names] of labels) {
+      const x = barX(index) + barWidth / 2
+      this.ctx.fillStyle = QUICK_SORT_POINTER_COLORS[names[0]] || "#e2e8f0"
+      this.ctx.beginPath()
+      this.ctx.moveTo(x, baseline + 4)
+      this.ctx.lineTo(x - 5, baseline + 12)
+      this.ctx.lineTo(x + 5, baseline + 12)
+      this.ctx.closePath()
+      this.ctx.fill()
+      this.ctx.fillText(names.join(" "), x, baseline + 26)
+    }
+  }
 
-    // Draw array bars
-    array.forEach((value, index) => {
-      const x = startX + index * (barWidth + barSpacing)
-      const barHeight = (value / Math.max(...array)) * (this.canvas.height * 0.6)
-      const y = this.canvas.height * 0.8 - barHeight
+  // Calls made up to this frame: leaves take consecutive columns with parents centred above them, returned calls are
+  // greyed out, calls still on the stack are blue and the innermost one orange
+  renderCallTree(frameData) {
+    const { nodes, size, time, truncated } = frameData.callTree
+    const bounds = this.canvasBounds()
+    const visible = nodes.slice(0, size)
+    if (visible.length === 0) return
+
+    const children = visible.map(() => [])
+    visible.forEach((node) => node.parent !== null && children[node.parent].push(node.id))
+    const column = []
+    let leaves = 0
+    const place = (id) => {
+      if (children[id].length === 0) {
+        column[id] = leaves++
+        return
+      }
+      children[id].forEach(place)
+      column[id] = (column[children[id][0]] + column[children[id][children[id].length - 1]]) / 2
+    }
+    visible.filter((node) => node.parent === null).forEach((node) => place(node.id))
+
+    const maxDepth = Math.max(...visible.map((node) => node.depth))
+    const columnWidth = (bounds.width - 40) / leaves
+    const rowGap = Math.min(50, (bounds.height - 60) / Math.max(1, maxDepth))
+    const radius = Math.max(2, Math.min(12, columnWidth * 0.35, rowGap * 0.3))
+    const position = (node) => ({
+      x: bounds.x + 20 + (column[node.id] + 0.5) * columnWidth,
+      y: bounds.y + 40 + node.depth * rowGap,
+    })
+    const active = (node) => node.returnedAt === null || node.returnedAt > time
+    const current = visible
+      .filter(active)
+      .reduce((deepest, node) => (!deepest || node.depth > deepest.depth ? node : deepest), null)
+    const functions = [...new Set(visible.map((node) => node.label.slice(0, node.label.indexOf("("))))]
+    const ringColor = (node) =>
+      CALL_TREE_FUNCTION_COLORS[
+        functions.indexOf(node.label.slice(0, node.label.indexOf("("))) % CALL_TREE_FUNCTION_COLORS.length
+      ]
+
+    for (const node of visible) {
+      if (node.parent === null) continue
+      const from = position(visible[node.parent])
+      const to = position(node)
+      this.ctx.strokeStyle = active(node) ? "#3b82f6" : "#334155"
+      this.ctx.lineWidth = active(node) ? 2 : 1
+      this.ctx.beginPath()
+      this.ctx.moveTo(from.x, from.y)
+      this.ctx.lineTo(to.x, to.y)
+      this.ctx.stroke()
+    }
 
-      // Color coding for search visualization
-      if (frameData.type === "binary_search") {
-        if (index === mid) {
-          this.ctx.fillStyle = found ? "#10b981" : "#f59e0b" // Green if found, orange if checking
-        } else if (left !== undefined && right !== undefined && index >= left && index <= right) {
-          this.ctx.fillStyle = "#3b82f6" // Blue for search range
-        } else {
-          this.ctx.fillStyle = "#64748b" // Gray for out of range
-        }
-      } else {
-        // Linear search coloring
-        if (index === currentIndex) {
-          this.ctx.fillStyle = found ? "#10b981" : "#f59e0b" // Green if found, orange if checking
-        } else if (index < currentIndex) {
-          this.ctx.fillStyle = "#ef4444" // Red for already checked
-        } else {
-          this.ctx.fillStyle = "#64748b" // Gray for not yet checked
+    this.ctx.font = "10px JetBrains Mono"
+    this.ctx.textAlign = "center"
+    for (const node of visible) {
+      const { x, y } = position(node)
+      const returned = !active(node)
+      this.ctx.globalAlpha = returned ? 0.45 : 1
+      this.ctx.fillStyle = node === current ? "#f59e0b" : returned ? "#334155" : "#3b82f6"
+      this.ctx.beginPath()
+      this.ctx.arc(x, y, radius, 0, Math.PI * 2)
+      this.ctx.fill()
+      this.ctx.strokeStyle = ringColor(node)
+      this.ctx.lineWidth = 2
+      this.ctx.stroke()
+
+      // Arguments under the node and the return value under those, when the column is wide enough
+      const args = node.label.slice(node.label.indexOf("("))
+      if (this.ctx.measureText(args).width < columnWidth - 2) {
+        this.ctx.fillStyle = "#e2e8f0"
+        this.ctx.fillText(args, x, y + radius + 11)
+        if (returned && node.result !== null) {
+          this.ctx.fillStyle = "#10b981"
+          this.ctx.fillText(`→ ${node.result}`, x, y + radius + 22)
         }
       }
+    }
+    this.ctx.globalAlpha = 1
+
+    // Legend: function colors, then the innermost call in full
+    this.ctx.textAlign = "left"
+    this.ctx.font = "11px Inter"
+    let legendX = bounds.x + 10
+    functions.forEach((name, index) => {
+      this.ctx.fillStyle = CALL_TREE_FUNCTION_COLORS[index % CALL_TREE_FUNCTION_COLORS.length]
+      this.ctx.fillText(`● ${name}`, legendX, bounds.y + 16)
+      legendX += this.ctx.measureText(`● ${name}`).width + 12
+    })
+    this.ctx.fillStyle = "#94a3b8"
+    this.ctx.textAlign = "right"
+    this.ctx.fillText(
+      `${size}${truncated ? "+" : ""} calls${current ? ` · in ${current.label}` : ""}`,
+      bounds.x + bounds.width - 10,
+      bounds.y + 16,
+    )
+  }
 
-      this.ctx.fillRect(x, y, barWidth, barHeight)
+  // Merge sort: the array on top, one row per recursion depth with the segments reached so far, and the left/right
+  // buffers of the current merge at the bottom with an arrow for the element flowing back
+  renderMergeLevels(frameData) {
+    const { array, levels, buffers, transfer } = frameData
+    const bounds = this.canvasBounds()
+    const bufferHeight = 56
+    const arrayBounds = { ...bounds, height: bounds.height * 0.42 }
+    const levelTop = arrayBounds.y + arrayBounds.height + 6
+    const levelHeight = bounds.height - arrayBounds.height - bufferHeight - 6
+    const rowHeight = Math.min(22, levelHeight / Math.max(1, levels.length))
+    const bufferTop = bounds.y + bounds.height - bufferHeight + 12
+
+    this.renderArray(frameData, arrayBounds)
+    const { barWidth, barX } = this.barLayout(array.length, arrayBounds)
+    const cellCentre = (index) => barX(index) + barWidth / 2
+
+    const drawCell = (value, index, y, height, fill) => {
+      this.ctx.fillStyle = fill
+      this.ctx.fillRect(barX(index), y, barWidth, height)
+      if (value === null) return
+      this.ctx.fillStyle = "#e2e8f0"
+      this.ctx.fillText(value.toString(), cellCentre(index), y + height / 2 + 4)
+    }
 
-      // Draw value labels
-      this.ctx.fillStyle = "#ffffff"
-      this.ctx.font = "12px Inter"
-      this.ctx.textAlign = "center"
-      this.ctx.fillText(value.toString(), x + barWidth / 2, y - 5)
+    this.ctx.font = "11px JetBrains Mono"
+    levels.forEach((segments, depth) => {
+      const y = levelTop + depth * rowHeight
+      const height = rowHeight - 4
+      this.ctx.fillStyle = "#64748b"
+      this.ctx.textAlign = "left"
+      this.ctx.fillText(`d${depth}`, bounds.x + 2, y + height / 2 + 4)
 
-      // Draw index labels
-      this.ctx.fillStyle = "#94a3b8"
-      this.ctx.fillText(index.toString(), x + barWidth / 2, this.canvas.height * 0.9)
+      this.ctx.textAlign = "center"
+      for (const segment of segments) {
+        segment.values.forEach((value, offset) => {
+          drawCell(value, segment.left + offset, y, height, segment.state === "sorted" ? "#064e3b" : "#1e293b")
+        })
+        this.ctx.strokeStyle = MERGE_SEGMENT_COLORS[segment.state]
+        this.ctx.lineWidth = segment.state === "split" ? 1 : 2
+        this.ctx.strokeRect(
+          barX(segment.left) - 1,
+          y - 1,
+          barX(segment.right) + barWidth - barX(segment.left) + 2,
+          height + 2,
+        )
+      }
     })
 
-    // Draw target indicator
-    this.ctx.fillStyle = "#ffffff"
-    this.ctx.font = "16px Inter"
-    this.ctx.textAlign = "center"
-    this.ctx.fillText(`Target: ${target}`, this.canvas.width / 2, 30)
-  }
-
-  renderGraph(frameData) {
-    const { graph, visited, queue, current, traversalOrder } = frameData
-
-    // Clear canvas
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height)
+    if (!buffers) return
 
-    // Simple graph layout - arrange vertices in a circle
-    const centerX = this.canvas.width / 2
-    const centerY = this.canvas.height / 2
-    const radius = Math.min(this.canvas.width, this.canvas.height) * 0.3
-    const vertexPositions = []
+    this.ctx.fillStyle = "#64748b"
+    this.ctx.textAlign = "left"
+    this.ctx.fillText("buf", bounds.x + 2, bufferTop + 15)
 
-    // Calculate vertex positions
-    for (let i = 0; i < graph.length; i++) {
-      const angle = (2 * Math.PI * i) / graph.length
-      vertexPositions.push({
-        x: centerX + radius * Math.cos(angle),
-        y: centerY + radius * Math.sin(angle),
+    // Each buffer sits under the positions it was copied from, outlined in its pointer's color; taken elements fade
+    // out and the compared pair is red
+    const drawBuffer = (values, start, pointer, name) => {
+      const color = QUICK_SORT_POINTER_COLORS[name]
+      this.ctx.textAlign = "center"
+      values.forEach((value, offset) => {
+        this.ctx.globalAlpha = offset < pointer ? 0.3 : 1
+        const fill = buffers.compare && offset === pointer ? "#ef4444" : "#334155"
+        drawCell(value, start + offset, bufferTop, 22, fill)
       })
+      this.ctx.globalAlpha = 1
+      this.ctx.strokeStyle = color
+      this.ctx.lineWidth = 1.5
+      this.ctx.strokeRect(
+        barX(start) - 1,
+        bufferTop - 1,
+        barX(start + values.length - 1) + barWidth - barX(start) + 2,
+        24,
+      )
+      if (pointer >= values.length) return
+
+      const x = cellCentre(start + pointer)
+      this.ctx.fillStyle = color
+      this.ctx.beginPath()
+      this.ctx.moveTo(x, bufferTop + 25)
+      this.ctx.lineTo(x - 4, bufferTop + 31)
+      this.ctx.lineTo(x + 4, bufferTop + 31)
+      this.ctx.closePath()
+      this.ctx.fill()
+      this.ctx.fillText(name, x, bufferTop + 42)
     }
 
-    // Draw edges
-    this.ctx.strokeStyle = "#64748b"
-    this.ctx.lineWidth = 2
-    for (let i = 0; i < graph.length; i++) {
-      for (const neighbor of graph[i]) {
-        if (i < neighbor) {
-          // Draw each edge only once
-          this.ctx.beginPath()
-          this.ctx.moveTo(vertexPositions[i].x, vertexPositions[i].y)
-          this.ctx.lineTo(vertexPositions[neighbor].x, vertexPositions[neighbor].y)
-          this.ctx.stroke()
-        }
-      }
+    drawBuffer(buffers.left, buffers.leftStart, buffers.i, "i")
+    drawBuffer(buffers.right, buffers.rightStart, buffers.j, "j")
+
+    if (transfer) {
+      const start = transfer.from === "left" ? buffers.leftStart : buffers.rightStart
+      const from = { x: cellCentre(start + transfer.index), y: bufferTop }
+      const to = { x: cellCentre(transfer.to), y: arrayBounds.y + arrayBounds.height - 36 }
+      this.ctx.strokeStyle = "#f59e0b"
+      this.ctx.lineWidth = 2
+      this.ctx.beginPath()
+      this.ctx.moveTo(from.x, from.y)
+      this.ctx.lineTo(to.x, to.y)
+      this.ctx.stroke()
+      this.drawArrowhead(from, to, 0)
     }
+  }
 
-    // Draw vertices
-    for (let i = 0; i < graph.length; i++) {
-      const pos = vertexPositions[i]
+  // Non-comparison sorts: the main bars on top, the count array or buckets below, and an arrow for the value in transit
+  renderWithAuxiliary(frameData) {
+    const { array, auxiliary, transfer } = frameData
+    const bounds = this.canvasBounds()
+    const arrayBounds = { ...bounds, height: bounds.height * 0.55 }
+    const auxiliaryBounds = { ...bounds, y: arrayBounds.height, height: bounds.height - arrayBounds.height }
+
+    this.renderArray(frameData, arrayBounds)
+    const slots =
+      auxiliary.kind === "counts"
+        ? this.drawCountArray(auxiliary, auxiliaryBounds)
+        : this.drawBuckets(auxiliary, auxiliaryBounds)
+
+    if (transfer && slots[transfer.slot]) {
+      const { barWidth, barX } = this.barLayout(array.length, arrayBounds)
+      const bar = { x: barX(transfer.index) + barWidth / 2, y: arrayBounds.height }
+      const slot = slots[transfer.slot]
+      const [from, to] = transfer.toAuxiliary ? [bar, slot] : [slot, bar]
+
+      this.ctx.strokeStyle = "#f59e0b"
+      this.ctx.lineWidth = 2
+      this.ctx.beginPath()
+      this.ctx.moveTo(from.x, from.y)
+      this.ctx.lineTo(to.x, to.y)
+      this.ctx.stroke()
+      this.drawArrowhead(from, to, 0)
+    }
+  }
 
-      // Color coding
-      if (i === current) {
-        this.ctx.fillStyle = "#f59e0b" // Orange for current
-      } else if (visited[i]) {
-        this.ctx.fillStyle = "#10b981" // Green for visited
-      } else if (queue.includes(i)) {
-        this.ctx.fillStyle = "#3b82f6" // Blue for in queue
-      } else {
-        this.ctx.fillStyle = "#64748b" // Gray for unvisited
+  // One box per counted value; returns the top centre of each box for transfer arrows
+  drawCountArray(auxiliary, bounds) {
+    const { label, values, labels, highlight } = auxiliary
+    const boxWidth = Math.min(40, (bounds.width - 40) / values.length)
+    const startX = bounds.x + (bounds.width - boxWidth * values.length) / 2
+    const y = bounds.y + 40
+
+    this.ctx.fillStyle = "#94a3b8"
+    this.ctx.font = "12px Inter"
+    this.ctx.textAlign = "left"
+    this.ctx.fillText(label, bounds.x + 20, bounds.y + 25)
+
+    this.ctx.textAlign = "center"
+    return values.map((count, index) => {
+      const x = startX + index * boxWidth
+      this.ctx.fillStyle = index === highlight ? "#f59e0b" : count > 0 ? "#3b82f6" : "#1e293b"
+      this.ctx.fillRect(x + 1, y, boxWidth - 2, 30)
+      this.ctx.strokeStyle = "#334155"
+      this.ctx.lineWidth = 1
+      this.ctx.strokeRect(x + 1, y, boxWidth - 2, 30)
+
+      // Narrow boxes drop their text rather than overlap
+      if (boxWidth >= 14) {
+        this.ctx.fillStyle = "#ffffff"
+        this.ctx.font = "12px JetBrains Mono"
+        this.ctx.fillText(String(count), x + boxWidth / 2, y + 19)
+        this.ctx.fillStyle = "#64748b"
+        this.ctx.font = "10px JetBrains Mono"
+        this.ctx.fillText(String(labels[index]), x + boxWidth / 2, y + 44)
       }
+      return { x: x + boxWidth / 2, y }
+    })
+  }
 
-      // Draw vertex circle
-      this.ctx.beginPath()
-      this.ctx.arc(pos.x, pos.y, 20, 0, 2 * Math.PI)
-      this.ctx.fill()
+  // Labelled columns with their values stacked as chips; returns the top centre of each bucket
+  drawBuckets(auxiliary, bounds) {
+    const { label, buckets, labels, highlight, highlightItem } = auxiliary
+    const gap = 8
+    const bucketWidth = Math.min(70, (bounds.width - 40 - gap * (buckets.length - 1)) / buckets.length)
+    const startX = bounds.x + (bounds.width - (bucketWidth + gap) * buckets.length + gap) / 2
+    const top = bounds.y + 35
+    const bottom = bounds.y + bounds.height - 22
+    const chipHeight = Math.min(18, (bottom - top) / Math.max(1, ...buckets.map((bucket) => bucket.length)))
+
+    this.ctx.fillStyle = "#94a3b8"
+    this.ctx.font = "12px Inter"
+    this.ctx.textAlign = "left"
+    this.ctx.fillText(label, bounds.x + 20, bounds.y + 20)
 
-      // Draw vertex label
-      this.ctx.fillStyle = "#ffffff"
+    this.ctx.textAlign = "center"
+    return buckets.map((bucket, index) => {
+      const x = startX + index * (bucketWidth + gap)
+      this.ctx.strokeStyle = index === highlight ? "#f59e0b" : "#475569"
+      this.ctx.lineWidth = index === highlight ? 2 : 1
+      this.ctx.strokeRect(x, top, bucketWidth, bottom - top)
+
+      bucket.forEach((value, position) => {
+        const y = bottom - (position + 1) * chipHeight
+        this.ctx.fillStyle = index === highlight && position === highlightItem ? "#f59e0b" : "#3b82f6"
+        this.ctx.fillRect(x + 2, y + 1, bucketWidth - 4, chipHeight - 2)
+        if (chipHeight >= 10) {
+          this.ctx.fillStyle = "#ffffff"
+          this.ctx.font = `${Math.min(12, chipHeight - 4)}px JetBrains Mono`
+          this.ctx.fillText(String(value), x + bucketWidth / 2, y + chipHeight / 2 + 4)
+        }
+      })
+
+      this.ctx.fillStyle = "#94a3b8"
+      this.ctx.font = "11px JetBrains Mono"
+      this.ctx.fillText(String(labels[index]), x + bucketWidth / 2, bottom + 15)
+      return { x: x + bucketWidth / 2, y: top }
+    })
+  }
+
+  // Tree frames carry either a node structure ({ id, value, children } or { id, value, left, right }) in
+  // frameData.tree, or an array drawn as a complete binary tree (heaps). Highlights refer to node ids.
+  renderTree(frameData, bounds = this.canvasBounds()) {
+    const root = frameData.tree !== undefined ? frameData.tree : this.arrayToTree(frameData)
+    if (!root) {
+      this.treePositions = new Map()
+      this.ctx.fillStyle = "#64748b"
       this.ctx.font = "14px Inter"
       this.ctx.textAlign = "center"
-      this.ctx.fillText(i.toString(), pos.x, pos.y + 5)
+      this.ctx.fillText("(empty tree)", bounds.x + bounds.width / 2, bounds.y + bounds.height / 2)
+      return
     }
 
-    // Draw traversal order
-    if (traversalOrder.length > 0) {
+    const { nodes, radius } = this.layoutTree(root, bounds)
+
+    // Nodes glide from where they were drawn last to their new place when the shape changes
+    let transition = this.treeTransition
+    if (!transition || transition.frameData !== frameData) {
+      transition = { frameData, from: this.treePositions, start: performance.now() }
+      this.treeTransition = transition
+    }
+    const moved =
+      transition.from &&
+      [...nodes.values()].some((node) => {
+        const previous = transition.from.get(node.id)
+        return !previous || previous.x !== node.x || previous.y !== node.y
+      })
+    const progress = moved ? Math.min(1, (performance.now() - transition.start) / this.treeTransitionMs) : 1
+    const eased = 1 - (1 - progress) ** 3
+
+    const positions = new Map()
+    for (const node of nodes.values()) {
+      const previous = transition.from && (transition.from.get(node.id) || transition.from.get(node.parentId))
+      const from = moved && previous ? previous : node
+      positions.set(node.id, { x: from.x + (node.x - from.x) * eased, y: from.y + (node.y - from.y) * eased })
+    }
+    this.treePositions = positions
+
+    const path = frameData.path || []
+    const active = (id) => (frameData.highlights || []).includes(id) || (frameData.comparisons || []).includes(id)
+    const onPath = (node) =>
+      path.length > 0
+        ? path.includes(node.id) && path.includes(node.parentId)
+        : active(node.id) && active(node.parentId)
+
+    // Edges first so nodes are drawn on top
+    for (const node of nodes.values()) {
+      if (node.parentId === undefined) continue
+      const from = positions.get(node.parentId)
+      const to = positions.get(node.id)
+      const highlighted = onPath(node)
+
+      this.ctx.globalAlpha = node.faded ? 0.25 : 1
+      this.ctx.strokeStyle = highlighted ? "#f59e0b" : "#64748b"
+      this.ctx.lineWidth = highlighted ? 3 : 1.5
+      this.ctx.beginPath()
+      this.ctx.moveTo(from.x, from.y)
+      this.ctx.lineTo(to.x, to.y)
+      this.ctx.stroke()
+    }
+
+    for (const node of nodes.values()) {
+      const { x, y } = positions.get(node.id)
+      const color = this.elementColor(frameData, node.id)
+
+      this.ctx.globalAlpha = node.faded ? 0.35 : 1
+      this.ctx.fillStyle = color
+      this.ctx.beginPath()
+      this.ctx.arc(x, y, radius, 0, 2 * Math.PI)
+      this.ctx.fill()
+      this.ctx.strokeStyle = this.adjustBrightness(color, -40)
+      this.ctx.lineWidth = path.includes(node.id) ? 3 : 2
+      this.ctx.stroke()
+
       this.ctx.fillStyle = "#ffffff"
-      this.ctx.font = "16px Inter"
+      this.ctx.font = `${radius < 14 ? 10 : 12}px JetBrains Mono`
       this.ctx.textAlign = "center"
-      this.ctx.fillText(`Traversal: ${traversalOrder.join(" → ")}`, centerX, 30)
+      this.ctx.fillText(String(node.value), x, y + 4)
+
+      // Optional annotation such as a height or balance factor
+      if (node.label !== undefined) {
+        this.ctx.fillStyle = "#94a3b8"
+        this.ctx.font = "10px JetBrains Mono"
+        this.ctx.fillText(String(node.label), x, y + radius + 12)
+      }
     }
+    this.ctx.globalAlpha = 1
 
-    // Draw queue status
-    if (queue.length > 0) {
-      this.ctx.fillStyle = "#94a3b8"
-      this.ctx.font = "14px Inter"
-      this.ctx.fillText(`Queue: [${queue.join(", ")}]`, centerX, this.canvas.height - 30)
+    if (progress < 1) {
+      requestAnimationFrame(() => {
+        if (this.treeTransition === transition && this.frames[this.currentFrame] === frameData) {
+          this.drawFrame(frameData)
+        }
+      })
     }
   }
 
-  clear() {
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height)
+  // Heap arrays become nodes whose ids are the array indices, so highlights match the bar chart
+  arrayToTree(frameData) {
+    const { array } = frameData
+    const heapSize = frameData.heapSize === undefined ? array.length : frameData.heapSize
+    const build = (index) => {
+      if (index >= array.length) return null
+      const left = build(2 * index + 1)
+      const right = build(2 * index + 2)
+      return {
+        id: index,
+        value: array[index],
+        faded: index >= heapSize,
+        children: left || right ? [left, right] : [],
+      }
+    }
+    return build(0)
   }
 
-  updateCanvasState(state) {
-    const canvasArea = document.querySelector(".canvas-area")
-    canvasArea.className = `canvas-area ${state}`
+  treeChildren(node) {
+    if (Array.isArray(node.children)) return node.children
+    if ("left" in node || "right" in node) return [node.left || null, node.right || null]
+    return []
   }
 
-  updateFrameInfo() {
-    const algorithmInfo = document.getElementById("algorithmInfo")
-    const algorithmName = algorithmInfo.querySelector(".algorithm-name")
-    const stepCounter = algorithmInfo.querySelector(".step-counter")
-
-    if (this.frames[this.currentFrame]) {
-      const frame = this.frames[this.currentFrame]
-      algorithmName.textContent = frame.algorithm || "Algorithm Visualizer"
-      stepCounter.textContent = `Step: ${this.currentFrame}/${this.totalFrames - 1}`
+  // Tidy layout: subtrees are packed as close as their contours allow, parents centered over their
+  // children, and a lone binary child keeps its left/right side. Returns canvas positions keyed by id.
+  layoutTree(root, bounds) {
+    const place = (node) => {
+      const children = this.treeChildren(node)
+      const placed = []
+      const left = []
+      const right = []
+
+      children.forEach((child, index) => {
+        if (!child) return
+        const subtree = place(child)
+        let shift = 0
+        if (placed.length > 0) {
+          shift = -Infinity
+          for (let depth = 0; depth < Math.min(right.length, subtree.left.length); depth++) {
+            shift = Math.max(shift, right[depth] - subtree.left[depth] + 1)
+          }
+        }
+        placed.push({ index, subtree, shift })
+        subtree.left.forEach(
+          (x, depth) => (left[depth] = depth < left.length ? Math.min(left[depth], x + shift) : x + shift),
+        )
+        subtree.right.forEach(
+          (x, depth) => (right[depth] = depth < right.length ? Math.max(right[depth], x + shift) : x + shift),
+        )
+      })
 
-      // Update timeline
-      this.updateTimelineSlider()
+      let center = 0
+      if (placed.length === 1 && children.length === 2) {
+        center = placed[0].shift + (placed[0].index === 0 ? 0.5 : -0.5)
+      } else if (placed.length > 0) {
+        center = (placed[0].shift + placed[placed.length - 1].shift) / 2
+      }
 
-      // Update status with frame description
-      if (frame.description) {
-        updateStatus(frame.description)
+      return {
+        node,
+        children: placed.map(({ index, subtree, shift }) => ({ index, subtree, offset: shift - center })),
+        left: [0, ...left.map((x) => x - center)],
+        right: [0, ...right.map((x) => x - center)],
       }
     }
 
-    if (this.onFrameUpdate) {
-      this.onFrameUpdate(this.currentFrame, this.frames[this.currentFrame])
+    const nodes = new Map()
+    let depthCount = 0
+    // Nodes without an id are keyed by their child-index path, since values may repeat
+    const assign = (subtree, x, depth, parentId, path) => {
+      const id = subtree.node.id === undefined ? path : subtree.node.id
+      nodes.set(id, {
+        id,
+        parentId,
+        value: subtree.node.value,
+        label: subtree.node.label,
+        faded: subtree.node.faded,
+        x,
+        depth,
+      })
+      depthCount = Math.max(depthCount, depth + 1)
+      subtree.children.forEach((child) =>
+        assign(child.subtree, x + child.offset, depth + 1, id, `${path}/${child.index}`),
+      )
     }
-  }
-
-  updateTimelineSlider() {
-    if (timelineSlider && this.totalFrames > 0) {
-      timelineSlider.max = this.totalFrames - 1
-      timelineSlider.value = this.currentFrame
-      timelineInfo.textContent = `${this.currentFrame} / ${this.totalFrames - 1}`
+    assign(place(root), 0, 0, undefined, "root")
+
+    const xs = [...nodes.values()].map((node) => node.x)
+    const minX = Math.min(...xs)
+    const span = Math.max(...xs) - minX
+    const unit = Math.min(80, (bounds.width - 40) / (span + 1))
+    const levelGap = Math.min(70, (bounds.height - 50) / Math.max(1, depthCount - 1))
+    const offsetX = bounds.x + (bounds.width - span * unit) / 2
+
+    for (const node of nodes.values()) {
+      node.x = offsetX + (node.x - minX) * unit
+      node.y = bounds.y + 25 + node.depth * levelGap
     }
+    return { nodes, radius: Math.max(8, Math.min(20, unit / 2.5, levelGap / 2.5)) }
   }
 
-  adjustBrightness(color, amount) {
-    const usePound = color[0] === "#"
-    const col = usePound ? color.slice(1) : color
-    const num = Number.parseInt(col, 16)
-    let r = (num >> 16) + amount
-    let g = ((num >> 8) & 0x00ff) + amount
-    let b = (num & 0x0000ff) + amount
-    r = r > 255 ? 255 : r < 0 ? 0 : r
-    g = g > 255 ? 255 : g < 0 ? 0 : g
-    b = b > 255 ? 255 : b < 0 ? 0 : b
-    return (usePound ? "#" : "") + ((r << 16) | (g << 8) | b).toString(16).padStart(6, "0")
-  }
-}
+  // Heap frames show the same array twice: as the implicit tree on top and as bars below
+  renderHeap(frameData) {
+    const bounds = this.canvasBounds()
+    const treeHeight = bounds.height * 0.55
 
-class SortingVisualizer {
-  constructor(animationEngine) {
-    this.engine = animationEngine
+    this.renderTree(frameData, { ...bounds, height: treeHeight })
+    this.renderArray(frameData, { ...bounds, y: treeHeight, height: bounds.height - treeHeight })
   }
 
-  generateBubbleSortFrames(array, codeLines = {}) {
-    const frames = []
-    const arr = [...array]
-    const n = arr.length
-
-    // Initial frame
-    frames.push({
-      type: "array",
-      array: [...arr],
-      highlights: [],
-      comparisons: [],
-      algorithm: "Bubble Sort",
-      description: "Initial array",
-      codeLine: codeLines.init || null,
-    })
+  // Draws a memo/dp grid: the cell being filled, the cells it reads and, for LCS, the backtrack path
+  renderDPTable(frameData) {
+    const { table, rowLabels = [], colLabels = [], current, dependencies = [], path = [], result } = frameData
+    const bounds = this.canvasBounds()
+    const rows = table.length
+    const cols = Math.max(...table.map((row) => row.length))
+    const labelRows = colLabels.length > 0 ? 1 : 0
+    const labelCols = rowLabels.length > 0 ? 1 : 0
+
+    const cellSize = Math.min(48, (bounds.width - 40) / (cols + labelCols), (bounds.height - 90) / (rows + labelRows))
+    const gridWidth = (cols + labelCols) * cellSize
+    const startX = (bounds.width - gridWidth) / 2 + labelCols * cellSize
+    const startY = 40 + labelRows * cellSize
+    const isCell = (cells, row, col) => cells.some(([r, c]) => r === row && c === col)
 
-    for (let i = 0; i < n - 1; i++) {
-      for (let j = 0; j < n - i - 1; j++) {
-        // Comparison frame
-        frames.push({
-          type: "array",
-          array: [...arr],
-          highlights: [],
-          comparisons: [j, j + 1],
-          algorithm: "Bubble Sort",
-          description: `Comparing elements at positions ${j} and ${j + 1}`,
-          codeLine: codeLines.compare || null,
-        })
+    this.ctx.textAlign = "center"
+    this.ctx.textBaseline = "middle"
+    this.ctx.font = `${cellSize < 30 ? 10 : 13}px JetBrains Mono`
 
-        if (arr[j] > arr[j + 1]) {
-          // Swap elements
-          ;[arr[j], arr[j + 1]] = [arr[j + 1], arr[j]]
+    colLabels.forEach((label, col) => {
+      this.ctx.fillStyle = "#94a3b8"
+      this.ctx.fillText(String(label), startX + (col + 0.5) * cellSize, startY - cellSize / 2)
+    })
+    rowLabels.forEach((label, row) => {
+      this.ctx.fillStyle = "#94a3b8"
+      this.ctx.fillText(String(label), startX - cellSize / 2, startY + (row + 0.5) * cellSize)
+    })
 
-          // Swap frame
-          frames.push({
-            type: "array",
-            array: [...arr],
-            highlights: [j, j + 1],
-            comparisons: [],
-            algorithm: "Bubble Sort",
-            description: `Swapped elements at positions ${j} and ${j + 1}`,
-            codeLine: codeLines.swap || null,
-          })
+    table.forEach((row, r) => {
+      row.forEach((value, c) => {
+        const x = startX + c * cellSize
+        const y = startY + r * cellSize
+        const filled = value !== null && value !== undefined
+
+        // Same palette as the bar chart: orange for the active cell, red for what it reads, green for the answer
+        let color = filled ? "#3b82f6" : "#64748b"
+        if (current && current[0] === r && current[1] === c) color = "#f59e0b"
+        else if (isCell(dependencies, r, c)) color = "#ef4444"
+        else if (isCell(path, r, c)) color = "#10b981"
+
+        this.ctx.globalAlpha = filled || color !== "#64748b" ? 0.85 : 0.25
+        this.ctx.fillStyle = color
+        this.ctx.fillRect(x + 1, y + 1, cellSize - 2, cellSize - 2)
+        this.ctx.globalAlpha = 1
+        this.ctx.strokeStyle = this.adjustBrightness(color, -40)
+        this.ctx.lineWidth = 1
+        this.ctx.strokeRect(x + 1, y + 1, cellSize - 2, cellSize - 2)
+
+        if (filled) {
+          this.ctx.fillStyle = "#ffffff"
+          this.ctx.fillText(String(value), x + cellSize / 2, y + cellSize / 2)
         }
-      }
+      })
+    })
 
-      // Mark sorted element
-      frames.push({
-        type: "array",
-        array: [...arr],
-        highlights: [],
-        comparisons: [],
-        sorted: [n - i - 1],
-        algorithm: "Bubble Sort",
-        description: `Element at position ${n - i - 1} is now in correct position`,
-        codeLine: codeLines.sorted || null,
+    // Arrows from each dependency into the cell being filled
+    if (current) {
+      const center = ([r, c]) => ({ x: startX + (c + 0.5) * cellSize, y: startY + (r + 0.5) * cellSize })
+      const to = center(current)
+      this.ctx.strokeStyle = "#fca5a5"
+      this.ctx.lineWidth = 2
+      dependencies.forEach((cell) => {
+        const from = center(cell)
+        this.ctx.beginPath()
+        this.ctx.moveTo(from.x, from.y)
+        this.ctx.lineTo(to.x, to.y)
+        this.ctx.stroke()
       })
     }
 
-    // Final frame
-    frames.push({
-      type: "array",
-      array: [...arr],
-      highlights: [],
-      comparisons: [],
-      sorted: Array.from({ length: n }, (_, i) => i),
-      algorithm: "Bubble Sort",
-      description: "Array is fully sorted!",
-      codeLine: codeLines.complete || null,
-    })
+    this.ctx.textBaseline = "alphabetic"
+    if (result) {
+      this.ctx.fillStyle = "#ffffff"
+      this.ctx.font = "16px Inter"
+      this.ctx.fillText(result, bounds.width / 2, Math.min(bounds.height - 15, startY + rows * cellSize + 30))
+    }
+  }
 
-    return frames
+  // Square cells centred on the canvas, with room below for the description line
+  gridGeometry(rows, cols, bounds = this.canvasBounds()) {
+    const cellSize = Math.max(4, Math.min(40, (bounds.width - 20) / cols, (bounds.height - 40) / rows))
+    return {
+      cellSize,
+      x: bounds.x + (bounds.width - cols * cellSize) / 2,
+      y: bounds.y + (bounds.height - 30 - rows * cellSize) / 2,
+    }
   }
 
-  generateSelectionSortFrames(array, codeLines = {}) {
-    const frames = []
-    const arr = [...array]
-    const n = arr.length
+  renderGrid(frameData) {
+    const { cells, start, goal, frontier = [], closed = [], current = -1, path = [], scores } = frameData
+    const rows = cells.length
+    const cols = cells[0].length
+    const { cellSize, x: originX, y: originY } = this.gridGeometry(rows, cols)
+    const frontierSet = new Set(frontier)
+    const closedSet = new Set(closed)
+    const pathSet = new Set(path)
 
-    frames.push({
-      type: "array",
-      array: [...arr],
-      highlights: [],
-      comparisons: [],
-      algorithm: "Selection Sort",
-      description: "Initial array",
-      codeLine: codeLines.init || null,
+    this.ctx.textAlign = "center"
+    this.ctx.textBaseline = "middle"
+    cells.forEach((row, r) => {
+      row.forEach((cell, c) => {
+        const index = r * cols + c
+        const x = originX + c * cellSize
+        const y = originY + r * cellSize
+
+        // Search state is drawn over empty and weighted cells; walls never change
+        let color = GRID_COLORS[cell]
+        if (cell !== "wall") {
+          if (closedSet.has(index)) color = GRID_COLORS.closed
+          if (frontierSet.has(index)) color = GRID_COLORS.frontier
+          if (pathSet.has(index)) color = GRID_COLORS.path
+          if (index === current) color = GRID_COLORS.current
+        }
+        this.ctx.fillStyle = color
+        this.ctx.fillRect(x + 1, y + 1, cellSize - 2, cellSize - 2)
+
+        // Weighted cells keep a brown edge so they stay recognizable under the search colors
+        if (cell === "weight" && color !== GRID_COLORS.weight) {
+          this.ctx.strokeStyle = GRID_COLORS.weight
+          this.ctx.lineWidth = 2
+          this.ctx.strokeRect(x + 2, y + 2, cellSize - 4, cellSize - 4)
+        }
+
+        if (scores && scores[index] !== undefined && scores[index] !== Infinity && cellSize >= 24) {
+          this.ctx.fillStyle = "#e2e8f0"
+          this.ctx.font = `${cellSize >= 32 ? 11 : 9}px JetBrains Mono`
+          this.ctx.fillText(String(Math.round(scores[index] * 10) / 10), x + cellSize / 2, y + cellSize / 2)
+        }
+      })
     })
 
-    for (let i = 0; i < n - 1; i++) {
-      let minIdx = i
+    // Start and goal are marked on top of whatever the search did to their cells
+    for (const [index, label, color] of [
+      [start, "S", GRID_COLORS.start],
+      [goal, "G", GRID_COLORS.goal],
+    ]) {
+      const x = originX + (index % cols) * cellSize
+      const y = originY + Math.floor(index / cols) * cellSize
+      this.ctx.fillStyle = color
+      this.ctx.fillRect(x + 1, y + 1, cellSize - 2, cellSize - 2)
+      this.ctx.fillStyle = "#ffffff"
+      this.ctx.font = `bold ${Math.max(9, Math.floor(cellSize / 2))}px Inter`
+      this.ctx.fillText(label, x + cellSize / 2, y + cellSize / 2)
+    }
+    this.ctx.textBaseline = "alphabetic"
 
-      // Mark current position
-      frames.push({
-        type: "array",
-        array: [...arr],
-        highlights: [i],
-        comparisons: [],
-        algorithm: "Selection Sort",
-        description: `Finding minimum element from position ${i}`,
-        codeLine: codeLines.findMin || null,
-      })
+    if (frameData.description) {
+      this.ctx.fillStyle = "#94a3b8"
+      this.ctx.font = "13px Inter"
+      this.ctx.fillText(frameData.description, this.canvasBounds().width / 2, originY + rows * cellSize + 20)
+    }
+  }
 
-      for (let j = i + 1; j < n; j++) {
-        // Compare with current minimum
-        frames.push({
-          type: "array",
-          array: [...arr],
-          highlights: [minIdx],
-          comparisons: [j],
-          algorithm: "Selection Sort",
-          description: `Comparing element at position ${j} with current minimum`,
-          codeLine: codeLines.compare || null,
-        })
+  renderSearch(frameData) {
+    const { array, currentIndex, target, found, left, right, mid } = frameData
+    const barWidth = Math.min(60, (this.canvas.width * 0.8) / array.length)
+    const barSpacing = 5
+    const totalWidth = array.length * barWidth + (array.length - 1) * barSpacing
+    const startX = (this.canvas.width - totalWidth) / 2
 
-        if (arr[j] < arr[minIdx]) {
-          minIdx = j
-          frames.push({
-            type: "array",
-            array: [...arr],
-            highlights: [minIdx],
-            comparisons: [],
-            algorithm: "Selection Sort",
-            description: `New minimum found at position ${minIdx}`,
-            codeLine: codeLines.newMin || null,
-          })
-        }
-      }
+    // Clear canvas
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height)
 
-      // Swap if needed
-      if (minIdx !== i) {
-        ;[arr[i], arr[minIdx]] = [arr[minIdx], arr[i]]
-        frames.push({
-          type: "array",
-          array: [...arr],
-          highlights: [i, minIdx],
-          comparisons: [],
+    // Draw array bars
+    array.forEach((value, index) => {
+      const x = startX + index * (barWidth + barSpacing)
+      const barHeight = (value / Math.max(...array)) * (this.canvas.height * 0.6)
+      const y = this.canvas.height * 0.8 - barHeight
+
+      // Color coding for search visualization
+      if (frameData.type === "binary_search") {
+        if (index === mid) {
+          this.ctx.fillStyle = found ? "#10b981" : "#f59e0b" // Green if found, orange if checking
+        } else if (left !== undefined && right !== undefined && index >= left && index <= right) {
+          this.ctx.fillStyle = "#3b82f6" // Blue for search range
+        } else {
+          this.ctx.fillStyle = "#64748b" // Gray for out of range
+        }
+      } else {
+        // Linear search coloring
+        if (index === currentIndex) {
+          this.ctx.fillStyle = found ? "#10b981" : "#f59e0b" // Green if found, orange if checking
+        } else if (index < currentIndex) {
+          this.ctx.fillStyle = "#ef4444" // Red for already checked
+        } else {
+          this.ctx.fillStyle = "#64748b" // Gray for not yet checked
+        }
+      }
+
+      this.ctx.fillRect(x, y, barWidth, barHeight)
+
+      // Draw value labels
+      this.ctx.fillStyle = "#ffffff"
+      this.ctx.font = "12px Inter"
+      this.ctx.textAlign = "center"
+      this.ctx.fillText(value.toString(), x + barWidth / 2, y - 5)
+
+      // Draw index labels
+      this.ctx.fillStyle = "#94a3b8"
+      this.ctx.fillText(index.toString(), x + barWidth / 2, this.canvas.height * 0.9)
+    })
+
+    // Draw target indicator
+    this.ctx.fillStyle = "#ffffff"
+    this.ctx.font = "16px Inter"
+    this.ctx.textAlign = "center"
+    this.ctx.fillText(`Target: ${target}`, this.canvas.width / 2, 30)
+  }
+
+  vertexColor(frameData, vertex) {
+    const { visited, queue, current, priorityQueue, colors, cycleVertices = [], markedVertices = [] } = frameData
+    const inQueue =
+      queue.includes(vertex) ||
+      markedVertices.includes(vertex) ||
+      (priorityQueue && priorityQueue.some((entry) => entry.vertex === vertex))
+
+    if (vertex === current) return "#f59e0b" // Orange for current
+    if (cycleVertices.includes(vertex)) return "#ef4444" // Red for vertices caught in a cycle
+    if (colors) return GRAPH_DFS_COLORS[colors[vertex]] // White, gray and black DFS states
+    if (visited[vertex]) return "#10b981" // Green for visited
+    if (inQueue) return "#3b82f6" // Blue for in queue
+    return "#64748b" // Gray for unvisited
+  }
+
+  renderGraph(frameData) {
+    const { graph, queue, current, traversalOrder, distances, priorityQueue } = frameData
+
+    // Clear canvas
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height)
+
+    // Priority queues, union-find forests and distance matrices get a panel on the right
+    const bounds = this.canvasBounds()
+    const matrix = frameData.matrix
+    const panelWidth = matrix ? Math.min(300, bounds.width * 0.45) : 170
+    const hasPanel = priorityQueue || frameData.unionFind || matrix
+    const graphBounds = hasPanel ? { ...bounds, width: bounds.width - panelWidth } : bounds
+    const centerX = graphBounds.width / 2
+    const vertexPositions = this.graphPositionsFor(frameData, graphBounds)
+
+    // Draw edges; generators say whether the graph is directed, otherwise a one-way adjacency entry means it is
+    const directed = frameData.directed === undefined ? !this.isSymmetricGraph(graph) : frameData.directed
+    const edges = frameData.edges || this.adjacencyEdges(graph, directed)
+    const pathEdges = frameData.pathEdges || []
+    const rejectedEdges = frameData.rejectedEdges || []
+    const cycleEdges = frameData.cycleEdges || []
+    const relaxedEdge = frameData.relaxedEdge
+    const activeEdge = frameData.activeEdge
+    const backEdge = frameData.backEdge
+    const sameEdge = (a, b) => (a.from === b.from && a.to === b.to) || (!directed && a.from === b.to && a.to === b.from)
+
+    for (const edge of edges) {
+      let from = vertexPositions[edge.from]
+      let to = vertexPositions[edge.to]
+      // Opposite directed edges between the same pair are drawn side by side instead of on top of each other
+      if (directed && edges.some((other) => other.from === edge.to && other.to === edge.from)) {
+        ;[from, to] = this.offsetSegment(from, to, 6)
+      }
+
+      this.ctx.strokeStyle = "#64748b"
+      this.ctx.lineWidth = 2
+      if (pathEdges.some((pathEdge) => sameEdge(pathEdge, edge))) {
+        this.ctx.strokeStyle = "#10b981" // Green for tree edges (shortest paths, accepted MST edges)
+        this.ctx.lineWidth = 3
+      }
+      if (rejectedEdges.some((rejectedEdge) => sameEdge(rejectedEdge, edge))) {
+        this.ctx.strokeStyle = "#ef4444" // Red dashed for edges rejected because they close a cycle
+        this.ctx.setLineDash([6, 4])
+      }
+      if (cycleEdges.some((cycleEdge) => sameEdge(cycleEdge, edge))) {
+        this.ctx.strokeStyle = "#ef4444" // Red for a negative-weight cycle
+        this.ctx.lineWidth = 4
+      }
+      if (relaxedEdge && sameEdge(relaxedEdge, edge)) {
+        this.ctx.strokeStyle = relaxedEdge.improved ? "#f59e0b" : "#ef4444" // Orange if it improved a distance
+        this.ctx.lineWidth = 4
+      }
+      if (activeEdge && sameEdge(activeEdge, edge)) {
+        this.ctx.strokeStyle = "#f59e0b" // Orange for the edge being considered
+        this.ctx.lineWidth = 4
+      }
+      if (backEdge && sameEdge(backEdge, edge)) {
+        this.ctx.strokeStyle = "#ef4444" // Red for the back edge that closes a cycle
+        this.ctx.lineWidth = 4
+      }
+      this.ctx.beginPath()
+      this.ctx.moveTo(from.x, from.y)
+      this.ctx.lineTo(to.x, to.y)
+      this.ctx.stroke()
+      this.ctx.setLineDash([])
+      if (directed) this.drawArrowhead(from, to, 20)
+
+      if (edge.weight !== undefined) this.drawEdgeWeight(edge.weight, from, to)
+      if (backEdge && sameEdge(backEdge, edge)) {
+        this.ctx.fillStyle = "#ef4444"
+        this.ctx.font = "12px Inter"
+        this.ctx.textAlign = "center"
+        this.ctx.fillText("back edge", (from.x + to.x) / 2, (from.y + to.y) / 2 - 10)
+      }
+    }
+
+    // Draw vertices
+    const { colors, inDegree } = frameData
+    const tween = this.tweenState(frameData)
+    for (let i = 0; i < graph.length; i++) {
+      const pos = vertexPositions[i]
+
+      // Mid-tween a vertex recolors from its color in the previous frame
+      const color = this.vertexColor(frameData, i)
+      this.ctx.fillStyle =
+        tween && tween.from.graph ? this.blendColors(this.vertexColor(tween.from, i), color, tween.eased) : color
+
+      // Draw vertex circle
+      this.ctx.beginPath()
+      this.ctx.arc(pos.x, pos.y, 20, 0, 2 * Math.PI)
+      this.ctx.fill()
+      if (colors && colors[i] === "black") {
+        // Outline so black vertices stay visible on the dark canvas
+        this.ctx.strokeStyle = "#94a3b8"
+        this.ctx.lineWidth = 2
+        this.ctx.stroke()
+      }
+
+      // Draw vertex label
+      this.ctx.fillStyle = colors && colors[i] === "white" && i !== current ? "#0f172a" : "#ffffff"
+      this.ctx.font = "14px Inter"
+      this.ctx.textAlign = "center"
+      this.ctx.fillText(i.toString(), pos.x, pos.y + 5)
+
+      // Tentative distance above the vertex; an improved one fades in over the old
+      if (distances) {
+        const label = (distance) => (distance === Infinity ? "∞" : String(distance))
+        const previous = tween && tween.from.distances ? tween.from.distances[i] : distances[i]
+        this.ctx.fillStyle = "#fcd34d"
+        this.ctx.font = "12px JetBrains Mono"
+        if (previous !== distances[i]) {
+          this.ctx.globalAlpha = 1 - tween.eased
+          this.ctx.fillText(label(previous), pos.x, pos.y - 26)
+          this.ctx.globalAlpha = tween.eased
+        }
+        this.ctx.fillText(label(distances[i]), pos.x, pos.y - 26)
+        this.ctx.globalAlpha = 1
+      }
+
+      // Remaining in-degree above the vertex
+      if (inDegree) {
+        this.ctx.fillStyle = inDegree[i] === 0 ? "#10b981" : "#fcd34d"
+        this.ctx.font = "12px JetBrains Mono"
+        this.ctx.fillText(`in ${inDegree[i]}`, pos.x, pos.y - 26)
+      }
+    }
+
+    // Draw traversal order
+    if (traversalOrder.length > 0) {
+      this.ctx.fillStyle = "#ffffff"
+      this.ctx.font = "16px Inter"
+      this.ctx.textAlign = "center"
+      this.ctx.fillText(`${frameData.orderLabel || "Traversal"}: ${traversalOrder.join(" → ")}`, centerX, 30)
+    }
+
+    // Draw queue status
+    if (queue.length > 0) {
+      this.ctx.fillStyle = "#94a3b8"
+      this.ctx.font = "14px Inter"
+      this.ctx.fillText(`${frameData.queueLabel || "Queue"}: [${queue.join(", ")}]`, centerX, this.canvas.height - 30)
+    }
+
+    if (frameData.totalWeight !== undefined) {
+      this.ctx.fillStyle = "#10b981"
+      this.ctx.font = "14px Inter"
+      this.ctx.textAlign = "left"
+      this.ctx.fillText(`Total weight: ${frameData.totalWeight}`, 15, bounds.height - 15)
+    }
+
+    const panel = { x: graphBounds.width + 10, y: 20, width: panelWidth - 20, height: bounds.height - 40 }
+    if (matrix) this.drawMatrix(matrix, panel)
+    else if (frameData.unionFind) this.drawUnionFind(frameData.unionFind, panel)
+    else if (priorityQueue) this.drawPriorityQueue(priorityQueue, panel)
+  }
+
+  // Every adjacency-list entry of a directed graph, each undirected edge once
+  adjacencyEdges(graph, directed = false) {
+    const edges = []
+    graph.forEach((neighbors, from) => {
+      for (const to of neighbors) if (directed || from < to) edges.push({ from, to })
+    })
+    return edges
+  }
+
+  isSymmetricGraph(graph) {
+    return graph.every((neighbors, from) => neighbors.every((to) => graph[to] && graph[to].includes(from)))
+  }
+
+  // The segment shifted sideways by distance, to the right of its direction
+  offsetSegment(from, to, distance) {
+    const length = Math.hypot(to.x - from.x, to.y - from.y) || 1
+    const dx = (-(to.y - from.y) / length) * distance
+    const dy = ((to.x - from.x) / length) * distance
+    return [
+      { x: from.x + dx, y: from.y + dy },
+      { x: to.x + dx, y: to.y + dy },
+    ]
+  }
+
+  // Arrowhead touching the edge of the target vertex circle, in the current stroke color
+  drawArrowhead(from, to, radius) {
+    const angle = Math.atan2(to.y - from.y, to.x - from.x)
+    const tipX = to.x - Math.cos(angle) * radius
+    const tipY = to.y - Math.sin(angle) * radius
+    const size = 10
+
+    this.ctx.fillStyle = this.ctx.strokeStyle
+    this.ctx.beginPath()
+    this.ctx.moveTo(tipX, tipY)
+    this.ctx.lineTo(tipX - size * Math.cos(angle - Math.PI / 7), tipY - size * Math.sin(angle - Math.PI / 7))
+    this.ctx.lineTo(tipX - size * Math.cos(angle + Math.PI / 7), tipY - size * Math.sin(angle + Math.PI / 7))
+    this.ctx.closePath()
+    this.ctx.fill()
+  }
+
+  drawEdgeWeight(weight, from, to) {
+    const x = (from.x + to.x) / 2
+    const y = (from.y + to.y) / 2
+    const text = String(weight)
+    this.ctx.font = "12px JetBrains Mono"
+    const width = this.ctx.measureText(text).width + 8
+
+    this.ctx.fillStyle = "#1e293b"
+    this.ctx.fillRect(x - width / 2, y - 9, width, 18)
+    this.ctx.fillStyle = "#e2e8f0"
+    this.ctx.textAlign = "center"
+    this.ctx.fillText(text, x, y + 4)
+  }
+
+  // Disjoint-set forest drawn from the parent links, roots on the top row
+  drawUnionFind(unionFind, panel) {
+    const { parent, highlight = [], roots = [], operation } = unionFind
+
+    this.ctx.fillStyle = "rgba(30, 41, 59, 0.85)"
+    this.ctx.fillRect(panel.x, panel.y, panel.width, panel.height)
+    this.ctx.fillStyle = "#e2e8f0"
+    this.ctx.font = "13px Inter"
+    this.ctx.textAlign = "left"
+    this.ctx.fillText("Union-find", panel.x + 10, panel.y + 20)
+    if (operation) {
+      this.ctx.fillStyle = "#94a3b8"
+      this.ctx.font = "11px JetBrains Mono"
+      this.ctx.fillText(operation, panel.x + 10, panel.y + 38, panel.width - 20)
+    }
+
+    // A hidden super-root lets the tidy tree layout place the whole forest at once
+    const nodes = parent.map((_, vertex) => ({ id: vertex, value: vertex, children: [] }))
+    const forest = { id: "forest", value: "", children: [] }
+    parent.forEach((up, vertex) => (up === vertex ? forest.children : nodes[up].children).push(nodes[vertex]))
+
+    const area = { x: panel.x + 5, y: panel.y + 20, width: panel.width - 10, height: panel.height - 20 }
+    const { nodes: placed, radius } = this.layoutTree(forest, area)
+    const rootRow = [...placed.values()].find((node) => node.depth === 1)
+    const lift = rootRow ? rootRow.y - (panel.y + 70) : 0
+    const size = Math.min(radius, 14)
+
+    for (const node of placed.values()) {
+      if (node.parentId === undefined || node.parentId === "forest") continue
+      const up = placed.get(node.parentId)
+      this.ctx.strokeStyle = highlight.includes(node.id) && highlight.includes(up.id) ? "#f59e0b" : "#64748b"
+      this.ctx.lineWidth = 2
+      this.ctx.beginPath()
+      this.ctx.moveTo(node.x, node.y - lift)
+      this.ctx.lineTo(up.x, up.y - lift)
+      this.ctx.stroke()
+    }
+
+    for (const node of placed.values()) {
+      if (node.id === "forest") continue
+      let color = "#3b82f6"
+      if (roots.includes(node.id)) color = "#ef4444"
+      else if (highlight.includes(node.id)) color = "#f59e0b"
+
+      this.ctx.fillStyle = color
+      this.ctx.beginPath()
+      this.ctx.arc(node.x, node.y - lift, size, 0, 2 * Math.PI)
+      this.ctx.fill()
+      this.ctx.fillStyle = "#ffffff"
+      this.ctx.font = "11px JetBrains Mono"
+      this.ctx.textAlign = "center"
+      this.ctx.fillText(String(node.value), node.x, node.y - lift + 4)
+    }
+  }
+
+  // Distance table beside the graph, colored like the DP table: orange for the cell being written, red for what it reads
+  drawMatrix(matrix, panel) {
+    const { title, cells, rowLabels, colLabels, current, dependencies = [], highlightRow, highlightCol } = matrix
+    const rows = rowLabels.length
+    const cols = colLabels.length
+    const cellSize = Math.min(36, (panel.width - 10) / (cols + 1), (panel.height - 40) / (rows + 1))
+    const startX = panel.x + 5 + cellSize
+    const startY = panel.y + 32 + cellSize
+    const isCell = (cell, row, col) => cell && cell[0] === row && cell[1] === col
+
+    this.ctx.fillStyle = "rgba(30, 41, 59, 0.85)"
+    this.ctx.fillRect(panel.x, panel.y, panel.width, panel.height)
+    this.ctx.fillStyle = "#e2e8f0"
+    this.ctx.font = "13px Inter"
+    this.ctx.textAlign = "left"
+    this.ctx.fillText(title, panel.x + 10, panel.y + 20)
+
+    this.ctx.textAlign = "center"
+    this.ctx.textBaseline = "middle"
+    this.ctx.font = `${cellSize < 26 ? 9 : 12}px JetBrains Mono`
+    this.ctx.fillStyle = "#94a3b8"
+    colLabels.forEach((label, col) =>
+      this.ctx.fillText(String(label), startX + (col + 0.5) * cellSize, startY - cellSize / 2),
+    )
+    rowLabels.forEach((label, row) =>
+      this.ctx.fillText(String(label), startX - cellSize / 2, startY + (row + 0.5) * cellSize),
+    )
+
+    cells.forEach((row, r) => {
+      row.forEach((value, c) => {
+        const x = startX + c * cellSize
+        const y = startY + r * cellSize
+
+        // Row and column k are what every update in this round reads from
+        let color = "#334155"
+        if (r === highlightRow || c === highlightCol) color = "#6366f1"
+        if (dependencies.some((cell) => isCell(cell, r, c))) color = "#ef4444"
+        if (isCell(current, r, c)) color = "#f59e0b"
+
+        this.ctx.fillStyle = color
+        this.ctx.fillRect(x + 1, y + 1, cellSize - 2, cellSize - 2)
+        if (value !== null && value !== undefined) {
+          this.ctx.fillStyle = "#ffffff"
+          this.ctx.fillText(value === Infinity ? "∞" : String(value), x + cellSize / 2, y + cellSize / 2)
+        }
+      })
+    })
+    this.ctx.textBaseline = "alphabetic"
+  }
+
+  // Entries listed smallest distance first; the top one is the next vertex to be popped
+  drawPriorityQueue(entries, panel) {
+    const sorted = [...entries].sort((a, b) => a.distance - b.distance || a.vertex - b.vertex)
+    const rowHeight = 22
+    const visibleRows = Math.max(1, Math.floor((panel.height - 40) / rowHeight))
+
+    this.ctx.fillStyle = "rgba(30, 41, 59, 0.85)"
+    this.ctx.fillRect(panel.x, panel.y, panel.width, panel.height)
+    this.ctx.fillStyle = "#e2e8f0"
+    this.ctx.font = "13px Inter"
+    this.ctx.textAlign = "left"
+    this.ctx.fillText("Priority queue", panel.x + 10, panel.y + 20)
+
+    this.ctx.font = "12px JetBrains Mono"
+    sorted.slice(0, visibleRows).forEach((entry, index) => {
+      const y = panel.y + 32 + index * rowHeight
+      this.ctx.fillStyle = index === 0 ? "#f59e0b" : "#3b82f6"
+      this.ctx.fillRect(panel.x + 8, y, panel.width - 16, rowHeight - 4)
+      this.ctx.fillStyle = "#ffffff"
+      this.ctx.fillText(entry.label || `dist ${entry.distance} → v${entry.vertex}`, panel.x + 14, y + 13)
+    })
+
+    if (sorted.length === 0) {
+      this.ctx.fillStyle = "#64748b"
+      this.ctx.fillText("(empty)", panel.x + 14, panel.y + 45)
+    } else if (sorted.length > visibleRows) {
+      this.ctx.fillStyle = "#94a3b8"
+      this.ctx.fillText(
+        `+${sorted.length - visibleRows} more`,
+        panel.x + 14,
+        panel.y + 32 + visibleRows * rowHeight + 12,
+      )
+    }
+  }
+
+  // Layout positions are computed once per graph and reused by every frame, so vertices never jump
+  graphPositionsFor(frameData, bounds = this.canvasBounds()) {
+    const { graph } = frameData
+    if (!this.graphPositions || this.graphPositions.graph !== graph) {
+      const layout = this.graphLayout === "auto" ? this.autoGraphLayout(frameData) : this.graphLayout
+      this.graphPositions = { graph, layout, points: this.computeGraphLayout(layout, graph, frameData.start || 0) }
+    }
+
+    // Points are normalized to [0, 1]; the circle keeps its aspect ratio, the others use the whole canvas
+    const { layout, points } = this.graphPositions
+    const width = bounds.width - 80
+    const height = bounds.height - 110
+    if (layout === "circle") {
+      const size = Math.min(width, height)
+      return points.map((point) => ({
+        x: bounds.width / 2 + (point.x - 0.5) * size,
+        y: 50 + height / 2 + (point.y - 0.5) * size,
+      }))
+    }
+    return points.map((point) => ({ x: 40 + point.x * width, y: 50 + point.y * height }))
+  }
+
+  setGraphLayout(layout) {
+    this.graphLayout = layout
+    this.graphPositions = null
+    const frame = this.frames[this.currentFrame]
+    if (frame && frame.type === "graph") this.renderFrame(frame)
+  }
+
+  autoGraphLayout(frameData) {
+    if (this.gridColumns(frameData.graph)) return "grid"
+    if (frameData.layoutHint) return frameData.layoutHint
+    return frameData.graph.length > 8 ? "force" : "circle"
+  }
+
+  computeGraphLayout(layout, graph, start) {
+    const n = graph.length
+    if (layout === "grid" && this.gridColumns(graph)) {
+      const columns = this.gridColumns(graph)
+      const rows = n / columns
+      return graph.map((_, i) => ({
+        x: columns === 1 ? 0.5 : (i % columns) / (columns - 1),
+        y: rows === 1 ? 0.5 : Math.floor(i / columns) / (rows - 1),
+      }))
+    }
+    if (layout === "layered") return this.layeredLayout(graph, start)
+    if (layout === "force") return this.forceLayout(graph)
+    return graph.map((_, i) => ({
+      x: 0.5 + 0.5 * Math.cos((2 * Math.PI * i) / n),
+      y: 0.5 + 0.5 * Math.sin((2 * Math.PI * i) / n),
+    }))
+  }
+
+  // Rows are BFS distances from the start vertex; unreachable vertices share a final row
+  layeredLayout(graph, start) {
+    const depth = new Array(graph.length).fill(-1)
+    const order = [start]
+    depth[start] = 0
+    for (let i = 0; i < order.length; i++) {
+      for (const neighbor of graph[order[i]]) {
+        if (depth[neighbor] !== -1) continue
+        depth[neighbor] = depth[order[i]] + 1
+        order.push(neighbor)
+      }
+    }
+
+    const maxDepth = Math.max(...depth)
+    graph.forEach((_, vertex) => {
+      if (depth[vertex] === -1) {
+        depth[vertex] = maxDepth + 1
+        order.push(vertex)
+      }
+    })
+
+    const layers = []
+    order.forEach((vertex) => (layers[depth[vertex]] ||= []).push(vertex))
+    const points = []
+    layers.forEach((layer, row) => {
+      layer.forEach((vertex, index) => {
+        points[vertex] = {
+          x: (index + 1) / (layer.length + 1),
+          y: layers.length === 1 ? 0.5 : row / (layers.length - 1),
+        }
+      })
+    })
+    return points
+  }
+
+  // Fruchterman-Reingold from a circular start, so the same graph always gets the same picture
+  forceLayout(graph) {
+    const n = graph.length
+    const points = graph.map((_, i) => ({
+      x: 0.5 + 0.4 * Math.cos((2 * Math.PI * i) / n),
+      y: 0.5 + 0.4 * Math.sin((2 * Math.PI * i) / n),
+    }))
+    const k = Math.sqrt(1 / Math.max(1, n))
+    let temperature = 0.1
+
+    for (let iteration = 0; iteration < 300; iteration++) {
+      const moves = points.map(() => ({ x: 0, y: 0 }))
+      const push = (a, b, force) => {
+        const dx = points[a].x - points[b].x
+        const dy = points[a].y - points[b].y
+        const distance = Math.max(0.01, Math.hypot(dx, dy))
+        const strength = force(distance) / distance
+        moves[a].x += dx * strength
+        moves[a].y += dy * strength
+        moves[b].x -= dx * strength
+        moves[b].y -= dy * strength
+      }
+
+      for (let a = 0; a < n; a++) {
+        for (let b = a + 1; b < n; b++) push(a, b, (distance) => (k * k) / distance)
+      }
+      graph.forEach((neighbors, a) => {
+        for (const b of neighbors) if (a !== b) push(a, b, (distance) => -(distance * distance) / k)
+      })
+
+      points.forEach((point, i) => {
+        const length = Math.max(0.0001, Math.hypot(moves[i].x, moves[i].y))
+        point.x += (moves[i].x / length) * Math.min(length, temperature)
+        point.y += (moves[i].y / length) * Math.min(length, temperature)
+      })
+      temperature *= 0.98
+    }
+
+    const xs = points.map((point) => point.x)
+    const ys = points.map((point) => point.y)
+    const [minX, minY] = [Math.min(...xs), Math.min(...ys)]
+    const spanX = Math.max(...xs) - minX || 1
+    const spanY = Math.max(...ys) - minY || 1
+    return points.map((point) => ({ x: (point.x - minX) / spanX, y: (point.y - minY) / spanY }))
+  }
+
+  // Column count if every edge joins horizontal or vertical neighbours of a rows x columns grid
+  gridColumns(graph) {
+    const n = graph.length
+    for (let columns = 2; columns <= n / 2; columns++) {
+      if (n % columns !== 0) continue
+      let horizontal = false
+      let vertical = false
+      const fits = graph.every((neighbors, a) =>
+        neighbors.every((b) => {
+          const sameRow = Math.floor(a / columns) === Math.floor(b / columns)
+          if (sameRow && Math.abs(a - b) === 1) return (horizontal = true)
+          if (Math.abs(a - b) === columns) return (vertical = true)
+          return false
+        }),
+      )
+      if (fits && horizontal && vertical) return columns
+    }
+    return 0
+  }
+
+  clear() {
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height)
+  }
+
+  updateCanvasState(state) {
+    const canvasArea = document.querySelector(".canvas-area")
+    canvasArea.className = `canvas-area ${state}`
+  }
+
+  updateFrameInfo() {
+    const algorithmInfo = document.getElementById("algorithmInfo")
+    const algorithmName = algorithmInfo.querySelector(".algorithm-name")
+    const stepCounter = algorithmInfo.querySelector(".step-counter")
+
+    if (this.frames[this.currentFrame]) {
+      const frame = this.frames[this.currentFrame]
+      algorithmName.textContent = frame.algorithm || "Algorithm Visualizer"
+      stepCounter.textContent = `Step: ${this.currentFrame}/${this.totalFrames - 1}`
+
+      // Update timeline
+      this.updateTimelineSlider()
+
+      // Update status with frame description
+      if (frame.description) {
+        updateStatus(frame.description)
+      }
+    }
+
+    this.updateStatsPanel(this.frames[this.currentFrame], this.frames[this.currentFrame - 1])
+    this.updateCallStackPanel(this.frames[this.currentFrame])
+    this.updateWatchPanel(this.frames[this.currentFrame], this.frames[this.currentFrame - 1])
+
+    if (this.onFrameUpdate) {
+      this.onFrameUpdate(this.currentFrame, this.frames[this.currentFrame])
+    }
+  }
+
+  // Running totals up to this step; the counters this step moved flash like changed watch values
+  updateStatsPanel(frame, previous) {
+    statsList.replaceChildren()
+    if (!frame || !frame.stats) return
+
+    const before = (previous && previous.stats) || {}
+    for (const [key, label] of Object.entries(OPERATION_STAT_LABELS)) {
+      if (!(key in frame.stats)) continue
+      const row = document.createElement("div")
+      row.className = "stats-row"
+      row.classList.toggle("changed", key in before && before[key] !== frame.stats[key])
+      const name = document.createElement("span")
+      name.className = "stats-name"
+      name.textContent = label
+      const value = document.createElement("span")
+      value.className = "stats-value"
+      value.textContent = key === "depth" ? `${frame.stats.depth} (max ${frame.stats.maxDepth})` : frame.stats[key]
+      row.append(name, value)
+      statsList.appendChild(row)
+    }
+  }
+
+  // Innermost call first, each with its arguments and the locals declared so far
+  updateCallStackPanel(frame) {
+    callStackList.replaceChildren()
+    if (!frame || !frame.callStack) return
+
+    const describe = (entries) => entries.map(({ name, value }) => `${name} = ${value}`).join(", ")
+    const calls = [...frame.callStack].reverse()
+    calls.forEach((call, index) => {
+      const item = document.createElement("div")
+      item.className = index === 0 ? "call-frame current" : "call-frame"
+      const name = document.createElement("div")
+      name.className = "call-frame-name"
+      name.textContent = `${call.name}(${describe(call.args)})`
+      item.appendChild(name)
+      if (call.locals.length > 0) {
+        const locals = document.createElement("div")
+        locals.className = "call-frame-locals"
+        locals.textContent = describe(call.locals)
+        item.appendChild(locals)
+      }
+      callStackList.appendChild(item)
+    })
+
+    const hidden = frame.callDepth - frame.callStack.length
+    if (hidden > 0) {
+      const more = document.createElement("div")
+      more.className = "call-stack-more"
+      more.textContent = `… ${hidden} outer calls`
+      callStackList.appendChild(more)
+    }
+  }
+
+  // Pinned variables first, kept even when out of scope; values that differ from the previous step flash
+  updateWatchPanel(frame, previous) {
+    watchList.replaceChildren()
+    if (!frame) return
+
+    const variables = frame.variables || {}
+    const before = (previous && previous.variables) || {}
+    const names = [...this.pinnedVariables, ...Object.keys(variables).filter((name) => !this.pinnedVariables.has(name))]
+    for (const name of names) {
+      const row = document.createElement("div")
+      const inScope = name in variables
+      const changed = inScope && name in before && String(before[name]) !== String(variables[name])
+      row.className = "watch-row"
+      row.classList.toggle("pinned", this.pinnedVariables.has(name))
+      row.classList.toggle("changed", changed)
+      row.classList.toggle("out-of-scope", !inScope)
+
+      const pin = document.createElement("button")
+      pin.className = "watch-pin"
+      pin.textContent = "📌"
+      pin.title = this.pinnedVariables.has(name) ? `Unpin ${name}` : `Pin ${name}`
+      pin.addEventListener("click", () => this.togglePinnedVariable(name))
+      const label = document.createElement("span")
+      label.className = "watch-name"
+      label.textContent = name
+      const value = document.createElement("span")
+      value.className = "watch-value"
+      value.textContent = inScope ? String(variables[name]) : "—"
+      row.append(pin, label, value)
+      watchList.appendChild(row)
+    }
+  }
+
+  togglePinnedVariable(name) {
+    if (this.pinnedVariables.has(name)) this.pinnedVariables.delete(name)
+    else this.pinnedVariables.add(name)
+    this.updateWatchPanel(this.frames[this.currentFrame], null)
+  }
+
+  setCallTreeVisible(visible) {
+    this.showCallTree = visible
+    const frame = this.frames[this.currentFrame]
+    if (frame) this.renderFrame(frame)
+  }
+
+  updateTimelineSlider() {
+    if (timelineSlider && this.totalFrames > 0) {
+      timelineSlider.max = this.totalFrames - 1
+      timelineSlider.value = this.currentFrame
+      timelineInfo.textContent = `${this.currentFrame} / ${this.totalFrames - 1}`
+    }
+  }
+
+  // Hex color part way from one color to another
+  blendColors(from, to, amount) {
+    if (from === to || amount >= 1) return to
+    const channels = (color) => {
+      const num = Number.parseInt(color.slice(1), 16)
+      return [num >> 16, (num >> 8) & 0xff, num & 0xff]
+    }
+    const start = channels(from)
+    const end = channels(to)
+    const mixed = start.map((value, channel) => Math.round(value + (end[channel] - value) * amount))
+    return "#" + ((mixed[0] << 16) | (mixed[1] << 8) | mixed[2]).toString(16).padStart(6, "0")
+  }
+
+  adjustBrightness(color, amount) {
+    const usePound = color[0] === "#"
+    const col = usePound ? color.slice(1) : color
+    const num = Number.parseInt(col, 16)
+    let r = (num >> 16) + amount
+    let g = ((num >> 8) & 0x00ff) + amount
+    let b = (num & 0x0000ff) + amount
+    r = r > 255 ? 255 : r < 0 ? 0 : r
+    g = g > 255 ? 255 : g < 0 ? 0 : g
+    b = b > 255 ? 255 : b < 0 ? 0 : b
+    return (usePound ? "#" : "") + ((r << 16) | (g << 8) | b).toString(16).padStart(6, "0")
+  }
+}
+
+// Running totals of what a generator does to its array, stamped onto each frame it pushes
+class OperationCounter {
+  constructor() {
+    this.comparisons = 0
+    this.swaps = 0
+    this.reads = 0
+    this.writes = 0
+  }
+
+  // Returns the comparison's result so a loop condition can be counted in place
+  compare(result, reads = 2) {
+    this.comparisons++
+    this.reads += reads
+    return result
+  }
+
+  swap() {
+    this.swaps++
+    this.reads += 2
+    this.writes += 2
+  }
+
+  read(count = 1) {
+    this.reads += count
+  }
+
+  write(count = 1) {
+    this.writes += count
+  }
+
+  snapshot() {
+    return { comparisons: this.comparisons, swaps: this.swaps, reads: this.reads, writes: this.writes }
+  }
+}
+
+// Stable identities for a generator's array elements, mirrored next to each move and stamped onto each frame, so
+// playback can slide every bar from its own previous slot even when values repeat
+class ElementIds {
+  constructor(length) {
+    this.ids = Array.from({ length }, (_, index) => index)
+    this.next = length
+  }
+
+  swap(a, b) {
+    ;[this.ids[a], this.ids[b]] = [this.ids[b], this.ids[a]]
+  }
+
+  // The source slot keeps its id until it is overwritten in turn
+  copy(from, to) {
+    this.ids[to] = this.ids[from]
+  }
+
+  // A value written from outside the array keeps the id it was taken out with, or gets a new one; null empties the slot
+  set(index, id = this.next++) {
+    this.ids[index] = id
+  }
+
+  snapshot() {
+    return [...this.ids]
+  }
+}
+
+class SortingVisualizer {
+  constructor(animationEngine) {
+    this.engine = animationEngine
+  }
+
+  generateBubbleSortFrames(array, codeLines = {}) {
+    const frames = []
+    const arr = [...array]
+    const n = arr.length
+    const ops = new OperationCounter()
+    const elements = new ElementIds(arr.length)
+
+    // Initial frame
+    frames.push({
+      type: "array",
+      array: [...arr],
+      highlights: [],
+      comparisons: [],
+      algorithm: "Bubble Sort",
+      description: "Initial array",
+      codeLine: codeLines.init || null,
+      variables: {},
+      stats: ops.snapshot(),
+      ids: elements.snapshot(),
+    })
+
+    for (let i = 0; i < n - 1; i++) {
+      for (let j = 0; j < n - i - 1; j++) {
+        // Comparison frame
+        const outOfOrder = ops.compare(arr[j] > arr[j + 1])
+        frames.push({
+          type: "array",
+          array: [...arr],
+          highlights: [],
+          comparisons: [j, j + 1],
+          algorithm: "Bubble Sort",
+          description: `Comparing elements at positions ${j} and ${j + 1}`,
+          codeLine: codeLines.compare || null,
+          variables: { i, j },
+          stats: ops.snapshot(),
+          ids: elements.snapshot(),
+        })
+
+        if (outOfOrder) {
+          // Swap elements
+          ;[arr[j], arr[j + 1]] = [arr[j + 1], arr[j]]
+          elements.swap(j, j + 1)
+          ops.swap()
+
+          // Swap frame
+          frames.push({
+            type: "array",
+            array: [...arr],
+            highlights: [j, j + 1],
+            comparisons: [],
+            algorithm: "Bubble Sort",
+            description: `Swapped elements at positions ${j} and ${j + 1}`,
+            codeLine: codeLines.swap || null,
+            variables: { i, j },
+            stats: ops.snapshot(),
+            ids: elements.snapshot(),
+          })
+        }
+      }
+
+      // Mark sorted element
+      frames.push({
+        type: "array",
+        array: [...arr],
+        highlights: [],
+        comparisons: [],
+        sorted: [n - i - 1],
+        algorithm: "Bubble Sort",
+        description: `Element at position ${n - i - 1} is now in correct position`,
+        codeLine: codeLines.sorted || null,
+        variables: { i },
+        stats: ops.snapshot(),
+        ids: elements.snapshot(),
+      })
+    }
+
+    // Final frame
+    frames.push({
+      type: "array",
+      array: [...arr],
+      highlights: [],
+      comparisons: [],
+      sorted: Array.from({ length: n }, (_, i) => i),
+      algorithm: "Bubble Sort",
+      description: "Array is fully sorted!",
+      codeLine: codeLines.complete || null,
+      variables: {},
+      stats: ops.snapshot(),
+      ids: elements.snapshot(),
+    })
+
+    return frames
+  }
+
+  generateSelectionSortFrames(array, codeLines = {}) {
+    const frames = []
+    const arr = [...array]
+    const n = arr.length
+    const ops = new OperationCounter()
+    const elements = new ElementIds(arr.length)
+
+    frames.push({
+      type: "array",
+      array: [...arr],
+      highlights: [],
+      comparisons: [],
+      algorithm: "Selection Sort",
+      description: "Initial array",
+      codeLine: codeLines.init || null,
+      variables: {},
+      stats: ops.snapshot(),
+      ids: elements.snapshot(),
+    })
+
+    for (let i = 0; i < n - 1; i++) {
+      let minIdx = i
+
+      // Mark current position
+      frames.push({
+        type: "array",
+        array: [...arr],
+        highlights: [i],
+        comparisons: [],
+        algorithm: "Selection Sort",
+        description: `Finding minimum element from position ${i}`,
+        codeLine: codeLines.findMin || null,
+        variables: { i, minIdx },
+        stats: ops.snapshot(),
+        ids: elements.snapshot(),
+      })
+
+      for (let j = i + 1; j < n; j++) {
+        // Compare with current minimum
+        const smaller = ops.compare(arr[j] < arr[minIdx])
+        frames.push({
+          type: "array",
+          array: [...arr],
+          highlights: [minIdx],
+          comparisons: [j],
+          algorithm: "Selection Sort",
+          description: `Comparing element at position ${j} with current minimum`,
+          codeLine: codeLines.compare || null,
+          variables: { i, j, minIdx },
+          stats: ops.snapshot(),
+          ids: elements.snapshot(),
+        })
+
+        if (smaller) {
+          minIdx = j
+          frames.push({
+            type: "array",
+            array: [...arr],
+            highlights: [minIdx],
+            comparisons: [],
+            algorithm: "Selection Sort",
+            description: `New minimum found at position ${minIdx}`,
+            codeLine: codeLines.newMin || null,
+            variables: { i, j, minIdx },
+            stats: ops.snapshot(),
+            ids: elements.snapshot(),
+          })
+        }
+      }
+
+      // Swap if needed
+      if (minIdx !== i) {
+        ;[arr[i], arr[minIdx]] = [arr[minIdx], arr[i]]
+        elements.swap(i, minIdx)
+        ops.swap()
+        frames.push({
+          type: "array",
+          array: [...arr],
+          highlights: [i, minIdx],
+          comparisons: [],
           algorithm: "Selection Sort",
           description: `Swapped elements at positions ${i} and ${minIdx}`,
           codeLine: codeLines.swap || null,
+          variables: { i, minIdx },
+          stats: ops.snapshot(),
+          ids: elements.snapshot(),
+        })
+      }
+
+      // Mark as sorted
+      frames.push({
+        type: "array",
+        array: [...arr],
+        highlights: [],
+        comparisons: [],
+        sorted: Array.from({ length: i + 1 }, (_, idx) => idx),
+        algorithm: "Selection Sort",
+        description: `Position ${i} is now sorted`,
+        codeLine: codeLines.sorted || null,
+        variables: { i, minIdx },
+        stats: ops.snapshot(),
+        ids: elements.snapshot(),
+      })
+    }
+
+    // Final frame
+    frames.push({
+      type: "array",
+      array: [...arr],
+      highlights: [],
+      comparisons: [],
+      sorted: Array.from({ length: n }, (_, i) => i),
+      algorithm: "Selection Sort",
+      description: "Array is fully sorted!",
+      codeLine: codeLines.complete || null,
+      variables: {},
+      stats: ops.snapshot(),
+      ids: elements.snapshot(),
+    })
+
+    return frames
+  }
+
+  generateInsertionSortFrames(array, codeLines = {}) {
+    const frames = []
+    const arr = [...array]
+    const n = arr.length
+    const ops = new OperationCounter()
+    const elements = new ElementIds(arr.length)
+
+    frames.push({
+      type: "array",
+      array: [...arr],
+      highlights: [],
+      comparisons: [],
+      sorted: [0],
+      algorithm: "Insertion Sort",
+      description: "Initial array - first element is considered sorted",
+      codeLine: codeLines.init || null,
+      variables: {},
+      stats: ops.snapshot(),
+      ids: elements.snapshot(),
+    })
+
+    for (let i = 1; i < n; i++) {
+      const key = arr[i]
+      const keyId = elements.ids[i]
+      let j = i - 1
+      ops.read()
+
+      // Show current element to insert
+      frames.push({
+        type: "array",
+        array: [...arr],
+        highlights: [i],
+        comparisons: [],
+        sorted: Array.from({ length: i }, (_, idx) => idx),
+        algorithm: "Insertion Sort",
+        description: `Inserting element ${key} into sorted portion`,
+        codeLine: codeLines.insert || null,
+        variables: { i, key, j },
+        stats: ops.snapshot(),
+        ids: elements.snapshot(),
+      })
+
+      while (j >= 0 && ops.compare(arr[j] > key, 1)) {
+        // Show comparison
+        frames.push({
+          type: "array",
+          array: [...arr],
+          highlights: [i],
+          comparisons: [j],
+          sorted: Array.from({ length: i }, (_, idx) => idx),
+          algorithm: "Insertion Sort",
+          description: `Comparing ${key} with ${arr[j]}`,
+          codeLine: codeLines.compare || null,
+          variables: { i, key, j },
+          stats: ops.snapshot(),
+          ids: elements.snapshot(),
+        })
+
+        arr[j + 1] = arr[j]
+        elements.copy(j, j + 1)
+        ops.read()
+        ops.write()
+
+        // Show shift
+        frames.push({
+          type: "array",
+          array: [...arr],
+          highlights: [j + 1],
+          comparisons: [],
+          sorted: Array.from({ length: i }, (_, idx) => idx),
+          algorithm: "Insertion Sort",
+          description: `Shifting ${arr[j]} to the right`,
+          codeLine: codeLines.shift || null,
+          variables: { i, key, j },
+          stats: ops.snapshot(),
+          ids: elements.snapshot(),
+        })
+
+        j--
+      }
+
+      arr[j + 1] = key
+      elements.set(j + 1, keyId)
+      ops.write()
+
+      // Show insertion
+      frames.push({
+        type: "array",
+        array: [...arr],
+        highlights: [j + 1],
+        comparisons: [],
+        sorted: Array.from({ length: i + 1 }, (_, idx) => idx),
+        algorithm: "Insertion Sort",
+        description: `Inserted ${key} at position ${j + 1}`,
+        codeLine: codeLines.place || null,
+        variables: { i, key, j },
+        stats: ops.snapshot(),
+        ids: elements.snapshot(),
+      })
+    }
+
+    // Final frame
+    frames.push({
+      type: "array",
+      array: [...arr],
+      highlights: [],
+      comparisons: [],
+      sorted: Array.from({ length: n }, (_, i) => i),
+      algorithm: "Insertion Sort",
+      description: "Array is fully sorted!",
+      codeLine: codeLines.complete || null,
+      variables: {},
+      stats: ops.snapshot(),
+      ids: elements.snapshot(),
+    })
+
+    return frames
+  }
+
+  // Frames carry every segment reached so far by recursion depth, and during a merge the left/right buffers the
+  // elements flow back from
+  generateMergeSortFrames(array, codeLines = {}) {
+    const frames = []
+    const arr = [...array]
+    const segmentDepth = (left, right) =>
+      left >= right
+        ? 0
+        : 1 +
+          Math.max(
+            segmentDepth(left, Math.floor((left + right) / 2)),
+            segmentDepth(Math.floor((left + right) / 2) + 1, right),
+          )
+    const levelCount = arr.length > 0 ? segmentDepth(0, arr.length - 1) + 1 : 0
+    const segments = []
+    const calls = new CallRecorder()
+    const ops = new OperationCounter()
+    const elements = new ElementIds(arr.length)
+
+    const pushFrame = (fields) => {
+      const levels = Array.from({ length: levelCount }, () => [])
+      segments.forEach((segment) => levels[segment.depth].push({ ...segment, values: [...segment.values] }))
+      frames.push({
+        type: "array",
+        array: [...arr],
+        highlights: [],
+        comparisons: [],
+        depth: 0,
+        levels,
+        buffers: null,
+        transfer: null,
+        algorithm: "Merge Sort",
+        codeLine: null,
+        stats: ops.snapshot(),
+        ids: elements.snapshot(),
+        ...calls.snapshot(),
+        ...fields,
+      })
+    }
+
+    pushFrame({ description: "Initial array", codeLine: codeLines.init })
+
+    const mergeSort = (left, right, depth) => {
+      const segment = { left, right, depth, values: arr.slice(left, right + 1), state: "sorted" }
+      segments.push(segment)
+      calls.enter("mergeSort", [
+        ["left", left],
+        ["right", right],
+      ])
+      if (left >= right) {
+        calls.exit()
+        return
+      }
+
+      const mid = Math.floor((left + right) / 2)
+      segment.state = "active"
+      pushFrame({
+        highlights: Array.from({ length: right - left + 1 }, (_, i) => left + i),
+        depth,
+        description: `Dividing array from ${left} to ${right} at depth ${depth}`,
+        codeLine: codeLines.divide,
+      })
+      segment.state = "split"
+
+      mergeSort(left, mid, depth + 1)
+      mergeSort(mid + 1, right, depth + 1)
+      merge(segment, mid)
+      calls.exit()
+    }
+
+    const merge = (segment, mid) => {
+      const { left, right, depth } = segment
+      const leftArr = arr.slice(left, mid + 1)
+      const rightArr = arr.slice(mid + 1, right + 1)
+      const leftIds = elements.ids.slice(left, mid + 1)
+      const rightIds = elements.ids.slice(mid + 1, right + 1)
+      ops.read(right - left + 1)
+      let i = 0
+      let j = 0
+      let k = left
+      calls.enter("merge", [
+        ["left", left],
+        ["mid", mid],
+        ["right", right],
+      ])
+      calls.setLocal("i", () => i)
+      calls.setLocal("j", () => j)
+      calls.setLocal("k", () => k)
+
+      segment.state = "merging"
+      segment.values.fill(null)
+      const buffers = (compare) => ({
+        left: leftArr,
+        right: rightArr,
+        leftStart: left,
+        rightStart: mid + 1,
+        i,
+        j,
+        compare,
+      })
+
+      pushFrame({
+        depth,
+        buffers: buffers(false),
+        description: `Copying [${leftArr.join(", ")}] and [${rightArr.join(", ")}] into the left and right buffers`,
+        codeLine: codeLines.copy,
+      })
+
+      // Takes the next element of one buffer and writes it back to arr[k]
+      const place = (fromLeft, description) => {
+        arr[k] = fromLeft ? leftArr[i] : rightArr[j]
+        elements.set(k, fromLeft ? leftIds[i] : rightIds[j])
+        ops.write()
+        segment.values[k - left] = arr[k]
+        const transfer = { from: fromLeft ? "left" : "right", index: fromLeft ? i : j, to: k }
+        if (fromLeft) i++
+        else j++
+        pushFrame({
+          highlights: [k],
+          depth,
+          buffers: buffers(false),
+          transfer,
+          description,
+          codeLine: codeLines.place,
+        })
+        k++
+      }
+
+      while (i < leftArr.length && j < rightArr.length) {
+        const fromLeft = ops.compare(leftArr[i] <= rightArr[j], 0)
+        pushFrame({
+          highlights: [k],
+          depth,
+          buffers: buffers(true),
+          description: `Comparing ${leftArr[i]} and ${rightArr[j]}`,
+          codeLine: codeLines.compare,
+        })
+        place(fromLeft, `Placed ${fromLeft ? leftArr[i] : rightArr[j]} at position ${k}`)
+      }
+      while (i < leftArr.length) place(true, `Copying remaining element ${leftArr[i]}`)
+      while (j < rightArr.length) place(false, `Copying remaining element ${rightArr[j]}`)
+
+      segment.state = "sorted"
+      pushFrame({
+        highlights: Array.from({ length: right - left + 1 }, (_, index) => left + index),
+        depth,
+        description: `Merged positions ${left} to ${right}`,
+      })
+      calls.exit()
+    }
+
+    if (arr.length > 0) mergeSort(0, arr.length - 1, 0)
+
+    pushFrame({
+      sorted: Array.from({ length: arr.length }, (_, i) => i),
+      description: "Array is fully sorted!",
+      codeLine: codeLines.complete,
+    })
+
+    return frames
+  }
+
+  // mulberry32: a tiny deterministic generator, so a seeded random pivot picks the same pivots on every run
+  seededRandom(seed) {
+    let state = seed >>> 0
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0
+      let t = state
+      t = Math.imul(t ^ (t >>> 15), t | 1)
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+  }
+
+  // Lomuto or Hoare partitioning with a chosen pivot; frames carry the recursion range, pivot, i/j pointers and
+  // the boundaries between the partitioned parts
+  generateQuickSortFrames(array, codeLines = {}, options = {}) {
+    const { partition = "lomuto", pivot: strategy = "last", seed = QUICK_SORT_SEED } = options
+    const hoare = partition === "hoare"
+    const frames = []
+    const arr = [...array]
+    const sorted = new Set()
+    const random = this.seededRandom(seed)
+    const calls = new CallRecorder()
+    const ops = new OperationCounter()
+    const elements = new ElementIds(arr.length)
+    const algorithm = `Quick Sort (${hoare ? "Hoare" : "Lomuto"}, ${QUICK_SORT_PIVOT_NAMES[strategy]} pivot)`
+    let range = null
+    let depth = 0
+    let pivotIndex = null
+    let pivotValue = null
+
+    const pushFrame = (fields) => {
+      frames.push({
+        type: "array",
+        array: [...arr],
+        highlights: [],
+        comparisons: [],
+        sorted: [...sorted],
+        range,
+        depth,
+        pivotIndex,
+        pivotValue,
+        pointers: {},
+        boundaries: [],
+        algorithm,
+        partition,
+        pivotStrategy: strategy,
+        codeLine: null,
+        stats: ops.snapshot(),
+        ids: elements.snapshot(),
+        ...calls.snapshot(),
+        ...fields,
+      })
+    }
+
+    const choosePivot = (low, high) => {
+      const mid = Math.floor((low + high) / 2)
+      if (strategy === "first") return [low, `the first element of [${low}, ${high}]`, [low]]
+      if (strategy === "random") {
+        const index = low + Math.floor(random() * (high - low + 1))
+        return [index, `seeded random pick at position ${index}`, [index]]
+      }
+      if (strategy === "median3") {
+        const [, median] = [low, mid, high].sort((a, b) => ops.compare(arr[a] - arr[b]))
+        return [median, `median of ${arr[low]}, ${arr[mid]} and ${arr[high]}`, [low, mid, high]]
+      }
+      return [high, `the last element of [${low}, ${high}]`, [high]]
+    }
+
+    // Lomuto keeps the pivot at the end of the range, Hoare at the front
+    const placePivot = (low, high) => {
+      const [chosen, reason, candidates] = choosePivot(low, high)
+      pivotIndex = chosen
+      pivotValue = arr[chosen]
+      ops.read()
+      calls.setLocal("pivot", pivotValue)
+      pushFrame({ comparisons: candidates, description: `Pivot ${pivotValue}: ${reason}`, codeLine: codeLines.pivot })
+
+      const target = hoare ? low : high
+      if (chosen !== target) {
+        ;[arr[chosen], arr[target]] = [arr[target], arr[chosen]]
+        elements.swap(chosen, target)
+        ops.swap()
+        pivotIndex = target
+        pushFrame({
+          highlights: [chosen, target],
+          description: `Moving pivot ${pivotValue} to the ${hoare ? "front" : "end"} of the range`,
+          codeLine: codeLines.swap,
+        })
+      }
+    }
+
+    // [low, i] < pivot, [i + 1, j - 1] >= pivot, [j, high - 1] not yet seen
+    const lomuto = (low, high) => {
+      let i = low - 1
+      calls.setLocal("i", () => i)
+      for (let j = low; j < high; j++) {
+        calls.setLocal("j", () => j)
+        const smaller = ops.compare(arr[j] < pivotValue, 1)
+        pushFrame({
+          comparisons: [j],
+          pointers: { i, j },
+          boundaries: [i + 1, j],
+          description: `Comparing ${arr[j]} with pivot ${pivotValue}`,
+          codeLine: codeLines.compare,
+        })
+
+        if (smaller) {
+          i++
+          // Nothing moves when the element is already next to the left part
+          if (i !== j) {
+            ;[arr[i], arr[j]] = [arr[j], arr[i]]
+            elements.swap(i, j)
+            ops.swap()
+          }
+          pushFrame({
+            highlights: i === j ? [i] : [i, j],
+            pointers: { i, j },
+            boundaries: [i + 1, j + 1],
+            description: i === j ? `${arr[i]} is already in the left part` : `Swapped ${arr[i]} into the left part`,
+            codeLine: codeLines.swap,
+          })
+        }
+      }
+
+      if (i + 1 !== high) {
+        ;[arr[i + 1], arr[high]] = [arr[high], arr[i + 1]]
+        elements.swap(i + 1, high)
+        ops.swap()
+      }
+      pivotIndex = i + 1
+      sorted.add(i + 1)
+      pushFrame({
+        highlights: [i + 1],
+        boundaries: [i + 1, i + 2],
+        description: `Pivot ${pivotValue} placed at its final position ${i + 1}`,
+        codeLine: codeLines.place,
+      })
+      return i + 1
+    }
+
+    // [low, i - 1] <= pivot and [j + 1, high] >= pivot; the pointers walk inward and swap until they cross
+    const hoarePartition = (low, high) => {
+      let i = low - 1
+      let j = high + 1
+      calls.setLocal("i", () => i)
+      calls.setLocal("j", () => j)
+      let moves
+      while (true) {
+        do {
+          i++
+          moves = ops.compare(arr[i] < pivotValue, 1)
+          pushFrame({
+            comparisons: [i],
+            pointers: { i, j },
+            boundaries: [i, j + 1],
+            description: moves ? `${arr[i]} < pivot ${pivotValue}, i moves right` : `i stops at ${arr[i]}`,
+            codeLine: codeLines.compare,
+          })
+        } while (moves)
+
+        do {
+          j--
+          moves = ops.compare(arr[j] > pivotValue, 1)
+          pushFrame({
+            comparisons: [j],
+            pointers: { i, j },
+            boundaries: [i, j + 1],
+            description: moves ? `${arr[j]} > pivot ${pivotValue}, j moves left` : `j stops at ${arr[j]}`,
+            codeLine: codeLines.compare,
+          })
+        } while (moves)
+
+        if (i >= j) {
+          pushFrame({
+            pointers: { i, j },
+            boundaries: [j + 1],
+            description: `Pointers crossed: [${low}, ${j}] and [${j + 1}, ${high}] are partitioned`,
+            codeLine: codeLines.place,
+          })
+          return j
+        }
+
+        ;[arr[i], arr[j]] = [arr[j], arr[i]]
+        elements.swap(i, j)
+        ops.swap()
+        // The pivot value itself can be swapped away from the front
+        if (pivotIndex === i) pivotIndex = j
+        else if (pivotIndex === j) pivotIndex = i
+        pushFrame({
+          highlights: [i, j],
+          pointers: { i, j },
+          boundaries: [i + 1, j],
+          description: `Swapped ${arr[j]} and ${arr[i]}`,
+          codeLine: codeLines.swap,
+        })
+      }
+    }
+
+    const quickSort = (low, high, level) => {
+      calls.enter("quickSort", [
+        ["low", low],
+        ["high", high],
+      ])
+      if (low > high) {
+        calls.exit()
+        return
+      }
+      range = [low, high]
+      depth = level
+      pivotIndex = null
+      pivotValue = null
+
+      if (low === high) {
+        sorted.add(low)
+        pushFrame({ description: `quickSort(${low}, ${high}) has a single element` })
+        calls.exit()
+        return
+      }
+
+      pushFrame({ description: `quickSort(${low}, ${high}) at recursion depth ${level}`, codeLine: codeLines.divide })
+      calls.enter("partition", [
+        ["low", low],
+        ["high", high],
+      ])
+      placePivot(low, high)
+      const split = hoare ? hoarePartition(low, high) : lomuto(low, high)
+      calls.exit(split)
+
+      if (hoare) {
+        quickSort(low, split, level + 1)
+        quickSort(split + 1, high, level + 1)
+      } else {
+        quickSort(low, split - 1, level + 1)
+        quickSort(split + 1, high, level + 1)
+      }
+      calls.exit()
+    }
+
+    pushFrame({
+      description: `Initial array - ${hoare ? "Hoare" : "Lomuto"} partitioning, ${QUICK_SORT_PIVOT_NAMES[strategy]} pivot`,
+      codeLine: codeLines.init,
+    })
+
+    quickSort(0, arr.length - 1, 0)
+
+    range = null
+    pivotIndex = null
+    pivotValue = null
+    pushFrame({
+      sorted: Array.from({ length: arr.length }, (_, i) => i),
+      description: "Array is fully sorted!",
+      codeLine: codeLines.complete,
+    })
+
+    return frames
+  }
+
+  generateHeapSortFrames(array, codeLines = {}) {
+    const frames = []
+    const arr = [...array]
+    const n = arr.length
+    const sorted = []
+    const ops = new OperationCounter()
+    const elements = new ElementIds(arr.length)
+
+    const pushFrame = (heapSize, highlights, comparisons, description, codeLine, variables = {}) => {
+      frames.push({
+        type: "heap",
+        array: [...arr],
+        heapSize,
+        highlights,
+        comparisons,
+        sorted: [...sorted],
+        algorithm: "Heap Sort",
+        description,
+        codeLine: codeLine || null,
+        variables: { heapSize, ...variables },
+        stats: ops.snapshot(),
+        ids: elements.snapshot(),
+      })
+    }
+
+    // Moves arr[i] down until both children are smaller, recording every comparison and swap
+    const siftDown = (i, heapSize) => {
+      while (true) {
+        let largest = i
+        const left = 2 * i + 1
+        const right = 2 * i + 2
+
+        for (const child of [left, right]) {
+          if (child >= heapSize) continue
+          const larger = ops.compare(arr[child] > arr[largest])
+          pushFrame(
+            heapSize,
+            [largest],
+            [child],
+            `Comparing ${arr[child]} (index ${child}) with ${arr[largest]} (index ${largest})`,
+            codeLines.compare,
+            { i, largest, child },
+          )
+          if (larger) largest = child
+        }
+
+        if (largest === i) {
+          pushFrame(heapSize, [i], [], `${arr[i]} is larger than its children - sift-down stops`, codeLines.compare, {
+            i,
+            largest,
+          })
+          return
+        }
+
+        ;[arr[i], arr[largest]] = [arr[largest], arr[i]]
+        elements.swap(i, largest)
+        ops.swap()
+        pushFrame(
+          heapSize,
+          [i, largest],
+          [],
+          `Swapped index ${i} with child ${largest}, continuing sift-down from ${largest}`,
+          codeLines.swap,
+          { i, largest },
+        )
+        i = largest
+      }
+    }
+
+    pushFrame(n, [], [], "Initial array shown as a complete binary tree", codeLines.init)
+
+    for (let i = Math.floor(n / 2) - 1; i >= 0; i--) {
+      pushFrame(n, [i], [], `Building max heap: heapify subtree rooted at index ${i}`, codeLines.init, { i })
+      siftDown(i, n)
+    }
+    pushFrame(n, [0], [], `Max heap built - largest element ${arr[0]} is at the root`, codeLines.init)
+
+    for (let end = n - 1; end > 0; end--) {
+      ;[arr[0], arr[end]] = [arr[end], arr[0]]
+      elements.swap(0, end)
+      ops.swap()
+      sorted.push(end)
+      pushFrame(end, [0, end], [], `Moved max ${arr[end]} to position ${end}; heap shrinks to ${end}`, codeLines.swap, {
+        end,
+      })
+      siftDown(0, end)
+    }
+
+    if (n > 0) sorted.push(0)
+    pushFrame(0, [], [], "Array is fully sorted!", codeLines.complete)
+
+    return frames
+  }
+
+  // Largest gap first; every sequence ends with a plain insertion sort at gap 1
+  shellGaps(n, sequence) {
+    let gaps = []
+    if (sequence === "knuth") {
+      for (let gap = 1; gap < n; gap = 3 * gap + 1) gaps.unshift(gap)
+    } else if (sequence === "ciura") {
+      gaps = SHELL_CIURA_GAPS.filter((gap) => gap < n).reverse()
+    } else {
+      for (let gap = Math.floor(n / 2); gap > 0; gap = Math.floor(gap / 2)) gaps.push(gap)
+    }
+    return gaps.length > 0 ? gaps : [1]
+  }
+
+  // Gapped insertion sort; frames carry the gap so the renderer can tint the interleaved groups
+  generateShellSortFrames(array, codeLines = {}, sequence = "shell") {
+    const frames = []
+    const arr = [...array]
+    const n = arr.length
+    const gaps = this.shellGaps(n, sequence)
+    let gap = gaps[0]
+    const ops = new OperationCounter()
+    const elements = new ElementIds(arr.length)
+
+    const pushFrame = (fields) => {
+      frames.push({
+        type: "array",
+        array: [...arr],
+        highlights: [],
+        comparisons: [],
+        sorted: [],
+        gap,
+        gaps,
+        activeGroup: null,
+        algorithm: "Shell Sort",
+        codeLine: null,
+        variables: { gap },
+        stats: ops.snapshot(),
+        ids: elements.snapshot(),
+        ...fields,
+      })
+    }
+
+    pushFrame({
+      description: `Initial array - ${SHELL_GAP_SEQUENCE_NAMES[sequence] || SHELL_GAP_SEQUENCE_NAMES.shell} gaps ${gaps.join(", ")}`,
+      codeLine: codeLines.init,
+    })
+
+    for (gap of gaps) {
+      pushFrame({
+        description:
+          gap > 1
+            ? `Gap ${gap}: insertion sort each of the ${gap} groups of elements ${gap} apart`
+            : "Gap 1: a final insertion sort over the nearly sorted array",
+      })
+
+      for (let i = gap; i < n; i++) {
+        const key = arr[i]
+        const keyId = elements.ids[i]
+        ops.read()
+        const group = i % gap
+        // At gap 1 the prefix before i is sorted for good
+        const sorted = gap === 1 ? Array.from({ length: i }, (_, index) => index) : []
+        let j = i
+
+        pushFrame({
+          highlights: [i],
+          sorted,
+          activeGroup: group,
+          variables: { gap, i, key, j },
+          description: `Inserting ${key} into group ${group}`,
+          codeLine: codeLines.insert,
+        })
+
+        while (j >= gap && ops.compare(arr[j - gap] > key, 1)) {
+          pushFrame({
+            highlights: [j],
+            comparisons: [j - gap],
+            sorted,
+            activeGroup: group,
+            variables: { gap, i, key, j },
+            description: `Comparing ${key} with ${arr[j - gap]}, ${gap} positions back`,
+            codeLine: codeLines.compare,
+          })
+
+          arr[j] = arr[j - gap]
+          elements.copy(j - gap, j)
+          ops.read()
+          ops.write()
+          pushFrame({
+            highlights: [j],
+            sorted,
+            activeGroup: group,
+            variables: { gap, i, key, j },
+            description: `Shifting ${arr[j]} from position ${j - gap} to ${j}`,
+            codeLine: codeLines.shift,
+          })
+          j -= gap
+        }
+
+        arr[j] = key
+        elements.set(j, keyId)
+        ops.write()
+        pushFrame({
+          highlights: [j],
+          sorted: gap === 1 ? Array.from({ length: i + 1 }, (_, index) => index) : [],
+          activeGroup: group,
+          variables: { gap, i, key, j },
+          description: j === i ? `${key} is already in order within its group` : `Inserted ${key} at position ${j}`,
+          codeLine: codeLines.place,
+        })
+      }
+    }
+
+    pushFrame({
+      sorted: Array.from({ length: n }, (_, index) => index),
+      description: "Array is fully sorted!",
+      codeLine: codeLines.complete,
+    })
+
+    return frames
+  }
+
+  // Bubble sort in both directions: each forward pass fixes the largest value, each backward pass the smallest
+  generateCocktailShakerSortFrames(array, codeLines = {}) {
+    const frames = []
+    const arr = [...array]
+    const n = arr.length
+    const sorted = []
+    let start = 0
+    let end = n - 1
+    let swapped = true
+    const ops = new OperationCounter()
+    const elements = new ElementIds(arr.length)
+
+    const pushFrame = (fields) => {
+      frames.push({
+        type: "array",
+        array: [...arr],
+        highlights: [],
+        comparisons: [],
+        sorted: [...sorted],
+        algorithm: "Cocktail Shaker Sort",
+        codeLine: null,
+        variables: { start, end, swapped },
+        stats: ops.snapshot(),
+        ids: elements.snapshot(),
+        ...fields,
+      })
+    }
+
+    // Compares the neighbours at i and i + 1, swapping them when out of order
+    const compareAndSwap = (i, direction) => {
+      const outOfOrder = ops.compare(arr[i] > arr[i + 1])
+      pushFrame({
+        comparisons: [i, i + 1],
+        variables: { start, end, swapped, i },
+        description: `${direction}: comparing elements at positions ${i} and ${i + 1}`,
+        codeLine: codeLines.compare,
+      })
+      if (!outOfOrder) return false
+      ;[arr[i], arr[i + 1]] = [arr[i + 1], arr[i]]
+      elements.swap(i, i + 1)
+      ops.swap()
+      pushFrame({
+        highlights: [i, i + 1],
+        variables: { start, end, swapped: true, i },
+        description: `${direction}: swapped elements at positions ${i} and ${i + 1}`,
+        codeLine: codeLines.swap,
+      })
+      return true
+    }
+
+    pushFrame({ description: "Initial array", codeLine: codeLines.init })
+
+    while (swapped && start < end) {
+      swapped = false
+      for (let i = start; i < end; i++) {
+        if (compareAndSwap(i, "Forward pass")) swapped = true
+      }
+      sorted.push(end)
+      pushFrame({ description: `Largest remaining value settled at position ${end}`, codeLine: codeLines.sorted })
+      end--
+      if (!swapped) break
+
+      swapped = false
+      for (let i = end - 1; i >= start; i--) {
+        if (compareAndSwap(i, "Backward pass")) swapped = true
+      }
+      sorted.push(start)
+      pushFrame({ description: `Smallest remaining value settled at position ${start}`, codeLine: codeLines.sorted })
+      start++
+    }
+
+    pushFrame({
+      sorted: Array.from({ length: n }, (_, index) => index),
+      description: "Array is fully sorted!",
+      codeLine: codeLines.complete,
+    })
+
+    return frames
+  }
+
+  // Bubble sort over a gap that shrinks by 1.3 each pass, ending with gap-1 passes until nothing swaps
+  generateCombSortFrames(array, codeLines = {}) {
+    const frames = []
+    const arr = [...array]
+    const n = arr.length
+    let gap = n
+    let done = false
+    const ops = new OperationCounter()
+    const elements = new ElementIds(arr.length)
+
+    const pushFrame = (fields) => {
+      frames.push({
+        type: "array",
+        array: [...arr],
+        highlights: [],
+        comparisons: [],
+        sorted: [],
+        algorithm: "Comb Sort",
+        codeLine: null,
+        variables: { gap },
+        stats: ops.snapshot(),
+        ids: elements.snapshot(),
+        ...fields,
+      })
+    }
+
+    pushFrame({ description: "Initial array", codeLine: codeLines.init })
+
+    while (!done) {
+      // Integer shrink, matching gap = gap * 10 / 13
+      gap = Math.floor((gap * 10) / 13)
+      if (gap <= 1) {
+        gap = 1
+        done = true
+      }
+      pushFrame({
+        description: gap > 1 ? `Pass with gap ${gap}` : "Pass with gap 1 - the sort ends once nothing is swapped",
+      })
+
+      for (let i = 0; i + gap < n; i++) {
+        const outOfOrder = ops.compare(arr[i] > arr[i + gap])
+        pushFrame({
+          comparisons: [i, i + gap],
+          variables: { gap, i },
+          description: `Comparing elements at positions ${i} and ${i + gap}`,
+          codeLine: codeLines.compare,
+        })
+        if (outOfOrder) {
+          ;[arr[i], arr[i + gap]] = [arr[i + gap], arr[i]]
+          elements.swap(i, i + gap)
+          ops.swap()
+          done = false
+          pushFrame({
+            highlights: [i, i + gap],
+            variables: { gap, i },
+            description: `Swapped elements at positions ${i} and ${i + gap}`,
+            codeLine: codeLines.swap,
+          })
+        }
+      }
+    }
+
+    pushFrame({
+      sorted: Array.from({ length: n }, (_, index) => index),
+      description: "Array is fully sorted!",
+      codeLine: codeLines.complete,
+    })
+
+    return frames
+  }
+
+  // Counts every value, then writes each one back as often as it was counted
+  generateCountingSortFrames(array, codeLines = {}) {
+    const frames = []
+    const arr = [...array]
+    const min = Math.min(...arr)
+    const max = Math.max(...arr)
+
+    if (arr.length === 0 || max - min >= COUNTING_SORT_MAX_RANGE) {
+      return [
+        {
+          type: "array",
+          array: arr,
+          highlights: [],
+          comparisons: [arr.indexOf(min), arr.indexOf(max)].filter((index) => index >= 0),
+          sorted: [],
+          algorithm: "Counting Sort",
+          description:
+            arr.length === 0
+              ? "There are no values to count"
+              : `Values from ${min} to ${max} need ${max - min + 1} counters; this view draws at most ${COUNTING_SORT_MAX_RANGE}`,
+          codeLine: null,
+        },
+      ]
+    }
+
+    const counts = new Array(max - min + 1).fill(0)
+    const labels = counts.map((_, index) => index + min)
+    let written = 0
+    const ops = new OperationCounter()
+    const elements = new ElementIds(arr.length)
+
+    const pushFrame = (fields, auxiliary = {}) => {
+      frames.push({
+        type: "array",
+        array: [...arr],
+        highlights: [],
+        comparisons: [],
+        sorted: Array.from({ length: written }, (_, index) => index),
+        auxiliary: { kind: "counts", label: `count[v - ${min}]`, values: [...counts], labels, ...auxiliary },
+        transfer: null,
+        algorithm: "Counting Sort",
+        codeLine: null,
+        variables: { min, max },
+        stats: ops.snapshot(),
+        ids: elements.snapshot(),
+        ...fields,
+      })
+    }
+
+    pushFrame({ description: `Values range from ${min} to ${max}: one counter per value`, codeLine: codeLines.init })
+
+    arr.forEach((value, index) => {
+      counts[value - min]++
+      ops.read()
+      arr[index] = null
+      elements.set(index, null)
+      pushFrame(
+        {
+          highlights: [index],
+          transfer: { index, slot: value - min, toAuxiliary: true },
+          variables: { min, max, index, value },
+          description: `Count ${value}: count[${value - min}] = ${counts[value - min]}`,
+          codeLine: codeLines.compare,
+        },
+        { highlight: value - min },
+      )
+    })
+
+    counts.forEach((_, slot) => {
+      while (counts[slot] > 0) {
+        counts[slot]--
+        arr[written] = slot + min
+        elements.set(written)
+        ops.write()
+        written++
+        pushFrame(
+          {
+            highlights: [written - 1],
+            transfer: { index: written - 1, slot, toAuxiliary: false },
+            variables: { min, max, slot, written },
+            description: `Write ${slot + min} to position ${written - 1}, ${counts[slot]} left to write`,
+            codeLine: codeLines.swap,
+          },
+          { highlight: slot },
+        )
+      }
+    })
+
+    pushFrame({ description: "Counting sort completed", codeLine: codeLines.complete })
+
+    return frames
+  }
+
+  // LSD radix sort on non-negative integers: distribute into ten digit buckets, collect in order, next digit
+  generateRadixSortFrames(array, codeLines = {}) {
+    const frames = []
+    const arr = [...array]
+    const max = Math.max(...arr)
+    const labels = Array.from({ length: 10 }, (_, digit) => digit)
+    const places = ["1s", "10s", "100s", "1000s"]
+    let buckets = labels.map(() => [])
+    let label = ""
+    const ops = new OperationCounter()
+    const elements = new ElementIds(arr.length)
+
+    if (arr.some((value) => value < 0)) {
+      return [
+        {
+          type: "array",
+          array: arr,
+          highlights: [],
+          comparisons: arr.map((_, index) => index).filter((index) => arr[index] < 0),
+          sorted: [],
+          algorithm: "Radix Sort",
+          description: "This radix sort handles non-negative integers only",
+          codeLine: null,
+        },
+      ]
+    }
+
+    const pushFrame = (fields, auxiliary = {}) => {
+      frames.push({
+        type: "array",
+        array: [...arr],
+        highlights: [],
+        comparisons: [],
+        sorted: [],
+        auxiliary: { kind: "buckets", label, buckets: buckets.map((bucket) => [...bucket]), labels, ...auxiliary },
+        transfer: null,
+        algorithm: "Radix Sort",
+        codeLine: null,
+        variables: { max },
+        stats: ops.snapshot(),
+        ids: elements.snapshot(),
+        ...fields,
+      })
+    }
+
+    let pass = 0
+    for (let exp = 1; Math.floor(max / exp) > 0; exp *= 10, pass++) {
+      const place = places[pass] || `10^${pass}`
+      label = `Pass ${pass + 1}: ${place} digit`
+      buckets = labels.map(() => [])
+      pushFrame({
+        description: `Pass ${pass + 1}: distribute by the ${place} digit`,
+        codeLine: codeLines.init,
+        variables: { exp, max },
+      })
+
+      arr.forEach((value, index) => {
+        const digit = Math.floor(value / exp) % 10
+        buckets[digit].push(value)
+        ops.read()
+        arr[index] = null
+        elements.set(index, null)
+        pushFrame(
+          {
+            highlights: [index],
+            transfer: { index, slot: digit, toAuxiliary: true },
+            variables: { exp, max, index, value, digit },
+            description: `${value} has ${place} digit ${digit}: into bucket ${digit}`,
+            codeLine: codeLines.compare,
+          },
+          { highlight: digit, highlightItem: buckets[digit].length - 1 },
+        )
+      })
+
+      // Collecting front to back keeps each bucket's order, which is what makes the passes stable
+      let index = 0
+      buckets.forEach((bucket, digit) => {
+        while (bucket.length > 0) {
+          arr[index] = bucket.shift()
+          elements.set(index)
+          ops.write()
+          pushFrame(
+            {
+              highlights: [index],
+              transfer: { index, slot: digit, toAuxiliary: false },
+              variables: { exp, max, index, digit },
+              description: `Collect ${arr[index]} from bucket ${digit} into position ${index}`,
+              codeLine: codeLines.swap,
+            },
+            { highlight: digit },
+          )
+          index++
+        }
+      })
+    }
+
+    pushFrame({
+      sorted: arr.map((_, index) => index),
+      description: `Radix sort completed after ${pass} pass${pass === 1 ? "" : "es"}`,
+      codeLine: codeLines.complete,
+    })
+
+    return frames
+  }
+
+  // Splits the value range into equal slices, sorts each bucket, then concatenates them
+  generateBucketSortFrames(array, codeLines = {}, bucketCount = Math.max(1, Math.round(Math.sqrt(array.length)))) {
+    const frames = []
+    const arr = [...array]
+    const min = Math.min(...arr)
+    const range = Math.max(...arr) - min + 1
+    const buckets = Array.from({ length: bucketCount }, () => [])
+    // Bucket b holds values from min + b * range / bucketCount up to the next bucket's start
+    const labels = buckets.map((_, b) => {
+      const low = min + Math.ceil((b * range) / bucketCount)
+      const high = min + Math.ceil(((b + 1) * range) / bucketCount) - 1
+      return `${low}–${high}`
+    })
+    let written = 0
+    const ops = new OperationCounter()
+    const elements = new ElementIds(arr.length)
+
+    const pushFrame = (fields, auxiliary = {}) => {
+      frames.push({
+        type: "array",
+        array: [...arr],
+        highlights: [],
+        comparisons: [],
+        sorted: Array.from({ length: written }, (_, index) => index),
+        auxiliary: {
+          kind: "buckets",
+          label: `${bucketCount} buckets over ${min}–${min + range - 1}`,
+          buckets: buckets.map((bucket) => [...bucket]),
+          labels,
+          ...auxiliary,
+        },
+        transfer: null,
+        algorithm: "Bucket Sort",
+        codeLine: null,
+        variables: { min, bucketCount },
+        stats: ops.snapshot(),
+        ids: elements.snapshot(),
+        ...fields,
+      })
+    }
+
+    pushFrame({
+      description: `Split the range ${min}–${min + range - 1} into ${bucketCount} buckets`,
+      codeLine: codeLines.init,
+    })
+
+    arr.forEach((value, index) => {
+      const b = Math.floor(((value - min) * bucketCount) / range)
+      buckets[b].push(value)
+      ops.read()
+      arr[index] = null
+      elements.set(index, null)
+      pushFrame(
+        {
+          highlights: [index],
+          transfer: { index, slot: b, toAuxiliary: true },
+          variables: { min, bucketCount, index, value, b },
+          description: `${value} falls in ${labels[b]}: into bucket ${b}`,
+          codeLine: codeLines.compare,
+        },
+        { highlight: b, highlightItem: buckets[b].length - 1 },
+      )
+    })
+
+    buckets.forEach((bucket, b) => {
+      if (bucket.length < 2) return
+      const before = bucket.join(", ")
+      // Insertion sort, which is also what std::sort does with ranges this small
+      for (let i = 1; i < bucket.length; i++) {
+        const value = bucket[i]
+        let j = i - 1
+        while (j >= 0 && ops.compare(bucket[j] > value, 0)) {
+          bucket[j + 1] = bucket[j]
+          j--
+        }
+        bucket[j + 1] = value
+      }
+      pushFrame(
+        {
+          description: `Sort bucket ${b}: [${before}] → [${bucket.join(", ")}]`,
+          codeLine: codeLines.swap,
+          variables: { min, bucketCount, b },
+        },
+        { highlight: b },
+      )
+    })
+
+    buckets.forEach((bucket, b) => {
+      while (bucket.length > 0) {
+        arr[written] = bucket.shift()
+        elements.set(written)
+        ops.write()
+        written++
+        pushFrame(
+          {
+            highlights: [written - 1],
+            transfer: { index: written - 1, slot: b, toAuxiliary: false },
+            variables: { min, bucketCount, b, written },
+            description: `Move ${arr[written - 1]} from bucket ${b} to position ${written - 1}`,
+            codeLine: codeLines.swap,
+          },
+          { highlight: b },
+        )
+      }
+    })
+
+    pushFrame({ description: "Bucket sort completed", codeLine: codeLines.complete })
+
+    return frames
+  }
+
+  generateLinearSearchFrames(array, target, codeLines) {
+    const frames = []
+    const ops = new OperationCounter()
+
+    for (let i = 0; i < array.length; i++) {
+      const found = ops.compare(array[i] === target, 1)
+      frames.push({
+        type: "search",
+        array: [...array],
+        currentIndex: i,
+        target: target,
+        found,
+        step: `Checking index ${i}: ${array[i]} ${found ? "== " + target + " (Found!)" : "!= " + target}`,
+        codeLine: i < codeLines.length ? codeLines[i] : null,
+        variables: { i, target },
+        stats: ops.snapshot(),
+      })
+
+      if (found) {
+        frames.push({
+          type: "search",
+          array: [...array],
+          currentIndex: i,
+          target: target,
+          found: true,
+          completed: true,
+          step: `Element ${target} found at index ${i}`,
+          codeLine: null,
+          variables: { i, target },
+          stats: ops.snapshot(),
+        })
+        break
+      }
+    }
+
+    if (frames.length === 0 || !frames[frames.length - 1].found) {
+      frames.push({
+        type: "search",
+        array: [...array],
+        currentIndex: -1,
+        target: target,
+        found: false,
+        completed: true,
+        step: `Element ${target} not found in array`,
+        codeLine: null,
+        variables: { i: array.length, target },
+        stats: ops.snapshot(),
+      })
+    }
+
+    return frames
+  }
+
+  generateBinarySearchFrames(array, target, codeLines) {
+    const frames = []
+    let left = 0
+    let right = array.length - 1
+    const ops = new OperationCounter()
+
+    while (left <= right) {
+      const mid = Math.floor((left + right) / 2)
+      const found = ops.compare(array[mid] === target, 1)
+
+      frames.push({
+        type: "binary_search",
+        array: [...array],
+        left: left,
+        right: right,
+        mid: mid,
+        target: target,
+        step: `Checking middle element at index ${mid}: ${array[mid]}`,
+        codeLine: frames.length < codeLines.length ? codeLines[frames.length] : null,
+        variables: { left, right, mid, target },
+        stats: ops.snapshot(),
+      })
+
+      if (found) {
+        frames.push({
+          type: "binary_search",
+          array: [...array],
+          left: left,
+          right: right,
+          mid: mid,
+          target: target,
+          found: true,
+          completed: true,
+          step: `Element ${target} found at index ${mid}`,
+          codeLine: null,
+          variables: { left, right, mid, target },
+          stats: ops.snapshot(),
+        })
+        break
+      } else if (ops.compare(array[mid] < target, 1)) {
+        left = mid + 1
+        frames.push({
+          type: "binary_search",
+          array: [...array],
+          left: left,
+          right: right,
+          mid: -1,
+          target: target,
+          step: `${array[mid]} < ${target}, search right half`,
+          codeLine: null,
+          variables: { left, right, mid, target },
+          stats: ops.snapshot(),
+        })
+      } else {
+        right = mid - 1
+        frames.push({
+          type: "binary_search",
+          array: [...array],
+          left: left,
+          right: right,
+          mid: -1,
+          target: target,
+          step: `${array[mid]} > ${target}, search left half`,
+          codeLine: null,
+          variables: { left, right, mid, target },
+          stats: ops.snapshot(),
         })
       }
+    }
 
-      // Mark as sorted
+    if (frames.length === 0 || !frames[frames.length - 1].found) {
       frames.push({
-        type: "array",
-        array: [...arr],
+        type: "binary_search",
+        array: [...array],
+        left: left,
+        right: right,
+        mid: -1,
+        target: target,
+        found: false,
+        completed: true,
+        step: `Element ${target} not found in array`,
+        codeLine: null,
+        variables: { left, right, target },
+        stats: ops.snapshot(),
+      })
+    }
+
+    return frames
+  }
+
+  // Inserts the keys one by one, then searches for the target. Nodes are numbered in insertion order, like the
+  // program's parallel arrays, so a node keeps its id (and its place in the highlights) as the tree grows
+  generateBSTFrames(keys, target, codeLines = {}) {
+    const frames = []
+    const nodes = []
+    let root = null
+    const ops = new OperationCounter()
+
+    // Every frame gets its own copy of the tree, since later insertions change the links
+    const snapshot = (id) =>
+      id === null
+        ? null
+        : { id, value: nodes[id].value, left: snapshot(nodes[id].left), right: snapshot(nodes[id].right) }
+
+    const pushFrame = (fields) => {
+      frames.push({
+        type: "tree",
+        tree: snapshot(root),
         highlights: [],
         comparisons: [],
-        sorted: Array.from({ length: i + 1 }, (_, idx) => idx),
-        algorithm: "Selection Sort",
-        description: `Position ${i} is now sorted`,
-        codeLine: codeLines.sorted || null,
+        sorted: [],
+        path: [],
+        algorithm: "Binary Search Tree",
+        codeLine: null,
+        stats: ops.snapshot(),
+        ...fields,
+      })
+    }
+
+    pushFrame({
+      description: keys.length > 0 ? `Insert ${keys.join(", ")}, then search for ${target}` : `Search for ${target}`,
+      codeLine: codeLines.init,
+    })
+
+    keys.forEach((value) => {
+      const path = []
+      let parent = null
+      let goLeft = false
+      for (let current = root; current !== null; current = goLeft ? nodes[current].left : nodes[current].right) {
+        path.push(current)
+        goLeft = ops.compare(value < nodes[current].value, 1)
+        parent = current
+        pushFrame({
+          comparisons: [current],
+          path: [...path],
+          variables: { value, key: nodes[current].value },
+          description: `${value} ${goLeft ? "<" : "≥"} ${nodes[current].value}: go ${goLeft ? "left" : "right"}`,
+          codeLine: codeLines.compare,
+        })
+      }
+
+      const id = nodes.length
+      nodes.push({ value, left: null, right: null })
+      ops.write()
+      if (parent === null) root = id
+      else if (goLeft) nodes[parent].left = id
+      else nodes[parent].right = id
+      pushFrame({
+        highlights: [id],
+        path: [...path, id],
+        variables: { value },
+        description:
+          parent === null
+            ? `${value} becomes the root`
+            : `${value} becomes the ${goLeft ? "left" : "right"} child of ${nodes[parent].value}`,
+        codeLine: codeLines.place,
+      })
+    })
+
+    // Like the program: an equality test first, then which side to go down
+    const path = []
+    let current = root
+    let found = false
+    while (current !== null) {
+      path.push(current)
+      if (ops.compare(nodes[current].value === target, 1)) {
+        found = true
+        break
+      }
+      const goLeft = ops.compare(target < nodes[current].value, 1)
+      pushFrame({
+        comparisons: [current],
+        path: [...path],
+        variables: { target, key: nodes[current].value },
+        description: `${target} ${goLeft ? "<" : ">"} ${nodes[current].value}: search the ${goLeft ? "left" : "right"} subtree`,
+      })
+      current = goLeft ? nodes[current].left : nodes[current].right
+    }
+
+    pushFrame({
+      sorted: found ? [current] : [],
+      path,
+      variables: { target },
+      description: found
+        ? `Found ${target} after visiting ${path.length} node${path.length === 1 ? "" : "s"}`
+        : `${target} is not in the tree`,
+      codeLine: codeLines.complete,
+    })
+
+    return frames
+  }
+
+  generateBFSFrames(graph, start, codeLines) {
+    const frames = []
+    const visited = new Array(graph.length).fill(false)
+    const queue = [start]
+    const traversalOrder = []
+
+    visited[start] = true
+
+    frames.push({
+      type: "graph",
+      graph: graph,
+      start,
+      layoutHint: "layered",
+      visited: [...visited],
+      queue: [...queue],
+      current: start,
+      traversalOrder: [...traversalOrder],
+      step: `Starting BFS from vertex ${start}`,
+      codeLine: 0,
+    })
+
+    while (queue.length > 0) {
+      const vertex = queue.shift()
+      traversalOrder.push(vertex)
+
+      frames.push({
+        type: "graph",
+        graph: graph,
+        start,
+        layoutHint: "layered",
+        visited: [...visited],
+        queue: [...queue],
+        current: vertex,
+        traversalOrder: [...traversalOrder],
+        step: `Visiting vertex ${vertex}`,
+        codeLine: frames.length < codeLines.length ? codeLines[frames.length] : null,
+      })
+
+      for (const neighbor of graph[vertex]) {
+        if (!visited[neighbor]) {
+          visited[neighbor] = true
+          queue.push(neighbor)
+
+          frames.push({
+            type: "graph",
+            graph: graph,
+            start,
+            layoutHint: "layered",
+            visited: [...visited],
+            queue: [...queue],
+            current: vertex,
+            traversalOrder: [...traversalOrder],
+            step: `Added vertex ${neighbor} to queue`,
+            codeLine: null,
+          })
+        }
+      }
+    }
+
+    frames.push({
+      type: "graph",
+      graph: graph,
+      start,
+      layoutHint: "layered",
+      visited: [...visited],
+      queue: [],
+      current: -1,
+      traversalOrder: [...traversalOrder],
+      completed: true,
+      step: `BFS completed. Traversal order: ${traversalOrder.join(" → ")}`,
+      codeLine: null,
+    })
+
+    return frames
+  }
+
+  generateDFSFrames(graph, start, codeLines) {
+    const frames = []
+    const visited = new Array(graph.length).fill(false)
+    const traversalOrder = []
+    const calls = new CallRecorder()
+
+    const dfsUtil = (vertex) => {
+      calls.enter("dfsUtil", [["v", vertex]])
+      visited[vertex] = true
+      traversalOrder.push(vertex)
+
+      frames.push({
+        type: "graph",
+        graph: graph,
+        start,
+        visited: [...visited],
+        queue: [],
+        current: vertex,
+        traversalOrder: [...traversalOrder],
+        step: `Visiting vertex ${vertex}`,
+        codeLine: frames.length < codeLines.length ? codeLines[frames.length] : null,
+        ...calls.snapshot(),
+      })
+
+      for (const neighbor of graph[vertex]) {
+        calls.setLocal("neighbor", neighbor)
+        if (!visited[neighbor]) {
+          dfsUtil(neighbor)
+        }
+      }
+
+      // Backtracking is where the call stack shrinks
+      frames.push({
+        type: "graph",
+        graph: graph,
+        start,
+        visited: [...visited],
+        queue: [],
+        current: vertex,
+        traversalOrder: [...traversalOrder],
+        step: `Every neighbour of ${vertex} is visited, returning`,
+        codeLine: null,
+        ...calls.snapshot(),
+      })
+      calls.exit()
+    }
+
+    frames.push({
+      type: "graph",
+      graph: graph,
+      start,
+      visited: [...visited],
+      queue: [],
+      current: start,
+      traversalOrder: [...traversalOrder],
+      step: `Starting DFS from vertex ${start}`,
+      codeLine: 0,
+    })
+
+    dfsUtil(start)
+
+    frames.push({
+      type: "graph",
+      graph: graph,
+      start,
+      visited: [...visited],
+      queue: [],
+      current: -1,
+      traversalOrder: [...traversalOrder],
+      completed: true,
+      step: `DFS completed. Traversal order: ${traversalOrder.join(" → ")}`,
+      codeLine: null,
+      ...calls.snapshot(),
+    })
+
+    return frames
+  }
+
+  // Lazy-deletion Dijkstra like the template: stale queue entries are popped and skipped
+  generateDijkstraFrames(graphData, codeLines = {}) {
+    const frames = []
+    const { graph, start, directed } = graphData
+    const edges = graphData.edges.map((edge) => ({ ...edge, weight: edge.weight === undefined ? 1 : edge.weight }))
+    const adjacency = graph.map(() => [])
+    edges.forEach(({ from, to, weight }) => {
+      adjacency[from].push({ to, weight })
+      if (!directed) adjacency[to].push({ to: from, weight })
+    })
+
+    const distances = new Array(graph.length).fill(Infinity)
+    const parent = new Array(graph.length).fill(-1)
+    const visited = new Array(graph.length).fill(false)
+    const traversalOrder = []
+    const priorityQueue = []
+
+    const pushFrame = (fields) => {
+      frames.push({
+        type: "graph",
+        graph,
+        edges,
+        directed,
+        start,
+        visited: [...visited],
+        queue: [],
+        current: -1,
+        traversalOrder: [...traversalOrder],
+        distances: [...distances],
+        priorityQueue: priorityQueue.map((entry) => ({ ...entry })),
+        pathEdges: parent.map((from, to) => ({ from, to })).filter((edge) => edge.from !== -1),
+        relaxedEdge: null,
+        algorithm: "Dijkstra's Algorithm",
+        codeLine: null,
+        ...fields,
+      })
+    }
+
+    distances[start] = 0
+    priorityQueue.push({ vertex: start, distance: 0 })
+    pushFrame({ current: start, description: `Start at vertex ${start} with distance 0`, codeLine: codeLines.init })
+
+    while (priorityQueue.length > 0) {
+      priorityQueue.sort((a, b) => a.distance - b.distance || a.vertex - b.vertex)
+      const { vertex: u, distance } = priorityQueue.shift()
+
+      if (visited[u]) {
+        pushFrame({
+          current: u,
+          description: `Popped stale entry (${distance}, ${u}) - vertex ${u} is already final at ${distances[u]}`,
+          codeLine: codeLines.compare,
+        })
+        continue
+      }
+
+      visited[u] = true
+      traversalOrder.push(u)
+      pushFrame({
+        current: u,
+        description: `Pop vertex ${u} with distance ${distance} - now final`,
+        codeLine: codeLines.compare,
       })
+
+      for (const { to: v, weight } of adjacency[u]) {
+        if (visited[v]) continue
+        const candidate = distance + weight
+        const previous = distances[v]
+        const improved = candidate < previous
+        if (improved) {
+          distances[v] = candidate
+          parent[v] = u
+          priorityQueue.push({ vertex: v, distance: candidate })
+        }
+        const shown = previous === Infinity ? "∞" : previous
+        pushFrame({
+          current: u,
+          relaxedEdge: { from: u, to: v, improved },
+          description: improved
+            ? `Relax ${u} → ${v}: ${distance} + ${weight} = ${candidate} < ${shown}, dist[${v}] = ${candidate}`
+            : `Edge ${u} → ${v}: ${distance} + ${weight} = ${candidate} is not shorter than ${shown}`,
+          codeLine: codeLines.swap,
+        })
+      }
     }
 
-    // Final frame
-    frames.push({
-      type: "array",
-      array: [...arr],
-      highlights: [],
-      comparisons: [],
-      sorted: Array.from({ length: n }, (_, i) => i),
-      algorithm: "Selection Sort",
-      description: "Array is fully sorted!",
-      codeLine: codeLines.complete || null,
-    })
+    const summary = distances.map((value, vertex) => `${vertex}:${value === Infinity ? "∞" : value}`).join(" ")
+    pushFrame({ description: `Shortest distances from ${start} - ${summary}`, codeLine: codeLines.complete })
 
     return frames
   }
 
-  generateInsertionSortFrames(array, codeLines = {}) {
+  // Grows the tree from the start vertex, always taking the lightest edge that leaves it
+  generatePrimFrames(graphData, codeLines = {}) {
     const frames = []
-    const arr = [...array]
-    const n = arr.length
-
-    frames.push({
-      type: "array",
-      array: [...arr],
-      highlights: [],
-      comparisons: [],
-      sorted: [0],
-      algorithm: "Insertion Sort",
-      description: "Initial array - first element is considered sorted",
-      codeLine: codeLines.init || null,
+    const { graph, start } = graphData
+    const edges = graphData.edges.map((edge) => ({ ...edge, weight: edge.weight === undefined ? 1 : edge.weight }))
+    const adjacency = graph.map(() => [])
+    edges.forEach(({ from, to, weight }) => {
+      adjacency[from].push({ to, weight })
+      adjacency[to].push({ to: from, weight })
     })
 
-    for (let i = 1; i < n; i++) {
-      const key = arr[i]
-      let j = i - 1
+    const inTree = new Array(graph.length).fill(false)
+    const traversalOrder = []
+    const treeEdges = []
+    const rejectedEdges = []
+    const priorityQueue = []
+    let totalWeight = 0
 
-      // Show current element to insert
+    const pushFrame = (fields) => {
       frames.push({
-        type: "array",
-        array: [...arr],
-        highlights: [i],
-        comparisons: [],
-        sorted: Array.from({ length: i }, (_, idx) => idx),
-        algorithm: "Insertion Sort",
-        description: `Inserting element ${key} into sorted portion`,
-        codeLine: codeLines.insert || null,
+        type: "graph",
+        graph,
+        edges,
+        directed: false,
+        start,
+        visited: [...inTree],
+        queue: [],
+        current: -1,
+        traversalOrder: [...traversalOrder],
+        priorityQueue: priorityQueue.map((entry) => ({ ...entry })),
+        pathEdges: [...treeEdges],
+        rejectedEdges: [...rejectedEdges],
+        activeEdge: null,
+        totalWeight,
+        algorithm: "Prim's Algorithm",
+        codeLine: null,
+        ...fields,
       })
+    }
 
-      while (j >= 0 && arr[j] > key) {
-        // Show comparison
-        frames.push({
-          type: "array",
-          array: [...arr],
-          highlights: [i],
-          comparisons: [j],
-          sorted: Array.from({ length: i }, (_, idx) => idx),
-          algorithm: "Insertion Sort",
-          description: `Comparing ${key} with ${arr[j]}`,
-          codeLine: codeLines.compare || null,
+    const label = (entry) => `w ${entry.distance}: ${entry.from} — ${entry.vertex}`
+    priorityQueue.push({ vertex: start, distance: 0, from: -1, label: `start at v${start}` })
+    pushFrame({ current: start, description: `Start the tree at vertex ${start}`, codeLine: codeLines.init })
+
+    while (priorityQueue.length > 0) {
+      priorityQueue.sort((a, b) => a.distance - b.distance || a.vertex - b.vertex)
+      const { vertex: u, distance: weight, from } = priorityQueue.shift()
+      const edge = { from, to: u }
+
+      if (inTree[u]) {
+        rejectedEdges.push(edge)
+        pushFrame({
+          current: u,
+          activeEdge: edge,
+          description: `Skip edge ${from} — ${u} (weight ${weight}): vertex ${u} is already in the tree`,
+          codeLine: codeLines.compare,
         })
+        continue
+      }
 
-        arr[j + 1] = arr[j]
+      inTree[u] = true
+      traversalOrder.push(u)
+      if (from !== -1) {
+        treeEdges.push(edge)
+        totalWeight += weight
+      }
+      pushFrame({
+        current: u,
+        activeEdge: from === -1 ? null : edge,
+        description:
+          from === -1
+            ? `Add vertex ${u} to the tree`
+            : `Accept edge ${from} — ${u} (weight ${weight}), total weight ${totalWeight}`,
+        codeLine: codeLines.swap,
+      })
 
-        // Show shift
-        frames.push({
-          type: "array",
-          array: [...arr],
-          highlights: [j + 1],
-          comparisons: [],
-          sorted: Array.from({ length: i }, (_, idx) => idx),
-          algorithm: "Insertion Sort",
-          description: `Shifting ${arr[j]} to the right`,
-          codeLine: codeLines.shift || null,
+      const added = []
+      for (const { to: v, weight: w } of adjacency[u]) {
+        if (inTree[v]) continue
+        const entry = { vertex: v, distance: w, from: u }
+        priorityQueue.push({ ...entry, label: label(entry) })
+        added.push(v)
+      }
+      if (added.length > 0) {
+        pushFrame({
+          current: u,
+          description: `Push the edges from ${u} to ${added.join(", ")} onto the queue`,
+          codeLine: codeLines.compare,
         })
-
-        j--
       }
+    }
 
-      arr[j + 1] = key
+    // Prim only grows the tree from the start vertex, so anything in another component is never reached
+    const unreached = graph.map((_, vertex) => vertex).filter((vertex) => !inTree[vertex])
+    pushFrame({
+      description:
+        treeEdges.length >= graph.length - 1
+          ? `Minimum spanning tree complete: ${treeEdges.length} edges, total weight ${totalWeight}`
+          : `The graph is disconnected: the tree from ${start} spans ${traversalOrder.length} of ${graph.length} vertices (${treeEdges.length} edges, total weight ${totalWeight}); not reached: ${unreached.join(", ")}`,
+      codeLine: codeLines.complete,
+    })
 
-      // Show insertion
+    return frames
+  }
+
+  // Edges in weight order; union-find with path compression and union by rank rejects the ones that close a cycle
+  generateKruskalFrames(graphData, codeLines = {}) {
+    const frames = []
+    const { graph, start } = graphData
+    const edges = graphData.edges.map((edge) => ({ ...edge, weight: edge.weight === undefined ? 1 : edge.weight }))
+    const sorted = [...edges].sort((a, b) => a.weight - b.weight)
+
+    const parent = graph.map((_, vertex) => vertex)
+    const rank = new Array(graph.length).fill(0)
+    const touched = new Array(graph.length).fill(false)
+    const treeEdges = []
+    const rejectedEdges = []
+    let totalWeight = 0
+
+    const pushFrame = (fields, unionFind = {}) => {
       frames.push({
-        type: "array",
-        array: [...arr],
-        highlights: [j + 1],
-        comparisons: [],
-        sorted: Array.from({ length: i + 1 }, (_, idx) => idx),
-        algorithm: "Insertion Sort",
-        description: `Inserted ${key} at position ${j + 1}`,
-        codeLine: codeLines.place || null,
+        type: "graph",
+        graph,
+        edges,
+        directed: false,
+        start,
+        visited: [...touched],
+        queue: [],
+        current: -1,
+        traversalOrder: [],
+        pathEdges: [...treeEdges],
+        rejectedEdges: [...rejectedEdges],
+        activeEdge: null,
+        totalWeight,
+        unionFind: { parent: [...parent], highlight: [], roots: [], operation: "", ...unionFind },
+        algorithm: "Kruskal's Algorithm",
+        codeLine: null,
+        ...fields,
       })
     }
 
-    // Final frame
-    frames.push({
-      type: "array",
-      array: [...arr],
-      highlights: [],
-      comparisons: [],
-      sorted: Array.from({ length: n }, (_, i) => i),
-      algorithm: "Insertion Sort",
-      description: "Array is fully sorted!",
-      codeLine: codeLines.complete || null,
-    })
+    const find = (vertex, activeEdge) => {
+      const path = [vertex]
+      while (parent[path[path.length - 1]] !== path[path.length - 1]) path.push(parent[path[path.length - 1]])
+      const root = path[path.length - 1]
+      pushFrame(
+        { activeEdge, current: vertex, description: `find(${vertex}): follow parents ${path.join(" → ")}` },
+        { highlight: path, roots: [root], operation: `find(${vertex}) = ${root}` },
+      )
+
+      // Everything on the path now points straight at the root
+      const compressed = path.slice(0, -1).filter((node) => parent[node] !== root)
+      if (compressed.length > 0) {
+        compressed.forEach((node) => (parent[node] = root))
+        pushFrame(
+          {
+            activeEdge,
+            current: vertex,
+            description: `Path compression: ${compressed.join(", ")} now point at ${root}`,
+          },
+          { highlight: [...compressed, root], roots: [root], operation: "compress path" },
+        )
+      }
+      return root
+    }
+
+    pushFrame(
+      {
+        description: `Sort edges by weight: ${sorted.map((edge) => `${edge.from}—${edge.to} (${edge.weight})`).join(", ")}`,
+        codeLine: codeLines.init,
+      },
+      { operation: "every vertex is its own set" },
+    )
+
+    for (const edge of sorted) {
+      if (treeEdges.length === graph.length - 1) break
+      const activeEdge = { from: edge.from, to: edge.to }
+      pushFrame(
+        {
+          activeEdge,
+          description: `Consider edge ${edge.from} — ${edge.to} (weight ${edge.weight})`,
+          codeLine: codeLines.compare,
+        },
+        { highlight: [edge.from, edge.to], operation: `edge ${edge.from} — ${edge.to}` },
+      )
+
+      const rootFrom = find(edge.from, activeEdge)
+      const rootTo = find(edge.to, activeEdge)
+
+      if (rootFrom === rootTo) {
+        rejectedEdges.push(activeEdge)
+        pushFrame(
+          {
+            activeEdge,
+            description: `Reject ${edge.from} — ${edge.to}: both ends are already in set ${rootFrom}, it would close a cycle`,
+            codeLine: codeLines.compare,
+          },
+          { highlight: [edge.from, edge.to], roots: [rootFrom], operation: "same set - cycle" },
+        )
+        continue
+      }
+
+      // Union by rank: the shallower tree hangs under the deeper one
+      const [child, root] = rank[rootFrom] < rank[rootTo] ? [rootFrom, rootTo] : [rootTo, rootFrom]
+      parent[child] = root
+      if (rank[rootFrom] === rank[rootTo]) rank[root]++
+      treeEdges.push(activeEdge)
+      touched[edge.from] = true
+      touched[edge.to] = true
+      totalWeight += edge.weight
+      pushFrame(
+        {
+          activeEdge,
+          description: `Accept ${edge.from} — ${edge.to} (weight ${edge.weight}): union(${child}, ${root}), total weight ${totalWeight}`,
+          codeLine: codeLines.swap,
+        },
+        { highlight: [child, root], roots: [root], operation: `union: ${child} under ${root}` },
+      )
+    }
+
+    // Every accepted edge joins two components, so whatever is left over is a forest with one tree per component
+    const components = graph.length - treeEdges.length
+    pushFrame(
+      {
+        description:
+          components <= 1
+            ? `Minimum spanning tree complete: ${treeEdges.length} edges, total weight ${totalWeight}`
+            : `The graph is disconnected: minimum spanning forest of ${components} trees, ${treeEdges.length} edges, total weight ${totalWeight}`,
+        codeLine: codeLines.complete,
+      },
+      { operation: "done" },
+    )
 
     return frames
   }
 
-  generateMergeSortFrames(array, codeLines = {}) {
+  // V - 1 passes relaxing every edge in list order, then one more pass that only looks for an edge that still relaxes
+  generateBellmanFordFrames(graphData, codeLines = {}) {
     const frames = []
-    const arr = [...array]
+    const { graph, start, directed } = graphData
+    const edges = graphData.edges.map((edge) => ({ ...edge, weight: edge.weight === undefined ? 1 : edge.weight }))
+    // Undirected edges relax both ways, like two directed edges
+    const relaxOrder = directed
+      ? edges
+      : edges.flatMap((edge) => [edge, { from: edge.to, to: edge.from, weight: edge.weight }])
+    const n = graph.length
+
+    const distances = new Array(n).fill(Infinity)
+    const parent = new Array(n).fill(-1)
+    const passes = []
+    const vertexLabels = graph.map((_, vertex) => vertex)
+    const shown = (value) => (value === Infinity ? "∞" : value)
+
+    const pushFrame = (fields, matrix = {}) => {
+      frames.push({
+        type: "graph",
+        graph,
+        edges,
+        directed,
+        start,
+        visited: distances.map((distance) => distance !== Infinity),
+        queue: [],
+        current: -1,
+        traversalOrder: [],
+        distances: [...distances],
+        pathEdges: parent.map((from, to) => ({ from, to })).filter((edge) => edge.from !== -1),
+        relaxedEdge: null,
+        matrix: {
+          title: "dist after each pass",
+          cells: passes.map((row) => [...row]),
+          rowLabels: passes.map((_, pass) => (pass < n ? `p${pass}` : "chk")),
+          colLabels: vertexLabels,
+          ...matrix,
+        },
+        algorithm: "Bellman-Ford Algorithm",
+        codeLine: null,
+        ...fields,
+      })
+    }
 
-    frames.push({
-      type: "array",
-      array: [...arr],
-      highlights: [],
-      comparisons: [],
-      algorithm: "Merge Sort",
-      description: "Initial array",
-      codeLine: codeLines.init || null,
+    distances[start] = 0
+    passes.push([...distances])
+    pushFrame({
+      current: start,
+      description: `dist[${start}] = 0, every other distance starts at ∞`,
+      codeLine: codeLines.init,
     })
 
-    const mergeSort = (arr, left, right, depth = 0) => {
-      if (left >= right) return
+    for (let pass = 1; pass < n; pass++) {
+      passes.push([...distances])
+      let changed = false
+      pushFrame({ description: `Pass ${pass} of ${n - 1}: relax every edge` }, { highlightRow: pass })
+
+      for (const { from: u, to: v, weight } of relaxOrder) {
+        const relaxedEdge = { from: u, to: v, improved: false }
+        if (distances[u] === Infinity) {
+          pushFrame(
+            { current: u, relaxedEdge, description: `Pass ${pass}: skip ${u} → ${v}, dist[${u}] is still ∞` },
+            { highlightRow: pass },
+          )
+          continue
+        }
+
+        const candidate = distances[u] + weight
+        const previous = distances[v]
+        relaxedEdge.improved = candidate < previous
+        if (relaxedEdge.improved) {
+          distances[v] = candidate
+          parent[v] = u
+          passes[pass][v] = candidate
+          changed = true
+        }
+        pushFrame(
+          {
+            current: u,
+            relaxedEdge,
+            description: relaxedEdge.improved
+              ? `Pass ${pass}: relax ${u} → ${v}, ${distances[u]} + ${weight} = ${candidate} < ${shown(previous)}`
+              : `Pass ${pass}: ${u} → ${v} gives ${candidate}, not shorter than ${shown(previous)}`,
+            codeLine: codeLines.swap,
+          },
+          { highlightRow: pass, current: [pass, v], dependencies: [[pass, u]] },
+        )
+      }
 
-      const mid = Math.floor((left + right) / 2)
+      if (!changed) {
+        pushFrame(
+          { description: `Pass ${pass} changed nothing - later passes would not either` },
+          { highlightRow: pass },
+        )
+      }
+    }
+
+    // The extra pass: any edge that still relaxes is on or reachable from a negative cycle
+    passes.push([...distances])
+    for (const { from: u, to: v, weight } of relaxOrder) {
+      if (distances[u] === Infinity || distances[u] + weight >= distances[v]) continue
+
+      // Walking back n parent links from v is guaranteed to land on the cycle itself
+      parent[v] = u
+      let onCycle = v
+      for (let step = 0; step < n; step++) onCycle = parent[onCycle]
+      const cycleVertices = [onCycle]
+      for (let vertex = parent[onCycle]; vertex !== onCycle; vertex = parent[vertex]) cycleVertices.push(vertex)
+      const cycleEdges = cycleVertices.map((vertex) => ({ from: parent[vertex], to: vertex }))
+      const cycleWeight = cycleEdges.reduce(
+        (sum, cycleEdge) =>
+          sum + relaxOrder.find((edge) => edge.from === cycleEdge.from && edge.to === cycleEdge.to).weight,
+        0,
+      )
+
+      pushFrame(
+        {
+          current: u,
+          relaxedEdge: { from: u, to: v, improved: true },
+          cycleEdges,
+          cycleVertices,
+          description: `Edge ${u} → ${v} still relaxes after ${n - 1} passes: negative cycle ${[...cycleVertices, onCycle].reverse().join(" → ")} (total ${cycleWeight})`,
+          codeLine: codeLines.complete,
+        },
+        { highlightRow: n, current: [n, v], dependencies: [[n, u]] },
+      )
+      return frames
+    }
 
-      // Show division
+    const summary = distances.map((value, vertex) => `${vertex}:${shown(value)}`).join(" ")
+    pushFrame(
+      {
+        description: `No edge relaxes any further, so there is no negative cycle - ${summary}`,
+        codeLine: codeLines.complete,
+      },
+      { highlightRow: n },
+    )
+
+    return frames
+  }
+
+  // For each intermediate vertex k, every pair (i, j) tries the detour i → k → j
+  generateFloydWarshallFrames(graphData, codeLines = {}) {
+    const frames = []
+    const { graph, start, directed } = graphData
+    const edges = graphData.edges.map((edge) => ({ ...edge, weight: edge.weight === undefined ? 1 : edge.weight }))
+    const n = graph.length
+    const vertexLabels = graph.map((_, vertex) => vertex)
+
+    const dist = graph.map((_, i) => graph.map((__, j) => (i === j ? 0 : Infinity)))
+    edges.forEach(({ from, to, weight }) => {
+      dist[from][to] = Math.min(dist[from][to], weight)
+      if (!directed) dist[to][from] = Math.min(dist[to][from], weight)
+    })
+    const shown = (value) => (value === Infinity ? "∞" : value)
+
+    const pushFrame = (fields, matrix = {}) => {
       frames.push({
-        type: "array",
-        array: [...arr],
-        highlights: Array.from({ length: right - left + 1 }, (_, i) => left + i),
-        comparisons: [],
-        algorithm: "Merge Sort",
-        description: `Dividing array from ${left} to ${right}`,
-        codeLine: codeLines.divide || null,
+        type: "graph",
+        graph,
+        edges,
+        directed,
+        start,
+        visited: new Array(n).fill(false),
+        queue: [],
+        current: -1,
+        traversalOrder: [],
+        matrix: {
+          title: "dist[i][j]",
+          cells: dist.map((row) => [...row]),
+          rowLabels: vertexLabels,
+          colLabels: vertexLabels,
+          ...matrix,
+        },
+        algorithm: "Floyd-Warshall Algorithm",
+        codeLine: null,
+        ...fields,
       })
+    }
 
-      mergeSort(arr, left, mid, depth + 1)
-      mergeSort(arr, mid + 1, right, depth + 1)
-      merge(arr, left, mid, right, codeLines)
+    pushFrame({ description: "Start from the direct edge weights; ∞ where there is no edge", codeLine: codeLines.init })
+
+    for (let k = 0; k < n; k++) {
+      const round = { title: `dist[i][j], k = ${k}`, highlightRow: k, highlightCol: k }
+      pushFrame({ current: k, description: `Allow vertex ${k} as an intermediate stop` }, round)
+
+      for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+          // Unreachable detours are skipped like in the template
+          if (dist[i][k] === Infinity || dist[k][j] === Infinity) continue
+
+          const detour = dist[i][k] + dist[k][j]
+          const previous = dist[i][j]
+          const improved = detour < previous
+          if (improved) dist[i][j] = detour
+          // The diagonal and k's own row and column only change when there is a negative cycle
+          if ((i === j || i === k || j === k) && !improved) continue
+          pushFrame(
+            {
+              current: k,
+              markedVertices: [i, j],
+              description: improved
+                ? `dist[${i}][${k}] + dist[${k}][${j}] = ${detour} < ${shown(previous)}: update dist[${i}][${j}]`
+                : `dist[${i}][${k}] + dist[${k}][${j}] = ${detour} is not shorter than ${shown(previous)}`,
+              codeLine: improved ? codeLines.swap : codeLines.compare,
+            },
+            {
+              ...round,
+              current: [i, j],
+              dependencies: [
+                [i, k],
+                [k, j],
+              ],
+            },
+          )
+        }
+      }
     }
 
-    const merge = (arr, left, mid, right, codeLines) => {
-      const leftArr = arr.slice(left, mid + 1)
-      const rightArr = arr.slice(mid + 1, right + 1)
+    const negative = vertexLabels.filter((vertex) => dist[vertex][vertex] < 0)
+    pushFrame({
+      cycleVertices: negative,
+      description:
+        negative.length > 0
+          ? `Negative cycle: dist[v][v] < 0 for ${negative.join(", ")}`
+          : "All-pairs shortest distances complete",
+      codeLine: codeLines.complete,
+    })
 
-      let i = 0,
-        j = 0,
-        k = left
+    return frames
+  }
 
-      while (i < leftArr.length && j < rightArr.length) {
-        frames.push({
-          type: "array",
-          array: [...arr],
-          highlights: [k],
-          comparisons: [left + i, mid + 1 + j],
-          algorithm: "Merge Sort",
-          description: `Comparing ${leftArr[i]} and ${rightArr[j]}`,
-          codeLine: codeLines.compare || null,
-        })
+  // Kahn's algorithm: repeatedly output a vertex with no incoming edges and remove its outgoing edges
+  generateKahnFrames(graphData, codeLines = {}) {
+    const frames = []
+    const { graph, start } = graphData
+    const edges = graphData.edges.map(({ from, to }) => ({ from, to }))
+    const inDegree = new Array(graph.length).fill(0)
+    edges.forEach(({ to }) => inDegree[to]++)
 
-        if (leftArr[i] <= rightArr[j]) {
-          arr[k] = leftArr[i]
-          i++
-        } else {
-          arr[k] = rightArr[j]
-          j++
-        }
+    const done = new Array(graph.length).fill(false)
+    const order = []
+    const removedEdges = []
+    const queue = []
 
-        frames.push({
-          type: "array",
-          array: [...arr],
-          highlights: [k],
-          comparisons: [],
-          algorithm: "Merge Sort",
-          description: `Placed ${arr[k]} at position ${k}`,
-          codeLine: codeLines.place || null,
-        })
+    const pushFrame = (fields) => {
+      frames.push({
+        type: "graph",
+        graph,
+        edges,
+        directed: true,
+        start,
+        visited: [...done],
+        queue: [...queue],
+        queueLabel: "Zero in-degree queue",
+        current: -1,
+        traversalOrder: [...order],
+        orderLabel: "Topological order",
+        inDegree: [...inDegree],
+        pathEdges: [...removedEdges],
+        activeEdge: null,
+        algorithm: "Topological Sort (Kahn)",
+        codeLine: null,
+        ...fields,
+      })
+    }
 
-        k++
-      }
+    pushFrame({ description: `Count incoming edges: in-degrees ${inDegree.join(", ")}`, codeLine: codeLines.init })
 
-      while (i < leftArr.length) {
-        arr[k] = leftArr[i]
-        frames.push({
-          type: "array",
-          array: [...arr],
-          highlights: [k],
-          comparisons: [],
-          algorithm: "Merge Sort",
-          description: `Copying remaining element ${arr[k]}`,
-          codeLine: codeLines.copy || null,
+    inDegree.forEach((degree, vertex) => degree === 0 && queue.push(vertex))
+    pushFrame({
+      description:
+        queue.length > 0
+          ? `Vertices with no incoming edges start the queue: ${queue.join(", ")}`
+          : "No vertex has in-degree 0 - every vertex is on or after a cycle",
+      codeLine: codeLines.init,
+    })
+
+    while (queue.length > 0) {
+      const u = queue.shift()
+      done[u] = true
+      order.push(u)
+      pushFrame({ current: u, description: `Dequeue ${u} and append it to the order`, codeLine: codeLines.compare })
+
+      for (const edge of edges.filter((candidate) => candidate.from === u)) {
+        inDegree[edge.to]--
+        removedEdges.push(edge)
+        const freed = inDegree[edge.to] === 0
+        if (freed) queue.push(edge.to)
+        pushFrame({
+          current: u,
+          activeEdge: edge,
+          description: freed
+            ? `Remove ${u} → ${edge.to}: in-degree of ${edge.to} drops to 0, enqueue it`
+            : `Remove ${u} → ${edge.to}: in-degree of ${edge.to} drops to ${inDegree[edge.to]}`,
+          codeLine: codeLines.swap,
         })
-        i++
-        k++
       }
+    }
 
-      while (j < rightArr.length) {
-        arr[k] = rightArr[j]
-        frames.push({
-          type: "array",
-          array: [...arr],
-          highlights: [k],
-          comparisons: [],
-          algorithm: "Merge Sort",
-          description: `Copying remaining element ${arr[k]}`,
-          codeLine: codeLines.copy || null,
+    if (order.length < graph.length) {
+      const remaining = inDegree.map((_, vertex) => vertex).filter((vertex) => !done[vertex])
+      pushFrame({
+        cycleVertices: remaining,
+        description: `Cycle detected: ${remaining.join(", ")} still have incoming edges, so no topological order exists`,
+        codeLine: codeLines.complete,
+      })
+    } else {
+      pushFrame({ description: `Topological order: ${order.join(" → ")}`, codeLine: codeLines.complete })
+    }
+
+    return frames
+  }
+
+  // DFS topological sort: gray vertices are on the recursion stack, so reaching one again is a back edge
+  generateTopologicalDFSFrames(graphData, codeLines = {}) {
+    const frames = []
+    const { graph, start } = graphData
+    const edges = graphData.edges.map(({ from, to }) => ({ from, to }))
+    const colors = new Array(graph.length).fill("white")
+    const finished = []
+    const stack = []
+    const treeEdges = []
+    let backEdge = null
+
+    const pushFrame = (fields) => {
+      frames.push({
+        type: "graph",
+        graph,
+        edges,
+        directed: true,
+        start,
+        visited: colors.map((color) => color === "black"),
+        queue: [...stack],
+        queueLabel: "Recursion stack",
+        current: -1,
+        colors: [...colors],
+        traversalOrder: [...finished].reverse(),
+        orderLabel: "Topological order",
+        pathEdges: [...treeEdges],
+        backEdge,
+        activeEdge: null,
+        algorithm: "Topological Sort (DFS)",
+        codeLine: null,
+        ...fields,
+      })
+    }
+
+    // Returns false once a back edge is found, unwinding the recursion like the template
+    const visit = (u) => {
+      colors[u] = "gray"
+      stack.push(u)
+      pushFrame({ current: u, description: `Enter ${u}: color it gray`, codeLine: codeLines.compare })
+
+      for (const v of graph[u]) {
+        const edge = { from: u, to: v }
+        if (colors[v] === "gray") {
+          backEdge = edge
+          const cycle = stack.slice(stack.indexOf(v))
+          pushFrame({
+            current: u,
+            cycleVertices: cycle,
+            description: `Back edge ${u} → ${v}: ${v} is still gray, so ${[...cycle, v].join(" → ")} is a cycle`,
+            codeLine: codeLines.compare,
+          })
+          return false
+        }
+        if (colors[v] === "black") {
+          pushFrame({
+            current: u,
+            activeEdge: edge,
+            description: `Edge ${u} → ${v}: ${v} is already black, nothing to do`,
+            codeLine: codeLines.compare,
+          })
+          continue
+        }
+        treeEdges.push(edge)
+        pushFrame({
+          current: u,
+          activeEdge: edge,
+          description: `Edge ${u} → ${v}: ${v} is white, recurse into it`,
+          codeLine: codeLines.swap,
         })
-        j++
-        k++
+        if (!visit(v)) return false
       }
+
+      colors[u] = "black"
+      stack.pop()
+      finished.push(u)
+      pushFrame({
+        current: u,
+        description: `Finish ${u}: color it black and put it in front of the order`,
+        codeLine: codeLines.swap,
+      })
+      return true
     }
 
-    mergeSort(arr, 0, arr.length - 1)
+    pushFrame({ description: "Every vertex starts white", codeLine: codeLines.init })
 
-    // Final frame
-    frames.push({
-      type: "array",
-      array: [...arr],
-      highlights: [],
-      comparisons: [],
-      sorted: Array.from({ length: arr.length }, (_, i) => i),
-      algorithm: "Merge Sort",
-      description: "Array is fully sorted!",
-      codeLine: codeLines.complete || null,
-    })
+    let acyclic = true
+    for (let u = 0; u < graph.length && acyclic; u++) {
+      if (colors[u] === "white") acyclic = visit(u)
+    }
+
+    pushFrame(
+      acyclic
+        ? { description: `Topological order: ${[...finished].reverse().join(" → ")}`, codeLine: codeLines.complete }
+        : {
+            cycleVertices: stack.slice(stack.indexOf(backEdge.to)),
+            description: `Cycle detected through back edge ${backEdge.from} → ${backEdge.to}: no topological order exists`,
+            codeLine: codeLines.complete,
+          },
+    )
 
     return frames
   }
 
-  generateQuickSortFrames(array, codeLines = {}) {
-    const frames = []
-    const arr = [...array]
-
-    frames.push({
-      type: "array",
-      array: [...arr],
-      highlights: [],
-      comparisons: [],
-      algorithm: "Quick Sort",
-      description: "Initial array",
-      codeLine: codeLines.init || null,
-    })
+  // Follows the memoized recursion: memo[k] is filled once both fib(k-1) and fib(k-2) have returned
+  generateFibonacciFrames(n, codeLines = {}) {
+    const frames = []
+    const memo = new Array(n + 1).fill(null)
+    const calls = new CallRecorder()
+
+    const pushFrame = (current, dependencies, description, codeLine, result) => {
+      frames.push({
+        type: "dp_table",
+        table: [[...memo]],
+        rowLabels: ["memo"],
+        colLabels: memo.map((_, i) => i),
+        current,
+        dependencies,
+        result,
+        algorithm: "Fibonacci (memoized)",
+        description,
+        codeLine: codeLine || null,
+        ...calls.snapshot(),
+      })
+    }
 
-    const quickSort = (arr, low, high) => {
-      if (low < high) {
-        const pi = partition(arr, low, high, codeLines)
-        quickSort(arr, low, pi - 1)
-        quickSort(arr, pi + 1, high)
+    const fib = (k) => {
+      calls.enter("fib", [["n", k]])
+      if (k <= 1) {
+        calls.exit(k)
+        return k
+      }
+      if (memo[k] !== null) {
+        pushFrame(null, [[0, k]], `fib(${k}) already computed: reuse memo[${k}] = ${memo[k]}`, codeLines.compare)
+        calls.exit(memo[k])
+        return memo[k]
       }
+      pushFrame(null, [], `fib(${k}) is not memoized yet: compute fib(${k - 1}) + fib(${k - 2})`, codeLines.divide)
+      const value = fib(k - 1) + fib(k - 2)
+      memo[k] = value
+      const reads = [k - 1, k - 2].filter((i) => i >= 2).map((i) => [0, i])
+      pushFrame([0, k], reads, `memo[${k}] = fib(${k - 1}) + fib(${k - 2}) = ${value}`, codeLines.place)
+      calls.exit(value)
+      return value
     }
 
-    const partition = (arr, low, high, codeLines) => {
-      const pivot = arr[high]
+    pushFrame(null, [], `Computing fib(${n}); fib(0) = 0 and fib(1) = 1 are base cases`, codeLines.init)
+    const result = fib(n)
+    pushFrame(null, [], `Done: fib(${n}) = ${result}`, codeLines.complete, `fib(${n}) = ${result}`)
 
-      frames.push({
-        type: "array",
-        array: [...arr],
-        highlights: [high],
-        comparisons: [],
-        algorithm: "Quick Sort",
-        description: `Pivot selected: ${pivot} at position ${high}`,
-        codeLine: codeLines.pivot || null,
-      })
+    return frames
+  }
 
-      let i = low - 1
+  generateLCSFrames(text1, text2, codeLines = {}) {
+    const frames = []
+    const m = text1.length
+    const n = text2.length
+    const dp = Array.from({ length: m + 1 }, (_, i) =>
+      Array.from({ length: n + 1 }, (_, j) => (i === 0 || j === 0 ? 0 : null)),
+    )
 
-      for (let j = low; j < high; j++) {
-        frames.push({
-          type: "array",
-          array: [...arr],
-          highlights: [high],
-          comparisons: [j],
-          algorithm: "Quick Sort",
-          description: `Comparing ${arr[j]} with pivot ${pivot}`,
-          codeLine: codeLines.compare || null,
-        })
+    const pushFrame = (fields) => {
+      frames.push({
+        type: "dp_table",
+        table: dp.map((row) => [...row]),
+        rowLabels: ["", ...text1],
+        colLabels: ["", ...text2],
+        current: null,
+        dependencies: [],
+        path: [],
+        algorithm: "Longest Common Subsequence",
+        codeLine: null,
+        ...fields,
+      })
+    }
 
-        if (arr[j] < pivot) {
-          i++
-          ;[arr[i], arr[j]] = [arr[j], arr[i]]
+    pushFrame({
+      description: `Row 0 and column 0 are 0: an empty prefix has no common subsequence`,
+      codeLine: codeLines.init,
+    })
 
-          frames.push({
-            type: "array",
-            array: [...arr],
-            highlights: [i, j],
-            comparisons: [],
-            algorithm: "Quick Sort",
-            description: `Swapped ${arr[j]} and ${arr[i]}`,
-            codeLine: codeLines.swap || null,
+    for (let i = 1; i <= m; i++) {
+      for (let j = 1; j <= n; j++) {
+        if (text1[i - 1] === text2[j - 1]) {
+          dp[i][j] = dp[i - 1][j - 1] + 1
+          pushFrame({
+            current: [i, j],
+            dependencies: [[i - 1, j - 1]],
+            description: `'${text1[i - 1]}' matches: dp[${i}][${j}] = dp[${i - 1}][${j - 1}] + 1 = ${dp[i][j]}`,
+            codeLine: codeLines.compare,
+          })
+        } else {
+          dp[i][j] = Math.max(dp[i - 1][j], dp[i][j - 1])
+          pushFrame({
+            current: [i, j],
+            dependencies: [
+              [i - 1, j],
+              [i, j - 1],
+            ],
+            description: `'${text1[i - 1]}' ≠ '${text2[j - 1]}': dp[${i}][${j}] = max(${dp[i - 1][j]}, ${dp[i][j - 1]}) = ${dp[i][j]}`,
+            codeLine: codeLines.compare,
           })
         }
       }
-      ;[arr[i + 1], arr[high]] = [arr[high], arr[i + 1]]
+    }
 
-      frames.push({
-        type: "array",
-        array: [...arr],
-        highlights: [i + 1],
-        comparisons: [],
-        algorithm: "Quick Sort",
-        description: `Pivot ${pivot} placed at correct position ${i + 1}`,
-        codeLine: codeLines.place || null,
+    // Walk back from the bottom-right corner, collecting characters on diagonal moves
+    const path = [[m, n]]
+    let subsequence = ""
+    let i = m
+    let j = n
+    while (i > 0 && j > 0) {
+      if (text1[i - 1] === text2[j - 1]) {
+        subsequence = text1[i - 1] + subsequence
+        i--
+        j--
+      } else if (dp[i - 1][j] >= dp[i][j - 1]) {
+        i--
+      } else {
+        j--
+      }
+      path.push([i, j])
+      pushFrame({
+        current: [i, j],
+        path: [...path],
+        result: `LCS so far: "${subsequence}"`,
+        description: `Backtrack to dp[${i}][${j}]${subsequence ? ` - collected "${subsequence}"` : ""}`,
+        codeLine: codeLines.complete,
       })
-
-      return i + 1
     }
 
-    quickSort(arr, 0, arr.length - 1)
-
-    // Final frame
-    frames.push({
-      type: "array",
-      array: [...arr],
-      highlights: [],
-      comparisons: [],
-      sorted: Array.from({ length: arr.length }, (_, i) => i),
-      algorithm: "Quick Sort",
-      description: "Array is fully sorted!",
-      codeLine: codeLines.complete || null,
+    pushFrame({
+      path,
+      result: `LCS = "${subsequence}" (length ${dp[m][n]})`,
+      description: `Longest common subsequence of "${text1}" and "${text2}" is "${subsequence}"`,
+      codeLine: codeLines.complete,
     })
 
     return frames
   }
 
-  generateLinearSearchFrames(array, target, codeLines) {
+  // One frame per expanded cell. BFS counts steps; Dijkstra and A* pay GRID_WEIGHT_COST to enter a weighted cell
+  generateGridSearchFrames(grid, algorithm, heuristic = "manhattan") {
     const frames = []
-
-    for (let i = 0; i < array.length; i++) {
+    const { cells, start, goal } = grid
+    const cols = cells[0].length
+    const size = cells.length * cols
+    const euclidean = heuristic === "euclidean"
+    const label = {
+      bfs: "Grid BFS",
+      dijkstra: "Grid Dijkstra",
+      astar: `A* (${euclidean ? "Euclidean" : "Manhattan"})`,
+    }[algorithm]
+
+    const rowOf = (index) => Math.floor(index / cols)
+    const colOf = (index) => index % cols
+    const cellName = (index) => `(${rowOf(index)}, ${colOf(index)})`
+    const cost = (index) =>
+      algorithm !== "bfs" && cells[rowOf(index)][colOf(index)] === "weight" ? GRID_WEIGHT_COST : 1
+    const estimate = (index) => {
+      if (algorithm !== "astar") return 0
+      const rows = Math.abs(rowOf(index) - rowOf(goal))
+      const columns = Math.abs(colOf(index) - colOf(goal))
+      return euclidean ? Math.hypot(rows, columns) : rows + columns
+    }
+    const neighbors = (index) =>
+      [
+        [-1, 0],
+        [0, 1],
+        [1, 0],
+        [0, -1],
+      ]
+        .map(([dr, dc]) => [rowOf(index) + dr, colOf(index) + dc])
+        .filter(([r, c]) => r >= 0 && r < cells.length && c >= 0 && c < cols && cells[r][c] !== "wall")
+        .map(([r, c]) => r * cols + c)
+
+    const g = new Array(size).fill(Infinity)
+    const parent = new Array(size).fill(-1)
+    const closed = new Set()
+    const open = []
+
+    const pushFrame = (fields) => {
       frames.push({
-        type: "search",
-        array: [...array],
-        currentIndex: i,
-        target: target,
-        found: array[i] === target,
-        step: `Checking index ${i}: ${array[i]} ${array[i] === target ? "== " + target + " (Found!)" : "!= " + target}`,
-        codeLine: i < codeLines.length ? codeLines[i] : null,
+        type: "grid",
+        cells,
+        start,
+        goal,
+        frontier: [...open],
+        closed: [...closed],
+        current: -1,
+        path: [],
+        // A* shows f = g + h, the value it orders the frontier by; the others show the distance so far
+        scores: g.map((distance, index) => distance + estimate(index)),
+        algorithm: label,
+        codeLine: null,
+        ...fields,
       })
+    }
 
-      if (array[i] === target) {
-        frames.push({
-          type: "search",
-          array: [...array],
-          currentIndex: i,
-          target: target,
-          found: true,
-          completed: true,
-          step: `Element ${target} found at index ${i}`,
-          codeLine: null,
+    g[start] = 0
+    open.push(start)
+    pushFrame({ current: start, description: `${label}: search from S ${cellName(start)} to G ${cellName(goal)}` })
+
+    while (open.length > 0) {
+      // BFS takes the oldest cell; Dijkstra and A* the cheapest, preferring the one closer to the goal on ties
+      let next = 0
+      if (algorithm !== "bfs") {
+        open.forEach((index, position) => {
+          const best = open[next]
+          const score = g[index] + estimate(index)
+          const bestScore = g[best] + estimate(best)
+          if (score < bestScore || (score === bestScore && estimate(index) < estimate(best))) next = position
         })
-        break
       }
-    }
+      const [current] = open.splice(next, 1)
+      closed.add(current)
+      if (current === goal) break
+
+      const discovered = []
+      for (const neighbor of neighbors(current)) {
+        if (closed.has(neighbor)) continue
+        const candidate = g[current] + cost(neighbor)
+        if (candidate >= g[neighbor]) continue
+        g[neighbor] = candidate
+        parent[neighbor] = current
+        if (!open.includes(neighbor)) open.push(neighbor)
+        discovered.push(neighbor)
+      }
 
-    if (frames.length === 0 || !frames[frames.length - 1].found) {
-      frames.push({
-        type: "search",
-        array: [...array],
-        currentIndex: -1,
-        target: target,
-        found: false,
-        completed: true,
-        step: `Element ${target} not found in array`,
-        codeLine: null,
+      const score =
+        algorithm === "astar" ? `f = ${Math.round((g[current] + estimate(current)) * 10) / 10}` : `g = ${g[current]}`
+      pushFrame({
+        current,
+        description:
+          discovered.length > 0
+            ? `Expand ${cellName(current)} (${score}): update ${discovered.map(cellName).join(", ")}`
+            : `Expand ${cellName(current)} (${score}): no neighbour improves`,
       })
     }
 
+    if (g[goal] === Infinity) {
+      pushFrame({ description: `No path: G is walled off (${closed.size} cells expanded)` })
+      return frames
+    }
+
+    const path = []
+    for (let index = goal; index !== -1; index = parent[index]) path.unshift(index)
+    pushFrame({
+      path,
+      description: `Path found: ${path.length - 1} steps, cost ${g[goal]}, ${closed.size} cells expanded`,
+    })
+
     return frames
   }
+}
 
-  generateBinarySearchFrames(array, target, codeLines) {
-    const frames = []
-    let left = 0
-    let right = array.length - 1
+// Runs programs in a Web Worker so the page stays responsive and Stop can cancel them
+class ProgramRunner {
+  constructor(workerUrl) {
+    this.workerUrl = workerUrl
+    this.worker = null
+  }
 
-    while (left <= right) {
-      const mid = Math.floor((left + right) / 2)
+  run(code, stdin, handlers) {
+    this.stop()
 
-      frames.push({
-        type: "binary_search",
-        array: [...array],
-        left: left,
-        right: right,
-        mid: mid,
-        target: target,
-        step: `Checking middle element at index ${mid}: ${array[mid]}`,
-        codeLine: frames.length < codeLines.length ? codeLines[frames.length] : null,
+    let worker
+    try {
+      worker = new Worker(this.workerUrl)
+    } catch (error) {
+      handlers.onRuntimeError({
+        message: `Could not start the program runner: ${error.message}`,
+        loc: null,
+        callStack: [],
       })
+      return
+    }
+    this.worker = worker
 
-      if (array[mid] === target) {
-        frames.push({
-          type: "binary_search",
-          array: [...array],
-          left: left,
-          right: right,
-          mid: mid,
-          target: target,
-          found: true,
-          completed: true,
-          step: `Element ${target} found at index ${mid}`,
-          codeLine: null,
-        })
-        break
-      } else if (array[mid] < target) {
-        left = mid + 1
-        frames.push({
-          type: "binary_search",
-          array: [...array],
-          left: left,
-          right: right,
-          mid: -1,
-          target: target,
-          step: `${array[mid]} < ${target}, search right half`,
-          codeLine: null,
-        })
-      } else {
-        right = mid - 1
-        frames.push({
-          type: "binary_search",
-          array: [...array],
-          left: left,
-          right: right,
-          mid: -1,
-          target: target,
-          step: `${array[mid]} > ${target}, search left half`,
-          codeLine: null,
-        })
+    worker.onmessage = (event) => {
+      const message = event.data
+      switch (message.type) {
+        case "started":
+          handlers.onStart()
+          break
+        case "stdout":
+          handlers.onOutput(message.text, message.stream)
+          break
+        case "compileError":
+          this.finish(worker)
+          handlers.onCompileError(message.diagnostics)
+          break
+        case "runtimeError":
+          this.finish(worker)
+          handlers.onRuntimeError(message)
+          break
+        case "exit":
+          this.finish(worker)
+          handlers.onExit(message)
+          break
       }
     }
 
-    if (frames.length === 0 || !frames[frames.length - 1].found) {
-      frames.push({
-        type: "binary_search",
-        array: [...array],
-        left: left,
-        right: right,
-        mid: -1,
-        target: target,
-        found: false,
-        completed: true,
-        step: `Element ${target} not found in array`,
-        codeLine: null,
-      })
+    worker.onerror = (event) => {
+      event.preventDefault()
+      this.finish(worker)
+      handlers.onRuntimeError({ message: event.message || "The program runner crashed", loc: null, callStack: [] })
     }
 
-    return frames
+    worker.postMessage({ type: "run", code, stdin })
   }
 
-  generateBFSFrames(graph, start, codeLines) {
-    const frames = []
-    const visited = new Array(graph.length).fill(false)
-    const queue = [start]
-    const traversalOrder = []
+  finish(worker) {
+    worker.terminate()
+    if (this.worker === worker) this.worker = null
+  }
 
-    visited[start] = true
+  stop() {
+    if (!this.worker) return false
+    this.worker.terminate()
+    this.worker = null
+    return true
+  }
+}
 
-    frames.push({
-      type: "graph",
-      graph: graph,
-      visited: [...visited],
-      queue: [...queue],
-      current: start,
-      traversalOrder: [...traversalOrder],
-      step: `Starting BFS from vertex ${start}`,
-      codeLine: 0,
-    })
+// Editable maze for the grid searches: painting edits the cells, Search turns the maze into frames
+class GridPlayground {
+  constructor(engine, visualizer) {
+    this.engine = engine
+    this.visualizer = visualizer
+    this.canvas = engine.canvas
+    this.active = false
+    this.tool = "wall"
+    this.paintValue = null
+    this.grid = this.defaultGrid(12, 20)
+
+    this.canvas.addEventListener("pointerdown", (event) => this.startPainting(event))
+    this.canvas.addEventListener("pointermove", (event) => this.continuePainting(event))
+    window.addEventListener("pointerup", () => (this.paintValue = null))
+  }
 
-    while (queue.length > 0) {
-      const vertex = queue.shift()
-      traversalOrder.push(vertex)
+  defaultGrid(rows, cols) {
+    const cells = Array.from({ length: rows }, () => new Array(cols).fill("empty"))
+    // A wall with a gap at the bottom so the first search has something to go around
+    for (let row = 1; row < rows - 3; row++) cells[row][Math.floor(cols / 2)] = "wall"
+    const middle = Math.floor(rows / 2)
+    return { cells, start: middle * cols + 3, goal: middle * cols + cols - 4 }
+  }
 
-      frames.push({
-        type: "graph",
-        graph: graph,
-        visited: [...visited],
-        queue: [...queue],
-        current: vertex,
-        traversalOrder: [...traversalOrder],
-        step: `Visiting vertex ${vertex}`,
-        codeLine: frames.length < codeLines.length ? codeLines[frames.length] : null,
-      })
+  open() {
+    this.active = true
+    this.canvas.classList.add("grid-editing")
+    this.showGrid("Paint walls and weights, move S and G, then press Search")
+  }
 
-      for (const neighbor of graph[vertex]) {
-        if (!visited[neighbor]) {
-          visited[neighbor] = true
-          queue.push(neighbor)
+  close() {
+    this.active = false
+    this.paintValue = null
+    this.canvas.classList.remove("grid-editing")
+    this.engine.setFrames([])
+    this.engine.stop()
+  }
 
-          frames.push({
-            type: "graph",
-            graph: graph,
-            visited: [...visited],
-            queue: [...queue],
-            current: vertex,
-            traversalOrder: [...traversalOrder],
-            step: `Added vertex ${neighbor} to queue`,
-            codeLine: null,
-          })
-        }
-      }
-    }
+  snapshot() {
+    return { cells: this.grid.cells.map((row) => [...row]), start: this.grid.start, goal: this.grid.goal }
+  }
 
-    frames.push({
-      type: "graph",
-      graph: graph,
-      visited: [...visited],
-      queue: [],
-      current: -1,
-      traversalOrder: [...traversalOrder],
-      completed: true,
-      step: `BFS completed. Traversal order: ${traversalOrder.join(" → ")}`,
-      codeLine: null,
-    })
+  // Editing throws away any search frames, so the maze on screen is always the one being edited
+  showGrid(description) {
+    if (this.engine.isPlaying) this.engine.pause()
+    this.engine.setFrames([{ type: "grid", ...this.snapshot(), algorithm: "Grid Pathfinding", description }])
+    this.engine.goToFrame(0)
+  }
 
+  search(algorithm, heuristic) {
+    if (this.engine.isPlaying) this.engine.pause()
+    const frames = this.visualizer.generateGridSearchFrames(this.snapshot(), algorithm, heuristic)
+    this.engine.setFrames(frames)
+    this.engine.goToFrame(0)
     return frames
   }
 
-  generateDFSFrames(graph, start, codeLines) {
-    const frames = []
-    const visited = new Array(graph.length).fill(false)
-    const traversalOrder = []
-
-    const dfsUtil = (vertex) => {
-      visited[vertex] = true
-      traversalOrder.push(vertex)
-
-      frames.push({
-        type: "graph",
-        graph: graph,
-        visited: [...visited],
-        queue: [],
-        current: vertex,
-        traversalOrder: [...traversalOrder],
-        step: `Visiting vertex ${vertex}`,
-        codeLine: frames.length < codeLines.length ? codeLines[frames.length] : null,
-      })
+  clear() {
+    this.grid.cells.forEach((row) => row.fill("empty"))
+    this.showGrid("Cleared all walls and weights")
+  }
 
-      for (const neighbor of graph[vertex]) {
-        if (!visited[neighbor]) {
-          dfsUtil(neighbor)
-        }
-      }
-    }
+  cellAt(event) {
+    const { cells } = this.grid
+    const cols = cells[0].length
+    const rect = this.canvas.getBoundingClientRect()
+    const { cellSize, x, y } = this.engine.gridGeometry(cells.length, cols)
+    const col = Math.floor((event.clientX - rect.left - x) / cellSize)
+    const row = Math.floor((event.clientY - rect.top - y) / cellSize)
+    if (row < 0 || row >= cells.length || col < 0 || col >= cols) return -1
+    return row * cols + col
+  }
 
-    frames.push({
-      type: "graph",
-      graph: graph,
-      visited: [...visited],
-      queue: [],
-      current: start,
-      traversalOrder: [...traversalOrder],
-      step: `Starting DFS from vertex ${start}`,
-      codeLine: 0,
-    })
+  startPainting(event) {
+    if (!this.active) return
+    const index = this.cellAt(event)
+    if (index === -1) return
+
+    if (this.tool === "start" || this.tool === "goal") {
+      const other = this.tool === "start" ? this.grid.goal : this.grid.start
+      if (index === other) return
+      const cols = this.grid.cells[0].length
+      this.grid.cells[Math.floor(index / cols)][index % cols] = "empty"
+      this.grid[this.tool] = index
+      this.showGrid(`Moved ${this.tool === "start" ? "S" : "G"}`)
+      return
+    }
 
-    dfsUtil(start)
+    // A drag paints the opposite of the cell it starts on, so starting on a wall erases walls
+    const cols = this.grid.cells[0].length
+    const cell = this.grid.cells[Math.floor(index / cols)][index % cols]
+    this.paintValue = this.tool === "erase" || cell === this.tool ? "empty" : this.tool
+    this.canvas.setPointerCapture(event.pointerId)
+    this.paint(index)
+  }
 
-    frames.push({
-      type: "graph",
-      graph: graph,
-      visited: [...visited],
-      queue: [],
-      current: -1,
-      traversalOrder: [...traversalOrder],
-      completed: true,
-      step: `DFS completed. Traversal order: ${traversalOrder.join(" → ")}`,
-      codeLine: null,
-    })
+  continuePainting(event) {
+    if (!this.active || this.paintValue === null) return
+    const index = this.cellAt(event)
+    if (index !== -1) this.paint(index)
+  }
 
-    return frames
+  paint(index) {
+    if (index === this.grid.start || index === this.grid.goal) return
+    const cols = this.grid.cells[0].length
+    const row = this.grid.cells[Math.floor(index / cols)]
+    if (row[index % cols] === this.paintValue) return
+    row[index % cols] = this.paintValue
+    this.showGrid("Editing the maze")
   }
 }
 
@@ -1295,6 +5713,12 @@ const sortingVisualizer = new SortingVisualizer(animationEngine)
 // Initialize code analyzer
 const codeAnalyzer = new CodeAnalyzer()
 
+// Initialize program runner
+const programRunner = new ProgramRunner("scripts/cpp-worker.js")
+
+// Initialize grid playground
+const gridPlayground = new GridPlayground(animationEngine, sortingVisualizer)
+
 // Get DOM elements
 const runBtn = document.getElementById("runBtn")
 const resetBtn = document.getElementById("resetBtn")
@@ -1307,12 +5731,36 @@ const playBtn = document.getElementById("playBtn")
 const pauseBtn = document.getElementById("pauseBtn")
 const stepForwardBtn = document.getElementById("stepForwardBtn")
 const stepBackBtn = document.getElementById("stepBackBtn")
+const continueBtn = document.getElementById("continueBtn")
+const reversePlayBtn = document.getElementById("reversePlayBtn")
+const stepIntoBtn = document.getElementById("stepIntoBtn")
+const stepOverBtn = document.getElementById("stepOverBtn")
+const stepOutBtn = document.getElementById("stepOutBtn")
+const runToCursorBtn = document.getElementById("runToCursorBtn")
 const resetVisualizationBtn = document.getElementById("resetVisualizationBtn")
 const speedSlider = document.getElementById("speedSlider")
 const speedValue = document.getElementById("speedValue")
 const timelineSlider = document.getElementById("timelineSlider")
 const timelineInfo = document.getElementById("timelineInfo")
+const timelineTrack = document.getElementById("timelineTrack")
+const timelineMarkers = document.getElementById("timelineMarkers")
+const timelinePreview = document.getElementById("timelinePreview")
+const timelineThumbnail = document.getElementById("timelineThumbnail")
+const timelinePreviewText = document.getElementById("timelinePreviewText")
+const timelineLegend = document.getElementById("timelineLegend")
+const timelineEventKind = document.getElementById("timelineEventKind")
+const prevEventBtn = document.getElementById("prevEventBtn")
+const nextEventBtn = document.getElementById("nextEventBtn")
 const algorithmSelect = document.getElementById("algorithmSelect")
+const graphLayoutSelect = document.getElementById("graphLayoutSelect")
+const sidePanels = document.getElementById("sidePanels")
+const statsPanel = document.getElementById("statsPanel")
+const statsList = document.getElementById("statsList")
+const watchPanel = document.getElementById("watchPanel")
+const watchList = document.getElementById("watchList")
+const callStackPanel = document.getElementById("callStackPanel")
+const callStackList = document.getElementById("callStackList")
+const callTreeToggle = document.getElementById("callTreeToggle")
 const customizeBtn = document.getElementById("customizeBtn")
 const customizeModal = document.getElementById("customizeModal")
 const closeModal = document.getElementById("closeModal")
@@ -1321,12 +5769,85 @@ const applyCustomize = document.getElementById("applyCustomize")
 const arraySize = document.getElementById("arraySize")
 const arraySizeValue = document.getElementById("arraySizeValue")
 const arrayValues = document.getElementById("arrayValues")
+const gapSequenceSelect = document.getElementById("gapSequenceSelect")
+const partitionSchemeSelect = document.getElementById("partitionSchemeSelect")
+const pivotStrategySelect = document.getElementById("pivotStrategySelect")
+const mergeViewSelect = document.getElementById("mergeViewSelect")
 const exportBtn = document.getElementById("exportBtn")
 const fullscreenBtn = document.getElementById("fullscreenBtn")
+const stdinInput = document.getElementById("stdinInput")
+const gridPlaygroundBtn = document.getElementById("gridPlaygroundBtn")
+const gridToolbar = document.getElementById("gridToolbar")
+const gridAlgorithmSelect = document.getElementById("gridAlgorithmSelect")
+const gridHeuristicSelect = document.getElementById("gridHeuristicSelect")
+const gridSearchBtn = document.getElementById("gridSearchBtn")
+const gridClearBtn = document.getElementById("gridClearBtn")
+
+// Shown when the program's graph cannot be recovered
+const DEFAULT_GRAPH = {
+  graph: [[1, 2], [0, 3, 4], [0, 5], [1], [1, 5], [2, 4]],
+  edges: [
+    { from: 0, to: 1 },
+    { from: 0, to: 2 },
+    { from: 1, to: 3 },
+    { from: 1, to: 4 },
+    { from: 2, to: 5 },
+    { from: 4, to: 5 },
+  ],
+  directed: false,
+  weighted: false,
+  start: 0,
+}
+
+// Shown for topological sorts when the program's graph cannot be recovered
+const DEFAULT_DAG = {
+  graph: [[], [], [3], [1], [0, 1], [2, 0]],
+  edges: [
+    { from: 5, to: 2 },
+    { from: 5, to: 0 },
+    { from: 4, to: 0 },
+    { from: 4, to: 1 },
+    { from: 2, to: 3 },
+    { from: 3, to: 1 },
+  ],
+  directed: true,
+  weighted: false,
+  start: 0,
+}
+
+// Graph, table, gap-group and auxiliary-array views come from the generators; a program trace only records
+// one array
+const GENERATED_VIEW_ALGORITHMS = [
+  "shell",
+  "counting",
+  "radix",
+  "bucket",
+  "bfs",
+  "dfs",
+  "dijkstra",
+  "bellman_ford",
+  "floyd_warshall",
+  "prim",
+  "kruskal",
+  "topological_kahn",
+  "topological_dfs",
+  "fibonacci",
+  "lcs",
+  "bst",
+]
 
 let isRunning = false
+let programOutput = null
+// The last finished run, kept so a different algorithm candidate can be visualized without re-running
+let lastRun = null
 const currentStep = 0
 let customArray = [64, 34, 25, 12, 22, 11, 90]
+// "auto" follows the gaps, partition scheme and pivot choice the program itself uses
+let gapSequence = "auto"
+let partitionScheme = "auto"
+let pivotStrategy = "auto"
+// "levels" draws merge sort's recursion rows and buffers from the generator; "trace" follows the program's own array
+let mergeSortView = "levels"
 
 playBtn.addEventListener("click", () => {
   animationEngine.play()
@@ -1338,6 +5859,62 @@ pauseBtn.addEventListener("click", () => {
   updateStatus("Animation paused")
 })
 
+reversePlayBtn.addEventListener("click", () => {
+  animationEngine.play(-1)
+  updateStatus("Animation playing backwards")
+})
+
+// Where a step into/over/out landed: a breakpoint, a call depth, or a plain step when frames have no call data
+function reportCallStep(action) {
+  const frame = animationEngine.frames[animationEngine.currentFrame]
+  if (!frame) return
+  if (animationEngine.breakpoints.hits(frame)) {
+    updateStatus(`Stopped at the breakpoint on line ${frame.codeLine + 1}`)
+  } else if (frame.callDepth === undefined) {
+    updateStatus(`${action}: this visualization has no calls, stepped one frame`)
+  } else {
+    updateStatus(`${action}: now at call depth ${frame.callDepth}`)
+  }
+}
+
+stepIntoBtn.addEventListener("click", () => {
+  animationEngine.stepInto()
+  reportCallStep("Stepped into")
+})
+
+stepOverBtn.addEventListener("click", () => {
+  animationEngine.stepOver()
+  reportCallStep("Stepped over")
+})
+
+stepOutBtn.addEventListener("click", () => {
+  animationEngine.stepOut()
+  reportCallStep("Stepped out")
+})
+
+continueBtn.addEventListener("click", () => {
+  if (animationEngine.totalFrames === 0) return
+  const index = animationEngine.continueToBreakpoint()
+  updateStatus(
+    index === -1
+      ? "No breakpoint hit: ran to the last step"
+      : `Stopped at the breakpoint on line ${animationEngine.frames[index].codeLine + 1}`,
+  )
+})
+
+runToCursorBtn.addEventListener("click", () => {
+  if (animationEngine.totalFrames === 0) return
+  const line = editor.getCursor().line
+  const index = animationEngine.runToLine(line)
+  if (index === -1) {
+    updateStatus(`No later step runs line ${line + 1}`)
+  } else if (animationEngine.frames[index].codeLine !== line) {
+    updateStatus(`Stopped at the breakpoint on line ${animationEngine.frames[index].codeLine + 1}`)
+  } else {
+    updateStatus(`Ran to line ${line + 1}`)
+  }
+})
+
 stepForwardBtn.addEventListener("click", () => {
   animationEngine.stepForward()
   updateStatus("Stepped forward")
@@ -1359,12 +5936,101 @@ speedSlider.addEventListener("input", (e) => {
   speedValue.textContent = `${speed}x`
 })
 
+graphLayoutSelect.addEventListener("change", (e) => {
+  animationEngine.setGraphLayout(e.target.value)
+  updateStatus(`Graph layout: ${e.target.options[e.target.selectedIndex].text}`)
+})
+
+callTreeToggle.addEventListener("click", () => {
+  const visible = !animationEngine.showCallTree
+  animationEngine.setCallTreeVisible(visible)
+  callTreeToggle.classList.toggle("active", visible)
+  updateStatus(visible ? "Showing the recursion tree" : "Showing the algorithm view")
+})
+
 timelineSlider.addEventListener("input", (e) => {
   const frameIndex = Number.parseInt(e.target.value)
   animationEngine.goToFrame(frameIndex)
   updateStatus(`Jumped to frame ${frameIndex}`)
 })
 
+// Legend and jump choices come from the marker kinds
+timelineEventKind.appendChild(new Option("Any event", "any"))
+Object.entries(TIMELINE_EVENT_KINDS).forEach(([kind, { label, color }]) => {
+  const entry = document.createElement("span")
+  const dot = document.createElement("span")
+  dot.className = "timeline-legend-dot"
+  dot.style.background = color
+  entry.append(dot, label)
+  timelineLegend.appendChild(entry)
+  timelineEventKind.appendChild(new Option(label, kind))
+})
+
+// Hovering the track previews the frame under the pointer
+timelineTrack.addEventListener("mousemove", (e) => {
+  if (animationEngine.totalFrames === 0) return
+  const rect = timelineMarkers.getBoundingClientRect()
+  const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / Math.max(1, rect.width)))
+  const frameIndex = Math.round(ratio * (animationEngine.totalFrames - 1))
+  const frame = animationEngine.frames[frameIndex]
+  const event = animationEngine.frameEvents[frameIndex]
+
+  animationEngine.renderThumbnail(frame, timelineThumbnail)
+  timelinePreviewText.textContent = `Step ${frameIndex}${event ? ` · ${TIMELINE_EVENT_KINDS[event].label}` : ""}: ${
+    frame.description || frame.step || ""
+  }`
+  timelinePreview.style.left = `${e.clientX - timelineTrack.getBoundingClientRect().left}px`
+  timelinePreview.classList.remove("hidden")
+})
+
+timelineTrack.addEventListener("mouseleave", () => timelinePreview.classList.add("hidden"))
+
+function jumpToEvent(direction) {
+  const kind = timelineEventKind.value
+  const index = animationEngine.findEvent(kind, direction)
+  const label = kind === "any" ? "event" : TIMELINE_EVENT_KINDS[kind].label.toLowerCase()
+  if (index === -1) {
+    updateStatus(`No ${direction > 0 ? "later" : "earlier"} ${label}`)
+    return
+  }
+  if (animationEngine.isPlaying) animationEngine.pause()
+  animationEngine.goToFrame(index)
+  updateStatus(`${TIMELINE_EVENT_KINDS[animationEngine.frameEvents[index]].label} at step ${index}`)
+}
+
+prevEventBtn.addEventListener("click", () => jumpToEvent(-1))
+nextEventBtn.addEventListener("click", () => jumpToEvent(1))
+
+// Grid playground controls
+gridPlaygroundBtn.addEventListener("click", () => {
+  if (gridPlayground.active) {
+    closeGridPlayground()
+  } else {
+    gridPlayground.open()
+    gridToolbar.classList.remove("hidden")
+    gridPlaygroundBtn.classList.add("active")
+  }
+})
+
+gridToolbar.querySelectorAll(".grid-tool").forEach((button) => {
+  button.addEventListener("click", () => {
+    gridToolbar.querySelectorAll(".grid-tool").forEach((other) => other.classList.remove("active"))
+    button.classList.add("active")
+    gridPlayground.tool = button.dataset.tool
+  })
+})
+
+gridAlgorithmSelect.addEventListener("change", () => {
+  gridHeuristicSelect.disabled = gridAlgorithmSelect.value !== "astar"
+})
+
+gridSearchBtn.addEventListener("click", () => {
+  const frames = gridPlayground.search(gridAlgorithmSelect.value, gridHeuristicSelect.value)
+  addOutput(`✨ ${frames[0].algorithm} ready: ${frames[frames.length - 1].description}`, "#10b981")
+})
+
+gridClearBtn.addEventListener("click", () => gridPlayground.clear())
+
 // Customize modal controls
 customizeBtn.addEventListener("click", () => {
   customizeModal.style.display = "block"
@@ -1431,6 +6097,39 @@ document.addEventListener("keydown", (e) => {
       e.preventDefault()
       animationEngine.stop()
       break
+    case "b": // B - Play backwards
+    case "B":
+      e.preventDefault()
+      reversePlayBtn.click()
+      break
+    case "i": // I - Step into
+    case "I":
+      e.preventDefault()
+      stepIntoBtn.click()
+      break
+    case "o": // O - Step over
+    case "O":
+      e.preventDefault()
+      stepOverBtn.click()
+      break
+    case "u": // U - Step out
+    case "U":
+      e.preventDefault()
+      stepOutBtn.click()
+      break
+    case "c": // C - Continue to the next breakpoint
+    case "C":
+      e.preventDefault()
+      continueBtn.click()
+      break
+    case "[": // [ - Previous timeline event
+      e.preventDefault()
+      jumpToEvent(-1)
+      break
+    case "]": // ] - Next timeline event
+      e.preventDefault()
+      jumpToEvent(1)
+      break
     case "f": // F - Fullscreen
     case "F":
       e.preventDefault()
@@ -1495,6 +6194,10 @@ function applyCustomization() {
     customArray = values
     updateStatus(`Custom array applied: ${values.length} elements`)
   }
+  gapSequence = gapSequenceSelect.value
+  partitionScheme = partitionSchemeSelect.value
+  pivotStrategy = pivotStrategySelect.value
+  mergeSortView = mergeViewSelect.value
 }
 
 function exportVisualization() {
@@ -1517,201 +6220,190 @@ function toggleFullscreen() {
   }
 }
 
-function simulateExecution(code) {
-  outputArea.innerHTML = ""
-
-  // Analyze code first
-  const analysis = codeAnalyzer.parseCode(code)
-
-  // Display analysis results
-  addOutput("🔍 Analyzing code structure...", "#3b82f6")
-  addOutput(`Algorithm detected: ${analysis.algorithm}`, "#10b981")
-  addOutput(`Time complexity: ${analysis.complexity}`, "#f59e0b")
-
-  if (analysis.errors.length > 0) {
-    addOutput("⚠️ Code issues found:", "#ef4444")
-    analysis.errors.forEach((error) => addOutput(`  - ${error}`, "#ef4444"))
-  }
-
-  // Simulate compilation
-  addOutput("🔧 Compiling C++ code...", "#3b82f6")
-
-  setTimeout(() => {
-    addOutput("✅ Compilation successful!", "#10b981")
-    addOutput("🚀 Starting execution...", "#3b82f6")
-
-    setTimeout(() => {
-      // Use extracted array data or custom array
-      const testArray = analysis.arrayData || [...customArray]
-      let frames = []
-
-      // Check algorithm selection or use analysis
-      const selectedAlgorithm = algorithmSelect.value
-      const detectedAlgorithm = selectedAlgorithm === "auto" ? analysis.algorithm : selectedAlgorithm
-
-      // Generate code line mappings (simplified)
-      const codeLines = extractCodeLines(code)
-
-      switch (detectedAlgorithm) {
-        case "bubble":
-          frames = sortingVisualizer.generateBubbleSortFrames(testArray, codeLines)
-          simulateSortingOutput("Bubble Sort", testArray)
-          break
-        case "selection":
-          frames = sortingVisualizer.generateSelectionSortFrames(testArray, codeLines)
-          simulateSortingOutput("Selection Sort", testArray)
-          break
-        case "insertion":
-          frames = sortingVisualizer.generateInsertionSortFrames(testArray, codeLines)
-          simulateSortingOutput("Insertion Sort", testArray)
-          break
-        case "merge":
-          frames = sortingVisualizer.generateMergeSortFrames(testArray, codeLines)
-          simulateSortingOutput("Merge Sort", testArray)
-          break
-        case "quick":
-          frames = sortingVisualizer.generateQuickSortFrames(testArray, codeLines)
-          simulateSortingOutput("Quick Sort", testArray)
-          break
-        case "linear_search":
-          const searchTarget = extractSearchTarget(code) || 22
-          frames = sortingVisualizer.generateLinearSearchFrames(testArray, searchTarget, codeLines)
-          simulateSearchOutput("Linear Search", testArray, searchTarget)
-          break
-        case "binary_search":
-          const binaryTarget = extractSearchTarget(code) || 22
-          const sortedArray = [...testArray].sort((a, b) => a - b)
-          frames = sortingVisualizer.generateBinarySearchFrames(sortedArray, binaryTarget, codeLines)
-          simulateSearchOutput("Binary Search", sortedArray, binaryTarget)
-          break
-        case "bfs":
-          const bfsGraph = extractGraphData(code) || [[1, 2], [0, 3, 4], [0, 5], [1], [1, 5], [2, 4]]
-          frames = sortingVisualizer.generateBFSFrames(bfsGraph, 0, codeLines)
-          simulateGraphOutput("BFS", bfsGraph, 0)
-          break
-        case "dfs":
-          const dfsGraph = extractGraphData(code) || [[1, 2], [0, 3, 4], [0, 5], [1], [1, 5], [2, 4]]
-          frames = sortingVisualizer.generateDFSFrames(dfsGraph, 0, codeLines)
-          simulateGraphOutput("DFS", dfsGraph, 0)
-          break
-        default:
-          simulateGeneralCodeExecution(code, analysis)
-      }
-
-      if (frames.length > 0) {
-        animationEngine.setFrames(frames)
-        addOutput(`✨ Visualization ready! Use the controls to play the ${frames[0].algorithm} animation.`, "#10b981")
-        addOutput(`📊 Generated ${frames.length} animation frames`, "#64748b")
-      }
-
-      setTimeout(() => {
-        addOutput("✅ Execution completed successfully!", "#10b981")
-        stopExecution()
-        updateStatus("Execution completed - Ready for visualization")
-      }, 1000)
-    }, 500)
-  }, 1500)
-}
-
-function simulateGeneralCodeExecution(code, analysis) {
-  addOutput("Program output:", "#e2e8f0")
-
-  // Extract and simulate cout statements
-  const coutMatches = code.match(/cout\s*<<[^;]+;/g) || []
-  const printfMatches = code.match(/printf\s*$$[^)]+$$;/g) || []
-
-  let hasOutput = false
-
-  // Process cout statements
-  if (coutMatches.length > 0) {
-    coutMatches.forEach((match) => {
-      const output = match.replace(/cout\s*<<\s*/, "").replace(/;$/, "")
-
-      // Handle common cout patterns
-      if (output.includes('"')) {
-        const stringMatch = output.match(/"([^"]+)"/g)
-        if (stringMatch) {
-          stringMatch.forEach((str) => {
-            const cleanStr = str.replace(/"/g, "")
-            if (cleanStr.trim() && cleanStr !== "Program output") {
-              addOutput(cleanStr, "#e2e8f0")
-              hasOutput = true
-            }
-          })
-        }
-      }
-
-      // Handle variable outputs
-      if (output.includes("result") || output.includes("index") || output.includes("found")) {
-        addOutput("Result: [computed value]", "#10b981")
-        hasOutput = true
-      }
-    })
-  }
-
-  // Process printf statements
-  if (printfMatches.length > 0) {
-    printfMatches.forEach((match) => {
-      const formatMatch = match.match(/printf\s*\(\s*"([^"]+)"/)
-      if (formatMatch) {
-        const formatStr = formatMatch[1].replace(/%d|%s|%f/g, "[value]")
-        if (formatStr.trim()) {
-          addOutput(formatStr, "#e2e8f0")
-          hasOutput = true
-        }
-      }
-    })
+function prepareVisualization(code, analysis, trace = []) {
+  // Use extracted array data or custom array
+  const testArray = analysis.arrayData || [...customArray]
+  let frames = []
+
+  // Check algorithm selection or use analysis
+  const selectedAlgorithm = algorithmSelect.value
+  const detectedAlgorithm = selectedAlgorithm === "auto" ? analysis.algorithm : selectedAlgorithm
+
+  // Generate code line mappings (simplified)
+  const codeLines = extractCodeLines(code)
+
+  // Frames traced from the program itself show what the code really did; graph and table views still use the generators,
+  // as does quick sort when a partition scheme or pivot is picked explicitly
+  const generatedView =
+    GENERATED_VIEW_ALGORITHMS.includes(detectedAlgorithm) ||
+    (detectedAlgorithm === "merge" && mergeSortView === "levels") ||
+    (detectedAlgorithm === "quick" && (partitionScheme !== "auto" || pivotStrategy !== "auto"))
+  if (trace.length > 0 && !generatedView) {
+    const label = CPP_ALGORITHM_LABELS[detectedAlgorithm]
+    // A traced heap sort is drawn as tree and bars together, like the generated one
+    const type = detectedAlgorithm === "heap" ? "heap" : "array"
+    animationEngine.setFrames(
+      label ? trace.map((frame) => ({ ...frame, type, algorithm: `${label} (${frame.variable})` })) : trace,
+    )
+    addOutput(
+      `✨ Visualization ready! Traced ${trace.length} steps of your program on '${trace[0].variable}'.`,
+      "#10b981",
+    )
+    addOutput("💡 Add a // watch: name comment to follow a different array", "#64748b")
+    showOperationSummary(detectedAlgorithm, animationEngine.frames)
+    return
   }
 
-  if (!hasOutput) {
-    if (code.includes("fibonacci") || code.includes("Fibonacci")) {
-      addOutput("Fibonacci sequence: 0, 1, 1, 2, 3, 5, 8, 13, 21, 34...", "#10b981")
-    } else if (code.includes("factorial")) {
-      addOutput("Factorial calculation completed", "#10b981")
-    } else if (code.includes("for") || code.includes("while") || code.includes("if")) {
-      addOutput("Code contains logic but no output statements", "#f59e0b")
-      addOutput("Add cout << statements to see program output", "#64748b")
-    } else {
-      addOutput("No output statements detected", "#64748b")
+  // A generator that throws (on input it cannot draw) must not take the finished run down with it
+  try {
+    switch (detectedAlgorithm) {
+      case "bubble":
+        frames = sortingVisualizer.generateBubbleSortFrames(testArray, codeLines)
+        break
+      case "selection":
+        frames = sortingVisualizer.generateSelectionSortFrames(testArray, codeLines)
+        break
+      case "insertion":
+        frames = sortingVisualizer.generateInsertionSortFrames(testArray, codeLines)
+        break
+      case "merge":
+        frames = sortingVisualizer.generateMergeSortFrames(testArray, codeLines)
+        break
+      case "quick":
+        const quickOptions = extractQuickSortOptions(code)
+        frames = sortingVisualizer.generateQuickSortFrames(testArray, codeLines, {
+          partition: partitionScheme === "auto" ? quickOptions.partition : partitionScheme,
+          pivot: pivotStrategy === "auto" ? quickOptions.pivot : pivotStrategy,
+        })
+        break
+      case "heap":
+        frames = sortingVisualizer.generateHeapSortFrames(testArray, codeLines)
+        break
+      case "shell":
+        const sequence = gapSequence === "auto" ? extractGapSequence(code) : gapSequence
+        frames = sortingVisualizer.generateShellSortFrames(testArray, codeLines, sequence)
+        break
+      case "cocktail":
+        frames = sortingVisualizer.generateCocktailShakerSortFrames(testArray, codeLines)
+        break
+      case "comb":
+        frames = sortingVisualizer.generateCombSortFrames(testArray, codeLines)
+        break
+      case "counting":
+        frames = sortingVisualizer.generateCountingSortFrames(testArray, codeLines)
+        break
+      case "radix":
+        frames = sortingVisualizer.generateRadixSortFrames(testArray, codeLines)
+        break
+      case "bucket":
+        frames = sortingVisualizer.generateBucketSortFrames(testArray, codeLines)
+        break
+      case "linear_search":
+        const searchTarget = extractSearchTarget(code) || 22
+        frames = sortingVisualizer.generateLinearSearchFrames(testArray, searchTarget, codeLines)
+        break
+      case "binary_search":
+        const binaryTarget = extractSearchTarget(code) || 22
+        const sortedArray = [...testArray].sort((a, b) => a - b)
+        frames = sortingVisualizer.generateBinarySearchFrames(sortedArray, binaryTarget, codeLines)
+        break
+      case "bst":
+        frames = sortingVisualizer.generateBSTFrames(testArray, extractSearchTarget(code) || 22, codeLines)
+        break
+      case "dijkstra":
+        frames = sortingVisualizer.generateDijkstraFrames(extractGraphData(code) || DEFAULT_GRAPH, codeLines)
+        break
+      case "prim":
+        frames = sortingVisualizer.generatePrimFrames(extractGraphData(code) || DEFAULT_GRAPH, codeLines)
+        break
+      case "kruskal":
+        frames = sortingVisualizer.generateKruskalFrames(extractGraphData(code) || DEFAULT_GRAPH, codeLines)
+        break
+      case "bellman_ford":
+        frames = sortingVisualizer.generateBellmanFordFrames(extractGraphData(code) || DEFAULT_GRAPH, codeLines)
+        break
+      case "floyd_warshall":
+        frames = sortingVisualizer.generateFloydWarshallFrames(extractGraphData(code) || DEFAULT_GRAPH, codeLines)
+        break
+      case "topological_kahn":
+        frames = sortingVisualizer.generateKahnFrames(extractGraphData(code) || DEFAULT_DAG, codeLines)
+        break
+      case "topological_dfs":
+        frames = sortingVisualizer.generateTopologicalDFSFrames(extractGraphData(code) || DEFAULT_DAG, codeLines)
+        break
+      case "fibonacci":
+        frames = sortingVisualizer.generateFibonacciFrames(extractFibonacciTerms(code), codeLines)
+        break
+      case "lcs":
+        const [text1, text2] = extractLCSStrings(code)
+        frames = sortingVisualizer.generateLCSFrames(text1, text2, codeLines)
+        break
+      case "bfs":
+        const bfsGraph = extractGraphData(code) || DEFAULT_GRAPH
+        frames = sortingVisualizer.generateBFSFrames(bfsGraph.graph, bfsGraph.start, codeLines)
+        break
+      case "dfs":
+        const dfsGraph = extractGraphData(code) || DEFAULT_GRAPH
+        frames = sortingVisualizer.generateDFSFrames(dfsGraph.graph, dfsGraph.start, codeLines)
+        break
     }
+  } catch (error) {
+    addOutput(`⚠️ Could not build the visualization: ${error.message}`, "#f59e0b")
+    return
   }
 
-  if (analysis.arrayData && analysis.arrayData.length > 0) {
-    addOutput(`Detected array: [${analysis.arrayData.join(", ")}]`, "#10b981")
+  if (frames.length > 0) {
+    animationEngine.setFrames(frames)
+    addOutput(`✨ Visualization ready! Use the controls to play the ${frames[0].algorithm} animation.`, "#10b981")
+    addOutput(`📊 Generated ${frames.length} animation frames`, "#64748b")
+    showOperationSummary(detectedAlgorithm, frames)
+  } else {
+    addOutput("ℹ️ No step-by-step visualization is available for this program", "#64748b")
   }
 }
 
-function extractOutputContent(coutStatement) {
-  const stringMatches = coutStatement.match(/"([^"]*)"/g) || []
-  let content = ""
-
-  if (stringMatches.length > 0) {
-    content = stringMatches.map((str) => str.replace(/"/g, "")).join("")
-  }
-
-  // Handle endl and newlines
-  if (coutStatement.includes("endl") || coutStatement.includes("\\n")) {
-    content += "\n"
-  }
-
-  // Extract variable names if no string literals
-  if (!content) {
-    const varMatches = coutStatement.match(/<<\s*([a-zA-Z_][a-zA-Z0-9_]*)/g) || []
-    if (varMatches.length > 0) {
-      const vars = varMatches.map((v) => v.replace("<<", "").trim())
-      content = `[Variables: ${vars.join(", ")}]`
-    }
+// The final counts, and for a known algorithm how they compare with its textbook cost on an input of the same size
+function showOperationSummary(algorithm, frames) {
+  const last = frames[frames.length - 1]
+  if (!last || !last.stats) return
+  const { comparisons, swaps, reads, writes, maxDepth } = last.stats
+  if (comparisons === undefined) {
+    if (maxDepth > 0) addOutput(`📈 Maximum recursion depth ${maxDepth}`, "#64748b")
+    return
   }
-
-  return content || null
-}
-
-function extractPrintfContent(printfStatement) {
-  const stringMatch = printfStatement.match(/printf\s*\(\s*"([^"]*)"/)
-  if (stringMatch) {
-    return stringMatch[1].replace(/\\n/g, "\n")
+  addOutput(
+    `📈 Operations: ${comparisons} comparisons, ${swaps} swaps, ${reads} array reads, ${writes} array writes, maximum recursion depth ${maxDepth}`,
+    "#64748b",
+  )
+
+  const complexity = ALGORITHM_COMPLEXITY[algorithm]
+  const input = frames[0].array
+  if (!complexity || (complexity.applies && !complexity.applies(frames[0]))) return
+  if (!Array.isArray(input) || input.length === 0) return
+  const n = input.length
+  const measured = last.stats[complexity.measure]
+  const cases = ["best", "average", "worst"].map((name) => {
+    const [growth, estimate] = complexity[name]
+    return { name, growth, count: Math.round(estimate(n, input, frames[0])) }
+  })
+  const closest = cases.reduce((nearest, bound) =>
+    Math.abs(bound.count - measured) < Math.abs(nearest.count - measured) ? bound : nearest,
+  )
+  const measure = OPERATION_STAT_LABELS[complexity.measure].toLowerCase()
+  // Bubble, selection, counting and radix sort (and any sort of a tiny array) cost the same in every case
+  if (cases.every((bound) => bound.count === cases[0].count)) {
+    addOutput(
+      `📐 ${measured} ${measure} for n = ${n}; expected ${cases[2].growth} ≈ ${cases[2].count} in every case`,
+      "#f59e0b",
+    )
+    return
   }
-  return "printf output"
+  addOutput(
+    `📐 ${measured} ${measure} for n = ${n}; expected ${cases.map((bound) => `${bound.name} ${bound.growth} ≈ ${bound.count}`).join(", ")}`,
+    "#f59e0b",
+  )
+  const verdict = measured > cases[2].count ? "above the worst-case estimate" : `closest to the ${closest.name} case`
+  addOutput(`  This run is ${verdict}`, "#64748b")
 }
 
 function extractCodeLines(code) {
@@ -1761,123 +6453,266 @@ function extractSearchTarget(code) {
   return null
 }
 
+// Ciura's gaps are written out as a list; Knuth's are generated with gap = 3 * gap + 1
+function extractGapSequence(code) {
+  if (/\b(701|301|132)\b/.test(code)) return "ciura"
+  if (/3\s*\*\s*\w+\s*\+\s*1|\w+\s*\*\s*3\s*\+\s*1/.test(code)) return "knuth"
+  return "shell"
+}
+
+// Hoare scans inward with while (arr[i] < pivot); Lomuto tests each element with if (arr[j] < pivot)
+function extractQuickSortOptions(code) {
+  const partition = /while\s*\(\s*\w+\s*\[\s*\w+\s*\]\s*<\s*pivot\b/.test(code) ? "hoare" : "lomuto"
+  let pivot = partition === "hoare" ? "first" : "last"
+  if (/\brand\s*\(|mt19937/.test(code)) pivot = "random"
+  else if (/median/i.test(code)) pivot = "median3"
+  else if (/pivot\s*=\s*\w+\s*\[\s*(low|lo|l|left|start|begin)\s*\]/.test(code)) pivot = "first"
+  else if (/pivot\s*=\s*\w+\s*\[\s*(high|hi|h|r|right|end)\s*\]/.test(code)) pivot = "last"
+  return { partition, pivot }
+}
+
+// The table gets unreadable past ~20 columns, so larger n is clamped
+function extractFibonacciTerms(code) {
+  const match = code.match(/int\s+n\s*=\s*(\d+)/)
+  return match ? Math.min(20, Math.max(2, Number.parseInt(match[1]))) : 10
+}
+
+function extractLCSStrings(code) {
+  const strings = [...code.matchAll(/string\s+\w+\s*=\s*"([^"]*)"/g)].map((match) => match[1].slice(0, 12))
+  return strings.length >= 2 ? strings.slice(0, 2) : ["ABCDGH", "AEDFHR"]
+}
+
+// Returns { graph, edges, directed, weighted, start } for the graph the program builds, or null if there is none
 function extractGraphData(code) {
-  // Try to extract graph from code, return default if not found
-  const graphMatch = code.match(/graph\s*=\s*\{([^}]+)\}/)
-  if (graphMatch) {
-    try {
-      // Simple parsing - this could be enhanced
-      return [[1, 2], [0, 3, 4], [0, 5], [1], [1, 5], [2, 4]]
-    } catch (e) {
-      return null
-    }
-  }
-  return null
+  return CppGraphExtractor.extract(code)
 }
 
-function simulateSortingOutput(algorithmName, array) {
-  const sortedArray = [...array].sort((a, b) => a - b)
+function addOutput(text, color = "#e2e8f0") {
+  const outputLine = document.createElement("div")
+  outputLine.style.color = color
+  outputLine.style.marginBottom = "5px"
+  outputLine.textContent = text
+  outputArea.appendChild(outputLine)
+  outputArea.scrollTop = outputArea.scrollHeight
+}
 
-  addOutput(`${algorithmName} Algorithm Execution:`, "#e2e8f0")
-  addOutput(`Original array: ${array.join(" ")}`, "#e2e8f0")
-  addOutput(`Sorting in progress...`, "#f59e0b")
-  addOutput(`Sorted array: ${sortedArray.join(" ")}`, "#10b981")
+function updateStatus(message) {
+  statusText.textContent = message
 }
 
-function simulateSearchOutput(algorithmName, array, target) {
-  addOutput(`${algorithmName} Simulation:`, "#3b82f6")
-  addOutput(`Array: [${array.join(", ")}]`, "#64748b")
-  addOutput(`Searching for: ${target}`, "#64748b")
+function runCode() {
+  const code = editor.getValue()
+  if (!code.trim()) {
+    updateStatus("Error: No code to execute")
+    return
+  }
+  // The program's own visualization replaces the maze
+  if (gridPlayground.active) closeGridPlayground()
 
-  const index = array.indexOf(target)
-  if (index !== -1) {
-    addOutput(`✅ Element found at index: ${index}`, "#10b981")
-  } else {
-    addOutput(`❌ Element not found`, "#ef4444")
+  isRunning = true
+  runBtn.textContent = "⏹ Stop"
+  runBtn.className = "btn btn-secondary"
+  updateStatus("Compiling and executing C++ code...")
+  outputArea.innerHTML = ""
+  programOutput = null
+  lastRun = null
+
+  // Analyze code first
+  const analysis = codeAnalyzer.parseCode(code)
+
+  // Display analysis results
+  addOutput("🔍 Analyzing code structure...", "#3b82f6")
+  showAlgorithmCandidates(code, analysis)
+  addOutput(`Time complexity: ${analysis.complexity}`, "#f59e0b")
+
+  addOutput("🔧 Compiling C++ code...", "#3b82f6")
+  codeAnalyzer.showDiagnostics(analysis.diagnostics)
+
+  const errorCount = analysis.diagnostics.filter((diagnostic) => diagnostic.severity === "error").length
+  if (errorCount > 0) {
+    addOutput(`❌ Compilation failed with ${errorCount} error${errorCount === 1 ? "" : "s"}:`, "#ef4444")
+    showDiagnosticList(analysis.diagnostics)
+    finishExecution("Compilation failed - click an error to jump to it")
+    return
   }
+
+  if (analysis.diagnostics.length > 0) {
+    addOutput(`⚠️ ${analysis.diagnostics.length} warning${analysis.diagnostics.length === 1 ? "" : "s"}:`, "#f59e0b")
+    showDiagnosticList(analysis.diagnostics)
+  }
+
+  programRunner.run(code, stdinInput.value, {
+    onStart: () => {
+      addOutput("✅ Compilation successful!", "#10b981")
+      addOutput("🚀 Starting execution...", "#3b82f6")
+      updateStatus("Running program...")
+    },
+    onOutput: appendProgramOutput,
+    onCompileError: (diagnostics) => {
+      addOutput("❌ Compilation failed:", "#ef4444")
+      codeAnalyzer.showDiagnostics(diagnostics)
+      showDiagnosticList(diagnostics)
+      finishExecution("Compilation failed - click an error to jump to it")
+    },
+    onRuntimeError: (error) => {
+      const where = error.loc ? ` at line ${error.loc.line}` : ""
+      addOutput(`❌ Runtime error${where}: ${error.message}`, "#ef4444")
+      if (error.callStack.length > 0) {
+        addOutput(`  Call stack: ${formatCallStack(error.callStack)}`, "#64748b")
+      }
+      if (error.trace && error.trace.length > 0) {
+        animationEngine.setFrames(error.trace)
+        addOutput(`📊 Traced ${error.trace.length} steps up to the error`, "#64748b")
+      }
+      finishExecution("Runtime error")
+      if (error.loc) codeAnalyzer.highlightLine(error.loc.line - 1)
+    },
+    onExit: (result) => {
+      if (!programOutput) addOutput("Program produced no output", "#64748b")
+      addOutput(
+        `✅ Program exited with code ${result.exitCode} (${result.steps} statements in ${result.time} ms)`,
+        result.exitCode === 0 ? "#10b981" : "#f59e0b",
+      )
+      lastRun = { code, analysis, trace: result.trace }
+      prepareVisualization(code, analysis, result.trace)
+      finishExecution("Execution completed - Ready for visualization")
+    },
+  })
 }
 
-function simulateGraphOutput(algorithmName, graph, start) {
-  addOutput(`🌐 ${algorithmName} Simulation:`, "#3b82f6")
-  addOutput(`Graph vertices: ${graph.length}`, "#e2e8f0")
-  addOutput(`Starting from vertex: ${start}`, "#e2e8f0")
+// Program output keeps its own whitespace, so it is streamed into a single <pre> block
+function appendProgramOutput(text, stream) {
+  if (!programOutput) {
+    addOutput("Program output:", "#e2e8f0")
+    programOutput = document.createElement("pre")
+    programOutput.className = "program-output"
+    outputArea.appendChild(programOutput)
+  }
+
+  if (stream === "stderr") {
+    const errorText = document.createElement("span")
+    errorText.className = "program-stderr"
+    errorText.textContent = text
+    programOutput.appendChild(errorText)
+  } else {
+    programOutput.appendChild(document.createTextNode(text))
+  }
+  outputArea.scrollTop = outputArea.scrollHeight
+}
 
-  // Simulate traversal
-  const visited = new Array(graph.length).fill(false)
-  const result = []
+function showDiagnosticList(diagnostics) {
+  const list = document.createElement("ul")
+  list.className = "diagnostic-list"
 
-  if (algorithmName === "BFS") {
-    const queue = [start]
-    visited[start] = true
+  diagnostics.forEach((diagnostic) => {
+    const item = document.createElement("li")
+    item.className = `diagnostic-item ${diagnostic.severity}`
+    item.title = "Click to jump to this line"
 
-    while (queue.length > 0) {
-      const vertex = queue.shift()
-      result.push(vertex)
+    const location = document.createElement("span")
+    location.className = "diagnostic-location"
+    location.textContent = `Line ${diagnostic.loc.line}:${diagnostic.loc.col}`
+    item.appendChild(location)
+    item.appendChild(document.createTextNode(`${diagnostic.severity}: ${diagnostic.message}`))
 
-      for (const neighbor of graph[vertex]) {
-        if (!visited[neighbor]) {
-          visited[neighbor] = true
-          queue.push(neighbor)
-        }
-      }
-    }
-  } else if (algorithmName === "DFS") {
-    const stack = [start]
-    visited[start] = true
+    item.addEventListener("click", () => goToDiagnostic(diagnostic))
+    list.appendChild(item)
+  })
 
-    while (stack.length > 0) {
-      const vertex = stack.pop()
-      result.push(vertex)
+  outputArea.appendChild(list)
+  outputArea.scrollTop = outputArea.scrollHeight
+}
 
-      for (const neighbor of graph[vertex]) {
-        if (!visited[neighbor]) {
-          visited[neighbor] = true
-          stack.push(neighbor)
-        }
-      }
-    }
+// Lists the detected algorithms so the user can confirm the best match or pick another one for the visualization
+function showAlgorithmCandidates(code, analysis) {
+  if (analysis.candidates.length === 0) {
+    addOutput("Algorithm detected: none recognised", "#64748b")
+    return
   }
 
-  addOutput(`Traversal order: ${result.join(" → ")}`, "#10b981")
-}
+  addOutput("Algorithm candidates (click to use a different one):", "#10b981")
+  const list = document.createElement("div")
+  list.className = "algorithm-candidates"
+
+  analysis.candidates.forEach((candidate) => {
+    const item = document.createElement("button")
+    item.className = "algorithm-candidate"
+    item.classList.toggle("selected", candidate.name === analysis.algorithm)
+    item.title = candidate.reasons.join(", ")
+
+    const name = document.createElement("span")
+    name.className = "candidate-name"
+    name.textContent = `${candidate.label} · ${Math.round(candidate.confidence * 100)}%`
+
+    const confidence = document.createElement("span")
+    confidence.className = "candidate-confidence"
+    const fill = document.createElement("span")
+    fill.className = "candidate-confidence-fill"
+    fill.style.width = `${candidate.confidence * 100}%`
+    confidence.appendChild(fill)
+
+    const reasons = document.createElement("span")
+    reasons.className = "candidate-reasons"
+    reasons.textContent = candidate.reasons.join(", ")
+
+    item.append(name, confidence, reasons)
+    item.addEventListener("click", () => {
+      list.querySelectorAll(".algorithm-candidate").forEach((other) => other.classList.remove("selected"))
+      item.classList.add("selected")
+      chooseAlgorithm(code, analysis, candidate)
+    })
+    list.appendChild(item)
+  })
 
-function addOutput(text, color = "#e2e8f0") {
-  const outputLine = document.createElement("div")
-  outputLine.style.color = color
-  outputLine.style.marginBottom = "5px"
-  outputLine.textContent = text
-  outputArea.appendChild(outputLine)
+  outputArea.appendChild(list)
   outputArea.scrollTop = outputArea.scrollHeight
 }
 
-function updateStatus(message) {
-  statusText.textContent = message
-}
-
-function runCode() {
-  const code = editor.getValue()
-  if (!code.trim()) {
-    updateStatus("Error: No code to execute")
+function chooseAlgorithm(code, analysis, candidate) {
+  analysis.algorithm = candidate.name
+  if (algorithmSelect.value !== "auto") {
+    addOutput(`ℹ️ Set the algorithm selector to Auto-detect to visualize as ${candidate.label}`, "#64748b")
     return
   }
 
-  isRunning = true
-  runBtn.textContent = "⏹ Stop"
-  runBtn.className = "btn btn-secondary"
-  updateStatus("Compiling and executing C++ code...")
+  // Before the run finishes the choice is simply picked up when the visualization is prepared
+  if (lastRun && lastRun.analysis === analysis) {
+    addOutput(`🔁 Visualizing as ${candidate.label}`, "#3b82f6")
+    prepareVisualization(code, analysis, lastRun.trace)
+  } else {
+    updateStatus(`Will visualize as ${candidate.label}`)
+  }
+}
 
-  // Simulate compilation and execution
-  setTimeout(() => {
-    simulateExecution(code)
-  }, 1000)
+function closeGridPlayground() {
+  gridPlayground.close()
+  gridToolbar.classList.add("hidden")
+  gridPlaygroundBtn.classList.remove("active")
 }
 
-function stopExecution() {
+function goToDiagnostic(diagnostic) {
+  const position = { line: diagnostic.loc.line - 1, ch: diagnostic.loc.col - 1 }
+  editor.focus()
+  editor.setCursor(position)
+  editor.scrollIntoView(position, 100)
+}
+
+function formatCallStack(callStack) {
+  const innermost = callStack.slice(-5).reverse().join(" ← ")
+  return callStack.length > 5 ? `${innermost} ← … (${callStack.length - 5} more)` : innermost
+}
+
+function finishExecution(message) {
   isRunning = false
   runBtn.textContent = "▶ Run Code"
   runBtn.className = "btn btn-primary"
+  updateStatus(message)
+}
+
+function stopExecution() {
+  if (programRunner.stop()) addOutput("⏹ Execution stopped by user", "#f59e0b")
   animationEngine.stop()
-  updateStatus("Execution stopped")
+  finishExecution("Execution stopped")
 }
 
 function resetEditor() {
@@ -1928,7 +6763,7 @@ int main() {
 }
 
 stepBtn.addEventListener("click", () => {
-  if (isRunning) {
+  if (animationEngine.totalFrames > 0) {
     animationEngine.stepForward()
     updateStatus("Stepped through execution")
   } else {
@@ -1942,7 +6777,22 @@ clearBtn.addEventListener("click", () => {
   updateStatus("Output cleared")
 })
 
-runBtn.addEventListener("click", runCode)
+// Re-check the code shortly after the user stops typing
+let diagnosticsTimer = null
+editor.on("change", () => {
+  clearTimeout(diagnosticsTimer)
+  diagnosticsTimer = setTimeout(() => {
+    codeAnalyzer.showDiagnostics(codeAnalyzer.validateCode(editor.getValue()))
+  }, 500)
+})
+
+runBtn.addEventListener("click", () => {
+  if (isRunning) {
+    stopExecution()
+  } else {
+    runCode()
+  }
+})
 resetBtn.addEventListener("click", resetEditor)
 
 // Check for URL parameters to pre-load algorithms
@@ -2134,105 +6984,368 @@ int main() {
     return 0;
 }`,
 
-    "Quick Sort": `#include <iostream>
+    "Quick Sort": `#include <iostream>
+#include <vector>
+using namespace std;
+
+int partition(vector<int>& arr, int low, int high) {
+    int pivot = arr[high];
+    int i = (low - 1);
+    
+    for(int j = low; j <= high - 1; j++) {
+        if(arr[j] < pivot) {
+            i++;
+            swap(arr[i], arr[j]);
+        }
+    }
+    swap(arr[i + 1], arr[high]);
+    return (i + 1);
+}
+
+void quickSort(vector<int>& arr, int low, int high) {
+    if(low < high) {
+        int pi = partition(arr, low, high);
+        
+        quickSort(arr, low, pi - 1);
+        quickSort(arr, pi + 1, high);
+    }
+}
+
+int main() {
+    vector<int> arr = {64, 34, 25, 12, 22, 11, 90};
+    int n = arr.size();
+    
+    cout << "Original array: ";
+    for(int i = 0; i < n; i++) {
+        cout << arr[i] << " ";
+    }
+    cout << endl;
+    
+    quickSort(arr, 0, n - 1);
+    
+    cout << "Sorted array: ";
+    for(int i = 0; i < n; i++) {
+        cout << arr[i] << " ";
+    }
+    cout << endl;
+    
+    return 0;
+}`,
+
+    "Heap Sort": `#include <iostream>
+#include <vector>
+using namespace std;
+
+void heapify(vector<int>& arr, int n, int i) {
+    int largest = i;
+    int left = 2 * i + 1;
+    int right = 2 * i + 2;
+    
+    if(left < n && arr[left] > arr[largest])
+        largest = left;
+    
+    if(right < n && arr[right] > arr[largest])
+        largest = right;
+    
+    if(largest != i) {
+        swap(arr[i], arr[largest]);
+        heapify(arr, n, largest);
+    }
+}
+
+void heapSort(vector<int>& arr) {
+    int n = arr.size();
+    
+    for(int i = n / 2 - 1; i >= 0; i--)
+        heapify(arr, n, i);
+    
+    for(int i = n - 1; i > 0; i--) {
+        swap(arr[0], arr[i]);
+        heapify(arr, i, 0);
+    }
+}
+
+int main() {
+    vector<int> arr = {64, 34, 25, 12, 22, 11, 90};
+    int n = arr.size();
+    
+    cout << "Original array: ";
+    for(int i = 0; i < n; i++) {
+        cout << arr[i] << " ";
+    }
+    cout << endl;
+    
+    heapSort(arr);
+    
+    cout << "Sorted array: ";
+    for(int i = 0; i < n; i++) {
+        cout << arr[i] << " ";
+    }
+    cout << endl;
+    
+    return 0;
+}`,
+
+    "Shell Sort": `#include <iostream>
+#include <vector>
+using namespace std;
+
+void shellSort(vector<int>& arr) {
+    int n = arr.size();
+    // Shell's original gaps n/2, n/4, ..., 1 (Knuth's 3h+1 or Ciura's 1, 4, 10, 23, 57, ... also work)
+    for(int gap = n / 2; gap > 0; gap /= 2) {
+        // Gapped insertion sort: elements gap apart form their own sorted group
+        for(int i = gap; i < n; i++) {
+            int temp = arr[i];
+            int j = i;
+            while(j >= gap && arr[j - gap] > temp) {
+                arr[j] = arr[j - gap];
+                j -= gap;
+            }
+            arr[j] = temp;
+        }
+    }
+}
+
+int main() {
+    vector<int> arr = {35, 33, 42, 10, 14, 19, 27, 44, 26, 31};
+    int n = arr.size();
+
+    shellSort(arr);
+
+    cout << "Sorted array: ";
+    for(int i = 0; i < n; i++) {
+        cout << arr[i] << " ";
+    }
+    cout << endl;
+
+    return 0;
+}`,
+
+    "Cocktail Shaker Sort": `#include <iostream>
+#include <vector>
+using namespace std;
+
+void cocktailShakerSort(vector<int>& arr) {
+    int start = 0;
+    int end = arr.size() - 1;
+    bool swapped = true;
+
+    while(swapped) {
+        // Forward pass carries the largest value to the end
+        swapped = false;
+        for(int i = start; i < end; i++) {
+            if(arr[i] > arr[i + 1]) {
+                swap(arr[i], arr[i + 1]);
+                swapped = true;
+            }
+        }
+        if(!swapped) break;
+        end--;
+
+        // Backward pass carries the smallest value to the front
+        swapped = false;
+        for(int i = end - 1; i >= start; i--) {
+            if(arr[i] > arr[i + 1]) {
+                swap(arr[i], arr[i + 1]);
+                swapped = true;
+            }
+        }
+        start++;
+    }
+}
+
+int main() {
+    vector<int> arr = {5, 1, 4, 2, 8, 0, 2, 9, 3};
+    int n = arr.size();
+
+    cocktailShakerSort(arr);
+
+    cout << "Sorted array: ";
+    for(int i = 0; i < n; i++) {
+        cout << arr[i] << " ";
+    }
+    cout << endl;
+
+    return 0;
+}`,
+
+    "Comb Sort": `#include <iostream>
+#include <vector>
+using namespace std;
+
+void combSort(vector<int>& arr) {
+    int n = arr.size();
+    int gap = n;
+    bool sorted = false;
+
+    while(!sorted) {
+        // Shrink the gap by a factor of about 1.3 each pass
+        gap = gap * 10 / 13;
+        if(gap <= 1) {
+            gap = 1;
+            sorted = true;
+        }
+        // A gap-1 pass without swaps ends the sort
+        for(int i = 0; i + gap < n; i++) {
+            if(arr[i] > arr[i + gap]) {
+                swap(arr[i], arr[i + gap]);
+                sorted = false;
+            }
+        }
+    }
+}
+
+int main() {
+    vector<int> arr = {8, 4, 1, 56, 3, -44, 23, -6, 28, 0};
+    int n = arr.size();
+
+    combSort(arr);
+
+    cout << "Sorted array: ";
+    for(int i = 0; i < n; i++) {
+        cout << arr[i] << " ";
+    }
+    cout << endl;
+
+    return 0;
+}`,
+
+    "Counting Sort": `#include <iostream>
+#include <vector>
+using namespace std;
+
+void countingSort(vector<int>& arr) {
+    int minValue = arr[0];
+    int maxValue = arr[0];
+    for(int i = 1; i < arr.size(); i++) {
+        if(arr[i] < minValue) minValue = arr[i];
+        if(arr[i] > maxValue) maxValue = arr[i];
+    }
+
+    // count[v - minValue] is how many times v occurs
+    vector<int> count(maxValue - minValue + 1, 0);
+    for(int i = 0; i < arr.size(); i++) {
+        count[arr[i] - minValue]++;
+    }
+
+    // Write every value back as many times as it was counted
+    int index = 0;
+    for(int v = 0; v < count.size(); v++) {
+        while(count[v] > 0) {
+            arr[index] = v + minValue;
+            index++;
+            count[v]--;
+        }
+    }
+}
+
+int main() {
+    vector<int> arr = {4, 2, 2, 8, 3, 3, 1, 7, 5};
+    int n = arr.size();
+
+    countingSort(arr);
+
+    cout << "Sorted array: ";
+    for(int i = 0; i < n; i++) {
+        cout << arr[i] << " ";
+    }
+    cout << endl;
+
+    return 0;
+}`,
+
+    "Radix Sort": `#include <iostream>
 #include <vector>
 using namespace std;
 
-int partition(vector<int>& arr, int low, int high) {
-    int pivot = arr[high];
-    int i = (low - 1);
-    
-    for(int j = low; j <= high - 1; j++) {
-        if(arr[j] < pivot) {
-            i++;
-            swap(arr[i], arr[j]);
-        }
+void radixSort(vector<int>& arr) {
+    int maxValue = arr[0];
+    for(int i = 1; i < arr.size(); i++) {
+        if(arr[i] > maxValue) maxValue = arr[i];
     }
-    swap(arr[i + 1], arr[high]);
-    return (i + 1);
-}
 
-void quickSort(vector<int>& arr, int low, int high) {
-    if(low < high) {
-        int pi = partition(arr, low, high);
-        
-        quickSort(arr, low, pi - 1);
-        quickSort(arr, pi + 1, high);
+    // One stable pass per decimal digit, least significant first
+    for(int exp = 1; maxValue / exp > 0; exp *= 10) {
+        vector<vector<int>> buckets(10);
+        for(int i = 0; i < arr.size(); i++) {
+            int digit = (arr[i] / exp) % 10;
+            buckets[digit].push_back(arr[i]);
+        }
+
+        // Collecting the buckets in order keeps earlier passes' order within each digit
+        int index = 0;
+        for(int d = 0; d < 10; d++) {
+            for(int j = 0; j < buckets[d].size(); j++) {
+                arr[index] = buckets[d][j];
+                index++;
+            }
+        }
     }
 }
 
 int main() {
-    vector<int> arr = {64, 34, 25, 12, 22, 11, 90};
+    vector<int> arr = {170, 45, 75, 90, 802, 24, 2, 66};
     int n = arr.size();
-    
-    cout << "Original array: ";
-    for(int i = 0; i < n; i++) {
-        cout << arr[i] << " ";
-    }
-    cout << endl;
-    
-    quickSort(arr, 0, n - 1);
-    
+
+    radixSort(arr);
+
     cout << "Sorted array: ";
     for(int i = 0; i < n; i++) {
         cout << arr[i] << " ";
     }
     cout << endl;
-    
+
     return 0;
 }`,
 
-    "Heap Sort": `#include <iostream>
+    "Bucket Sort": `#include <iostream>
 #include <vector>
+#include <algorithm>
 using namespace std;
 
-void heapify(vector<int>& arr, int n, int i) {
-    int largest = i;
-    int left = 2 * i + 1;
-    int right = 2 * i + 2;
-    
-    if(left < n && arr[left] > arr[largest])
-        largest = left;
-    
-    if(right < n && arr[right] > arr[largest])
-        largest = right;
-    
-    if(largest != i) {
-        swap(arr[i], arr[largest]);
-        heapify(arr, n, largest);
+void bucketSort(vector<int>& arr, int bucketCount) {
+    int minValue = arr[0];
+    int maxValue = arr[0];
+    for(int i = 1; i < arr.size(); i++) {
+        if(arr[i] < minValue) minValue = arr[i];
+        if(arr[i] > maxValue) maxValue = arr[i];
     }
-}
 
-void heapSort(vector<int>& arr) {
-    int n = arr.size();
-    
-    for(int i = n / 2 - 1; i >= 0; i--)
-        heapify(arr, n, i);
-    
-    for(int i = n - 1; i > 0; i--) {
-        swap(arr[0], arr[i]);
-        heapify(arr, i, 0);
+    // Each bucket covers an equal slice of the value range
+    vector<vector<int>> buckets(bucketCount);
+    int range = maxValue - minValue + 1;
+    for(int i = 0; i < arr.size(); i++) {
+        int b = (arr[i] - minValue) * bucketCount / range;
+        buckets[b].push_back(arr[i]);
+    }
+
+    // Buckets are small, so sorting each one is cheap
+    for(int b = 0; b < bucketCount; b++) {
+        sort(buckets[b].begin(), buckets[b].end());
+    }
+
+    int index = 0;
+    for(int b = 0; b < bucketCount; b++) {
+        for(int j = 0; j < buckets[b].size(); j++) {
+            arr[index] = buckets[b][j];
+            index++;
+        }
     }
 }
 
 int main() {
-    vector<int> arr = {64, 34, 25, 12, 22, 11, 90};
+    vector<int> arr = {29, 25, 3, 49, 9, 37, 21, 43};
     int n = arr.size();
-    
-    cout << "Original array: ";
-    for(int i = 0; i < n; i++) {
-        cout << arr[i] << " ";
-    }
-    cout << endl;
-    
-    heapSort(arr);
-    
+
+    bucketSort(arr, 3);
+
     cout << "Sorted array: ";
     for(int i = 0; i < n; i++) {
         cout << arr[i] << " ";
     }
     cout << endl;
-    
+
     return 0;
 }`,
 
@@ -2318,6 +7431,61 @@ int main() {
         cout << "Element not found" << endl;
     }
     
+    return 0;
+}`,
+
+    "Binary Search Tree": `#include <iostream>
+#include <vector>
+using namespace std;
+
+// Nodes live in parallel arrays; a child link is a node index, -1 when there is none
+vector<int> key;
+vector<int> leftChild;
+vector<int> rightChild;
+
+int insertKey(int root, int value) {
+    if(root == -1) {
+        key.push_back(value); // place
+        leftChild.push_back(-1);
+        rightChild.push_back(-1);
+        return key.size() - 1;
+    }
+    
+    if(value < key[root]) { // compare
+        leftChild[root] = insertKey(leftChild[root], value);
+    } else {
+        rightChild[root] = insertKey(rightChild[root], value);
+    }
+    return root;
+}
+
+bool searchKey(int root, int target) {
+    while(root != -1) {
+        if(key[root] == target) {
+            return true; // complete
+        }
+        root = target < key[root] ? leftChild[root] : rightChild[root];
+    }
+    return false;
+}
+
+int main() {
+    vector<int> keys = {50, 30, 70, 20, 40, 60, 80};
+    int target = 60;
+    
+    int root = -1; // init
+    for(int i = 0; i < keys.size(); i++) {
+        root = insertKey(root, keys[i]);
+    }
+    
+    cout << "Inserted " << key.size() << " keys" << endl;
+    
+    if(searchKey(root, target)) {
+        cout << target << " is in the tree" << endl;
+    } else {
+        cout << target << " is not in the tree" << endl;
+    }
+    
     return 0;
 }`,
 
@@ -2406,6 +7574,382 @@ int main() {
     
     DFS(graph, 0);
     
+    return 0;
+}`,
+
+    "Dijkstra's Algorithm": `#include <iostream>
+#include <vector>
+#include <queue>
+#include <climits>
+using namespace std;
+
+void addEdge(vector<vector<pair<int, int>>>& graph, int u, int v, int weight) {
+    graph[u].push_back({v, weight});
+    graph[v].push_back({u, weight});
+}
+
+vector<int> dijkstra(vector<vector<pair<int, int>>>& graph, int source) {
+    int n = graph.size();
+    vector<int> dist(n, INT_MAX);
+    priority_queue<pair<int, int>, vector<pair<int, int>>, greater<pair<int, int>>> pq;
+
+    dist[source] = 0;
+    pq.push({0, source});
+
+    while(!pq.empty()) {
+        int d = pq.top().first;
+        int u = pq.top().second;
+        pq.pop();
+
+        if(d > dist[u]) continue;
+
+        for(auto& edge : graph[u]) {
+            int v = edge.first;
+            int weight = edge.second;
+            if(dist[u] + weight < dist[v]) {
+                dist[v] = dist[u] + weight;
+                pq.push({dist[v], v});
+            }
+        }
+    }
+    return dist;
+}
+
+int main() {
+    int n = 6;
+    vector<vector<pair<int, int>>> graph(n);
+
+    addEdge(graph, 0, 1, 4);
+    addEdge(graph, 0, 2, 1);
+    addEdge(graph, 2, 1, 2);
+    addEdge(graph, 1, 3, 5);
+    addEdge(graph, 2, 3, 8);
+    addEdge(graph, 3, 4, 3);
+    addEdge(graph, 4, 5, 1);
+    addEdge(graph, 3, 5, 6);
+
+    vector<int> dist = dijkstra(graph, 0);
+
+    cout << "Shortest distances from vertex 0:" << endl;
+    for(int i = 0; i < n; i++) {
+        cout << "Vertex " << i << ": " << dist[i] << endl;
+    }
+
+    return 0;
+}`,
+
+    "Prim's Algorithm": `#include <iostream>
+#include <vector>
+#include <queue>
+using namespace std;
+
+void addEdge(vector<vector<pair<int, int>>>& graph, int u, int v, int weight) {
+    graph[u].push_back({v, weight});
+    graph[v].push_back({u, weight});
+}
+
+int prim(vector<vector<pair<int, int>>>& graph, int start) {
+    int n = graph.size();
+    vector<bool> inTree(n, false);
+    // {weight, vertex}: the cheapest known edge into each vertex
+    priority_queue<pair<int, int>, vector<pair<int, int>>, greater<pair<int, int>>> pq;
+    int total = 0;
+
+    pq.push({0, start});
+    while(!pq.empty()) {
+        int weight = pq.top().first;
+        int u = pq.top().second;
+        pq.pop();
+
+        if(inTree[u]) continue;  // a cheaper edge already reached u
+        inTree[u] = true;
+        total += weight;
+
+        for(auto& edge : graph[u]) {
+            int v = edge.first;
+            if(!inTree[v]) pq.push({edge.second, v});
+        }
+    }
+    return total;
+}
+
+int main() {
+    int n = 6;
+    vector<vector<pair<int, int>>> graph(n);
+
+    addEdge(graph, 0, 1, 4);
+    addEdge(graph, 0, 2, 1);
+    addEdge(graph, 2, 1, 2);
+    addEdge(graph, 1, 3, 5);
+    addEdge(graph, 2, 3, 8);
+    addEdge(graph, 3, 4, 3);
+    addEdge(graph, 4, 5, 1);
+    addEdge(graph, 3, 5, 6);
+
+    cout << "Minimum spanning tree weight: " << prim(graph, 0) << endl;
+
+    return 0;
+}`,
+
+    "Kruskal's Algorithm": `#include <iostream>
+#include <vector>
+#include <algorithm>
+using namespace std;
+
+vector<int> parent;
+vector<int> rnk;
+
+int find(int x) {
+    if(parent[x] != x)
+        parent[x] = find(parent[x]);  // path compression
+    return parent[x];
+}
+
+bool unite(int a, int b) {
+    int rootA = find(a);
+    int rootB = find(b);
+    if(rootA == rootB) return false;  // same set: edge would close a cycle
+
+    if(rnk[rootA] < rnk[rootB]) swap(rootA, rootB);
+    parent[rootB] = rootA;
+    if(rnk[rootA] == rnk[rootB]) rnk[rootA]++;
+    return true;
+}
+
+int main() {
+    int n = 6;
+    // {weight, {u, v}}
+    vector<pair<int, pair<int, int>>> edges = {
+        {4, {0, 1}}, {1, {0, 2}}, {2, {1, 2}}, {5, {1, 3}},
+        {8, {2, 3}}, {3, {3, 4}}, {1, {4, 5}}, {6, {3, 5}}
+    };
+
+    parent.resize(n);
+    rnk.assign(n, 0);
+    for(int i = 0; i < n; i++) parent[i] = i;
+
+    sort(edges.begin(), edges.end());
+
+    int total = 0;
+    cout << "Edges in the minimum spanning tree:" << endl;
+    for(int i = 0; i < edges.size(); i++) {
+        int weight = edges[i].first;
+        int u = edges[i].second.first;
+        int v = edges[i].second.second;
+        if(unite(u, v)) {
+            total += weight;
+            cout << u << " - " << v << " (" << weight << ")" << endl;
+        }
+    }
+    cout << "Total weight: " << total << endl;
+
+    return 0;
+}`,
+
+    "Topological Sort (Kahn)": `#include <iostream>
+#include <vector>
+#include <queue>
+using namespace std;
+
+void addEdge(vector<vector<int>>& graph, int u, int v) {
+    graph[u].push_back(v);
+}
+
+vector<int> topologicalSort(vector<vector<int>>& graph) {
+    int n = graph.size();
+    vector<int> inDegree(n, 0);
+    for(int u = 0; u < n; u++) {
+        for(int v : graph[u]) inDegree[v]++;
+    }
+
+    // Vertices with no incoming edges can go first
+    queue<int> q;
+    for(int u = 0; u < n; u++) {
+        if(inDegree[u] == 0) q.push(u);
+    }
+
+    vector<int> order;
+    while(!q.empty()) {
+        int u = q.front();
+        q.pop();
+        order.push_back(u);
+
+        // Removing u's outgoing edges may free its neighbours
+        for(int v : graph[u]) {
+            inDegree[v]--;
+            if(inDegree[v] == 0) q.push(v);
+        }
+    }
+    return order;  // shorter than n when the graph has a cycle
+}
+
+int main() {
+    int n = 6;
+    vector<vector<int>> graph(n);
+
+    addEdge(graph, 5, 2);
+    addEdge(graph, 5, 0);
+    addEdge(graph, 4, 0);
+    addEdge(graph, 4, 1);
+    addEdge(graph, 2, 3);
+    addEdge(graph, 3, 1);
+
+    vector<int> order = topologicalSort(graph);
+    if(order.size() < n) {
+        cout << "The graph has a cycle" << endl;
+    } else {
+        cout << "Topological order: ";
+        for(int v : order) cout << v << " ";
+        cout << endl;
+    }
+
+    return 0;
+}`,
+
+    "Topological Sort (DFS)": `#include <iostream>
+#include <vector>
+#include <algorithm>
+using namespace std;
+
+void addEdge(vector<vector<int>>& graph, int u, int v) {
+    graph[u].push_back(v);
+}
+
+// color: 0 = white (unvisited), 1 = gray (on the recursion stack), 2 = black (finished)
+bool dfs(vector<vector<int>>& graph, int u, vector<int>& color, vector<int>& order) {
+    color[u] = 1;
+    for(int v : graph[u]) {
+        if(color[v] == 1) return false;  // back edge to a gray vertex: cycle
+        if(color[v] == 0 && !dfs(graph, v, color, order)) return false;
+    }
+    color[u] = 2;
+    order.push_back(u);  // u finishes after everything it points to
+    return true;
+}
+
+int main() {
+    int n = 6;
+    vector<vector<int>> graph(n);
+
+    addEdge(graph, 5, 2);
+    addEdge(graph, 5, 0);
+    addEdge(graph, 4, 0);
+    addEdge(graph, 4, 1);
+    addEdge(graph, 2, 3);
+    addEdge(graph, 3, 1);
+
+    vector<int> color(n, 0);
+    vector<int> order;
+    bool acyclic = true;
+    for(int u = 0; u < n && acyclic; u++) {
+        if(color[u] == 0 && !dfs(graph, u, color, order)) acyclic = false;
+    }
+
+    if(!acyclic) {
+        cout << "The graph has a cycle" << endl;
+    } else {
+        reverse(order.begin(), order.end());
+        cout << "Topological order: ";
+        for(int v : order) cout << v << " ";
+        cout << endl;
+    }
+
+    return 0;
+}`,
+
+    "Bellman-Ford Algorithm": `#include <iostream>
+#include <vector>
+#include <climits>
+using namespace std;
+
+// Returns false when a negative-weight cycle is reachable from the source
+bool bellmanFord(vector<vector<int>>& edges, int n, int source, vector<int>& dist) {
+    dist.assign(n, INT_MAX);
+    dist[source] = 0;
+
+    // After pass i every shortest path with at most i edges is known
+    for(int pass = 1; pass < n; pass++) {
+        for(int i = 0; i < edges.size(); i++) {
+            int u = edges[i][0];
+            int v = edges[i][1];
+            int weight = edges[i][2];
+            if(dist[u] != INT_MAX && dist[u] + weight < dist[v]) {
+                dist[v] = dist[u] + weight;
+            }
+        }
+    }
+
+    // Any edge that still relaxes lies on or after a negative cycle
+    for(int i = 0; i < edges.size(); i++) {
+        int u = edges[i][0];
+        int v = edges[i][1];
+        int weight = edges[i][2];
+        if(dist[u] != INT_MAX && dist[u] + weight < dist[v]) return false;
+    }
+    return true;
+}
+
+int main() {
+    int n = 5;
+    // {from, to, weight}; negative weights are allowed
+    vector<vector<int>> edges = {
+        {0, 1, 6}, {0, 2, 7}, {1, 2, 8}, {1, 3, 5}, {1, 4, -4},
+        {2, 3, -3}, {2, 4, 9}, {3, 1, -2}, {4, 3, 7}
+    };
+
+    vector<int> dist;
+    if(!bellmanFord(edges, n, 0, dist)) {
+        cout << "Graph contains a negative-weight cycle" << endl;
+        return 0;
+    }
+
+    cout << "Shortest distances from vertex 0:" << endl;
+    for(int i = 0; i < n; i++) {
+        cout << "Vertex " << i << ": " << dist[i] << endl;
+    }
+
+    return 0;
+}`,
+
+    "Floyd-Warshall Algorithm": `#include <iostream>
+#include <vector>
+using namespace std;
+
+const int INF = 1000000;
+
+int main() {
+    int n = 4;
+    // {from, to, weight}
+    vector<vector<int>> edges = {
+        {0, 1, 5}, {0, 3, 10}, {1, 2, 3}, {2, 3, 1}, {3, 0, 2}
+    };
+
+    vector<vector<int>> dist(n, vector<int>(n, INF));
+    for(int i = 0; i < n; i++) dist[i][i] = 0;
+    for(int i = 0; i < edges.size(); i++) {
+        dist[edges[i][0]][edges[i][1]] = edges[i][2];
+    }
+
+    // Allow vertex k as an intermediate stop on every path
+    for(int k = 0; k < n; k++) {
+        for(int i = 0; i < n; i++) {
+            for(int j = 0; j < n; j++) {
+                if(dist[i][k] != INF && dist[k][j] != INF && dist[i][k] + dist[k][j] < dist[i][j]) {
+                    dist[i][j] = dist[i][k] + dist[k][j];
+                }
+            }
+        }
+    }
+
+    cout << "Shortest distances between every pair:" << endl;
+    for(int i = 0; i < n; i++) {
+        for(int j = 0; j < n; j++) {
+            if(dist[i][j] == INF) cout << "INF ";
+            else cout << dist[i][j] << " ";
+        }
+        cout << endl;
+    }
+
     return 0;
 }`,
 
@@ -2487,6 +8031,15 @@ int main() {
       "Merge Sort": "merge",
       "Quick Sort": "quick",
       "Heap Sort": "heap",
+      "Shell Sort": "shell",
+      "Cocktail Shaker Sort": "cocktail",
+      "Comb Sort": "comb",
+      "Counting Sort": "counting",
+      "Radix Sort": "radix",
+      "Bucket Sort": "bucket",
+      "Bellman-Ford Algorithm": "bellman_ford",
+      "Floyd-Warshall Algorithm": "floyd_warshall",
+      "Binary Search Tree": "bst",
     }
 
     if (algorithmMap[algorithmName]) {
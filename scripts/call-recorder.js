@@ -0,0 +1,118 @@
+// Records calls and returns as a live call stack plus a growing recursion tree, in a form every animation frame can
+// carry: the tree's nodes are shared between frames and each frame only keeps how far the tree had grown. Past `limit`
+// nodes only the live stack is kept and the tree is marked truncated
+const CALL_STACK_SNAPSHOT_LIMIT = 40
+const CALL_VALUE_PREVIEW = 4
+
+class CallRecorder {
+  constructor(limit = Infinity) {
+    this.nodes = []
+    this.stack = []
+    this.time = 0
+    this.limit = limit
+    this.truncated = false
+    this.active = new Map()
+    this.entries = 0
+    this.maxRecursion = 0
+  }
+
+  // args are [name, value] pairs; a value may be a function that reads the current value when a frame is taken
+  enter(name, args = []) {
+    const caller = this.stack[this.stack.length - 1]
+    // Recursion depth counts the calls a function makes to itself, so main, the entry call and helpers such as
+    // partition add nothing
+    const count = (this.active.get(name) || 0) + 1
+    this.active.set(name, count)
+    const recursion = Math.max(caller ? caller.recursion : 0, count - 1)
+    this.maxRecursion = Math.max(this.maxRecursion, recursion)
+    // Numbers calls in entry order; a frame names the innermost call a function made to itself, 0 outside recursion
+    const entry = ++this.entries
+    const recursiveCall = count > 1 ? entry : caller ? caller.recursiveCall : 0
+
+    if (this.nodes.length >= this.limit) {
+      this.truncated = true
+      this.stack.push({ node: null, name, args, locals: new Map(), recursion, recursiveCall })
+      return
+    }
+
+    const scalars = args.map(([argName, value]) => {
+      const current = CallRecorder.read(value)
+      return typeof current === "object" && current !== null ? argName : CallRecorder.format(current)
+    })
+    const node = {
+      id: this.nodes.length,
+      parent: caller ? caller.node.id : null,
+      depth: this.stack.length,
+      label: `${name}(${scalars.join(", ")})`,
+      enteredAt: ++this.time,
+      returnedAt: null,
+      result: null,
+    }
+    this.nodes.push(node)
+    this.stack.push({ node, name, args, locals: new Map(), recursion, recursiveCall })
+  }
+
+  exit(result) {
+    const frame = this.stack.pop()
+    if (!frame) return
+    this.active.set(frame.name, this.active.get(frame.name) - 1)
+    if (!frame.node) return
+    frame.node.returnedAt = ++this.time
+    if (result !== undefined) frame.node.result = CallRecorder.format(result)
+  }
+
+  // No further calls are added to the tree, e.g. once nothing is recorded to show them
+  freeze() {
+    this.limit = Math.min(this.limit, this.nodes.length)
+  }
+
+  recursionDepth() {
+    const innermost = this.stack[this.stack.length - 1]
+    return innermost ? innermost.recursion : 0
+  }
+
+  setLocal(name, value) {
+    const frame = this.stack[this.stack.length - 1]
+    if (frame) frame.locals.set(name, value)
+  }
+
+  // Fields spread into a frame; only the innermost frames of a deep recursion are listed, and the variables are the
+  // innermost call's arguments and locals
+  snapshot() {
+    const describe = ([name, value]) => ({ name, value: CallRecorder.format(CallRecorder.read(value)) })
+    const innermost = this.stack[this.stack.length - 1]
+    return {
+      variables: innermost
+        ? Object.fromEntries(
+            [...innermost.args, ...innermost.locals].map(describe).map(({ name, value }) => [name, value]),
+          )
+        : {},
+      callStack: this.stack.slice(-CALL_STACK_SNAPSHOT_LIMIT).map((frame) => ({
+        name: frame.name,
+        args: frame.args.map(describe),
+        locals: [...frame.locals].map(describe),
+      })),
+      callDepth: this.stack.length,
+      recursionDepth: this.recursionDepth(),
+      maxRecursionDepth: this.maxRecursion,
+      recursiveCall: innermost ? innermost.recursiveCall : 0,
+      callTree: { nodes: this.nodes, size: this.nodes.length, time: this.time, truncated: this.truncated },
+    }
+  }
+
+  static read(value) {
+    return typeof value === "function" ? value() : value
+  }
+
+  static format(value) {
+    if (value === null || value === undefined) return "?"
+    if (Array.isArray(value)) {
+      const preview = value.slice(0, CALL_VALUE_PREVIEW).map((item) => CallRecorder.format(item))
+      if (value.length > CALL_VALUE_PREVIEW) preview.push(`… ${value.length} items`)
+      return `[${preview.join(", ")}]`
+    }
+    if (typeof value === "string") return JSON.stringify(value)
+    if (typeof value === "object") return "{…}"
+    return String(value)
+  }
+}
@@ -0,0 +1,1081 @@
+// Semantic checker: resolves names and annotates every expression with its static type
+class CppScope {
+  constructor(parent = null) {
+    this.parent = parent
+    this.symbols = new Map()
+  }
+
+  declare(name, symbol) {
+    this.symbols.set(name, symbol)
+  }
+
+  lookup(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.symbols.has(name)) return scope.symbols.get(name)
+    }
+    return null
+  }
+}
+
+const CPP_BUILTIN_VALUES = {
+  cout: { type: CppTypes.OSTREAM, value: "stdout" },
+  cerr: { type: CppTypes.OSTREAM, value: "stderr" },
+  cin: { type: CppTypes.ISTREAM, value: "stdin" },
+  endl: { type: CppTypes.MANIP, value: { manip: "endl" } },
+  fixed: { type: CppTypes.MANIP, value: { manip: "fixed" } },
+  INT_MAX: { type: CppTypes.INT, value: 2147483647 },
+  INT_MIN: { type: CppTypes.INT, value: -2147483648 },
+  UINT_MAX: { type: CppTypes.UINT, value: 4294967295 },
+  LLONG_MAX: { type: CppTypes.LONG, value: 9223372036854775807n },
+  LLONG_MIN: { type: CppTypes.LONG, value: -9223372036854775808n },
+  LONG_MAX: { type: CppTypes.LONG, value: 9223372036854775807n },
+  LONG_MIN: { type: CppTypes.LONG, value: -9223372036854775808n },
+  ULLONG_MAX: { type: CppTypes.ULONG, value: 18446744073709551615n },
+  npos: { type: CppTypes.LONG, value: -1 },
+}
+
+const CPP_MATH_FUNCTIONS = new Set(["sqrt", "pow", "floor", "ceil", "round", "log", "log2", "log10", "exp", "fabs"])
+
+// Result types of container member functions; null marks "same as element type"
+const CPP_METHODS = {
+  vector: {
+    push_back: "void",
+    emplace_back: "void",
+    pop_back: "void",
+    size: "int",
+    empty: "bool",
+    clear: "void",
+    back: null,
+    front: null,
+    at: null,
+    resize: "void",
+    assign: "void",
+    begin: "iterator",
+    end: "iterator",
+    insert: "void",
+    erase: "void",
+  },
+  string: {
+    length: "int",
+    size: "int",
+    empty: "bool",
+    substr: "string",
+    push_back: "void",
+    pop_back: "void",
+    find: "int",
+    back: null,
+    front: null,
+    at: null,
+    clear: "void",
+    append: "void",
+    c_str: "string",
+    begin: "iterator",
+    end: "iterator",
+  },
+  queue: { push: "void", emplace: "void", pop: "void", front: null, back: null, empty: "bool", size: "int" },
+  stack: { push: "void", emplace: "void", pop: "void", top: null, empty: "bool", size: "int" },
+  priority_queue: { push: "void", emplace: "void", pop: "void", top: null, empty: "bool", size: "int" },
+}
+
+const CPP_MUTATING_METHODS = new Set([
+  "push_back",
+  "emplace_back",
+  "pop_back",
+  "push",
+  "emplace",
+  "pop",
+  "clear",
+  "resize",
+  "assign",
+  "insert",
+  "erase",
+  "append",
+])
+
+class CppChecker {
+  constructor(program) {
+    this.program = program
+    this.errors = []
+    this.functions = new Map()
+    this.globalScope = new CppScope()
+    this.currentFunction = null
+    this.loopDepth = 0
+    this.switchDepth = 0
+  }
+
+  check() {
+    this.collectFunctions()
+
+    for (const declaration of this.program.globals) {
+      this.checkStatement(declaration, this.globalScope)
+    }
+
+    for (const fn of this.program.functions) {
+      if (fn.body) this.checkFunction(fn)
+    }
+
+    if (!this.functions.has("main")) {
+      this.error("undefined reference to 'main'", { line: 1, col: 1, endLine: 1, endCol: 2 })
+    }
+
+    return this.errors.sort((a, b) => a.loc.line - b.loc.line || a.loc.col - b.loc.col)
+  }
+
+  error(message, loc) {
+    this.errors.push({ message, loc, severity: "error" })
+    return CppTypes.ERROR
+  }
+
+  warning(message, loc) {
+    this.errors.push({ message, loc, severity: "warning" })
+  }
+
+  // Functions and overloads
+
+  collectFunctions() {
+    for (const fn of this.program.functions) {
+      const overloads = this.functions.get(fn.name) || []
+      const existing = overloads.find((other) => this.sameSignature(other, fn))
+
+      if (!existing) {
+        overloads.push(fn)
+        this.functions.set(fn.name, overloads)
+      } else if (existing.body && fn.body) {
+        this.error(`redefinition of '${fn.name}'`, fn.nameLoc)
+      } else if (fn.body) {
+        // Definition after a prototype replaces it
+        overloads[overloads.indexOf(existing)] = fn
+      }
+    }
+
+    for (const overloads of this.functions.values()) {
+      for (const fn of overloads) {
+        if (!fn.body) this.error(`undefined reference to '${fn.name}'`, fn.nameLoc)
+      }
+    }
+  }
+
+  sameSignature(a, b) {
+    return (
+      a.params.length === b.params.length && a.params.every((param, i) => CppTypes.equals(param.type, b.params[i].type))
+    )
+  }
+
+  checkFunction(fn) {
+    const scope = new CppScope(this.globalScope)
+    for (const param of fn.params) {
+      if (param.defaultValue) this.checkAssignable(param.defaultValue, param.type, scope, param.loc)
+      if (scope.symbols.has(param.name)) this.error(`redefinition of parameter '${param.name}'`, param.loc)
+      scope.declare(param.name, { type: param.type, isRef: param.isRef, isConst: param.isConst })
+    }
+
+    this.currentFunction = fn
+    this.checkBlock(fn.body, new CppScope(scope))
+    this.currentFunction = null
+
+    if (fn.returnType.name !== "void" && fn.name !== "main" && !this.alwaysReturns(fn.body)) {
+      const end = fn.body.loc
+      this.warning(`control reaches end of non-void function '${fn.name}'`, {
+        line: end.endLine,
+        col: end.endCol - 1,
+        endLine: end.endLine,
+        endCol: end.endCol,
+      })
+    }
+  }
+
+  alwaysReturns(node) {
+    switch (node.kind) {
+      case "Return":
+        return true
+      case "Block":
+        return node.body.some((statement) => this.alwaysReturns(statement))
+      case "If":
+        return Boolean(node.alternate) && this.alwaysReturns(node.consequent) && this.alwaysReturns(node.alternate)
+      case "While":
+        return node.test.kind === "Literal" && node.test.value !== 0
+      case "For":
+        return !node.test
+      case "ExprStmt":
+        return node.expression.kind === "Call" && node.expression.callee.name === "exit"
+      default:
+        return false
+    }
+  }
+
+  // Finds the variable an assignment ultimately writes to, e.g. 'grid' for grid[i][j] or p.first
+  rootSymbol(node, scope) {
+    let root = node
+    while (root.kind === "Index" || root.kind === "Member") root = root.object
+    if (root.kind !== "Identifier") return null
+    const symbol = scope.lookup(root.name)
+    return symbol ? { name: root.name, symbol, isDirect: root === node } : null
+  }
+
+  checkWritable(node, scope) {
+    const root = this.rootSymbol(node, scope)
+    if (!root || !root.symbol.isConst) return
+    const message = root.isDirect
+      ? `assignment of read-only variable '${root.name}'`
+      : `assignment of read-only location in '${root.name}'`
+    this.error(message, node.loc)
+  }
+
+  resolveCall(node, name, argTypes) {
+    const overloads = (this.functions.get(name) || []).filter((fn) => fn.body)
+    const candidates = overloads.filter((fn) => {
+      const required = fn.params.filter((param) => !param.defaultValue).length
+      return argTypes.length >= required && argTypes.length <= fn.params.length
+    })
+
+    if (candidates.length === 0) {
+      const expected = overloads.map((fn) => fn.params.length).join(" or ")
+      return this.error(
+        `no matching function for call to '${name}' with ${argTypes.length} argument(s), expected ${expected}`,
+        node.loc,
+      )
+    }
+
+    // Prefer the overload whose parameter types match the arguments most closely
+    const score = (fn) =>
+      argTypes.reduce((total, type, i) => {
+        const paramType = fn.params[i].type
+        if (CppTypes.equals(paramType, type)) return total + 2
+        return total + (this.isConvertible(type, paramType) ? 1 : -10)
+      }, 0)
+    candidates.sort((a, b) => score(b) - score(a))
+    return candidates[0]
+  }
+
+  // Statements
+
+  checkBlock(block, scope) {
+    for (const statement of block.body) this.checkStatement(statement, scope)
+  }
+
+  checkStatement(node, scope) {
+    switch (node.kind) {
+      case "Block":
+        this.checkBlock(node, new CppScope(scope))
+        break
+      case "Empty":
+        break
+      case "VarDecl":
+        for (const declarator of node.declarations) this.checkDeclarator(declarator, scope)
+        break
+      case "ExprStmt":
+        this.checkExpression(node.expression, scope)
+        break
+      case "If":
+        this.checkCondition(node.test, scope)
+        this.checkStatement(node.consequent, new CppScope(scope))
+        if (node.alternate) this.checkStatement(node.alternate, new CppScope(scope))
+        break
+      case "While":
+      case "DoWhile":
+        this.checkCondition(node.test, scope)
+        this.checkLoopBody(node.body, new CppScope(scope))
+        break
+      case "For": {
+        const forScope = new CppScope(scope)
+        if (node.init) this.checkStatement(node.init, forScope)
+        if (node.test) this.checkCondition(node.test, forScope)
+        if (node.update) this.checkExpression(node.update, forScope)
+        this.checkLoopBody(node.body, new CppScope(forScope))
+        break
+      }
+      case "RangeFor":
+        this.checkRangeFor(node, scope)
+        break
+      case "Switch":
+        this.checkSwitch(node, scope)
+        break
+      case "Return":
+        this.checkReturn(node, scope)
+        break
+      case "Break":
+        if (this.loopDepth === 0 && this.switchDepth === 0)
+          this.error("break statement not within loop or switch", node.loc)
+        break
+      case "Continue":
+        if (this.loopDepth === 0) this.error("continue statement not within a loop", node.loc)
+        break
+      default:
+        this.error(`Unsupported statement '${node.kind}'`, node.loc)
+    }
+  }
+
+  checkLoopBody(body, scope) {
+    this.loopDepth++
+    this.checkStatement(body, scope)
+    this.loopDepth--
+  }
+
+  checkCondition(node, scope) {
+    const type = this.checkExpression(node, scope)
+    if (!CppTypes.isError(type) && !CppTypes.isNumeric(type) && type.name !== "istream") {
+      this.error(`could not convert '${CppTypes.toString(type)}' to 'bool'`, node.loc)
+    }
+  }
+
+  checkDeclarator(declarator, scope) {
+    let type = declarator.type
+
+    if (type.name === "void") {
+      this.error(`variable '${declarator.name}' declared void`, declarator.loc)
+      type = CppTypes.ERROR
+    }
+
+    if (type.name === "auto") {
+      if (!declarator.init || declarator.init.kind === "InitList") {
+        this.error(`declaration of 'auto ${declarator.name}' needs an initializer`, declarator.loc)
+        type = CppTypes.ERROR
+      } else {
+        type = this.checkExpression(declarator.init, scope)
+        if (type.name === "void") type = this.error("cannot deduce 'auto' from a void expression", declarator.init.loc)
+      }
+    } else if (type.name === "array") {
+      type = this.checkArrayDeclarator(declarator, type, scope)
+    } else if (declarator.args) {
+      this.checkConstructorArgs(type, declarator.args, scope, declarator.loc)
+    } else if (declarator.init) {
+      this.checkAssignable(declarator.init, type, scope, declarator.loc)
+    }
+
+    if (declarator.isRef) {
+      if (!declarator.init) {
+        this.error(`'${declarator.name}' declared as reference but not initialized`, declarator.loc)
+      } else if (!this.isLvalue(declarator.init, scope)) {
+        this.error(`cannot bind reference '${declarator.name}' to a temporary value`, declarator.init.loc)
+      }
+    }
+
+    if (scope.symbols.has(declarator.name)) {
+      this.error(`redeclaration of '${declarator.name}'`, declarator.loc)
+    }
+    declarator.resolvedType = type
+    scope.declare(declarator.name, { type, isRef: declarator.isRef, isConst: declarator.isConst })
+  }
+
+  checkArrayDeclarator(declarator, type, scope) {
+    for (let dim = type; dim.name === "array"; dim = dim.elem) {
+      if (dim.size) this.checkIntegral(dim.size, scope, "array size")
+    }
+
+    if (declarator.init && declarator.init.kind === "InitList") {
+      this.checkInitList(declarator.init, type, scope)
+    } else if (declarator.init && declarator.init.kind === "Literal" && type.elem.name === "char") {
+      declarator.init.type = CppTypes.STRING
+    } else if (declarator.init || declarator.args) {
+      this.error("array must be initialized with a brace-enclosed initializer", declarator.loc)
+    } else if (!type.size) {
+      this.error(`array size missing in '${declarator.name}'`, declarator.loc)
+    }
+    return type
+  }
+
+  checkRangeFor(node, scope) {
+    const iterableType = this.checkExpression(node.iterable, scope)
+    let elemType = CppTypes.ERROR
+
+    if (CppTypes.isIndexable(iterableType)) {
+      elemType = CppTypes.elementType(iterableType)
+    } else if (!CppTypes.isError(iterableType)) {
+      this.error(`'${CppTypes.toString(iterableType)}' cannot be used in a range-based for loop`, node.iterable.loc)
+    }
+
+    const variable = node.variable
+    let type = variable.type
+    if (type.name === "auto") {
+      type = elemType
+    } else if (!CppTypes.isError(elemType) && !this.isConvertible(elemType, type)) {
+      this.error(`cannot convert '${CppTypes.toString(elemType)}' to '${CppTypes.toString(type)}'`, variable.loc)
+    }
+
+    variable.resolvedType = type
+    const bodyScope = new CppScope(scope)
+    bodyScope.declare(variable.name, { type, isRef: variable.isRef, isConst: variable.isConst })
+    this.checkLoopBody(node.body, bodyScope)
+  }
+
+  checkSwitch(node, scope) {
+    this.checkIntegral(node.discriminant, scope, "switch quantity")
+    const bodyScope = new CppScope(scope)
+    let hasDefault = false
+
+    this.switchDepth++
+    for (const switchCase of node.cases) {
+      if (switchCase.test) {
+        this.checkIntegral(switchCase.test, scope, "case label")
+      } else if (hasDefault) {
+        this.error("multiple default labels in one switch", switchCase.loc)
+      } else {
+        hasDefault = true
+      }
+      for (const statement of switchCase.body) this.checkStatement(statement, bodyScope)
+    }
+    this.switchDepth--
+  }
+
+  checkReturn(node, scope) {
+    const returnType = this.currentFunction.returnType
+    if (returnType.name === "void") {
+      if (node.argument) {
+        this.checkExpression(node.argument, scope)
+        this.error("return-statement with a value, in function returning 'void'", node.loc)
+      }
+    } else if (!node.argument) {
+      this.error(`return-statement with no value, in function returning '${CppTypes.toString(returnType)}'`, node.loc)
+    } else {
+      this.checkAssignable(node.argument, returnType, scope, node.argument.loc)
+    }
+  }
+
+  checkIntegral(node, scope, what) {
+    const type = this.checkExpression(node, scope)
+    if (!CppTypes.isError(type) && !CppTypes.isIntegral(type)) {
+      this.error(`${what} has non-integer type '${CppTypes.toString(type)}'`, node.loc)
+    }
+    return type
+  }
+
+  // Conversions
+
+  isConvertible(from, to) {
+    if (CppTypes.isError(from) || CppTypes.isError(to)) return true
+    if (CppTypes.isNumeric(from) && CppTypes.isNumeric(to)) return true
+    if (from.name === "pair" && to.name === "pair") {
+      return this.isConvertible(from.first, to.first) && this.isConvertible(from.second, to.second)
+    }
+    return CppTypes.equals(from, to)
+  }
+
+  checkAssignable(node, targetType, scope, loc) {
+    if (node.kind === "InitList") return this.checkInitList(node, targetType, scope)
+
+    const type = this.checkExpression(node, scope)
+    if (!this.isConvertible(type, targetType)) {
+      this.error(`cannot convert '${CppTypes.toString(type)}' to '${CppTypes.toString(targetType)}'`, loc || node.loc)
+    }
+    return type
+  }
+
+  checkInitList(node, targetType, scope) {
+    node.type = targetType
+    const elements = node.elements
+
+    switch (targetType.name) {
+      case "vector":
+      case "array":
+        if (targetType.name === "array" && targetType.size && targetType.size.kind === "Literal") {
+          if (elements.length > targetType.size.value) this.error("too many initializers for array", node.loc)
+        }
+        for (const element of elements) this.checkAssignable(element, targetType.elem, scope)
+        break
+      case "pair":
+        if (elements.length !== 2) return this.error("a pair initializer needs exactly two values", node.loc)
+        this.checkAssignable(elements[0], targetType.first, scope)
+        this.checkAssignable(elements[1], targetType.second, scope)
+        break
+      case "error":
+        break
+      default:
+        if (CppTypes.isNumeric(targetType) || targetType.name === "string") {
+          if (elements.length > 1) return this.error("too many values in scalar initializer", node.loc)
+          if (elements.length === 1) this.checkAssignable(elements[0], targetType, scope)
+        } else if (elements.length > 0) {
+          return this.error(`cannot initialize '${CppTypes.toString(targetType)}' from a list`, node.loc)
+        }
+    }
+    return targetType
+  }
+
+  checkConstructorArgs(type, args, scope, loc) {
+    const argTypes = () => args.map((arg) => this.checkExpression(arg, scope))
+
+    switch (type.name) {
+      case "vector": {
+        if (args.length === 0) return
+        if (args.length === 1 && args[0].kind !== "InitList") {
+          const argType = this.checkExpression(args[0], scope)
+          if (CppTypes.equals(argType, type) || CppTypes.isError(argType)) return
+          if (!CppTypes.isIntegral(argType)) this.error("vector size must be an integer", args[0].loc)
+          return
+        }
+        if (args.length === 2) {
+          const sizeType = this.checkExpression(args[0], scope)
+          if (sizeType.name === "iterator") {
+            this.checkExpression(args[1], scope)
+            return
+          }
+          if (!CppTypes.isError(sizeType) && !CppTypes.isIntegral(sizeType)) {
+            this.error("vector size must be an integer", args[0].loc)
+          }
+          this.checkAssignable(args[1], type.elem, scope)
+          return
+        }
+        break
+      }
+      case "string": {
+        const types = argTypes()
+        if (types.length === 0) return
+        if (types.length === 1 && this.isConvertible(types[0], CppTypes.STRING)) return
+        if (types.length === 2 && CppTypes.isIntegral(types[0]) && CppTypes.isNumeric(types[1])) return
+        break
+      }
+      case "pair":
+        if (args.length === 0) return
+        if (args.length === 2) {
+          this.checkAssignable(args[0], type.first, scope)
+          this.checkAssignable(args[1], type.second, scope)
+          return
+        }
+        break
+      case "queue":
+      case "stack":
+      case "priority_queue":
+        if (args.length === 0) return
+        break
+      case "error":
+        return
+      default:
+        if (CppTypes.isNumeric(type)) {
+          if (args.length === 0) return
+          if (args.length === 1) {
+            this.checkAssignable(args[0], type, scope)
+            return
+          }
+        }
+    }
+    argTypes()
+    this.error(`no matching constructor for '${CppTypes.toString(type)}' with ${args.length} argument(s)`, loc)
+  }
+
+  isLvalue(node, scope) {
+    switch (node.kind) {
+      case "Identifier": {
+        const symbol = scope.lookup(node.name)
+        return Boolean(symbol) && !symbol.isFunction
+      }
+      case "Index":
+        return true
+      case "Member":
+        return node.object.type && node.object.type.name === "pair"
+      case "Call":
+        return node.target && node.target.kind === "method" && ["back", "front", "top", "at"].includes(node.target.name)
+      case "Assign":
+        return true
+      case "Update":
+        return node.prefix
+      default:
+        return false
+    }
+  }
+
+  // Expressions
+
+  checkExpression(node, scope) {
+    const type = this.computeType(node, scope)
+    node.type = type
+    return type
+  }
+
+  computeType(node, scope) {
+    switch (node.kind) {
+      case "Literal":
+        return node.type
+      case "Identifier":
+        return this.checkIdentifier(node, scope)
+      case "Binary":
+        return this.checkBinary(node, scope)
+      case "Assign":
+        return this.checkAssign(node, scope)
+      case "Update": {
+        const type = this.checkExpression(node.argument, scope)
+        if (CppTypes.isError(type)) return type
+        if (!CppTypes.isNumeric(type) || type.name === "bool") {
+          return this.error(`cannot apply '${node.op}' to '${CppTypes.toString(type)}'`, node.loc)
+        }
+        if (!this.isLvalue(node.argument, scope))
+          return this.error(`lvalue required as operand of '${node.op}'`, node.loc)
+        this.checkWritable(node.argument, scope)
+        return type
+      }
+      case "Unary":
+        return this.checkUnary(node, scope)
+      case "Conditional":
+        return this.checkConditional(node, scope)
+      case "Call":
+        return this.checkCall(node, scope)
+      case "Index":
+        return this.checkIndex(node, scope)
+      case "Member":
+        return this.checkMember(node, scope)
+      case "Cast": {
+        const type = this.checkExpression(node.argument, scope)
+        if (!CppTypes.isError(type) && !CppTypes.isNumeric(type)) {
+          return this.error(
+            `invalid cast from '${CppTypes.toString(type)}' to '${CppTypes.toString(node.type)}'`,
+            node.loc,
+          )
+        }
+        return node.type
+      }
+      case "Construct":
+        this.checkConstructorArgs(node.type, node.args, scope, node.loc)
+        return node.type
+      case "Comparator":
+        return CppTypes.comparator(node.greater)
+      case "Sequence": {
+        let type = CppTypes.VOID
+        for (const expression of node.expressions) type = this.checkExpression(expression, scope)
+        return type
+      }
+      case "InitList":
+        return this.error("initializer list cannot be used here", node.loc)
+      default:
+        return this.error(`Unsupported expression '${node.kind}'`, node.loc)
+    }
+  }
+
+  checkIdentifier(node, scope) {
+    const symbol = scope.lookup(node.name)
+    if (symbol) return symbol.type
+
+    if (CPP_BUILTIN_VALUES[node.name]) {
+      node.builtin = node.name
+      return CPP_BUILTIN_VALUES[node.name].type
+    }
+
+    if (this.functions.has(node.name)) {
+      return this.error(`function '${node.name}' used without calling it`, node.loc)
+    }
+    return this.error(`'${node.name}' was not declared in this scope`, node.loc)
+  }
+
+  checkBinary(node, scope) {
+    const { op } = node
+    const left = this.checkExpression(node.left, scope)
+
+    if (op === "<<" && left.name === "ostream") {
+      const right = this.checkExpression(node.right, scope)
+      if (!CppTypes.isError(right) && !CppTypes.isNumeric(right) && !["string", "manip"].includes(right.name)) {
+        if (!(right.name === "array" && right.elem.name === "char")) {
+          return this.error(`no match for 'operator<<' with '${CppTypes.toString(right)}'`, node.right.loc)
+        }
+      }
+      return CppTypes.OSTREAM
+    }
+
+    if (op === ">>" && left.name === "istream") {
+      const right = this.checkExpression(node.right, scope)
+      if (!CppTypes.isError(right) && !CppTypes.isNumeric(right) && right.name !== "string") {
+        return this.error(`no match for 'operator>>' with '${CppTypes.toString(right)}'`, node.right.loc)
+      }
+      if (!this.isLvalue(node.right, scope)) this.error("cannot read into a temporary value", node.right.loc)
+      else this.checkWritable(node.right, scope)
+      return CppTypes.ISTREAM
+    }
+
+    const right = this.checkExpression(node.right, scope)
+    if (CppTypes.isError(left) || CppTypes.isError(right)) return CppTypes.ERROR
+    const invalid = () =>
+      this.error(
+        `invalid operands to '${op}' ('${CppTypes.toString(left)}' and '${CppTypes.toString(right)}')`,
+        node.loc,
+      )
+
+    switch (op) {
+      case "&&":
+      case "||":
+        if (!this.isScalar(left) || !this.isScalar(right)) return invalid()
+        return CppTypes.BOOL
+      case "==":
+      case "!=":
+      case "<":
+      case ">":
+      case "<=":
+      case ">=":
+        if (CppTypes.isNumeric(left) && CppTypes.isNumeric(right)) return CppTypes.BOOL
+        if (left.name === "string" && right.name === "string") return CppTypes.BOOL
+        if (["vector", "pair"].includes(left.name) && CppTypes.equals(left, right)) return CppTypes.BOOL
+        if (left.name === "iterator" && right.name === "iterator") return CppTypes.BOOL
+        return invalid()
+      case "+":
+        if (left.name === "string" && (right.name === "string" || right.name === "char")) return CppTypes.STRING
+        if (left.name === "char" && right.name === "string") return CppTypes.STRING
+        if (["iterator", "array"].includes(left.name) && CppTypes.isIntegral(right)) return CppTypes.iterator(left.elem)
+      // falls through
+      case "-":
+        if (op === "-" && left.name === "iterator" && CppTypes.isIntegral(right)) return left
+        if (op === "-" && left.name === "iterator" && right.name === "iterator") return CppTypes.INT
+      // falls through
+      case "*":
+      case "/":
+        if (CppTypes.isNumeric(left) && CppTypes.isNumeric(right)) return CppTypes.arithmeticResult(left, right)
+        return invalid()
+      case "%":
+      case "&":
+      case "|":
+      case "^":
+      case "<<":
+      case ">>":
+        if (CppTypes.isIntegral(left) && CppTypes.isIntegral(right)) {
+          return op === "<<" || op === ">>"
+            ? CppTypes.arithmeticResult(left, CppTypes.INT)
+            : CppTypes.arithmeticResult(left, right)
+        }
+        return invalid()
+      default:
+        return invalid()
+    }
+  }
+
+  isScalar(type) {
+    return CppTypes.isNumeric(type) || type.name === "istream"
+  }
+
+  checkAssign(node, scope) {
+    const targetType = this.checkExpression(node.target, scope)
+    if (!CppTypes.isError(targetType) && !this.isLvalue(node.target, scope)) {
+      this.error("lvalue required as left operand of assignment", node.target.loc)
+    } else if (!CppTypes.isError(targetType)) {
+      this.checkWritable(node.target, scope)
+    }
+
+    if (node.op === "=") {
+      if (targetType.name === "array") return this.error("invalid array assignment", node.loc)
+      this.checkAssignable(node.value, targetType, scope, node.value.loc)
+      return targetType
+    }
+
+    const valueType = this.checkExpression(node.value, scope)
+    if (CppTypes.isError(targetType) || CppTypes.isError(valueType)) return targetType
+    if (node.op === "+=" && targetType.name === "string" && ["string", "char"].includes(valueType.name))
+      return targetType
+
+    const arithmetic = ["+=", "-=", "*=", "/="].includes(node.op)
+    const valid = arithmetic
+      ? CppTypes.isNumeric(targetType) && CppTypes.isNumeric(valueType)
+      : CppTypes.isIntegral(targetType) && CppTypes.isIntegral(valueType)
+    if (!valid) {
+      return this.error(
+        `invalid operands to '${node.op}' ('${CppTypes.toString(targetType)}' and '${CppTypes.toString(valueType)}')`,
+        node.loc,
+      )
+    }
+    return targetType
+  }
+
+  checkUnary(node, scope) {
+    const type = this.checkExpression(node.argument, scope)
+    if (CppTypes.isError(type)) return type
+
+    if (node.op === "!") {
+      if (!this.isScalar(type))
+        return this.error(`no match for 'operator!' with '${CppTypes.toString(type)}'`, node.loc)
+      return CppTypes.BOOL
+    }
+    if (node.op === "~") {
+      if (!CppTypes.isIntegral(type)) return this.error(`wrong type argument to bit-complement`, node.loc)
+      return CppTypes.arithmeticResult(type, CppTypes.INT)
+    }
+    if (!CppTypes.isNumeric(type)) {
+      return this.error(`wrong type argument to unary '${node.op}'`, node.loc)
+    }
+    return CppTypes.arithmeticResult(type, CppTypes.INT)
+  }
+
+  checkConditional(node, scope) {
+    this.checkCondition(node.test, scope)
+    const consequent = this.checkExpression(node.consequent, scope)
+    const alternate = this.checkExpression(node.alternate, scope)
+    if (CppTypes.isError(consequent) || CppTypes.isError(alternate)) return CppTypes.ERROR
+    if (CppTypes.equals(consequent, alternate)) return consequent
+    if (CppTypes.isNumeric(consequent) && CppTypes.isNumeric(alternate)) {
+      return CppTypes.arithmeticResult(consequent, alternate)
+    }
+    return this.error(
+      `operands to '?:' have different types '${CppTypes.toString(consequent)}' and '${CppTypes.toString(alternate)}'`,
+      node.loc,
+    )
+  }
+
+  checkIndex(node, scope) {
+    const objectType = this.checkExpression(node.object, scope)
+    this.checkIntegral(node.index, scope, "array subscript")
+    if (CppTypes.isError(objectType)) return objectType
+    if (!CppTypes.isIndexable(objectType)) {
+      return this.error(`'${CppTypes.toString(objectType)}' cannot be indexed with []`, node.loc)
+    }
+    return CppTypes.elementType(objectType)
+  }
+
+  checkMember(node, scope) {
+    const objectType = this.checkExpression(node.object, scope)
+    if (CppTypes.isError(objectType)) return objectType
+    if (objectType.name === "pair" && (node.property === "first" || node.property === "second")) {
+      return objectType[node.property]
+    }
+    if (CPP_METHODS[objectType.name] && CPP_METHODS[objectType.name][node.property] !== undefined) {
+      return this.error(`'${node.property}' is a member function; did you mean '${node.property}()'?`, node.loc)
+    }
+    return this.error(`'${CppTypes.toString(objectType)}' has no member named '${node.property}'`, node.loc)
+  }
+
+  // Calls
+
+  checkCall(node, scope) {
+    if (node.callee.kind === "Member") return this.checkMethodCall(node, scope)
+    if (node.callee.kind !== "Identifier") return this.error("expression cannot be called as a function", node.loc)
+
+    const name = node.callee.name
+    if (scope.lookup(name)) return this.error(`'${name}' cannot be used as a function`, node.callee.loc)
+
+    if (this.functions.has(name)) {
+      const argTypes = node.args.map((arg) => (arg.kind === "InitList" ? null : this.checkExpression(arg, scope)))
+      const fn = this.resolveCall(
+        node,
+        name,
+        argTypes.map((type) => type || CppTypes.ERROR),
+      )
+      if (CppTypes.isError(fn)) return fn
+
+      node.target = { kind: "function", fn }
+      node.args.forEach((arg, i) => {
+        const param = fn.params[i]
+        if (arg.kind === "InitList") {
+          this.checkInitList(arg, param.type, scope)
+        } else if (!this.isConvertible(argTypes[i], param.type) && !this.isArrayArgument(argTypes[i], param.type)) {
+          this.error(
+            `cannot convert '${CppTypes.toString(argTypes[i])}' to '${CppTypes.toString(param.type)}' for argument ${i + 1} of '${name}'`,
+            arg.loc,
+          )
+        } else if (param.isRef && !param.isConst && !this.isLvalue(arg, scope)) {
+          this.error(`cannot bind non-const reference parameter '${param.name}' to a temporary value`, arg.loc)
+        } else if (param.isRef && !param.isConst) {
+          const root = this.rootSymbol(arg, scope)
+          if (root && root.symbol.isConst) {
+            this.error(
+              `binding reference parameter '${param.name}' to const '${root.name}' discards qualifiers`,
+              arg.loc,
+            )
+          }
+        }
+      })
+      return fn.returnType
+    }
+
+    node.target = { kind: "builtin", name }
+    return this.checkBuiltinCall(node, name, scope)
+  }
+
+  isArrayArgument(argType, paramType) {
+    return argType.name === "array" && paramType.name === "array" && this.isConvertible(argType.elem, paramType.elem)
+  }
+
+  checkBuiltinCall(node, name, scope) {
+    const args = node.args
+    const types = args.map((arg) => (arg.kind === "InitList" ? CppTypes.ERROR : this.checkExpression(arg, scope)))
+    const expectArgs = (min, max = min) => {
+      if (types.length < min || types.length > max) {
+        this.error(`wrong number of arguments to '${name}'`, node.loc)
+        return false
+      }
+      return true
+    }
+    const numeric = (i) => CppTypes.isError(types[i]) || CppTypes.isNumeric(types[i])
+
+    switch (name) {
+      case "swap":
+        if (!expectArgs(2)) return CppTypes.ERROR
+        if (!this.isLvalue(args[0], scope) || !this.isLvalue(args[1], scope)) {
+          return this.error("swap requires two variables or elements", node.loc)
+        }
+        if (!CppTypes.equals(types[0], types[1]) && !types.some(CppTypes.isError)) {
+          return this.error(
+            `cannot swap '${CppTypes.toString(types[0])}' with '${CppTypes.toString(types[1])}'`,
+            node.loc,
+          )
+        }
+        return CppTypes.VOID
+      case "min":
+      case "max":
+        if (!expectArgs(2)) return CppTypes.ERROR
+        if (types.some(CppTypes.isError)) return CppTypes.ERROR
+        if (CppTypes.equals(types[0], types[1])) return types[0]
+        if (numeric(0) && numeric(1)) return CppTypes.arithmeticResult(types[0], types[1])
+        return this.error(`no matching function for call to '${name}'`, node.loc)
+      case "abs":
+        if (!expectArgs(1)) return CppTypes.ERROR
+        if (!numeric(0)) return this.error("abs requires a number", node.loc)
+        return CppTypes.arithmeticResult(types[0], CppTypes.INT)
+      case "make_pair":
+        if (!expectArgs(2)) return CppTypes.ERROR
+        return CppTypes.pair(types[0], types[1])
+      case "to_string":
+        if (!expectArgs(1)) return CppTypes.ERROR
+        if (!numeric(0)) return this.error("to_string requires a number", node.loc)
+        return CppTypes.STRING
+      case "stoi":
+      case "stod":
+        if (!expectArgs(1)) return CppTypes.ERROR
+        if (types[0].name !== "string") return this.error(`${name} requires a string`, node.loc)
+        return name === "stoi" ? CppTypes.INT : CppTypes.DOUBLE
+      case "setprecision":
+      case "setw":
+        if (!expectArgs(1)) return CppTypes.ERROR
+        this.checkIntegralType(types[0], args[0])
+        return CppTypes.MANIP
+      case "getline":
+        if (!expectArgs(2)) return CppTypes.ERROR
+        if (types[0].name !== "istream" || types[1].name !== "string" || !this.isLvalue(args[1], scope)) {
+          return this.error("getline expects (cin, string variable)", node.loc)
+        }
+        return CppTypes.ISTREAM
+      case "printf":
+        if (types.length === 0 || types[0].name !== "string")
+          return this.error("printf requires a format string", node.loc)
+        return CppTypes.INT
+      case "exit":
+        if (!expectArgs(1)) return CppTypes.ERROR
+        this.checkIntegralType(types[0], args[0])
+        return CppTypes.VOID
+      case "sort":
+      case "reverse":
+      case "fill":
+        return this.checkRangeAlgorithm(node, name, types)
+      default:
+        if (CPP_MATH_FUNCTIONS.has(name)) {
+          if (!expectArgs(name === "pow" ? 2 : 1)) return CppTypes.ERROR
+          types.forEach((type, i) => {
+            if (!numeric(i)) this.error(`${name} requires numeric arguments`, args[i].loc)
+          })
+          return CppTypes.DOUBLE
+        }
+        return this.error(`'${name}' was not declared in this scope`, node.callee.loc)
+    }
+  }
+
+  checkIntegralType(type, node) {
+    if (!CppTypes.isError(type) && !CppTypes.isIntegral(type)) this.error("expected an integer", node.loc)
+  }
+
+  checkRangeAlgorithm(node, name, types) {
+    const isRange = types.length >= 2 && types[0].name === "iterator" && types[1].name === "iterator"
+    if (!isRange && !types.some(CppTypes.isError)) {
+      return this.error(`${name} expects an iterator range such as (v.begin(), v.end())`, node.loc)
+    }
+    if (name === "sort" && types.length === 3 && types[2].name !== "comparator") {
+      return this.error("sort comparator must be greater<>() or less<>()", node.args[2].loc)
+    }
+    if (name === "fill" && types.length !== 3) return this.error("fill expects (first, last, value)", node.loc)
+    if (name !== "fill" && types.length > (name === "sort" ? 3 : 2)) {
+      return this.error(`too many arguments to '${name}'`, node.loc)
+    }
+    return CppTypes.VOID
+  }
+
+  checkMethodCall(node, scope) {
+    const member = node.callee
+    const objectType = this.checkExpression(member.object, scope)
+    if (CppTypes.isError(objectType)) {
+      node.args.forEach((arg) => arg.kind !== "InitList" && this.checkExpression(arg, scope))
+      return objectType
+    }
+
+    const methods = CPP_METHODS[objectType.name]
+    if (!methods || methods[member.property] === undefined) {
+      return this.error(`'${CppTypes.toString(objectType)}' has no member function '${member.property}'`, member.loc)
+    }
+
+    node.target = { kind: "method", name: member.property, objectType }
+    if (CPP_MUTATING_METHODS.has(member.property)) {
+      const root = this.rootSymbol(member.object, scope)
+      if (root && root.symbol.isConst) {
+        this.error(`cannot call '${member.property}' on read-only '${root.name}'`, member.loc)
+      }
+    }
+    const elemType = CppTypes.elementType(objectType)
+    const args = node.args
+    const checkArgs = (...expected) => {
+      if (args.length !== expected.length) {
+        this.error(`wrong number of arguments to '${member.property}'`, node.loc)
+        return
+      }
+      args.forEach((arg, i) => this.checkAssignable(arg, expected[i], scope))
+    }
+
+    switch (member.property) {
+      case "push_back":
+      case "emplace_back":
+      case "push":
+      case "emplace":
+        checkArgs(elemType)
+        break
+      case "at":
+        checkArgs(CppTypes.INT)
+        break
+      case "resize":
+        if (args.length === 2) checkArgs(CppTypes.INT, elemType)
+        else checkArgs(CppTypes.INT)
+        break
+      case "assign":
+        checkArgs(CppTypes.INT, elemType)
+        break
+      case "substr":
+        if (args.length === 2) checkArgs(CppTypes.INT, CppTypes.INT)
+        else checkArgs(CppTypes.INT)
+        break
+      case "find": {
+        const argType = args.length === 1 ? this.checkExpression(args[0], scope) : null
+        if (!argType || !["string", "char"].includes(argType.name)) {
+          this.error("find expects a string or character", node.loc)
+        }
+        break
+      }
+      case "append":
+        checkArgs(CppTypes.STRING)
+        break
+      case "insert": {
+        const itType = args.length === 2 ? this.checkExpression(args[0], scope) : null
+        if (!itType || itType.name !== "iterator") {
+          this.error("insert expects (iterator, value)", node.loc)
+        } else {
+          this.checkAssignable(args[1], elemType, scope)
+        }
+        break
+      }
+      case "erase": {
+        const itType = args.length === 1 ? this.checkExpression(args[0], scope) : null
+        if (!itType || itType.name !== "iterator") this.error("erase expects an iterator", node.loc)
+        break
+      }
+      default:
+        checkArgs()
+    }
+
+    const result = methods[member.property]
+    if (result === null) return elemType
+    if (result === "iterator") return CppTypes.iterator(elemType)
+    return CppTypes[result.toUpperCase()]
+  }
+}
+
+// Parses and checks a program, collecting every diagnostic instead of stopping at the first one
+function compileCppProgram(code) {
+  let parser
+  try {
+    parser = new CppParser(code)
+  } catch (error) {
+    if (!(error instanceof CppCompileError)) throw error
+    return { program: null, diagnostics: [{ message: error.message, loc: error.loc, severity: "error" }] }
+  }
+
+  const program = parser.parse()
+  // Type errors in a half-parsed program are mostly noise, so they wait until the syntax is fixed
+  if (parser.errors.length > 0) {
+    return { program, diagnostics: parser.errors.map((error) => ({ ...error, severity: "error" })) }
+  }
+  return { program, diagnostics: new CppChecker(program).check() }
+}
@@ -0,0 +1,797 @@
+// Structural algorithm detection: ranks candidates from the shape of the parsed program, not from names or comments
+const CPP_ALGORITHM_LABELS = {
+  bubble: "Bubble Sort",
+  selection: "Selection Sort",
+  insertion: "Insertion Sort",
+  merge: "Merge Sort",
+  quick: "Quick Sort",
+  heap: "Heap Sort",
+  shell: "Shell Sort",
+  cocktail: "Cocktail Shaker Sort",
+  comb: "Comb Sort",
+  counting: "Counting Sort",
+  radix: "Radix Sort",
+  bucket: "Bucket Sort",
+  linear_search: "Linear Search",
+  binary_search: "Binary Search",
+  bfs: "Breadth-First Search",
+  dfs: "Depth-First Search",
+  dijkstra: "Dijkstra's Algorithm",
+  bellman_ford: "Bellman-Ford Algorithm",
+  floyd_warshall: "Floyd-Warshall Algorithm",
+  prim: "Prim's Algorithm",
+  kruskal: "Kruskal's Algorithm",
+  topological_kahn: "Topological Sort (Kahn)",
+  topological_dfs: "Topological Sort (DFS)",
+  fibonacci: "Fibonacci Sequence",
+  lcs: "Longest Common Subsequence",
+  bst: "Binary Search Tree",
+}
+
+// Function names are only a weak tie-breaker on top of the structural signals
+const CPP_ALGORITHM_NAME_HINTS = {
+  bubble: /bubble/i,
+  selection: /selection/i,
+  insertion: /insertion/i,
+  merge: /merge/i,
+  quick: /quick|partition/i,
+  heap: /heap/i,
+  shell: /shell/i,
+  cocktail: /cocktail|shaker/i,
+  comb: /comb/i,
+  counting: /counting/i,
+  radix: /radix/i,
+  bucket: /bucket/i,
+  linear_search: /linear/i,
+  binary_search: /binary/i,
+  bfs: /bfs|breadth/i,
+  dfs: /dfs|depth/i,
+  dijkstra: /dijkstra|shortest/i,
+  bellman_ford: /bellman|ford/i,
+  floyd_warshall: /floyd|warshall|allpairs/i,
+  prim: /prim/i,
+  kruskal: /kruskal|unite|union/i,
+  topological_kahn: /topo|kahn/i,
+  topological_dfs: /topo/i,
+  fibonacci: /fib/i,
+  lcs: /lcs|common/i,
+  bst: /bst|tree|insert/i,
+}
+
+const CPP_DETECTION_THRESHOLD = 0.3
+
+class CppAlgorithmDetector {
+  constructor(program) {
+    this.program = program
+    this.fn = null
+    this.loops = []
+    this.ifDepth = 0
+    this.varTypes = new Map()
+    this.midpointVars = new Set()
+    this.indexedVars = new Map()
+    this.facts = {
+      maxLoopDepth: 0,
+      swaps: [],
+      indexComparisons: [],
+      indexTracking: 0,
+      shifts: 0,
+      gapShifts: 0,
+      gapShrinks: 0,
+      combShrinks: 0,
+      midpoints: [],
+      mergeLoops: 0,
+      lowHighLoops: 0,
+      midpointComparisons: 0,
+      boundUpdates: 0,
+      heapChildren: 0,
+      heapBuildLoops: 0,
+      valueIndexedCounts: 0,
+      digitExtractions: 0,
+      placeMultipliers: 0,
+      bucketPushes: 0,
+      bucketSorts: 0,
+      pivotComparisons: [],
+      equalitySearches: 0,
+      queueLoops: 0,
+      stackLoops: 0,
+      priorityQueueLoops: 0,
+      relaxations: 0,
+      relaxationDepths: [],
+      detourSums: 0,
+      skipVisited: 0,
+      accumulations: 0,
+      sortCalls: 0,
+      unionFind: 0,
+      inDegreeDecrements: 0,
+      zeroDegreeChecks: 0,
+      colorStates: new Map(),
+      reverseCalls: 0,
+      visitedChecks: 0,
+      adjacency: 0,
+      fibRecurrence: 0,
+      lcsRecurrence: 0,
+      childLinkInserts: new Map(),
+      childLinkWalks: 0,
+      selfCalls: new Map(),
+      splitCalls: new Set(),
+      recursiveVisits: 0,
+    }
+  }
+
+  static detect(code) {
+    let program
+    try {
+      program = new CppParser(code).parse()
+    } catch (error) {
+      if (error instanceof CppCompileError) return []
+      throw error
+    }
+    return new CppAlgorithmDetector(program).rank()
+  }
+
+  rank() {
+    for (const declaration of this.program.globals) this.visit(declaration)
+    for (const fn of this.program.functions) {
+      if (!fn.body) continue
+      this.fn = fn
+      this.visit(fn.body)
+    }
+    this.fn = null
+
+    const names = this.program.functions.map((fn) => fn.name)
+    return Object.entries(this.signals())
+      .map(([name, signals]) => {
+        const hint = CPP_ALGORITHM_NAME_HINTS[name]
+        if (names.some((fnName) => hint.test(fnName))) signals.push([0.1, "function name", true])
+
+        const matched = signals.filter(([, , test]) => test)
+        const confidence = Math.min(
+          1,
+          matched.reduce((sum, [weight]) => sum + weight, 0),
+        )
+        return {
+          name,
+          label: CPP_ALGORITHM_LABELS[name],
+          confidence: Math.round(confidence * 100) / 100,
+          reasons: matched.map(([, reason]) => reason),
+        }
+      })
+      .filter((candidate) => candidate.confidence >= CPP_DETECTION_THRESHOLD)
+      .sort((a, b) => b.confidence - a.confidence)
+  }
+
+  // [weight, reason, matched] triples per algorithm
+  signals() {
+    const facts = this.facts
+    const nested = facts.maxLoopDepth >= 2
+    const multiRecursive = [...facts.selfCalls.entries()].filter(([, count]) => count >= 2).map(([fn]) => fn)
+    const multiRecursiveWithMidpoint = multiRecursive.some((fn) =>
+      facts.midpoints.some((midpoint) => midpoint.fn === fn),
+    )
+    const splitByCall = multiRecursive.some((fn) => facts.splitCalls.has(fn))
+    const adjacentSwap = facts.swaps.some((swap) => swap.adjacent && swap.depth >= 2)
+    const outerSwap = nested && facts.swaps.some((swap) => swap.depth === 1 && !swap.adjacent)
+    const swapInLoop = facts.swaps.some((swap) => swap.depth >= 1)
+    const adjacentComparisons = facts.indexComparisons.filter((comparison) => comparison.adjacent)
+    const bothDirections =
+      adjacentComparisons.some((comparison) => comparison.descending) &&
+      adjacentComparisons.some((comparison) => !comparison.descending)
+    // color[u] = 1 on entry and color[u] = 2 on exit
+    const threeColor = [...facts.colorStates.values()].some((states) => states.has(1) && states.has(2))
+    const pivotWithSwap = facts.pivotComparisons.some((comparison) =>
+      facts.swaps.some((swap) => swap.fn === comparison.fn && swap.depth === comparison.depth),
+    )
+
+    return {
+      bubble: [
+        [0.2, "nested loops", nested],
+        [0.3, "compares neighbouring elements", facts.indexComparisons.some((comparison) => comparison.adjacent)],
+        [0.4, "swaps neighbouring elements inside the inner loop", adjacentSwap],
+      ],
+      selection: [
+        [0.2, "nested loops", nested],
+        [0.4, "remembers the index of the best element", facts.indexTracking > 0],
+        [0.3, "one swap per outer iteration", outerSwap],
+      ],
+      insertion: [
+        [0.2, "nested loops", nested],
+        [0.6, "shifts elements one position right", facts.shifts > 0],
+      ],
+      shell: [
+        [0.55, "shifts elements a gap apart", facts.gapShifts > 0],
+        [0.3, "divides the gap each round", facts.gapShrinks > 0],
+      ],
+      cocktail: [
+        [0.35, "swaps neighbouring elements", facts.swaps.some((swap) => swap.adjacent)],
+        [0.6, "passes over neighbours in both directions", bothDirections],
+      ],
+      comb: [
+        [0.5, "compares and swaps elements a gap apart", facts.swaps.some((swap) => swap.gapped)],
+        [0.3, "shrinks the gap by a factor of 1.3", facts.combShrinks > 0],
+      ],
+      merge: [
+        [0.35, "splits the range in half recursively", multiRecursiveWithMidpoint],
+        [0.45, "merges two runs with a two-index loop", facts.mergeLoops > 0],
+      ],
+      quick: [
+        [0.25, "two recursive calls", multiRecursive.length > 0],
+        [0.3, "recursion split at a computed partition index", splitByCall],
+        [0.35, "compares elements against a pivot and swaps", pivotWithSwap],
+      ],
+      heap: [
+        [0.5, "uses 2i+1 / 2i+2 child indices", facts.heapChildren > 0],
+        [0.25, "builds the heap from n/2 - 1 downwards", facts.heapBuildLoops > 0],
+        [0.15, "swaps inside loops", swapInLoop],
+      ],
+      counting: [
+        [0.6, "counts occurrences in an array indexed by value", facts.valueIndexedCounts > 0],
+        [0.2, "no element-to-element comparisons", facts.indexComparisons.length === 0],
+      ],
+      radix: [
+        [0.45, "extracts one decimal digit at a time", facts.digitExtractions > 0],
+        [0.25, "moves to the next digit with exp *= 10", facts.placeMultipliers > 0],
+        [0.2, "distributes elements by digit", facts.bucketPushes > 0 || facts.valueIndexedCounts > 0],
+      ],
+      bucket: [
+        [0.5, "distributes elements into buckets", facts.bucketPushes > 0],
+        [0.3, "sorts each bucket", facts.bucketSorts > 0],
+      ],
+      linear_search: [
+        [0.6, "scans elements for an equal value", facts.equalitySearches > 0],
+        [0.2, "single loop", facts.maxLoopDepth === 1],
+      ],
+      binary_search: [
+        [0.25, "loops while low <= high", facts.lowHighLoops > 0],
+        [0.25, "computes a midpoint", facts.midpoints.some((midpoint) => midpoint.inLoop)],
+        [0.25, "compares the middle element", facts.midpointComparisons > 0],
+        [0.15, "moves a bound past the midpoint", facts.boundUpdates > 0],
+      ],
+      bfs: [
+        [0.5, "processes a queue until it is empty", facts.queueLoops > 0],
+        [0.2, "tracks visited vertices", facts.visitedChecks > 0],
+        [0.2, "iterates adjacency lists", facts.adjacency > 0],
+      ],
+      dfs: [
+        [0.5, "recurses into unvisited neighbours or uses a stack", facts.recursiveVisits > 0 || facts.stackLoops > 0],
+        [0.2, "tracks visited vertices", facts.visitedChecks > 0],
+        [0.2, "iterates adjacency lists", facts.adjacency > 0],
+      ],
+      dijkstra: [
+        [0.45, "pops a priority queue until it is empty", facts.priorityQueueLoops > 0],
+        [0.35, "relaxes distances through an edge", facts.relaxations > 0],
+        [0.1, "iterates adjacency lists", facts.adjacency > 0],
+      ],
+      bellman_ford: [
+        [0.35, "relaxes distances through an edge", facts.relaxations > 0],
+        [
+          0.3,
+          "repeats the relaxation in passes over every edge",
+          facts.priorityQueueLoops === 0 && facts.relaxationDepths.some((depth) => depth >= 2),
+        ],
+        [0.25, "checks once more for a negative cycle", facts.relaxations >= 2],
+      ],
+      floyd_warshall: [
+        [0.55, "combines dist[i][k] + dist[k][j]", facts.detourSums > 0],
+        [0.35, "three nested loops", facts.maxLoopDepth >= 3],
+      ],
+      prim: [
+        [0.35, "pops a priority queue until it is empty", facts.priorityQueueLoops > 0],
+        [0.3, "skips vertices already in the tree", facts.priorityQueueLoops > 0 && facts.skipVisited > 0],
+        [0.15, "no distance relaxation", facts.priorityQueueLoops > 0 && facts.relaxations === 0],
+        [0.1, "accumulates a total", facts.accumulations > 0],
+      ],
+      kruskal: [
+        [0.45, "union-find over parent links", facts.unionFind > 0],
+        [0.3, "sorts the edges first", facts.unionFind > 0 && facts.sortCalls > 0],
+        [0.1, "accumulates a total", facts.accumulations > 0],
+      ],
+      topological_kahn: [
+        [0.3, "processes a queue until it is empty", facts.queueLoops > 0],
+        [0.35, "decrements a per-vertex counter", facts.inDegreeDecrements > 0],
+        [0.25, "enqueues vertices whose counter reaches zero", facts.zeroDegreeChecks > 0],
+      ],
+      topological_dfs: [
+        [0.3, "recurses into unvisited neighbours", facts.recursiveVisits > 0],
+        [0.45, "marks vertices with three states (white/gray/black)", threeColor],
+        [0.15, "reverses the finish order", facts.reverseCalls > 0],
+      ],
+      fibonacci: [[0.8, "adds the two previous terms", facts.fibRecurrence > 0]],
+      lcs: [
+        [0.6, "2D table with a diagonal dependency", facts.lcsRecurrence > 0],
+        [0.2, "nested loops", nested],
+      ],
+      bst: [
+        [
+          0.6,
+          "hangs recursive inserts on two child links",
+          [...facts.childLinkInserts.values()].some((links) => links.size >= 2),
+        ],
+        [0.3, "walks down the left or right child link", facts.childLinkWalks > 0],
+      ],
+    }
+  }
+
+  // AST traversal
+
+  visit(node) {
+    if (!node || typeof node !== "object") return
+    if (Array.isArray(node)) {
+      node.forEach((child) => this.visit(child))
+      return
+    }
+    if (!node.kind) return
+
+    const isLoop = ["For", "While", "DoWhile", "RangeFor"].includes(node.kind)
+    this.inspect(node)
+
+    if (isLoop) {
+      this.loops.push(node)
+      this.facts.maxLoopDepth = Math.max(this.facts.maxLoopDepth, this.loops.length)
+    }
+    if (node.kind === "If") this.ifDepth++
+
+    for (const [key, child] of Object.entries(node)) {
+      // Checker annotations point back into the tree; types and locations carry no structure
+      if (["loc", "type", "resolvedType", "target", "builtin", "returnType", "nameLoc"].includes(key)) continue
+      if (child && typeof child === "object") this.visit(child)
+    }
+
+    if (node.kind === "If") this.ifDepth--
+    if (isLoop) this.loops.pop()
+  }
+
+  inspect(node) {
+    switch (node.kind) {
+      case "VarDecl":
+        node.declarations.forEach((declarator) => this.inspectDeclarator(declarator))
+        break
+      case "Block":
+        this.inspectTempSwaps(node.body)
+        break
+      case "For":
+        this.inspectHeapBuildLoop(node)
+        break
+      case "While":
+        this.inspectWhile(node)
+        break
+      case "RangeFor":
+        if (node.iterable.kind === "Index") this.facts.adjacency++
+        break
+      case "Call":
+        this.inspectCall(node)
+        break
+      case "Binary":
+        this.inspectBinary(node)
+        break
+      case "Assign":
+        this.inspectAssign(node)
+        break
+      case "Unary":
+        if (node.op === "!" && node.argument.kind === "Index") this.facts.visitedChecks++
+        break
+      case "Update":
+        // count[arr[i]]++ or count[arr[i] - minValue]++
+        if (node.op === "++" && node.argument.kind === "Index" && this.isValueIndex(node.argument.index)) {
+          this.facts.valueIndexedCounts++
+        }
+        // inDegree[v]-- inside the loop over a vertex's neighbours
+        if (node.op === "--" && node.argument.kind === "Index" && this.loops.length > 0) this.facts.inDegreeDecrements++
+        break
+      case "If":
+        // if (inTree[u]) continue
+        if (node.test.kind === "Index" && this.isContinue(node.consequent)) this.facts.skipVisited++
+        break
+    }
+  }
+
+  inspectDeclarator(declarator) {
+    this.varTypes.set(declarator.name, declarator.type.name)
+    const init = declarator.init
+    if (!init) return
+
+    if (this.isMidpoint(init)) this.midpointVars.add(declarator.name)
+    if (init.kind === "Index") this.indexedVars.set(declarator.name, this.key(init.object))
+    if (init.kind === "Call" && init.callee.kind === "Identifier" && this.fn && init.callee.name !== this.fn.name) {
+      if (this.program.functions.some((fn) => fn.name === init.callee.name)) this.facts.splitCalls.add(this.fn)
+    }
+  }
+
+  inspectTempSwaps(statements) {
+    // t = a; a = b; b = t
+    for (let i = 0; i + 2 < statements.length; i++) {
+      const [first, second, third] = statements.slice(i, i + 3)
+      const temp = this.simpleAssignment(first)
+      const middle = this.simpleAssignment(second)
+      const last = this.simpleAssignment(third)
+      if (!temp || !middle || !last) continue
+      if (temp.value.kind !== "Index" || middle.value.kind !== "Index") continue
+      if (this.key(middle.target) !== this.key(temp.value)) continue
+      if (this.key(last.target) !== this.key(middle.value) || this.key(last.value) !== this.key(temp.target)) continue
+      this.recordSwap(temp.value, middle.value)
+    }
+  }
+
+  simpleAssignment(statement) {
+    if (statement.kind === "VarDecl" && statement.declarations.length === 1 && statement.declarations[0].init) {
+      const declarator = statement.declarations[0]
+      return { target: { kind: "Identifier", name: declarator.name }, value: declarator.init }
+    }
+    if (statement.kind === "ExprStmt" && statement.expression.kind === "Assign" && statement.expression.op === "=") {
+      return { target: statement.expression.target, value: statement.expression.value }
+    }
+    return null
+  }
+
+  inspectHeapBuildLoop(node) {
+    // for (int i = n / 2 - 1; i >= 0; i--)
+    const init = node.init && node.init.kind === "VarDecl" ? node.init.declarations[0].init : null
+    const halfway =
+      init &&
+      init.kind === "Binary" &&
+      init.op === "-" &&
+      init.left.kind === "Binary" &&
+      init.left.op === "/" &&
+      this.isLiteral(init.left.right, 2)
+    const descending = node.update && node.update.kind === "Update" && node.update.op === "--"
+    if (halfway && descending) this.facts.heapBuildLoops++
+  }
+
+  inspectWhile(node) {
+    const test = node.test
+    if (test.kind === "Binary" && test.op === "&&" && this.isRangeCheck(test.left) && this.isRangeCheck(test.right)) {
+      if (this.key(test.left.left) !== this.key(test.right.left)) this.facts.mergeLoops++
+    }
+    if (test.kind === "Binary" && ["<=", "<"].includes(test.op)) {
+      if (test.left.kind === "Identifier" && test.right.kind === "Identifier") this.facts.lowHighLoops++
+    }
+    if (test.kind === "Unary" && test.op === "!" && test.argument.kind === "Call") {
+      const callee = test.argument.callee
+      if (callee.kind === "Member" && callee.property === "empty" && callee.object.kind === "Identifier") {
+        const typeName = this.varTypes.get(callee.object.name)
+        if (typeName === "queue") this.facts.queueLoops++
+        if (typeName === "stack") this.facts.stackLoops++
+        if (typeName === "priority_queue") this.facts.priorityQueueLoops++
+      }
+    }
+  }
+
+  inspectCall(node) {
+    const callee = node.callee
+    if (callee.kind === "Member") {
+      if (callee.property === "size" && callee.object.kind === "Index") this.facts.adjacency++
+      // buckets[b].push_back(arr[i]) with a computed bucket index
+      if (
+        callee.property === "push_back" &&
+        callee.object.kind === "Index" &&
+        callee.object.index.kind === "Identifier" &&
+        node.args.length === 1 &&
+        node.args[0].kind === "Index" &&
+        this.loops.length > 0
+      ) {
+        this.facts.bucketPushes++
+      }
+      return
+    }
+    if (callee.kind !== "Identifier") return
+
+    if (callee.name === "sort") this.facts.sortCalls++
+    // sort(buckets[b].begin(), buckets[b].end())
+    if (callee.name === "sort" && node.args[0] && node.args[0].kind === "Call") {
+      const range = node.args[0].callee
+      if (range.kind === "Member" && range.object.kind === "Index") this.facts.bucketSorts++
+    }
+    if (callee.name === "reverse") this.facts.reverseCalls++
+
+    if (callee.name === "swap" && node.args.length === 2) {
+      const [a, b] = node.args
+      if (a.kind === "Index" && b.kind === "Index") this.recordSwap(a, b)
+    }
+
+    if (this.fn && callee.name === this.fn.name) {
+      this.facts.selfCalls.set(this.fn, (this.facts.selfCalls.get(this.fn) || 0) + 1)
+      if (this.loops.length > 0 && this.ifDepth > 0) this.facts.recursiveVisits++
+    }
+
+    if (callee.name === "max" && node.args.every((arg) => this.depth(arg) === 2)) this.facts.lcsRecurrence++
+  }
+
+  inspectBinary(node) {
+    const { op, left, right } = node
+    const isComparison = ["<", ">", "<=", ">=", "==", "!="].includes(op)
+
+    if (isComparison && left.kind === "Index" && right.kind === "Index") {
+      if (this.key(left.object) === this.key(right.object)) {
+        this.facts.indexComparisons.push({
+          depth: this.loops.length,
+          adjacent: this.isAdjacent(left, right),
+          descending: this.inDescendingLoop(),
+        })
+      }
+    }
+
+    if (isComparison) {
+      const [index, other] = left.kind === "Index" ? [left, right] : [right, left]
+      if (index.kind === "Index" && other.kind === "Identifier") this.inspectIndexComparison(op, index, other)
+    }
+
+    if (this.isMidpoint(node)) {
+      this.facts.midpoints.push({ fn: this.fn, inLoop: this.loops.length > 0 })
+    }
+
+    // 2 * i + 1 and 2 * i + 2
+    if (
+      op === "+" &&
+      left.kind === "Binary" &&
+      left.op === "*" &&
+      (this.isLiteral(right, 1) || this.isLiteral(right, 2))
+    ) {
+      if (this.isLiteral(left.left, 2) || this.isLiteral(left.right, 2)) this.facts.heapChildren++
+    }
+
+    if (op === "+" && this.isFibonacciPair(left, right)) this.facts.fibRecurrence++
+
+    // gap / 1.3 and gap * 10 / 13
+    if (op === "/" && (this.isLiteral(right, 1.3) || this.isLiteral(right, 13))) this.facts.combShrinks++
+
+    // (arr[i] / exp) % 10
+    if (op === "%" && this.isLiteral(right, 10) && left.kind === "Binary" && left.op === "/") {
+      this.facts.digitExtractions++
+    }
+
+    // dist[i][k] + dist[k][j]: the column of the first term is the row of the second
+    if (op === "+" && this.depth(left) === 2 && this.depth(right) === 2) {
+      if (this.key(left.object.object) === this.key(right.object.object)) {
+        if (this.key(left.index) === this.key(right.object.index)) this.facts.detourSums++
+      }
+    }
+
+    // inDegree[v] == 0
+    if (op === "==" && left.kind === "Index" && this.isLiteral(right, 0) && this.loops.length > 0) {
+      this.facts.zeroDegreeChecks++
+    }
+
+    // parent[x] != x
+    if (["!=", "=="].includes(op) && left.kind === "Index" && right.kind === "Identifier") {
+      if (left.index.kind === "Identifier" && left.index.name === right.name) this.facts.unionFind++
+    }
+
+    // dist[u] + w < dist[v]
+    if (["<", ">"].includes(op)) {
+      const [sum, other] = left.kind === "Binary" && left.op === "+" ? [left, right] : [right, left]
+      if (sum.kind === "Binary" && sum.op === "+" && sum.left.kind === "Index" && other.kind === "Index") {
+        if (this.key(sum.left.object) === this.key(other.object)) {
+          this.facts.relaxations++
+          this.facts.relaxationDepths.push(this.loops.length)
+        }
+      }
+    }
+  }
+
+  inspectIndexComparison(op, index, identifier) {
+    const loop = this.loops[this.loops.length - 1]
+    if (op === "==" && loop && loop.kind === "For" && this.loops.length === 1) this.facts.equalitySearches++
+    if (index.index.kind === "Identifier" && this.midpointVars.has(index.index.name)) this.facts.midpointComparisons++
+    if (this.indexedVars.get(identifier.name) === this.key(index.object) && loop && loop.kind === "For") {
+      this.facts.pivotComparisons.push({ fn: this.fn, depth: this.loops.length })
+    }
+  }
+
+  inspectAssign(node) {
+    const { target, value } = node
+    if (node.op === "+=" && target.kind === "Identifier") this.facts.accumulations++
+    if (node.op === "*=" && target.kind === "Identifier" && this.isLiteral(value, 10)) this.facts.placeMultipliers++
+    if (node.op === "-=" && target.kind === "Index" && this.isLiteral(value, 1)) this.facts.inDegreeDecrements++
+    // gap /= 2, gap = gap / 2 and Knuth's h = h / 3
+    if (target.kind === "Identifier" && (this.isLiteral(value, 2) || this.isLiteral(value, 3))) {
+      if (node.op === "/=") this.facts.gapShrinks++
+    }
+    if (node.op === "=" && target.kind === "Identifier" && value.kind === "Binary" && value.op === "/") {
+      if (this.key(value.left) === target.name && (this.isLiteral(value.right, 2) || this.isLiteral(value.right, 3))) {
+        this.facts.gapShrinks++
+      }
+    }
+    if (node.op !== "=") return
+
+    // color[u] = 1 / color[u] = 2 inside a recursive visit
+    if (target.kind === "Index" && value.kind === "Literal" && this.fn && this.fn.name !== "main") {
+      const states = this.facts.colorStates.get(this.key(target.object)) || new Set()
+      states.add(value.value)
+      this.facts.colorStates.set(this.key(target.object), states)
+    }
+
+    // a[j + 1] = a[j] while walking left
+    if (target.kind === "Index" && value.kind === "Index" && this.key(target.object) === this.key(value.object)) {
+      const to = this.offset(target.index)
+      const from = this.offset(value.index)
+      if (to && from && to.name === from.name && to.offset === from.offset + 1) this.facts.shifts++
+      // a[j] = a[j - gap]
+      if (this.gapApart(target, value)) this.facts.gapShifts++
+    }
+
+    // best = j inside an if in the inner loop
+    if (target.kind === "Identifier" && value.kind === "Identifier" && this.loops.length >= 2 && this.ifDepth > 0) {
+      if (this.loopVariables().includes(value.name)) this.facts.indexTracking++
+    }
+
+    if (target.kind === "Identifier" && this.isMidpoint(value)) this.midpointVars.add(target.name)
+
+    // left[root] = insert(left[root], value), on more than one link array (path compression only has one)
+    if (
+      target.kind === "Index" &&
+      value.kind === "Call" &&
+      this.fn &&
+      value.callee.kind === "Identifier" &&
+      value.callee.name === this.fn.name &&
+      value.args.some((arg) => this.key(arg) === this.key(target))
+    ) {
+      const links = this.facts.childLinkInserts.get(this.fn) || new Set()
+      links.add(this.key(target.object))
+      this.facts.childLinkInserts.set(this.fn, links)
+    }
+
+    // root = target < key[root] ? left[root] : right[root]
+    if (target.kind === "Identifier" && value.kind === "Conditional") {
+      const links = [value.consequent, value.alternate]
+      if (
+        links.every((link) => link.kind === "Index" && this.key(link.index) === target.name) &&
+        this.key(links[0].object) !== this.key(links[1].object)
+      ) {
+        this.facts.childLinkWalks++
+      }
+    }
+
+    // low = mid + 1 / high = mid - 1
+    if (target.kind === "Identifier" && value.kind === "Binary" && ["+", "-"].includes(value.op)) {
+      if (
+        value.left.kind === "Identifier" &&
+        this.midpointVars.has(value.left.name) &&
+        this.isLiteral(value.right, 1)
+      ) {
+        this.facts.boundUpdates++
+      }
+    }
+
+    // dp[i][j] = dp[i - 1][j - 1] + 1
+    if (
+      target.kind === "Index" &&
+      this.depth(target) === 2 &&
+      value.kind === "Binary" &&
+      this.depth(value.left) === 2
+    ) {
+      const offsets = [this.offset(value.left.index), this.offset(value.left.object.index)]
+      if (offsets.every((offset) => offset && offset.offset === -1)) this.facts.lcsRecurrence++
+    }
+  }
+
+  recordSwap(a, b) {
+    this.facts.swaps.push({
+      fn: this.fn,
+      depth: this.loops.length,
+      adjacent: this.key(a.object) === this.key(b.object) && this.isAdjacent(a, b),
+      gapped: this.gapApart(a, b) || this.gapApart(b, a),
+    })
+  }
+
+  // Helpers
+
+  loopVariables() {
+    return this.loops
+      .filter((loop) => loop.kind === "For" && loop.init && loop.init.kind === "VarDecl")
+      .map((loop) => loop.init.declarations[0].name)
+  }
+
+  inDescendingLoop() {
+    const loop = this.loops[this.loops.length - 1]
+    if (!loop || loop.kind !== "For" || !loop.update) return false
+    return (
+      (loop.update.kind === "Update" && loop.update.op === "--") ||
+      (loop.update.kind === "Assign" && loop.update.op === "-=")
+    )
+  }
+
+  // a[i] and a[i + gap] / a[i - gap], where the gap is a variable rather than a literal
+  gapApart(a, b) {
+    if (a.kind !== "Index" || b.kind !== "Index" || this.key(a.object) !== this.key(b.object)) return false
+    const index = b.index
+    return (
+      index.kind === "Binary" &&
+      ["+", "-"].includes(index.op) &&
+      index.right.kind === "Identifier" &&
+      this.key(index.left) === this.key(a.index)
+    )
+  }
+
+  isValueIndex(node) {
+    if (node.kind === "Index") return true
+    return node.kind === "Binary" && node.op === "-" && node.left.kind === "Index"
+  }
+
+  isContinue(node) {
+    if (node.kind === "Block") return node.body.length === 1 && node.body[0].kind === "Continue"
+    return node.kind === "Continue"
+  }
+
+  isRangeCheck(node) {
+    return (
+      node.kind === "Binary" &&
+      ["<", "<="].includes(node.op) &&
+      node.left.kind === "Identifier" &&
+      node.right.kind !== "Literal"
+    )
+  }
+
+  isMidpoint(node) {
+    if (node.kind !== "Binary") return false
+    // (low + high) / 2, (low + high) >> 1 and low + (high - low) / 2
+    if ((node.op === "/" && this.isLiteral(node.right, 2)) || (node.op === ">>" && this.isLiteral(node.right, 1))) {
+      return node.left.kind === "Binary" && node.left.op === "+"
+    }
+    return (
+      node.op === "+" && node.right.kind === "Binary" && node.right.op === "/" && this.isLiteral(node.right.right, 2)
+    )
+  }
+
+  isFibonacciPair(left, right) {
+    const offsets = (node) => {
+      if (node.kind === "Call" && this.fn && node.callee.kind === "Identifier" && node.callee.name === this.fn.name) {
+        return node.args.length > 0 ? this.offset(node.args[0]) : null
+      }
+      return node.kind === "Index" && this.depth(node) === 1 ? this.offset(node.index) : null
+    }
+    const a = offsets(left)
+    const b = offsets(right)
+    if (!a || !b || a.name !== b.name) return false
+    const pair = [a.offset, b.offset].sort((x, y) => x - y)
+    return pair[0] === -2 && pair[1] === -1
+  }
+
+  isAdjacent(a, b) {
+    const first = this.offset(a.index)
+    const second = this.offset(b.index)
+    return Boolean(first && second && first.name === second.name && Math.abs(first.offset - second.offset) === 1)
+  }
+
+  // i -> { name: "i", offset: 0 }, j + 1 -> { name: "j", offset: 1 }
+  offset(node) {
+    if (node.kind === "Identifier") return { name: node.name, offset: 0 }
+    if (node.kind === "Binary" && ["+", "-"].includes(node.op) && node.left.kind === "Identifier") {
+      if (node.right.kind === "Literal" && typeof node.right.value === "number") {
+        return { name: node.left.name, offset: node.op === "+" ? node.right.value : -node.right.value }
+      }
+    }
+    return null
+  }
+
+  depth(node) {
+    let depth = 0
+    for (let current = node; current.kind === "Index"; current = current.object) depth++
+    return depth
+  }
+
+  isLiteral(node, value) {
+    return node.kind === "Literal" && node.value === value
+  }
+
+  key(node) {
+    switch (node.kind) {
+      case "Identifier":
+        return node.name
+      case "Literal":
+        return String(node.value)
+      case "Binary":
+        return `(${this.key(node.left)}${node.op}${this.key(node.right)})`
+      case "Index":
+        return `${this.key(node.object)}[${this.key(node.index)}]`
+      case "Member":
+        return `${this.key(node.object)}.${node.property}`
+      case "Call":
+        return `${this.key(node.callee)}(${node.args.map((arg) => this.key(arg)).join(",")})`
+      case "Unary":
+        return `${node.op}${this.key(node.argument)}`
+      case "Cast":
+        return this.key(node.argument)
+      default:
+        return node.kind
+    }
+  }
+}
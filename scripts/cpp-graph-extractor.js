@@ -0,0 +1,292 @@
+// Recovers the graph a program builds (adjacency literals, push_back calls, edge lists, addEdge calls) and its start vertex
+const CPP_PUSH_METHODS = ["push_back", "emplace_back"]
+
+class CppGraphExtractor {
+  constructor(program) {
+    this.program = program
+    this.constants = new Map()
+    this.edges = []
+    this.adjacencyRows = null
+    this.declaredVertices = 0
+    this.directed = null
+  }
+
+  static extract(code) {
+    let program
+    try {
+      program = new CppParser(code).parse()
+    } catch (error) {
+      if (error instanceof CppCompileError) return null
+      throw error
+    }
+    return new CppGraphExtractor(program).extract()
+  }
+
+  extract() {
+    const main = this.program.functions.find((fn) => fn.name === "main")
+    const roots = [...this.program.globals, ...this.program.functions.map((fn) => fn.body).filter(Boolean)]
+
+    // Loop counters, reassigned variables and parameters are not constants even if initialized with one
+    const variable = new Set(this.program.functions.flatMap((fn) => fn.params.map((param) => param.name)))
+    roots.forEach((root) =>
+      this.walk(root, (node) => {
+        if (node.kind === "Assign" && node.target.kind === "Identifier") variable.add(node.target.name)
+        if (node.kind === "Update" && node.argument.kind === "Identifier") variable.add(node.argument.name)
+      }),
+    )
+    roots.forEach((root) => this.walk(root, (node) => node.kind === "VarDecl" && this.collectConstants(node)))
+    variable.forEach((name) => this.constants.delete(name))
+    roots.forEach((root) => this.walk(root, (node) => node.kind === "VarDecl" && this.collectLiterals(node)))
+
+    const edgeAdders = this.edgeAddingFunctions()
+    roots.forEach((root) =>
+      this.walk(root, (node) => {
+        if (node.kind === "Call") this.collectCall(node, edgeAdders)
+      }),
+    )
+
+    const vertexCount = Math.max(
+      this.declaredVertices,
+      this.adjacencyRows ? this.adjacencyRows.length : 0,
+      ...this.edges.map((edge) => Math.max(edge.from, edge.to) + 1),
+    )
+    if (vertexCount === 0 || (this.edges.length === 0 && !this.adjacencyRows)) return null
+
+    const directed = this.directed === null ? !this.isSymmetric() : this.directed
+    const graph = Array.from({ length: vertexCount }, () => [])
+    const edges = []
+    for (const edge of this.edges) {
+      if (!graph[edge.from].includes(edge.to)) graph[edge.from].push(edge.to)
+      if (!directed && !graph[edge.to].includes(edge.from)) graph[edge.to].push(edge.from)
+      // Undirected graphs written out in both directions are listed once
+      const duplicate = edges.some(
+        (other) =>
+          (other.from === edge.from && other.to === edge.to) ||
+          (!directed && other.from === edge.to && other.to === edge.from),
+      )
+      if (!duplicate) edges.push(edge)
+    }
+
+    return {
+      graph,
+      edges,
+      directed,
+      weighted: edges.some((edge) => edge.weight !== undefined),
+      start: this.startVertex(main, edgeAdders, vertexCount),
+    }
+  }
+
+  // Declarations
+
+  collectConstants(node) {
+    for (const declarator of node.declarations) {
+      if (!declarator.init || this.constants.has(declarator.name)) continue
+      const value = this.constant(declarator.init)
+      if (value !== null) this.constants.set(declarator.name, value)
+    }
+  }
+
+  collectLiterals(node) {
+    for (const declarator of node.declarations) {
+      if (declarator.args && declarator.args.length > 0 && this.isNested(declarator.type)) {
+        // vector<vector<int>> adj(n)
+        const size = this.constant(declarator.args[0])
+        if (size !== null) this.declaredVertices = Math.max(this.declaredVertices, size)
+      }
+      if (!declarator.init || declarator.init.kind !== "InitList" || !this.isNested(declarator.type)) continue
+
+      const rows = declarator.init.elements.map((row) => (row.kind === "InitList" ? row.elements : null))
+      if (rows.some((row) => row === null)) continue
+
+      if (/edge/i.test(declarator.name) || declarator.type.elem.name === "pair") {
+        this.collectEdgeList(rows)
+      } else if (!this.adjacencyRows) {
+        this.collectAdjacencyRows(rows)
+      }
+    }
+  }
+
+  // {{0, 1}, {1, 2, 5}}: pairs or (from, to, weight) triples, or {{5, {1, 2}}}
+  collectEdgeList(rows) {
+    for (const row of rows) {
+      // {w, {u, v}}, the weight-first form that sorts by weight
+      if (row.length === 2 && row[1].kind === "InitList") {
+        const [from, to] = row[1].elements.map((element) => this.constant(element))
+        const weight = this.constant(row[0])
+        if (from !== null && to !== null && weight !== null) this.addEdge(from, to, weight)
+        continue
+      }
+      const values = row.map((element) => this.constant(element))
+      if (values.length < 2 || values.length > 3 || values.includes(null)) continue
+      this.addEdge(values[0], values[1], values[2])
+    }
+    if (this.directed === null) this.directed = this.consumerDirection()
+  }
+
+  // {{1, 2}, {0}} or weighted {{{1, 4}, {2, 1}}, {{0, 4}}}
+  collectAdjacencyRows(rows) {
+    this.adjacencyRows = rows
+    rows.forEach((row, from) => {
+      for (const element of row) {
+        if (element.kind === "InitList") {
+          const [to, weight] = element.elements.map((value) => this.constant(value))
+          if (to !== null && to !== undefined) this.addEdge(from, to, weight === null ? undefined : weight)
+        } else {
+          const to = this.constant(element)
+          if (to !== null) this.addEdge(from, to)
+        }
+      }
+    })
+  }
+
+  // Calls
+
+  collectCall(node, edgeAdders) {
+    const callee = node.callee
+    if (callee.kind === "Member" && CPP_PUSH_METHODS.includes(callee.property) && callee.object.kind === "Index") {
+      // adj[0].push_back(1), adj[0].push_back({1, 4}), adj[0].push_back(make_pair(1, 4)), adj[0].emplace_back(1, 4)
+      const from = this.constant(callee.object.index)
+      const [to, weight] = this.pushedValues(node.args)
+      if (from !== null && to !== null) this.addEdge(from, to, weight)
+      return
+    }
+
+    if (callee.kind === "Identifier" && edgeAdders.has(callee.name)) {
+      // addEdge(u, v), addEdge(adj, u, v, w): the graph argument is not a constant, the vertices are
+      const values = node.args.map((arg) => this.constant(arg)).filter((value) => value !== null)
+      if (values.length < 2) return
+      this.addEdge(values[0], values[1], values[2])
+      if (this.directed === null) this.directed = edgeAdders.get(callee.name) < 2
+    }
+  }
+
+  pushedValues(args) {
+    if (args.length === 2) return args.map((arg) => this.constant(arg))
+    const [arg] = args
+    if (!arg) return [null]
+    if (arg.kind === "InitList" || (arg.kind === "Call" && arg.callee.name === "make_pair")) {
+      const values = (arg.kind === "InitList" ? arg.elements : arg.args).map((value) => this.constant(value))
+      return [values[0], values[1] === null ? undefined : values[1]]
+    }
+    return [this.constant(arg)]
+  }
+
+  // Functions that push onto an indexed container, mapped to how many pushes they make per call
+  edgeAddingFunctions() {
+    const adders = new Map()
+    for (const fn of this.program.functions) {
+      if (!fn.body || fn.name === "main") continue
+      const pushes = this.countPushes(fn.body)
+      const loops = this.findAll(fn.body, (node) => ["For", "While", "RangeFor", "DoWhile"].includes(node.kind))
+      if (pushes > 0 && loops.length === 0) adders.set(fn.name, pushes)
+    }
+    return adders
+  }
+
+  // An edge list is usually turned into adjacency lists by a loop pushing one or both directions
+  consumerDirection() {
+    const loops = []
+    for (const fn of this.program.functions) {
+      if (fn.body) loops.push(...this.findAll(fn.body, (node) => ["For", "RangeFor"].includes(node.kind)))
+    }
+    const consumer = loops.find((loop) => this.countPushes(loop.body) > 0)
+    return consumer ? this.countPushes(consumer.body) < 2 : null
+  }
+
+  countPushes(root) {
+    return this.findAll(
+      root,
+      (node) =>
+        node.kind === "Call" &&
+        node.callee.kind === "Member" &&
+        CPP_PUSH_METHODS.includes(node.callee.property) &&
+        node.callee.object.kind === "Index",
+    ).length
+  }
+
+  // The start vertex is the first constant vertex handed to a traversal called from main
+  startVertex(main, edgeAdders, vertexCount) {
+    if (!main) return 0
+    const calls = this.findAll(
+      main.body,
+      (node) =>
+        node.kind === "Call" &&
+        node.callee.kind === "Identifier" &&
+        !edgeAdders.has(node.callee.name) &&
+        this.program.functions.some((fn) => fn.name === node.callee.name),
+    )
+    for (const call of calls) {
+      for (const arg of call.args) {
+        const value = this.constant(arg)
+        if (value !== null && value >= 0 && value < vertexCount) return value
+      }
+    }
+    return 0
+  }
+
+  // Helpers
+
+  addEdge(from, to, weight) {
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < 0) return
+    this.edges.push(weight === undefined || weight === null ? { from, to } : { from, to, weight })
+  }
+
+  isSymmetric() {
+    return this.edges.every((edge) => this.edges.some((other) => other.from === edge.to && other.to === edge.from))
+  }
+
+  isNested(type) {
+    return (
+      (type.name === "vector" || type.name === "array") &&
+      type.elem &&
+      ["vector", "array", "pair"].includes(type.elem.name)
+    )
+  }
+
+  constant(node) {
+    if (!node) return null
+    switch (node.kind) {
+      case "Literal":
+        return typeof node.value === "number" ? node.value : null
+      case "Identifier":
+        return this.constants.has(node.name) ? this.constants.get(node.name) : null
+      case "Unary": {
+        const value = this.constant(node.argument)
+        return value !== null && node.op === "-" ? -value : null
+      }
+      case "Binary": {
+        const left = this.constant(node.left)
+        const right = this.constant(node.right)
+        if (left === null || right === null) return null
+        if (node.op === "+") return left + right
+        if (node.op === "-") return left - right
+        if (node.op === "*") return left * right
+        return null
+      }
+      default:
+        return null
+    }
+  }
+
+  findAll(root, predicate) {
+    const found = []
+    this.walk(root, (node) => {
+      if (predicate(node)) found.push(node)
+    })
+    return found
+  }
+
+  walk(node, visit) {
+    if (!node || typeof node !== "object") return
+    if (Array.isArray(node)) {
+      node.forEach((child) => this.walk(child, visit))
+      return
+    }
+    if (!node.kind) return
+    visit(node)
+    for (const [key, child] of Object.entries(node)) {
+      if (["loc", "type", "resolvedType", "target", "builtin", "returnType", "nameLoc"].includes(key)) continue
+      if (child && typeof child === "object") this.walk(child, visit)
+    }
+  }
+}
@@ -0,0 +1,1363 @@
+// Tree-walking interpreter for checked C++ programs
+const CPP_MAX_CALL_DEPTH = 3000
+const CPP_MAX_ARRAY_SIZE = 10000000
+const CPP_BREAK = { signal: "break" }
+const CPP_CONTINUE = { signal: "continue" }
+const CPP_COMPARISON_OPERATORS = new Set(["==", "!=", "<", ">", "<=", ">="])
+// 64-bit integers are plain numbers while they are exact and BigInts beyond, so equal values always compare equal
+const CPP_SAFE_BIGINT = BigInt(Number.MAX_SAFE_INTEGER)
+const CPP_RESIZING_METHODS = new Set([
+  "clear",
+  "push_back",
+  "emplace_back",
+  "pop_back",
+  "resize",
+  "assign",
+  "insert",
+  "erase",
+])
+
+class CppRuntimeError extends Error {
+  constructor(message, loc) {
+    super(message)
+    this.name = "CppRuntimeError"
+    this.loc = loc
+  }
+}
+
+// Thrown by exit() to unwind the whole program
+class CppExit {
+  constructor(code) {
+    this.code = code
+  }
+}
+
+class CppCell {
+  constructor(value) {
+    this.value = value
+  }
+
+  get() {
+    return this.value
+  }
+
+  set(value) {
+    this.value = value
+  }
+}
+
+class CppElementRef {
+  constructor(interpreter, container, index, node) {
+    this.interpreter = interpreter
+    this.container = container
+    this.index = index
+    this.node = node
+  }
+
+  get() {
+    return this.interpreter.readElement(this.container, this.index, this.node)
+  }
+
+  set(value) {
+    this.interpreter.writeElement(this.container, this.index, value, this.node)
+  }
+}
+
+// Strings are immutable in JS, so writing a character rebuilds the string in its owner
+class CppStringCharRef {
+  constructor(stringRef, index) {
+    this.stringRef = stringRef
+    this.index = index
+  }
+
+  get() {
+    const text = this.stringRef.get()
+    return this.index === text.length ? 0 : text.charCodeAt(this.index)
+  }
+
+  set(value) {
+    const text = this.stringRef.get()
+    this.stringRef.set(text.slice(0, this.index) + String.fromCharCode(value & 0xff) + text.slice(this.index + 1))
+  }
+}
+
+class CppMemberRef {
+  constructor(object, property) {
+    this.object = object
+    this.property = property
+  }
+
+  get() {
+    return this.object[this.property]
+  }
+
+  set(value) {
+    this.object[this.property] = value
+  }
+}
+
+class CppInputStream {
+  constructor(text) {
+    this.text = text
+    this.pos = 0
+    this.failed = false
+  }
+
+  readPattern(pattern) {
+    if (this.failed) return null
+    const whitespace = /\s*/y
+    whitespace.lastIndex = this.pos
+    whitespace.exec(this.text)
+    pattern.lastIndex = whitespace.lastIndex
+
+    const match = pattern.exec(this.text)
+    if (!match) {
+      this.failed = true
+      return null
+    }
+    this.pos = pattern.lastIndex
+    return match[0]
+  }
+
+  readInteger() {
+    return this.readPattern(/[+-]?\d+/y)
+  }
+
+  readNumber() {
+    return this.readPattern(/[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/y)
+  }
+
+  readWord() {
+    return this.readPattern(/\S+/y)
+  }
+
+  readChar() {
+    return this.readPattern(/\S/y)
+  }
+
+  readLine() {
+    if (this.failed || this.pos >= this.text.length) {
+      this.failed = true
+      return null
+    }
+    const end = this.text.indexOf("\n", this.pos)
+    const line = this.text.slice(this.pos, end === -1 ? this.text.length : end)
+    this.pos = end === -1 ? this.text.length : end + 1
+    return line.replace(/\r$/, "")
+  }
+}
+
+class CppInterpreter {
+  constructor(program, options = {}) {
+    this.program = program
+    this.input = new CppInputStream(options.stdin || "")
+    this.onOutput = options.onOutput || (() => {})
+    this.onTick = options.onTick || null
+    // Optional observer of element reads and writes, used to trace the program into animation frames
+    this.hooks = options.hooks || null
+    this.outputLimit = options.outputLimit || 1000000
+    this.outputSize = 0
+    this.globals = new CppScope()
+    this.callStack = []
+    this.steps = 0
+    this.currentLoc = null
+    this.streams = {
+      stdout: { fixed: false, precision: 6, width: 0 },
+      stderr: { fixed: false, precision: 6, width: 0 },
+    }
+  }
+
+  run() {
+    try {
+      for (const declaration of this.program.globals) this.execute(declaration, this.globals)
+      const main = this.program.functions.find((fn) => fn.name === "main" && fn.body)
+      return this.invoke(main, new CppScope(this.globals), null)
+    } catch (error) {
+      if (error instanceof CppExit) return error.code
+      if (error instanceof RangeError) {
+        throw new CppRuntimeError("Stack overflow: recursion is too deep", this.currentLoc)
+      }
+      throw error
+    }
+  }
+
+  fail(message, loc) {
+    throw new CppRuntimeError(message, loc || this.currentLoc)
+  }
+
+  tick(node) {
+    this.steps++
+    this.currentLoc = node.loc
+    if (this.onTick && (this.steps & 4095) === 0) this.onTick()
+  }
+
+  write(text, stream = "stdout") {
+    this.outputSize += text.length
+    if (this.outputSize > this.outputLimit) {
+      this.fail(`Output limit exceeded (${this.outputLimit} characters)`)
+    }
+    this.onOutput(text, stream)
+  }
+
+  // Statements
+
+  executeBlock(statements, scope) {
+    for (const statement of statements) {
+      const result = this.execute(statement, scope)
+      if (result) return result
+    }
+    return undefined
+  }
+
+  execute(node, scope) {
+    switch (node.kind) {
+      case "Block":
+        return this.executeBlock(node.body, new CppScope(scope))
+      case "Empty":
+        return undefined
+      case "VarDecl":
+        this.tick(node)
+        for (const declarator of node.declarations) this.declare(declarator, scope)
+        return undefined
+      case "ExprStmt":
+        this.tick(node)
+        this.evaluate(node.expression, scope)
+        return undefined
+      case "If":
+        this.tick(node)
+        if (this.condition(node.test, scope)) return this.execute(node.consequent, new CppScope(scope))
+        if (node.alternate) return this.execute(node.alternate, new CppScope(scope))
+        return undefined
+      case "While":
+        while (true) {
+          this.tick(node)
+          if (!this.condition(node.test, scope)) return undefined
+          const result = this.execute(node.body, new CppScope(scope))
+          if (result === CPP_BREAK) return undefined
+          if (result && result !== CPP_CONTINUE) return result
+        }
+      case "DoWhile":
+        while (true) {
+          const result = this.execute(node.body, new CppScope(scope))
+          if (result === CPP_BREAK) return undefined
+          if (result && result !== CPP_CONTINUE) return result
+          this.tick(node)
+          if (!this.condition(node.test, scope)) return undefined
+        }
+      case "For":
+        return this.executeFor(node, new CppScope(scope))
+      case "RangeFor":
+        return this.executeRangeFor(node, scope)
+      case "Switch":
+        return this.executeSwitch(node, scope)
+      case "Return": {
+        this.tick(node)
+        const frame = this.callStack[this.callStack.length - 1]
+        const value = node.argument ? this.evaluateInit(node.argument, frame.fn.returnType, scope) : undefined
+        return { signal: "return", value }
+      }
+      case "Break":
+        this.tick(node)
+        return CPP_BREAK
+      case "Continue":
+        this.tick(node)
+        return CPP_CONTINUE
+      default:
+        return this.fail(`Unsupported statement '${node.kind}'`, node.loc)
+    }
+  }
+
+  executeFor(node, scope) {
+    if (node.init) this.execute(node.init, scope)
+    while (true) {
+      this.tick(node)
+      if (node.test && !this.condition(node.test, scope)) return undefined
+      const result = this.execute(node.body, new CppScope(scope))
+      if (result === CPP_BREAK) return undefined
+      if (result && result !== CPP_CONTINUE) return result
+      if (node.update) this.evaluate(node.update, scope)
+    }
+  }
+
+  executeRangeFor(node, scope) {
+    const { variable, iterable } = node
+    const iterableType = iterable.type
+    const elemType = CppTypes.elementType(iterableType)
+    const ref = iterableType.name === "string" ? this.evalRef(iterable, scope) : null
+    const container = ref ? null : this.evaluate(iterable, scope)
+    const length = () => (ref ? ref.get().length : container.length)
+
+    for (let i = 0; i < length(); i++) {
+      this.tick(node)
+      const bodyScope = new CppScope(scope)
+      const elementRef = ref ? new CppStringCharRef(ref, i) : new CppElementRef(this, container, i, iterable)
+      if (variable.isRef) {
+        bodyScope.declare(variable.name, elementRef)
+      } else {
+        const value = this.convert(this.copyValue(elementRef.get(), elemType), elemType, variable.resolvedType)
+        bodyScope.declare(variable.name, new CppCell(value))
+      }
+
+      const result = this.execute(node.body, bodyScope)
+      if (result === CPP_BREAK) return undefined
+      if (result && result !== CPP_CONTINUE) return result
+    }
+    return undefined
+  }
+
+  executeSwitch(node, scope) {
+    this.tick(node)
+    const value = this.evaluate(node.discriminant, scope)
+    const bodyScope = new CppScope(scope)
+    let start = node.cases.findIndex((switchCase) => switchCase.test && this.evaluate(switchCase.test, scope) === value)
+    if (start === -1) start = node.cases.findIndex((switchCase) => !switchCase.test)
+    if (start === -1) return undefined
+
+    for (let i = start; i < node.cases.length; i++) {
+      const result = this.executeBlock(node.cases[i].body, bodyScope)
+      if (result === CPP_BREAK) return undefined
+      if (result) return result
+    }
+    return undefined
+  }
+
+  declare(declarator, scope) {
+    const type = declarator.resolvedType
+    if (declarator.isRef) {
+      scope.declare(declarator.name, this.evalRef(declarator.init, scope))
+      return
+    }
+
+    let value
+    if (type.name === "array") {
+      value = this.createArray(type, declarator.init, scope)
+    } else if (declarator.args) {
+      value = this.construct(type, declarator.args, scope)
+    } else if (declarator.init) {
+      value = this.evaluateInit(declarator.init, type, scope)
+    } else {
+      value = this.defaultValue(type)
+    }
+    const cell = new CppCell(value)
+    scope.declare(declarator.name, cell)
+    if (this.hooks) this.hooks.declare(declarator, value, cell)
+  }
+
+  // Values
+
+  defaultValue(type) {
+    switch (type.name) {
+      case "string":
+        return ""
+      case "vector":
+      case "queue":
+      case "stack":
+      case "priority_queue":
+        return []
+      case "pair":
+        return { first: this.defaultValue(type.first), second: this.defaultValue(type.second) }
+      case "array":
+        return this.createArray(type, null, this.globals)
+      case "void":
+        return undefined
+      default:
+        return 0
+    }
+  }
+
+  copyValue(value, type) {
+    switch (type.name) {
+      case "vector":
+      case "queue":
+      case "stack":
+      case "priority_queue":
+      case "array":
+        return value.map((item) => this.copyValue(item, type.elem))
+      case "pair":
+        return { first: this.copyValue(value.first, type.first), second: this.copyValue(value.second, type.second) }
+      default:
+        return value
+    }
+  }
+
+  convert(value, from, to) {
+    if (from.name === to.name && to.name !== "pair") return value
+    switch (to.name) {
+      case "int":
+        return typeof value === "bigint" ? Number(BigInt.asIntN(32, value)) : Math.trunc(value) | 0
+      case "unsigned":
+        return typeof value === "bigint" ? Number(BigInt.asUintN(32, value)) : Math.trunc(value) >>> 0
+      case "long":
+        return this.toInt64(value, false)
+      case "unsigned long":
+        return this.toInt64(value, true)
+      case "char":
+        return typeof value === "bigint" ? Number(BigInt.asIntN(8, value)) : (Math.trunc(value) << 24) >> 24
+      case "double":
+        return Number(value)
+      case "bool":
+        return Number(value) !== 0 ? 1 : 0
+      case "pair":
+        return {
+          first: this.convert(value.first, from.first, to.first),
+          second: this.convert(value.second, from.second, to.second),
+        }
+      default:
+        return value
+    }
+  }
+
+  // Wraps to 64 bits, signed or unsigned
+  toInt64(value, unsigned) {
+    if (typeof value === "number") {
+      const whole = Math.trunc(value)
+      if (Number.isSafeInteger(whole) && (!unsigned || whole >= 0)) return whole
+      if (!Number.isFinite(whole)) return 0
+      value = BigInt(whole)
+    }
+    const wrapped = unsigned ? BigInt.asUintN(64, value) : BigInt.asIntN(64, value)
+    return wrapped >= -CPP_SAFE_BIGINT && wrapped <= CPP_SAFE_BIGINT ? Number(wrapped) : wrapped
+  }
+
+  evaluateInit(node, type, scope) {
+    if (node.kind === "InitList") return this.fromInitList(node, type, scope)
+    return this.convert(this.copyValue(this.evaluate(node, scope), node.type), node.type, type)
+  }
+
+  fromInitList(node, type, scope) {
+    const elements = node.elements
+    switch (type.name) {
+      case "vector":
+        return elements.map((element) => this.evaluateInit(element, type.elem, scope))
+      case "array":
+        return this.createArray(type, node, scope)
+      case "pair":
+        return {
+          first: this.evaluateInit(elements[0], type.first, scope),
+          second: this.evaluateInit(elements[1], type.second, scope),
+        }
+      default:
+        return elements.length > 0 ? this.evaluateInit(elements[0], type, scope) : this.defaultValue(type)
+    }
+  }
+
+  createArray(type, init, scope) {
+    if (init && init.kind === "Literal") {
+      const chars = Array.from(init.value, (ch) => ch.charCodeAt(0))
+      const size = type.size ? this.arraySize(type.size, scope) : chars.length + 1
+      return Array.from({ length: size }, (_, i) => chars[i] || 0)
+    }
+
+    const elements = init ? init.elements : []
+    const size = type.size ? this.arraySize(type.size, scope) : elements.length
+    if (elements.length > size) this.fail("too many initializers for array", init.loc)
+
+    return Array.from({ length: size }, (_, i) => {
+      if (i < elements.length) return this.evaluateInit(elements[i], type.elem, scope)
+      return type.elem.name === "array" ? this.createArray(type.elem, null, scope) : this.defaultValue(type.elem)
+    })
+  }
+
+  arraySize(node, scope) {
+    const size = this.evaluate(node, scope)
+    if (size < 0) this.fail(`array size ${size} is negative`, node.loc)
+    if (size > CPP_MAX_ARRAY_SIZE) this.fail(`array size ${size} is too large`, node.loc)
+    return size
+  }
+
+  construct(type, args, scope) {
+    const values = () => args.map((arg) => this.evaluate(arg, scope))
+
+    switch (type.name) {
+      case "vector": {
+        if (args.length === 0) return []
+        if (args.length === 1 && args[0].kind === "InitList") return this.fromInitList(args[0], type, scope)
+        if (args.length === 1 && args[0].type.name === "vector")
+          return this.copyValue(this.evaluate(args[0], scope), type)
+
+        const [first, second] = values()
+        if (args[0].type.name === "iterator") {
+          this.checkRange(first, second, args[0].loc)
+          return this.copyValue(first.container.slice(first.index, second.index), type)
+        }
+        if (first < 0 || first > CPP_MAX_ARRAY_SIZE) this.fail(`cannot create a vector of size ${first}`, args[0].loc)
+        const fill = args.length === 2 ? this.convert(second, args[1].type, type.elem) : null
+        return Array.from({ length: first }, () =>
+          fill === null ? this.defaultValue(type.elem) : this.copyValue(fill, type.elem),
+        )
+      }
+      case "string": {
+        const [first, second] = values()
+        if (args.length === 0) return ""
+        if (args.length === 1) return args[0].type.name === "char" ? String.fromCharCode(first) : first
+        return String.fromCharCode(second).repeat(Math.max(0, first))
+      }
+      case "pair": {
+        if (args.length === 0) return this.defaultValue(type)
+        const [first, second] = values()
+        return {
+          first: this.convert(this.copyValue(first, args[0].type), args[0].type, type.first),
+          second: this.convert(this.copyValue(second, args[1].type), args[1].type, type.second),
+        }
+      }
+      default:
+        if (args.length === 1) return this.evaluateInit(args[0], type, scope)
+        return this.defaultValue(type)
+    }
+  }
+
+  condition(node, scope) {
+    return this.truthy(this.evaluate(node, scope), node.type)
+  }
+
+  truthy(value, type) {
+    if (type.name === "istream") return !this.input.failed
+    return value !== 0
+  }
+
+  compareValues(a, b, type) {
+    if (type.name === "pair") {
+      const first = this.compareValues(a.first, b.first, type.first)
+      return first !== 0 ? first : this.compareValues(a.second, b.second, type.second)
+    }
+    if (type.name === "vector" || type.name === "array") {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const result = this.compareValues(a[i], b[i], type.elem)
+        if (result !== 0) return result
+      }
+      return a.length - b.length
+    }
+    return a < b ? -1 : a > b ? 1 : 0
+  }
+
+  // Element access
+
+  checkIndex(container, index, loc) {
+    if (!Number.isInteger(index) || index < 0 || index >= container.length) {
+      this.fail(`index ${index} is out of bounds for size ${container.length}`, loc)
+    }
+  }
+
+  readElement(container, index, node) {
+    this.checkIndex(container, index, node.loc)
+    if (this.hooks) this.hooks.read(container, index, node)
+    return container[index]
+  }
+
+  writeElement(container, index, value, node) {
+    this.checkIndex(container, index, node.loc)
+    container[index] = value
+    if (this.hooks) this.hooks.write(container, index, node)
+  }
+
+  // Lets the hooks report a whole comparison, swap or range algorithm as a single event
+  traceGroup(kind, node, action) {
+    if (!this.hooks) return action()
+    this.hooks.beginGroup(kind)
+    const result = action()
+    this.hooks.endGroup(kind, node, result)
+    return result
+  }
+
+  evalRef(node, scope) {
+    switch (node.kind) {
+      case "Identifier":
+        return scope.lookup(node.name)
+      case "Index": {
+        if (node.object.type.name === "string") {
+          const stringRef = this.evalRef(node.object, scope)
+          const index = this.evaluate(node.index, scope)
+          if (index < 0 || index > stringRef.get().length) {
+            this.fail(`index ${index} is out of bounds for string of length ${stringRef.get().length}`, node.loc)
+          }
+          return new CppStringCharRef(stringRef, index)
+        }
+        const container = this.evaluate(node.object, scope)
+        const index = this.evaluate(node.index, scope)
+        this.checkIndex(container, index, node.loc)
+        return new CppElementRef(this, container, index, node)
+      }
+      case "Member":
+        return new CppMemberRef(this.evaluate(node.object, scope), node.property)
+      case "Call":
+        if (node.target.kind === "method" && ["back", "front", "top", "at"].includes(node.target.name)) {
+          return this.methodElementRef(node, scope)
+        }
+        return new CppCell(this.evaluate(node, scope))
+      case "Assign":
+        return this.evaluateAssign(node, scope)
+      case "Update":
+        if (node.prefix) {
+          const ref = this.evalRef(node.argument, scope)
+          this.applyUpdate(node, ref)
+          return ref
+        }
+        return new CppCell(this.evaluate(node, scope))
+      default:
+        return new CppCell(this.evaluate(node, scope))
+    }
+  }
+
+  // Expressions
+
+  evaluate(node, scope) {
+    switch (node.kind) {
+      case "Literal":
+        return node.value
+      case "Identifier":
+        if (node.builtin) return CPP_BUILTIN_VALUES[node.builtin].value
+        return scope.lookup(node.name).get()
+      case "Binary":
+        return this.evaluateBinary(node, scope)
+      case "Assign":
+        return this.evaluateAssign(node, scope).get()
+      case "Update":
+        return this.applyUpdate(node, this.evalRef(node.argument, scope))
+      case "Unary":
+        return this.evaluateUnary(node, scope)
+      case "Conditional": {
+        const branch = this.condition(node.test, scope) ? node.consequent : node.alternate
+        return this.convert(this.evaluate(branch, scope), branch.type, node.type)
+      }
+      case "Call":
+        return this.evaluateCall(node, scope)
+      case "Index": {
+        if (node.object.type.name === "string") return this.evalRef(node, scope).get()
+        const container = this.evaluate(node.object, scope)
+        return this.readElement(container, this.evaluate(node.index, scope), node)
+      }
+      case "Member":
+        return this.evaluate(node.object, scope)[node.property]
+      case "Cast":
+        return this.convert(this.evaluate(node.argument, scope), node.argument.type, node.type)
+      case "Construct":
+        return this.construct(node.type, node.args, scope)
+      case "Comparator":
+        return { greater: node.greater }
+      case "Sequence": {
+        let value
+        for (const expression of node.expressions) value = this.evaluate(expression, scope)
+        return value
+      }
+      case "InitList":
+        return this.fromInitList(node, node.type, scope)
+      default:
+        return this.fail(`Unsupported expression '${node.kind}'`, node.loc)
+    }
+  }
+
+  evaluateBinary(node, scope) {
+    const { op, left, right } = node
+
+    if (op === "&&") return this.condition(left, scope) && this.condition(right, scope) ? 1 : 0
+    if (op === "||") return this.condition(left, scope) || this.condition(right, scope) ? 1 : 0
+
+    if (op === "<<" && left.type.name === "ostream") {
+      const stream = this.evaluate(left, scope)
+      this.print(stream, this.evaluate(right, scope), right.type)
+      return stream
+    }
+
+    if (op === ">>" && left.type.name === "istream") {
+      const stream = this.evaluate(left, scope)
+      this.read(this.evalRef(right, scope), right.type)
+      return stream
+    }
+
+    const evaluateOperands = () => {
+      const a = this.evaluate(left, scope)
+      const b = this.evaluate(right, scope)
+      return this.binaryOperation(op, a, b, left.type, right.type, node)
+    }
+    return CPP_COMPARISON_OPERATORS.has(op) ? this.traceGroup("compare", node, evaluateOperands) : evaluateOperands()
+  }
+
+  binaryOperation(op, a, b, leftType, rightType, node) {
+    switch (op) {
+      case "==":
+        return this.compareOperands(a, b, leftType, rightType) === 0 ? 1 : 0
+      case "!=":
+        return this.compareOperands(a, b, leftType, rightType) !== 0 ? 1 : 0
+      case "<":
+        return this.compareOperands(a, b, leftType, rightType) < 0 ? 1 : 0
+      case ">":
+        return this.compareOperands(a, b, leftType, rightType) > 0 ? 1 : 0
+      case "<=":
+        return this.compareOperands(a, b, leftType, rightType) <= 0 ? 1 : 0
+      case ">=":
+        return this.compareOperands(a, b, leftType, rightType) >= 0 ? 1 : 0
+    }
+
+    if (node.type.name === "string") {
+      const text = (value, type) => (type.name === "char" ? String.fromCharCode(value) : value)
+      return text(a, leftType) + text(b, rightType)
+    }
+
+    if (node.type.name === "iterator") {
+      const iterator = leftType.name === "array" ? { container: a, index: 0 } : a
+      return { ...iterator, index: op === "+" ? iterator.index + b : iterator.index - b }
+    }
+    if (leftType.name === "iterator") return a.index - b.index
+
+    // Both operands take the result's type first, so -1 meeting an unsigned value wraps as it does in C++
+    return this.arithmetic(
+      op,
+      this.convert(a, leftType, node.type),
+      this.convert(b, rightType, node.type),
+      node.type,
+      node.loc,
+    )
+  }
+
+  compareOperands(a, b, leftType, rightType) {
+    if (leftType.name === "iterator") return a.index - b.index
+    if (CppTypes.isNumeric(leftType) && CppTypes.isNumeric(rightType)) {
+      const common = CppTypes.arithmeticResult(leftType, rightType)
+      const x = this.convert(a, leftType, common)
+      const y = this.convert(b, rightType, common)
+      return x < y ? -1 : x > y ? 1 : 0
+    }
+    return this.compareValues(a, b, leftType)
+  }
+
+  arithmetic(op, a, b, type, loc) {
+    if (type.name === "long" || type.name === "unsigned long") return this.longArithmetic(op, a, b, type, loc)
+
+    const integral = type.name !== "double"
+    const unsigned = type.name === "unsigned"
+    let result
+    switch (op) {
+      case "+":
+        result = a + b
+        break
+      case "-":
+        result = a - b
+        break
+      case "*":
+        result = type.name === "int" || unsigned ? Math.imul(a, b) : a * b
+        break
+      case "/":
+        if (integral && b === 0) this.fail("Division by zero", loc)
+        result = integral ? Math.trunc(a / b) : a / b
+        break
+      case "%":
+        if (b === 0) this.fail("Division by zero in '%'", loc)
+        result = a % b
+        break
+      case "&":
+        result = a & b
+        break
+      case "|":
+        result = a | b
+        break
+      case "^":
+        result = a ^ b
+        break
+      case "<<":
+        result = a << b
+        break
+      case ">>":
+        result = unsigned ? a >>> b : a >> b
+        break
+    }
+    if (unsigned) return result >>> 0
+    return type.name === "int" ? result | 0 : result
+  }
+
+  // Exact while the result is a safe integer, through BigInt past that
+  longArithmetic(op, a, b, type, loc) {
+    const unsigned = type.name === "unsigned long"
+    if ((op === "/" || op === "%") && b === 0)
+      this.fail(op === "/" ? "Division by zero" : "Division by zero in '%'", loc)
+    if (typeof a === "number" && typeof b === "number") {
+      let result = null
+      if (op === "+") result = a + b
+      else if (op === "-") result = a - b
+      else if (op === "*") result = a * b
+      // a - a % b is a multiple of b, so this division is exact
+      else if (op === "/") result = (a - (a % b)) / b
+      else if (op === "%") result = a % b
+      if (Number.isSafeInteger(result) && (!unsigned || result >= 0)) return result
+    }
+
+    const x = BigInt(a)
+    const y = BigInt(b)
+    let result
+    switch (op) {
+      case "+":
+        result = x + y
+        break
+      case "-":
+        result = x - y
+        break
+      case "*":
+        result = x * y
+        break
+      case "/":
+        result = x / y
+        break
+      case "%":
+        result = x % y
+        break
+      case "&":
+        result = x & y
+        break
+      case "|":
+        result = x | y
+        break
+      case "^":
+        result = x ^ y
+        break
+      case "<<":
+        result = x << y
+        break
+      case ">>":
+        result = x >> y
+        break
+    }
+    return this.toInt64(result, unsigned)
+  }
+
+  evaluateAssign(node, scope) {
+    const ref = this.evalRef(node.target, scope)
+    const targetType = node.target.type
+
+    if (node.op === "=") {
+      ref.set(this.evaluateInit(node.value, targetType, scope))
+      return ref
+    }
+
+    const current = ref.get()
+    const value = this.evaluate(node.value, scope)
+    const valueType = node.value.type
+    if (targetType.name === "string") {
+      ref.set(current + (valueType.name === "char" ? String.fromCharCode(value) : value))
+      return ref
+    }
+
+    const resultType = CppTypes.arithmeticResult(targetType, valueType)
+    const result = this.arithmetic(
+      node.op.slice(0, -1),
+      this.convert(current, targetType, resultType),
+      this.convert(value, valueType, resultType),
+      resultType,
+      node.loc,
+    )
+    ref.set(this.convert(result, resultType, targetType))
+    return ref
+  }
+
+  applyUpdate(node, ref) {
+    const type = node.argument.type
+    const old = ref.get()
+    const stepType = CppTypes.arithmeticResult(type, CppTypes.INT)
+    const step = this.arithmetic(node.op === "++" ? "+" : "-", this.convert(old, type, stepType), 1, stepType, node.loc)
+    const updated = this.convert(step, stepType, type)
+    ref.set(updated)
+    return node.prefix ? updated : old
+  }
+
+  evaluateUnary(node, scope) {
+    const value = this.evaluate(node.argument, scope)
+    switch (node.op) {
+      case "!":
+        return this.truthy(value, node.argument.type) ? 0 : 1
+      // ~x is x ^ -1, which keeps unsigned and 64-bit values at their own width
+      case "~":
+        return this.arithmetic("^", this.convert(value, node.argument.type, node.type), -1, node.type, node.loc)
+      case "-":
+        return this.convert(-this.convert(value, node.argument.type, node.type), CppTypes.DOUBLE, node.type)
+      default:
+        return value
+    }
+  }
+
+  // Streams
+
+  print(streamName, value, type) {
+    const state = this.streams[streamName]
+
+    if (type.name === "manip") {
+      if (value.manip === "endl") this.write("\n", streamName)
+      else if (value.manip === "fixed") state.fixed = true
+      else if (value.manip === "setprecision") state.precision = value.n
+      else if (value.manip === "setw") state.width = value.n
+      return
+    }
+
+    let text = this.formatValue(value, type, state)
+    if (state.width > 0) {
+      text = text.padStart(state.width)
+      state.width = 0
+    }
+    this.write(text, streamName)
+  }
+
+  formatValue(value, type, state) {
+    switch (type.name) {
+      case "char":
+        return String.fromCharCode(value & 0xff)
+      case "double":
+        return this.formatDouble(value, state.fixed, state.precision)
+      case "array": {
+        const end = value.indexOf(0)
+        return String.fromCharCode(...(end === -1 ? value : value.slice(0, end)))
+      }
+      default:
+        return String(value)
+    }
+  }
+
+  // Mirrors the default iostream formatting (%g with 6 significant digits) and std::fixed
+  formatDouble(value, fixed, precision) {
+    if (Number.isNaN(value)) return "nan"
+    if (!Number.isFinite(value)) return value > 0 ? "inf" : "-inf"
+    if (fixed) return value.toFixed(Math.min(precision, 100))
+    if (value === 0) return Object.is(value, -0) ? "-0" : "0"
+
+    const digits = Math.max(1, Math.min(precision, 100))
+    const [mantissa, exponentText] = value.toExponential(digits - 1).split("e")
+    const exponent = Number(exponentText)
+    const trim = (text) => (text.includes(".") ? text.replace(/0+$/, "").replace(/\.$/, "") : text)
+
+    if (exponent < -4 || exponent >= digits) {
+      const sign = exponent < 0 ? "-" : "+"
+      return `${trim(mantissa)}e${sign}${String(Math.abs(exponent)).padStart(2, "0")}`
+    }
+    return trim(value.toFixed(Math.max(0, digits - 1 - exponent)))
+  }
+
+  read(ref, type) {
+    let text
+    switch (type.name) {
+      case "string":
+        text = this.input.readWord()
+        if (text !== null) ref.set(text)
+        return
+      case "char":
+        text = this.input.readChar()
+        if (text !== null) ref.set(text.charCodeAt(0))
+        return
+      case "double":
+        text = this.input.readNumber()
+        ref.set(text === null ? 0 : Number(text))
+        return
+      default:
+        text = this.input.readInteger()
+        ref.set(text === null ? 0 : this.convert(this.toInt64(BigInt(text), false), CppTypes.LONG, type))
+    }
+  }
+
+  formatPrintf(format, values, types) {
+    let next = 0
+    return format.replace(
+      /%([-+ 0#]*)(\d+)?(?:\.(\d+))?(hh|h|ll|l|L)?([diufFeEgGxXcs%])/g,
+      (spec, flags, width, precision, _, conversion) => {
+        if (conversion === "%") return "%"
+        if (next >= values.length) this.fail("printf: not enough arguments for format string")
+        const value = values[next]
+        const type = types[next++]
+        const digits = precision === undefined ? 6 : Number(precision)
+        let text
+
+        switch (conversion) {
+          case "d":
+          case "i":
+          case "u":
+            text = typeof value === "bigint" ? String(value) : String(Math.trunc(value))
+            break
+          case "f":
+          case "F":
+            text = value.toFixed(digits)
+            break
+          case "e":
+          case "E":
+            text = value.toExponential(digits).replace(/e([+-])(\d)$/, "e$10$2")
+            break
+          case "g":
+          case "G":
+            text = this.formatDouble(value, false, digits)
+            break
+          case "x":
+          case "X":
+            text = (value >>> 0).toString(16)
+            break
+          case "c":
+            text = String.fromCharCode(value)
+            break
+          default:
+            text = type.name === "array" ? this.formatValue(value, type, this.streams.stdout) : String(value)
+        }
+
+        if (conversion === "E" || conversion === "G" || conversion === "X") text = text.toUpperCase()
+        if (flags.includes("+") && /^[0-9]/.test(text) && "dieEfFgG".includes(conversion)) text = `+${text}`
+        if (width && text.length < Number(width)) {
+          if (flags.includes("-")) text = text.padEnd(Number(width))
+          else if (flags.includes("0") && conversion !== "s") text = text.padStart(Number(width), "0")
+          else text = text.padStart(Number(width))
+        }
+        return text
+      },
+    )
+  }
+
+  // Calls
+
+  evaluateCall(node, scope) {
+    switch (node.target.kind) {
+      case "function":
+        return this.callFunction(node, scope)
+      case "method":
+        return this.callMethod(node, scope)
+      default:
+        return this.callBuiltin(node, scope)
+    }
+  }
+
+  callFunction(node, scope) {
+    const fn = node.target.fn
+    const frameScope = new CppScope(this.globals)
+
+    fn.params.forEach((param, i) => {
+      const arg = node.args[i]
+      if (!arg) {
+        frameScope.declare(param.name, new CppCell(this.evaluateInit(param.defaultValue, param.type, this.globals)))
+      } else if (param.isRef) {
+        frameScope.declare(param.name, this.evalRef(arg, scope))
+      } else if (param.type.name === "array") {
+        // Arrays decay to pointers, so the callee works on the caller's storage
+        frameScope.declare(param.name, new CppCell(this.evaluate(arg, scope)))
+      } else {
+        frameScope.declare(param.name, new CppCell(this.evaluateInit(arg, param.type, scope)))
+      }
+    })
+
+    return this.invoke(fn, frameScope, node)
+  }
+
+  invoke(fn, frameScope, callNode) {
+    if (this.callStack.length >= CPP_MAX_CALL_DEPTH) {
+      this.fail(`Stack overflow: more than ${CPP_MAX_CALL_DEPTH} nested calls`, callNode && callNode.loc)
+    }
+
+    this.callStack.push({ fn, scope: frameScope, callLoc: callNode ? callNode.loc : null })
+    if (this.hooks) this.hooks.enter(fn, frameScope)
+    const result = this.executeBlock(fn.body.body, new CppScope(frameScope))
+    this.callStack.pop()
+
+    let value = fn.name === "main" ? 0 : this.defaultValue(fn.returnType)
+    if (result && result.signal === "return") value = result.value
+    if (this.hooks) this.hooks.exit(fn, value)
+    return value
+  }
+
+  callBuiltin(node, scope) {
+    const name = node.target.name
+    const args = node.args
+    const values = () => args.map((arg) => this.evaluate(arg, scope))
+
+    switch (name) {
+      case "swap":
+        return this.traceGroup("swap", node, () => {
+          const a = this.evalRef(args[0], scope)
+          const b = this.evalRef(args[1], scope)
+          const first = a.get()
+          a.set(b.get())
+          b.set(first)
+          return undefined
+        })
+      case "min":
+      case "max": {
+        const [a, b] = values()
+        const comparison = this.compareOperands(a, b, args[0].type, args[1].type)
+        const pickFirst = name === "min" ? comparison <= 0 : comparison >= 0
+        return pickFirst ? this.convert(a, args[0].type, node.type) : this.convert(b, args[1].type, node.type)
+      }
+      case "abs": {
+        const [value] = values()
+        if (node.type.name === "int") return Math.abs(value) | 0
+        return typeof value === "bigint" ? this.toInt64(value < 0 ? -value : value, false) : Math.abs(value)
+      }
+      case "make_pair": {
+        const [first, second] = values()
+        return { first: this.copyValue(first, args[0].type), second: this.copyValue(second, args[1].type) }
+      }
+      case "to_string": {
+        const [value] = values()
+        return args[0].type.name === "double" ? value.toFixed(6) : String(value)
+      }
+      case "stoi":
+      case "stod": {
+        const [text] = values()
+        const value = name === "stoi" ? Number.parseInt(text, 10) : Number.parseFloat(text)
+        if (Number.isNaN(value)) this.fail(`${name}: invalid argument "${text}"`, node.loc)
+        return value
+      }
+      case "setprecision":
+      case "setw":
+        return { manip: name, n: values()[0] }
+      case "getline": {
+        const ref = this.evalRef(args[1], scope)
+        const line = this.input.readLine()
+        if (line !== null) ref.set(line)
+        return "stdin"
+      }
+      case "printf": {
+        const [format, ...rest] = values()
+        const text = this.formatPrintf(
+          format,
+          rest,
+          args.slice(1).map((arg) => arg.type),
+        )
+        this.write(text)
+        return text.length
+      }
+      case "exit":
+        throw new CppExit(values()[0])
+      case "sort":
+      case "reverse":
+      case "fill":
+        return this.traceGroup("range", node, () => this.rangeAlgorithm(name, node, scope))
+      case "fabs":
+        return Math.abs(Number(values()[0]))
+      default:
+        return Math[name](...values().map(Number))
+    }
+  }
+
+  checkRange(first, last, loc) {
+    if (first.container !== last.container || first.ref !== last.ref) {
+      this.fail("iterators refer to different containers", loc)
+    }
+    const length = first.ref ? first.ref.get().length : first.container.length
+    if (first.index < 0 || last.index > length || first.index > last.index) this.fail("invalid iterator range", loc)
+  }
+
+  rangeAlgorithm(name, node, scope) {
+    const [first, last, extra] = node.args.map((arg) => this.evaluate(arg, scope))
+    this.checkRange(first, last, node.loc)
+    const elemType = node.args[0].type.elem
+
+    // String iterators operate on a character copy that is written back
+    const items = first.ref ? Array.from(first.ref.get(), (ch) => ch.charCodeAt(0)) : first.container
+    const range = items.slice(first.index, last.index)
+
+    if (name === "sort") {
+      const direction = extra && extra.greater ? -1 : 1
+      range.sort((a, b) => direction * this.compareValues(a, b, elemType))
+    } else if (name === "reverse") {
+      range.reverse()
+    } else {
+      const value = this.convert(extra, node.args[2].type, elemType)
+      range.fill(value)
+      range.forEach((_, i) => (range[i] = this.copyValue(value, elemType)))
+    }
+
+    for (let i = 0; i < range.length; i++) {
+      if (first.ref) items[first.index + i] = range[i]
+      else this.writeElement(items, first.index + i, range[i], node)
+    }
+    if (first.ref) first.ref.set(String.fromCharCode(...items))
+    return undefined
+  }
+
+  // Container member functions
+
+  callMethod(node, scope) {
+    const { name, objectType } = node.target
+    const object = node.callee.object
+    if (objectType.name === "string") return this.callStringMethod(node, scope)
+
+    const container = this.evaluate(object, scope)
+    const result = this.containerMethod(node, scope, container)
+    if (this.hooks && CPP_RESIZING_METHODS.has(name)) this.hooks.change(container, node)
+    return result
+  }
+
+  containerMethod(node, scope, container) {
+    const { name, objectType } = node.target
+    const elemType = objectType.elem
+    const args = node.args
+    const arg = (i) =>
+      this.evaluateInit(args[i], i === 0 && args.length === 2 && name !== "insert" ? CppTypes.INT : elemType, scope)
+    const requireItems = () => {
+      if (container.length === 0) this.fail(`${name}() called on an empty ${objectType.name}`, node.loc)
+    }
+
+    switch (name) {
+      case "size":
+        return container.length
+      case "empty":
+        return container.length === 0 ? 1 : 0
+      case "clear":
+        container.length = 0
+        return undefined
+      case "back":
+      case "front":
+      case "top":
+      case "at":
+        return this.methodElementRef(node, scope, container).get()
+      case "push_back":
+      case "emplace_back":
+        container.push(arg(0))
+        return undefined
+      case "pop_back":
+        requireItems()
+        container.pop()
+        return undefined
+      case "push":
+      case "emplace":
+        if (objectType.name === "priority_queue") this.heapPush(container, arg(0), objectType)
+        else container.push(arg(0))
+        return undefined
+      case "pop":
+        requireItems()
+        if (objectType.name === "queue") container.shift()
+        else if (objectType.name === "stack") container.pop()
+        else this.heapPop(container, objectType)
+        return undefined
+      case "resize": {
+        const size = this.evaluate(args[0], scope)
+        if (size < 0 || size > CPP_MAX_ARRAY_SIZE) this.fail(`cannot resize a vector to ${size}`, node.loc)
+        const fill = args.length === 2 ? this.evaluateInit(args[1], elemType, scope) : this.defaultValue(elemType)
+        if (size < container.length) container.length = size
+        while (container.length < size) container.push(this.copyValue(fill, elemType))
+        return undefined
+      }
+      case "assign": {
+        const size = this.evaluate(args[0], scope)
+        const fill = this.evaluateInit(args[1], elemType, scope)
+        container.length = 0
+        for (let i = 0; i < size; i++) container.push(this.copyValue(fill, elemType))
+        return undefined
+      }
+      case "begin":
+        return { container, index: 0 }
+      case "end":
+        return { container, index: container.length }
+      case "insert": {
+        const iterator = this.evaluate(args[0], scope)
+        if (iterator.container !== container || iterator.index < 0 || iterator.index > container.length) {
+          this.fail("insert: iterator out of range", node.loc)
+        }
+        container.splice(iterator.index, 0, this.evaluateInit(args[1], elemType, scope))
+        return undefined
+      }
+      case "erase": {
+        const iterator = this.evaluate(args[0], scope)
+        if (iterator.container !== container || iterator.index < 0 || iterator.index >= container.length) {
+          this.fail("erase: iterator out of range", node.loc)
+        }
+        container.splice(iterator.index, 1)
+        return undefined
+      }
+      default:
+        return this.fail(`Unsupported member function '${name}'`, node.loc)
+    }
+  }
+
+  methodElementRef(node, scope, evaluated) {
+    const { name, objectType } = node.target
+    const object = node.callee.object
+
+    if (objectType.name === "string") {
+      const stringRef = this.evalRef(object, scope)
+      const length = stringRef.get().length
+      const index = name === "front" ? 0 : name === "back" ? length - 1 : this.evaluate(node.args[0], scope)
+      if (index < 0 || index >= length) this.fail(`${name}() is out of range for string of length ${length}`, node.loc)
+      return new CppStringCharRef(stringRef, index)
+    }
+
+    const container = evaluated || this.evaluate(object, scope)
+    if (container.length === 0) this.fail(`${name}() called on an empty ${objectType.name}`, node.loc)
+
+    let index
+    if (name === "at") index = this.evaluate(node.args[0], scope)
+    else if (name === "front" || objectType.name === "priority_queue") index = 0
+    else index = container.length - 1
+    return new CppElementRef(this, container, index, node)
+  }
+
+  callStringMethod(node, scope) {
+    const { name } = node.target
+    const ref = this.evalRef(node.callee.object, scope)
+    const text = ref.get()
+    const values = () => node.args.map((arg) => this.evaluate(arg, scope))
+
+    switch (name) {
+      case "length":
+      case "size":
+        return text.length
+      case "empty":
+        return text.length === 0 ? 1 : 0
+      case "c_str":
+        return text
+      case "clear":
+        ref.set("")
+        return undefined
+      case "substr": {
+        const [start, length] = values()
+        if (start < 0 || start > text.length) this.fail(`substr: position ${start} is out of range`, node.loc)
+        return text.substr(start, length === undefined ? undefined : Math.max(0, length))
+      }
+      case "push_back":
+        ref.set(text + String.fromCharCode(values()[0]))
+        return undefined
+      case "pop_back":
+        if (text.length === 0) this.fail("pop_back() called on an empty string", node.loc)
+        ref.set(text.slice(0, -1))
+        return undefined
+      case "append":
+        ref.set(text + values()[0])
+        return undefined
+      case "find": {
+        const [needle] = values()
+        return text.indexOf(node.args[0].type.name === "char" ? String.fromCharCode(needle) : needle)
+      }
+      case "back":
+      case "front":
+      case "at":
+        return this.methodElementRef(node, scope).get()
+      case "begin":
+        return { container: null, ref, index: 0 }
+      case "end":
+        return { container: null, ref, index: text.length }
+      default:
+        return this.fail(`Unsupported member function '${name}'`, node.loc)
+    }
+  }
+
+  // Binary heap backing priority_queue; less<> keeps the largest element on top
+  heapBefore(a, b, type) {
+    const comparison = this.compareValues(a, b, type.elem)
+    return type.greater ? comparison < 0 : comparison > 0
+  }
+
+  heapPush(heap, value, type) {
+    heap.push(value)
+    let i = heap.length - 1
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (!this.heapBefore(heap[i], heap[parent], type)) break
+      ;[heap[i], heap[parent]] = [heap[parent], heap[i]]
+      i = parent
+    }
+  }
+
+  heapPop(heap, type) {
+    const last = heap.pop()
+    if (heap.length === 0) return
+    heap[0] = last
+    let i = 0
+    while (true) {
+      const left = 2 * i + 1
+      const right = left + 1
+      let best = i
+      if (left < heap.length && this.heapBefore(heap[left], heap[best], type)) best = left
+      if (right < heap.length && this.heapBefore(heap[right], heap[best], type)) best = right
+      if (best === i) return
+      ;[heap[i], heap[best]] = [heap[best], heap[i]]
+      i = best
+    }
+  }
+}
@@ -0,0 +1,307 @@
+// C++ subset lexer shared by the editor page and the execution worker
+const CPP_KEYWORDS = new Set([
+  "int",
+  "long",
+  "short",
+  "unsigned",
+  "signed",
+  "double",
+  "float",
+  "bool",
+  "char",
+  "void",
+  "auto",
+  "const",
+  "static",
+  "if",
+  "else",
+  "for",
+  "while",
+  "do",
+  "return",
+  "break",
+  "continue",
+  "switch",
+  "case",
+  "default",
+  "true",
+  "false",
+  "using",
+  "namespace",
+  "typedef",
+  "struct",
+  "class",
+  "new",
+  "delete",
+  "static_cast",
+])
+
+// Longest operators first so that "<<=" wins over "<<" and "<"
+const CPP_OPERATORS = [
+  "<<=",
+  ">>=",
+  "::",
+  "->",
+  "++",
+  "--",
+  "<<",
+  ">>",
+  "<=",
+  ">=",
+  "==",
+  "!=",
+  "&&",
+  "||",
+  "+=",
+  "-=",
+  "*=",
+  "/=",
+  "%=",
+  "&=",
+  "|=",
+  "^=",
+  "+",
+  "-",
+  "*",
+  "/",
+  "%",
+  "<",
+  ">",
+  "=",
+  "!",
+  "~",
+  "&",
+  "|",
+  "^",
+  "?",
+  ":",
+  ";",
+  ",",
+  ".",
+  "(",
+  ")",
+  "[",
+  "]",
+  "{",
+  "}",
+]
+
+const CPP_ESCAPES = { n: "\n", t: "\t", r: "\r", 0: "\0", "\\": "\\", "'": "'", '"': '"', a: "\x07", b: "\b" }
+
+class CppCompileError extends Error {
+  constructor(message, loc) {
+    super(message)
+    this.name = "CppCompileError"
+    this.loc = loc
+  }
+}
+
+class CppLexer {
+  constructor(source) {
+    this.source = source
+    this.pos = 0
+    this.line = 1
+    this.col = 1
+    this.tokens = []
+    this.includes = []
+    this.defines = new Map()
+  }
+
+  tokenize() {
+    while (true) {
+      this.skipWhitespaceAndComments()
+      if (this.pos >= this.source.length) break
+
+      if (this.source[this.pos] === "#" && this.atLineStart()) {
+        this.readDirective()
+        continue
+      }
+
+      const token = this.readToken()
+      if (token.type === "ident" && this.defines.has(token.value)) {
+        // Object-like macros expand in place, keeping the location of the use site
+        for (const replacement of this.defines.get(token.value)) {
+          this.tokens.push({
+            ...replacement,
+            line: token.line,
+            col: token.col,
+            endLine: token.endLine,
+            endCol: token.endCol,
+          })
+        }
+      } else {
+        this.tokens.push(token)
+      }
+    }
+
+    this.tokens.push({ type: "eof", value: "", line: this.line, col: this.col, endLine: this.line, endCol: this.col })
+    return this.tokens
+  }
+
+  atLineStart() {
+    let i = this.pos - 1
+    while (i >= 0 && (this.source[i] === " " || this.source[i] === "\t")) i--
+    return i < 0 || this.source[i] === "\n"
+  }
+
+  advance() {
+    const ch = this.source[this.pos++]
+    if (ch === "\n") {
+      this.line++
+      this.col = 1
+    } else {
+      this.col++
+    }
+    return ch
+  }
+
+  skipWhitespaceAndComments() {
+    while (this.pos < this.source.length) {
+      const ch = this.source[this.pos]
+      const next = this.source[this.pos + 1]
+      if (ch === " " || ch === "\t" || ch === "\n" || ch === "\r") {
+        this.advance()
+      } else if (ch === "/" && next === "/") {
+        while (this.pos < this.source.length && this.source[this.pos] !== "\n") this.advance()
+      } else if (ch === "/" && next === "*") {
+        const start = this.location()
+        this.advance()
+        this.advance()
+        while (this.pos < this.source.length && !(this.source[this.pos] === "*" && this.source[this.pos + 1] === "/")) {
+          this.advance()
+        }
+        if (this.pos >= this.source.length) {
+          throw new CppCompileError("Unterminated comment", { ...start, endLine: start.line, endCol: start.col + 2 })
+        }
+        this.advance()
+        this.advance()
+      } else {
+        break
+      }
+    }
+  }
+
+  location() {
+    return { line: this.line, col: this.col }
+  }
+
+  readDirective() {
+    const start = this.location()
+    let text = ""
+    while (this.pos < this.source.length && this.source[this.pos] !== "\n") {
+      // Line continuations keep the directive going
+      if (this.source[this.pos] === "\\" && this.source[this.pos + 1] === "\n") {
+        this.advance()
+        this.advance()
+        continue
+      }
+      text += this.advance()
+    }
+
+    const loc = { ...start, endLine: start.line, endCol: start.col + text.length }
+    const include = text.match(/^#\s*include\s*[<"]([^>"]+)[>"]/)
+    if (include) {
+      this.includes.push({ name: include[1], loc })
+      return
+    }
+
+    const define = text.match(/^#\s*define\s+([A-Za-z_]\w*)(\s+(.*))?$/)
+    if (define) {
+      if (define[2] && define[2].startsWith("(")) {
+        throw new CppCompileError("Function-like macros are not supported", loc)
+      }
+      const body = (define[3] || "").replace(/\/\/.*$/, "")
+      const lexer = new CppLexer(body)
+      const tokens = lexer.tokenize()
+      tokens.pop()
+      this.defines.set(define[1], tokens)
+      return
+    }
+
+    if (/^#\s*(pragma|ifndef|ifdef|endif|if|else|undef)\b/.test(text)) return
+    throw new CppCompileError(`Unsupported preprocessor directive: ${text.trim()}`, loc)
+  }
+
+  readToken() {
+    const start = this.location()
+    const ch = this.source[this.pos]
+    let token
+
+    if (/[A-Za-z_]/.test(ch)) {
+      let value = ""
+      while (this.pos < this.source.length && /\w/.test(this.source[this.pos])) value += this.advance()
+      token = { type: CPP_KEYWORDS.has(value) ? "keyword" : "ident", value }
+    } else if (/\d/.test(ch) || (ch === "." && /\d/.test(this.source[this.pos + 1] || ""))) {
+      token = this.readNumber()
+    } else if (ch === '"') {
+      token = { type: "string", value: this.readQuoted('"', start) }
+    } else if (ch === "'") {
+      const value = this.readQuoted("'", start)
+      if (value.length !== 1) {
+        throw new CppCompileError("Character literal must contain exactly one character", {
+          ...start,
+          endLine: this.line,
+          endCol: this.col,
+        })
+      }
+      token = { type: "char", value: value.charCodeAt(0) }
+    } else {
+      const op = CPP_OPERATORS.find((candidate) => this.source.startsWith(candidate, this.pos))
+      if (!op) {
+        throw new CppCompileError(`Unexpected character '${ch}'`, {
+          ...start,
+          endLine: start.line,
+          endCol: start.col + 1,
+        })
+      }
+      for (let i = 0; i < op.length; i++) this.advance()
+      token = { type: "op", value: op }
+    }
+
+    return { ...token, line: start.line, col: start.col, endLine: this.line, endCol: this.col }
+  }
+
+  readNumber() {
+    const rest = this.source.slice(this.pos)
+    const hex = rest.match(/^0[xX][0-9a-fA-F]+/)
+    const match = hex || rest.match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/)
+    let text = match[0]
+    for (let i = 0; i < text.length; i++) this.advance()
+
+    const suffix = this.source.slice(this.pos).match(/^[uUlLfF]+/)
+    const suffixText = suffix ? suffix[0] : ""
+    for (let i = 0; i < suffixText.length; i++) this.advance()
+
+    const isFloat = !hex && (/[.eE]/.test(text) || /[fF]/.test(suffixText))
+    let value = hex ? Number.parseInt(text, 16) : Number(text)
+    // Integers past 2^53 keep every digit as a BigInt, like the interpreter's 64-bit values
+    if (!isFloat && !Number.isSafeInteger(value)) value = BigInt(text)
+    let numType = isFloat ? "double" : "int"
+    if (!isFloat && (/[lL]/.test(suffixText) || value > 2147483647)) numType = "long"
+    if (!isFloat && /[uU]/.test(suffixText)) numType = numType === "long" ? "unsigned long" : "unsigned"
+    return { type: "number", value, numType }
+  }
+
+  readQuoted(quote, start) {
+    this.advance()
+    let value = ""
+    while (this.pos < this.source.length && this.source[this.pos] !== quote) {
+      if (this.source[this.pos] === "\n") break
+      let ch = this.advance()
+      if (ch === "\\") {
+        const escaped = this.advance()
+        ch = CPP_ESCAPES[escaped] !== undefined ? CPP_ESCAPES[escaped] : escaped
+      }
+      value += ch
+    }
+    if (this.source[this.pos] !== quote) {
+      throw new CppCompileError(`Missing terminating ${quote} character`, {
+        ...start,
+        endLine: start.line,
+        endCol: this.col,
+      })
+    }
+    this.advance()
+    return value
+  }
+}
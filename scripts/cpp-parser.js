@@ -0,0 +1,759 @@
+// Recursive-descent parser producing an AST for the supported C++ subset
+const CPP_TYPE_KEYWORDS = new Set([
+  "int",
+  "long",
+  "short",
+  "unsigned",
+  "signed",
+  "double",
+  "float",
+  "bool",
+  "char",
+  "void",
+  "auto",
+])
+
+const CPP_TYPE_NAMES = new Set(["string", "vector", "queue", "stack", "priority_queue", "pair", "size_t"])
+
+// Number literal kinds from the lexer, by suffix and magnitude
+const CPP_LITERAL_TYPES = {
+  int: CppTypes.INT,
+  long: CppTypes.LONG,
+  unsigned: CppTypes.UINT,
+  "unsigned long": CppTypes.ULONG,
+  double: CppTypes.DOUBLE,
+}
+
+// Tokens that start a new statement, where error recovery can safely resume
+const CPP_STATEMENT_KEYWORDS = new Set(["if", "for", "while", "do", "return", "switch", "break", "continue"])
+
+const CPP_ASSIGNMENT_OPERATORS = new Set(["=", "+=", "-=", "*=", "/=", "%=", "&=", "|=", "^=", "<<=", ">>="])
+
+// Binary operator precedence, lowest first
+const CPP_BINARY_PRECEDENCE = [
+  ["||"],
+  ["&&"],
+  ["|"],
+  ["^"],
+  ["&"],
+  ["==", "!="],
+  ["<", ">", "<=", ">="],
+  ["<<", ">>"],
+  ["+", "-"],
+  ["*", "/", "%"],
+]
+
+class CppParser {
+  constructor(source) {
+    this.lexer = new CppLexer(source)
+    this.tokens = this.lexer.tokenize()
+    this.pos = 0
+    this.aliases = new Map()
+    this.errors = []
+  }
+
+  // Syntax errors are collected in this.errors; parsing resumes after the broken declaration or statement
+  parse() {
+    const start = this.peek()
+    const program = { kind: "Program", functions: [], globals: [], includes: this.lexer.includes }
+
+    while (!this.check("eof")) {
+      this.recover(() => this.parseTopLevel(program))
+    }
+
+    return this.finish(program, start)
+  }
+
+  parseTopLevel(program) {
+    if (this.match("using")) {
+      if (this.peek().type === "ident" && this.check("=", 1)) {
+        const alias = this.next()
+        this.next()
+        this.aliases.set(alias.value, this.parseType().type)
+        this.expect(";", "Expected ';' after type alias")
+        return
+      }
+      this.expect("namespace", "Expected 'namespace' after 'using'")
+      this.expectIdentifier()
+      this.expect(";", "Expected ';' after using directive")
+      return
+    }
+
+    if (this.match("typedef")) {
+      const type = this.parseType().type
+      this.aliases.set(this.expectIdentifier("Expected a name for the typedef").value, type)
+      this.expect(";", "Expected ';' after typedef")
+      return
+    }
+
+    if (this.check("struct") || this.check("class")) {
+      this.error("Structs and classes are not supported in this C++ subset", this.peek())
+    }
+
+    const declStart = this.peek()
+    const { type, isConst } = this.parseType()
+    if (this.peek().type === "ident" && this.peek(1).value === "(" && this.looksLikeParameterList(2)) {
+      program.functions.push(this.parseFunction(type, declStart))
+    } else {
+      const declaration = this.parseDeclarators(type, isConst, declStart)
+      this.expect(";", "Expected ';' after declaration")
+      program.globals.push(this.finish(declaration, declStart))
+    }
+  }
+
+  recover(parse) {
+    const start = this.pos
+    try {
+      parse()
+    } catch (error) {
+      if (!(error instanceof CppCompileError)) throw error
+      // Unclosed blocks all fail at the end of input; one report is enough
+      const duplicate = this.errors.some(
+        (other) => other.loc.line === error.loc.line && other.loc.col === error.loc.col,
+      )
+      if (!duplicate) this.errors.push({ message: error.message, loc: error.loc })
+      this.synchronize()
+      if (this.pos === start) this.next()
+    }
+  }
+
+  // Skips to the end of the current statement or block so one mistake does not cascade into many
+  synchronize() {
+    let depth = 0
+    while (!this.check("eof")) {
+      if (depth === 0 && CPP_STATEMENT_KEYWORDS.has(this.peek().value) && this.peek().type === "keyword") return
+      if (this.check("{")) {
+        depth++
+      } else if (this.check("}")) {
+        if (depth === 0) return
+        depth--
+        if (depth === 0) {
+          this.next()
+          this.match(";")
+          return
+        }
+      } else if (this.check(";") && depth === 0) {
+        this.next()
+        return
+      }
+      this.next()
+    }
+  }
+
+  // Token helpers
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)]
+  }
+
+  previous() {
+    return this.tokens[this.pos - 1]
+  }
+
+  next() {
+    const token = this.tokens[this.pos]
+    if (token.type !== "eof") this.pos++
+    return token
+  }
+
+  check(value, offset = 0) {
+    const token = this.peek(offset)
+    if (value === "eof") return token.type === "eof"
+    return (token.type === "op" || token.type === "keyword") && token.value === value
+  }
+
+  match(value) {
+    if (this.check(value)) {
+      this.next()
+      return true
+    }
+    return false
+  }
+
+  expect(value, message) {
+    if (!this.check(value)) {
+      // A missing ';' belongs at the end of the previous token, not on the next line
+      const previous = this.previous()
+      if (value === ";" && previous) {
+        throw new CppCompileError(message || "Expected ';'", {
+          line: previous.endLine,
+          col: previous.endCol,
+          endLine: previous.endLine,
+          endCol: previous.endCol + 1,
+        })
+      }
+      this.error(message || `Expected '${value}'`, this.peek())
+    }
+    return this.next()
+  }
+
+  expectIdentifier(message = "Expected identifier") {
+    const token = this.peek()
+    if (token.type !== "ident") this.error(message, token)
+    return this.next()
+  }
+
+  // A closing '>' may be glued to another one, as in vector<vector<int>>
+  expectCloseAngle() {
+    const token = this.peek()
+    if (token.type === "op" && token.value === ">>") {
+      this.tokens.splice(
+        this.pos,
+        1,
+        { ...token, value: ">", endCol: token.col + 1 },
+        { ...token, value: ">", col: token.col + 1 },
+      )
+    }
+    return this.expect(">", "Expected '>' to close template arguments")
+  }
+
+  error(message, token) {
+    const found = token.type === "eof" ? "end of input" : `'${token.value}'`
+    throw new CppCompileError(`${message} (found ${found})`, {
+      line: token.line,
+      col: token.col,
+      endLine: token.endLine,
+      endCol: token.endCol,
+    })
+  }
+
+  finish(node, startToken) {
+    const end = this.previous() || startToken
+    node.loc = { line: startToken.line, col: startToken.col, endLine: end.endLine, endCol: end.endCol }
+    return node
+  }
+
+  // Types
+
+  isTypeStart(offset = 0) {
+    const token = this.peek(offset)
+    if (token.type === "keyword")
+      return CPP_TYPE_KEYWORDS.has(token.value) || token.value === "const" || token.value === "static"
+    if (token.type !== "ident") return false
+    if (token.value === "std" && this.check("::", offset + 1)) return this.isTypeStart(offset + 2)
+    return CPP_TYPE_NAMES.has(token.value) || this.aliases.has(token.value)
+  }
+
+  looksLikeParameterList(offset) {
+    return this.check(")", offset) || this.isTypeStart(offset)
+  }
+
+  parseType() {
+    let isConst = false
+    while (this.check("const") || this.check("static")) {
+      if (this.next().value === "const") isConst = true
+    }
+    const type = this.parseBaseType()
+    if (this.match("const")) isConst = true
+    return { type, isConst }
+  }
+
+  parseBaseType() {
+    this.skipStdPrefix()
+    const token = this.peek()
+
+    if (token.type === "keyword" && CPP_TYPE_KEYWORDS.has(token.value)) {
+      const words = []
+      while (this.peek().type === "keyword" && CPP_TYPE_KEYWORDS.has(this.peek().value)) words.push(this.next().value)
+      if (words.includes("double") || words.includes("float")) return CppTypes.DOUBLE
+      if (words.includes("char")) return CppTypes.CHAR
+      if (words.includes("bool")) return CppTypes.BOOL
+      if (words.includes("void")) return CppTypes.VOID
+      if (words.includes("auto")) return CppTypes.AUTO
+      if (words.includes("unsigned")) return words.includes("long") ? CppTypes.ULONG : CppTypes.UINT
+      if (words.includes("long")) return CppTypes.LONG
+      return CppTypes.INT
+    }
+
+    if (token.type === "ident" && this.aliases.has(token.value)) {
+      this.next()
+      return this.aliases.get(token.value)
+    }
+    if (token.type !== "ident" || !CPP_TYPE_NAMES.has(token.value)) this.error("Expected a type", token)
+    this.next()
+
+    switch (token.value) {
+      case "string":
+        return CppTypes.STRING
+      case "size_t":
+        return CppTypes.LONG
+      case "pair": {
+        this.expect("<", "Expected '<' after pair")
+        const first = this.parseType().type
+        this.expect(",", "Expected ',' between pair types")
+        const second = this.parseType().type
+        this.expectCloseAngle()
+        return CppTypes.pair(first, second)
+      }
+      case "priority_queue": {
+        this.expect("<", "Expected '<' after priority_queue")
+        const elem = this.parseType().type
+        let greater = false
+        if (this.match(",")) {
+          this.parseType()
+          this.expect(",", "Expected comparator after container type")
+          greater = this.parseComparatorType()
+        }
+        this.expectCloseAngle()
+        return CppTypes.priorityQueue(elem, greater)
+      }
+      default: {
+        this.expect("<", `Expected '<' after ${token.value}`)
+        const elem = this.parseType().type
+        this.expectCloseAngle()
+        return CppTypes[token.value](elem)
+      }
+    }
+  }
+
+  parseComparatorType() {
+    this.skipStdPrefix()
+    const name = this.expectIdentifier("Expected 'greater' or 'less'")
+    if (name.value !== "greater" && name.value !== "less") this.error("Expected 'greater' or 'less'", name)
+    this.expect("<", `Expected '<' after ${name.value}`)
+    if (!this.check(">") && !this.check(">>")) this.parseType()
+    this.expectCloseAngle()
+    return name.value === "greater"
+  }
+
+  skipStdPrefix() {
+    if (this.peek().type === "ident" && this.peek().value === "std" && this.check("::", 1)) {
+      this.next()
+      this.next()
+    }
+  }
+
+  // Declarations
+
+  parseFunction(returnType, startToken) {
+    const name = this.expectIdentifier()
+    this.expect("(")
+    const params = []
+
+    if (this.check("void") && this.check(")", 1)) this.next()
+    while (!this.check(")")) {
+      const paramStart = this.peek()
+      const { type, isConst } = this.parseType()
+      const isRef = this.match("&")
+      const paramName = this.expectIdentifier("Expected parameter name")
+      const paramType = this.parseArrayDimensions(type, true)
+      let defaultValue = null
+      if (this.match("=")) defaultValue = this.parseAssignment()
+      params.push(
+        this.finish(
+          { kind: "Param", name: paramName.value, type: paramType, isRef, isConst, defaultValue },
+          paramStart,
+        ),
+      )
+      if (!this.match(",")) break
+    }
+    this.expect(")", "Expected ')' after parameters")
+
+    let body = null
+    if (!this.match(";")) {
+      if (!this.check("{")) this.error("Expected '{' to start function body", this.peek())
+      body = this.parseBlock()
+    }
+
+    return this.finish(
+      { kind: "Function", name: name.value, returnType, params, body, nameLoc: this.locOf(name) },
+      startToken,
+    )
+  }
+
+  locOf(token) {
+    return { line: token.line, col: token.col, endLine: token.endLine, endCol: token.endCol }
+  }
+
+  parseArrayDimensions(baseType, allowUnsized) {
+    const dims = []
+    while (this.match("[")) {
+      if (this.check("]")) {
+        if (!allowUnsized && dims.length > 0) this.error("Only the first array dimension may be omitted", this.peek())
+        dims.push(null)
+      } else {
+        dims.push(this.parseConditional())
+      }
+      this.expect("]", "Expected ']'")
+    }
+    return dims.reduceRight((elem, size) => CppTypes.array(elem, size), baseType)
+  }
+
+  parseDeclarators(type, isConst, startToken) {
+    const declarations = []
+    do {
+      const declStart = this.peek()
+      const isRef = this.match("&")
+      const name = this.expectIdentifier("Expected variable name")
+      const declType = this.parseArrayDimensions(type, true)
+      const declaration = {
+        kind: "Declarator",
+        name: name.value,
+        type: declType,
+        isRef,
+        isConst,
+        init: null,
+        args: null,
+      }
+
+      if (this.match("=")) {
+        declaration.init = this.check("{") ? this.parseInitList() : this.parseAssignment()
+      } else if (this.check("(")) {
+        declaration.args = this.parseArguments()
+      } else if (this.check("{")) {
+        declaration.init = this.parseInitList()
+      }
+      declarations.push(this.finish(declaration, declStart))
+    } while (this.match(","))
+
+    return this.finish({ kind: "VarDecl", declarations }, startToken)
+  }
+
+  // Statements
+
+  parseBlock() {
+    const start = this.expect("{")
+    const body = []
+    while (!this.check("}")) {
+      if (this.check("eof")) this.error("Expected '}' to close block", this.peek())
+      this.recover(() => body.push(this.parseStatement()))
+    }
+    this.expect("}")
+    return this.finish({ kind: "Block", body }, start)
+  }
+
+  parseStatement() {
+    const start = this.peek()
+
+    if (this.check("{")) return this.parseBlock()
+    if (this.match(";")) return this.finish({ kind: "Empty" }, start)
+
+    if (this.match("if")) {
+      const test = this.parseCondition()
+      const consequent = this.parseStatement()
+      const alternate = this.match("else") ? this.parseStatement() : null
+      return this.finish({ kind: "If", test, consequent, alternate }, start)
+    }
+
+    if (this.match("while")) {
+      const test = this.parseCondition()
+      return this.finish({ kind: "While", test, body: this.parseStatement() }, start)
+    }
+
+    if (this.match("do")) {
+      const body = this.parseStatement()
+      this.expect("while", "Expected 'while' after do body")
+      const test = this.parseCondition()
+      this.expect(";", "Expected ';' after do-while")
+      return this.finish({ kind: "DoWhile", body, test }, start)
+    }
+
+    if (this.match("for")) return this.parseFor(start)
+    if (this.match("switch")) return this.parseSwitch(start)
+
+    if (this.match("return")) {
+      const argument = this.check(";") ? null : this.check("{") ? this.parseInitList() : this.parseExpression()
+      this.expect(";", "Expected ';' after return")
+      return this.finish({ kind: "Return", argument }, start)
+    }
+
+    if (this.match("break")) {
+      this.expect(";", "Expected ';' after break")
+      return this.finish({ kind: "Break" }, start)
+    }
+
+    if (this.match("continue")) {
+      this.expect(";", "Expected ';' after continue")
+      return this.finish({ kind: "Continue" }, start)
+    }
+
+    if (this.check("struct") || this.check("class")) {
+      this.error("Structs and classes are not supported in this C++ subset", this.peek())
+    }
+
+    if (this.isTypeStart()) {
+      const { type, isConst } = this.parseType()
+      const declaration = this.parseDeclarators(type, isConst, start)
+      this.expect(";", "Expected ';' after declaration")
+      return this.finish(declaration, start)
+    }
+
+    const expression = this.parseExpression()
+    this.expect(";", "Expected ';' after expression")
+    return this.finish({ kind: "ExprStmt", expression }, start)
+  }
+
+  parseCondition() {
+    this.expect("(", "Expected '('")
+    const test = this.parseExpression()
+    this.expect(")", "Expected ')'")
+    return test
+  }
+
+  parseFor(start) {
+    this.expect("(", "Expected '(' after for")
+    let init = null
+
+    if (this.isTypeStart()) {
+      const declStart = this.peek()
+      const { type, isConst } = this.parseType()
+      const isRef = this.match("&")
+
+      // Range-based for: for (auto& x : container)
+      if (this.peek().type === "ident" && this.check(":", 1)) {
+        const name = this.next()
+        this.next()
+        const iterable = this.parseExpression()
+        this.expect(")", "Expected ')' after range")
+        const variable = this.finish({ kind: "Declarator", name: name.value, type, isRef, isConst }, declStart)
+        return this.finish({ kind: "RangeFor", variable, iterable, body: this.parseStatement() }, start)
+      }
+
+      if (isRef) this.pos--
+      init = this.parseDeclarators(type, isConst, declStart)
+    } else if (!this.check(";")) {
+      const exprStart = this.peek()
+      init = this.finish({ kind: "ExprStmt", expression: this.parseExpression() }, exprStart)
+    }
+    this.expect(";", "Expected ';' in for statement")
+
+    const test = this.check(";") ? null : this.parseExpression()
+    this.expect(";", "Expected ';' in for statement")
+    const update = this.check(")") ? null : this.parseExpression()
+    this.expect(")", "Expected ')' after for clauses")
+
+    return this.finish({ kind: "For", init, test, update, body: this.parseStatement() }, start)
+  }
+
+  parseSwitch(start) {
+    const discriminant = this.parseCondition()
+    this.expect("{", "Expected '{' after switch")
+    const cases = []
+
+    while (!this.match("}")) {
+      const caseStart = this.peek()
+      let test = null
+      if (this.match("case")) {
+        test = this.parseConditional()
+      } else if (!this.match("default")) {
+        this.error("Expected 'case' or 'default'", this.peek())
+      }
+      this.expect(":", "Expected ':' after case label")
+
+      const body = []
+      while (!this.check("case") && !this.check("default") && !this.check("}")) {
+        if (this.check("eof")) this.error("Expected '}' to close switch", this.peek())
+        body.push(this.parseStatement())
+      }
+      cases.push(this.finish({ kind: "Case", test, body }, caseStart))
+    }
+
+    return this.finish({ kind: "Switch", discriminant, cases }, start)
+  }
+
+  // Expressions
+
+  parseExpression() {
+    const start = this.peek()
+    const expression = this.parseAssignment()
+    if (!this.check(",")) return expression
+
+    const expressions = [expression]
+    while (this.match(",")) expressions.push(this.parseAssignment())
+    return this.finish({ kind: "Sequence", expressions }, start)
+  }
+
+  parseAssignment() {
+    const start = this.peek()
+    const target = this.parseConditional()
+    const token = this.peek()
+
+    if (token.type === "op" && CPP_ASSIGNMENT_OPERATORS.has(token.value)) {
+      this.next()
+      const value = this.check("{") ? this.parseInitList() : this.parseAssignment()
+      return this.finish({ kind: "Assign", op: token.value, target, value }, start)
+    }
+    return target
+  }
+
+  parseConditional() {
+    const start = this.peek()
+    const test = this.parseBinary(0)
+    if (!this.match("?")) return test
+
+    const consequent = this.parseExpression()
+    this.expect(":", "Expected ':' in conditional expression")
+    const alternate = this.parseAssignment()
+    return this.finish({ kind: "Conditional", test, consequent, alternate }, start)
+  }
+
+  parseBinary(level) {
+    if (level >= CPP_BINARY_PRECEDENCE.length) return this.parseUnary()
+
+    const start = this.peek()
+    let left = this.parseBinary(level + 1)
+    while (this.peek().type === "op" && CPP_BINARY_PRECEDENCE[level].includes(this.peek().value)) {
+      const op = this.next().value
+      const right = this.parseBinary(level + 1)
+      left = this.finish({ kind: "Binary", op, left, right }, start)
+    }
+    return left
+  }
+
+  parseUnary() {
+    const start = this.peek()
+
+    if (this.check("++") || this.check("--")) {
+      const op = this.next().value
+      return this.finish({ kind: "Update", op, prefix: true, argument: this.parseUnary() }, start)
+    }
+
+    if (this.check("-") || this.check("+") || this.check("!") || this.check("~")) {
+      const op = this.next().value
+      return this.finish({ kind: "Unary", op, argument: this.parseUnary() }, start)
+    }
+
+    if (this.check("&") || this.check("*")) {
+      this.error("Pointers are not supported in this C++ subset", start)
+    }
+
+    // C-style cast: (int) x
+    if (this.check("(") && this.isTypeStart(1)) {
+      const save = this.pos
+      this.next()
+      const { type } = this.parseType()
+      if (this.match(")")) {
+        return this.finish({ kind: "Cast", type, argument: this.parseUnary() }, start)
+      }
+      this.pos = save
+    }
+
+    return this.parsePostfix()
+  }
+
+  parsePostfix() {
+    const start = this.peek()
+    let expression = this.parsePrimary()
+
+    while (true) {
+      if (this.match("[")) {
+        const index = this.parseExpression()
+        this.expect("]", "Expected ']'")
+        expression = this.finish({ kind: "Index", object: expression, index }, start)
+      } else if (this.check("(")) {
+        const args = this.parseArguments()
+        expression = this.finish({ kind: "Call", callee: expression, args }, start)
+      } else if (this.match(".")) {
+        const property = this.expectIdentifier("Expected member name after '.'")
+        expression = this.finish({ kind: "Member", object: expression, property: property.value }, start)
+      } else if (this.check("->")) {
+        this.error("Pointers are not supported in this C++ subset", this.peek())
+      } else if (this.check("++") || this.check("--")) {
+        const op = this.next().value
+        expression = this.finish({ kind: "Update", op, prefix: false, argument: expression }, start)
+      } else {
+        return expression
+      }
+    }
+  }
+
+  parseArguments() {
+    this.expect("(")
+    const args = []
+    while (!this.check(")")) {
+      args.push(this.check("{") ? this.parseInitList() : this.parseAssignment())
+      if (!this.match(",")) break
+    }
+    this.expect(")", "Expected ')' after arguments")
+    return args
+  }
+
+  parseInitList() {
+    const start = this.expect("{")
+    const elements = []
+    while (!this.check("}")) {
+      elements.push(this.check("{") ? this.parseInitList() : this.parseAssignment())
+      if (!this.match(",")) break
+    }
+    this.expect("}", "Expected '}' to close initializer list")
+    return this.finish({ kind: "InitList", elements }, start)
+  }
+
+  parsePrimary() {
+    const token = this.peek()
+
+    if (token.type === "number") {
+      this.next()
+      const type = CPP_LITERAL_TYPES[token.numType]
+      return this.finish({ kind: "Literal", value: token.value, type }, token)
+    }
+
+    if (token.type === "char") {
+      this.next()
+      return this.finish({ kind: "Literal", value: token.value, type: CppTypes.CHAR }, token)
+    }
+
+    if (token.type === "string") {
+      let value = ""
+      while (this.peek().type === "string") value += this.next().value
+      return this.finish({ kind: "Literal", value, type: CppTypes.STRING }, token)
+    }
+
+    if (this.match("true") || this.match("false")) {
+      return this.finish({ kind: "Literal", value: token.value === "true" ? 1 : 0, type: CppTypes.BOOL }, token)
+    }
+
+    if (this.match("(")) {
+      const expression = this.parseExpression()
+      this.expect(")", "Expected ')'")
+      return expression
+    }
+
+    if (this.check("{")) return this.parseInitList()
+
+    if (this.match("static_cast")) {
+      this.expect("<", "Expected '<' after static_cast")
+      const { type } = this.parseType()
+      this.expectCloseAngle()
+      this.expect("(", "Expected '(' after static_cast<...>")
+      const argument = this.parseExpression()
+      this.expect(")", "Expected ')'")
+      return this.finish({ kind: "Cast", type, argument }, token)
+    }
+
+    // Functional casts and constructions: int(x), vector<int>(n, 0), string(3, 'a')
+    if (this.isTypeStart() && !this.check("const") && !this.check("static")) {
+      const { type } = this.parseType()
+      if (!this.check("(")) this.error("Expected '(' after type name in expression", this.peek())
+      const args = this.parseArguments()
+      if (CppTypes.isNumeric(type) && args.length === 1) {
+        return this.finish({ kind: "Cast", type, argument: args[0] }, token)
+      }
+      return this.finish({ kind: "Construct", type, args }, token)
+    }
+
+    if (token.type === "ident") {
+      this.skipStdPrefix()
+      const name = this.next()
+
+      if ((name.value === "greater" || name.value === "less") && this.check("<")) {
+        this.next()
+        if (!this.check(">") && !this.check(">>")) this.parseType()
+        this.expectCloseAngle()
+        this.expect("(", `Expected '(' after ${name.value}<...>`)
+        this.expect(")", "Expected ')'")
+        return this.finish({ kind: "Comparator", greater: name.value === "greater" }, token)
+      }
+
+      // string::npos and similar qualified constants
+      if (this.match("::")) {
+        const member = this.expectIdentifier()
+        return this.finish({ kind: "Identifier", name: member.value }, token)
+      }
+
+      return this.finish({ kind: "Identifier", name: name.value }, token)
+    }
+
+    this.error("Expected an expression", token)
+  }
+}
@@ -0,0 +1,279 @@
+// Turns the interpreter's element reads, comparisons and writes of a watched array into animation frames
+const CPP_TRACE_MAX_FRAMES = 3000
+const CPP_TRACE_MAX_LENGTH = 200
+const CPP_TRACE_LOOP_KINDS = new Set(["For", "While", "DoWhile", "RangeFor"])
+
+class CppTracer {
+  constructor(code) {
+    // "// watch: name" picks the array to follow; otherwise the first numeric array declared is used
+    const directive = code.match(/\/\/\s*watch:\s*([A-Za-z_]\w*)/)
+    this.watchName = directive ? directive[1] : null
+    this.watched = new Map()
+    this.primary = null
+    this.groups = []
+    this.frames = []
+    this.truncated = false
+    this.calls = new CallRecorder(CPP_TRACE_MAX_FRAMES)
+    this.functions = []
+    this.outerLoops = new Map()
+    // Stable element ids per watched array, the ids read so far for each value and the last read outside a comparison,
+    // so that copies, swaps through a temporary and insertion shifts are followed even when values repeat
+    this.ids = new Map()
+    this.held = new Map()
+    this.pending = null
+    this.nextId = 0
+    // Counted over the whole run, including steps past the frame limit, so the final frame has the true totals
+    this.stats = { comparisons: 0, swaps: 0, reads: 0, writes: 0 }
+  }
+
+  // The variable of the first for loop with another loop inside: each of its iterations is a pass of an iterative
+  // sort, while a lone loop (printing, partitioning) has none. null when the first such loop is not a counted for loop
+  static outerLoop(statement) {
+    if (CPP_TRACE_LOOP_KINDS.has(statement.kind)) {
+      if (!CppTracer.hasLoop(statement)) return undefined
+      if (statement.kind !== "For" || !statement.init) return null
+      const init = statement.init
+      if (init.kind === "VarDecl") return init.declarations[0].name
+      const target = init.expression && init.expression.kind === "Assign" && init.expression.target
+      return target && target.kind === "Identifier" ? target.name : null
+    }
+    for (const inner of CppTracer.innerStatements(statement)) {
+      const found = CppTracer.outerLoop(inner)
+      if (found !== undefined) return found
+    }
+    return undefined
+  }
+
+  static hasLoop(statement) {
+    return CppTracer.innerStatements(statement).some(
+      (inner) => CPP_TRACE_LOOP_KINDS.has(inner.kind) || CppTracer.hasLoop(inner),
+    )
+  }
+
+  static innerStatements(statement) {
+    if (statement.kind === "Block") return statement.body
+    if (statement.kind === "If") return [statement.consequent, statement.alternate].filter(Boolean)
+    if (statement.kind === "Switch") return statement.cases.flatMap((entry) => entry.body)
+    if (CPP_TRACE_LOOP_KINDS.has(statement.kind)) return [statement.body]
+    return []
+  }
+
+  static isWatchable(type, value) {
+    return (
+      (type.name === "vector" || type.name === "array") &&
+      ["int", "unsigned", "long", "unsigned long", "double"].includes(type.elem.name) &&
+      value.length <= CPP_TRACE_MAX_LENGTH
+    )
+  }
+
+  // Element references are read straight from their container so that showing them is not a traced read
+  static reader(cell) {
+    return () => (cell instanceof CppElementRef ? cell.container[cell.index] : cell.get())
+  }
+
+  declare(declarator, value, cell) {
+    // Every local shows up in its function's call-stack entry, read live whenever a frame is recorded
+    if (cell) this.calls.setLocal(declarator.name, CppTracer.reader(cell))
+    if (!CppTracer.isWatchable(declarator.resolvedType, value)) return
+    if (this.watchName ? declarator.name !== this.watchName : this.primary) return
+
+    this.watched.set(value, declarator.name)
+    if (!this.primary) this.primary = value
+    this.record(value, { description: `Declared ${declarator.name}`, loc: declarator.loc })
+  }
+
+  read(container, index, node) {
+    const name = this.watched.get(container)
+    if (name === undefined) return
+
+    this.stats.reads++
+    this.hold(container, index)
+    const group = this.groups[this.groups.length - 1]
+    if (group) {
+      group.events.push({ container, index, value: container[index], kind: "read" })
+      return
+    }
+    this.record(container, {
+      highlights: [index],
+      description: `Read ${name}[${index}] = ${container[index]}`,
+      loc: node.loc,
+    })
+  }
+
+  write(container, index, node) {
+    const name = this.watched.get(container)
+    if (name === undefined) return
+
+    this.stats.writes++
+    this.elementIds(container)[index] = this.writtenId(container, index)
+    const group = this.groups[this.groups.length - 1]
+    if (group) {
+      group.events.push({ container, index, value: container[index], kind: "write" })
+      return
+    }
+    this.record(container, {
+      highlights: [index],
+      description: `Set ${name}[${index}] = ${container[index]}`,
+      loc: node.loc,
+    })
+  }
+
+  enter(fn, scope) {
+    this.functions.push(fn)
+    if (!this.outerLoops.has(fn)) this.outerLoops.set(fn, CppTracer.outerLoop(fn.body))
+    this.calls.enter(
+      fn.name,
+      fn.params.map((param) => [param.name, CppTracer.reader(scope.lookup(param.name))]),
+    )
+  }
+
+  exit(fn, value) {
+    this.functions.pop()
+    this.calls.exit(value)
+  }
+
+  change(container, node) {
+    const name = this.watched.get(container)
+    if (name === undefined) return
+    this.record(container, {
+      description: `${name}.${node.target.name}() → size ${container.length}`,
+      loc: node.loc,
+    })
+  }
+
+  beginGroup(kind) {
+    this.groups.push({ kind, events: [] })
+  }
+
+  endGroup(kind, node, result) {
+    const group = this.groups.pop()
+    const parent = this.groups[this.groups.length - 1]
+    const reads = group.events.filter((event) => event.kind === "read")
+    const writes = group.events.filter((event) => event.kind === "write")
+    if (kind === "compare" && reads.length > 0) this.stats.comparisons++
+    if (kind === "swap" && writes.length > 0) this.stats.swaps++
+
+    // Comparisons nested in a swap or sort belong to the enclosing event
+    if (parent) {
+      parent.events.push(...group.events)
+      return
+    }
+
+    if (kind === "compare") {
+      if (reads.length === 0) return
+      const container = reads[0].container
+      const name = this.watched.get(container)
+      const operands = reads.map((event) => `${name}[${event.index}] (${event.value})`).join(" and ")
+      this.record(container, {
+        comparisons: reads.map((event) => event.index),
+        description: `Compare ${operands} with '${node.op}' → ${result ? "true" : "false"}`,
+        loc: node.loc,
+      })
+      return
+    }
+
+    if (writes.length === 0) return
+    const container = writes[0].container
+    const name = this.watched.get(container)
+    const indices = [...new Set(writes.map((event) => event.index))]
+
+    if (kind === "swap") {
+      this.record(container, {
+        highlights: indices,
+        description: `Swap ${indices.map((index) => `${name}[${index}]`).join(" and ")}`,
+        loc: node.loc,
+      })
+    } else {
+      this.record(container, {
+        highlights: indices,
+        description: `${node.target.name}() updated ${name}[${Math.min(...indices)}..${Math.max(...indices)}]`,
+        loc: node.loc,
+      })
+    }
+  }
+
+  // Grown with new ids or cut to the array's current length
+  elementIds(container) {
+    let ids = this.ids.get(container)
+    if (!ids) this.ids.set(container, (ids = []))
+    while (ids.length < container.length) ids.push(this.nextId++)
+    ids.length = container.length
+    return ids
+  }
+
+  hold(container, index) {
+    const id = this.elementIds(container)[index]
+    const value = container[index]
+    const held = this.held.get(value) || []
+    this.held.set(value, [...held.filter((candidate) => candidate !== id), id])
+    if (!this.groups.some((group) => group.kind === "compare")) this.pending = { container, id, value }
+  }
+
+  // Which element a written value is: the one just read when it is copied straight across, else a read one that has
+  // since been overwritten and so only lives in a variable, else the one already in the slot when it is written back in
+  // place, else the latest read copy, else a new element
+  writtenId(container, index) {
+    const ids = this.elementIds(container)
+    const held = this.held.get(container[index]) || []
+    const pending = this.pending
+    this.pending = null
+    let id =
+      pending && pending.container === container && pending.value === container[index]
+        ? pending.id
+        : held.find((candidate) => !ids.includes(candidate))
+    if (id === undefined && held.includes(ids[index])) id = ids[index]
+    if (id === undefined) id = held.length > 0 ? held[held.length - 1] : this.nextId++
+    this.held.set(
+      container[index],
+      held.filter((candidate) => candidate !== id),
+    )
+    return id
+  }
+
+  record(container, { highlights = [], comparisons = [], sorted = [], description, loc }) {
+    if (this.frames.length >= CPP_TRACE_MAX_FRAMES) {
+      this.truncated = true
+      this.calls.freeze()
+      return
+    }
+
+    const name = this.watched.get(container)
+    this.frames.push({
+      type: "array",
+      // 64-bit values beyond the safe range are BigInts; the charts only need their approximate size
+      array: container.map(Number),
+      ids: [...this.elementIds(container)],
+      highlights,
+      comparisons,
+      sorted,
+      algorithm: `Execution Trace (${name})`,
+      description: loc ? `Line ${loc.line}: ${description}` : description,
+      codeLine: loc ? loc.line - 1 : undefined,
+      variable: name,
+      stats: { ...this.stats },
+      outerLoop:
+        this.functions.length > 0 ? this.outerLoops.get(this.functions[this.functions.length - 1]) || null : null,
+      ...this.calls.snapshot(),
+    })
+  }
+
+  // Closes the trace with the final state of the watched array, so a buggy sort is visible at a glance
+  finish(error) {
+    if (!this.primary || this.frames.length === 0) return []
+
+    const array = this.primary
+    const isSorted = array.every((value, i) => i === 0 || array[i - 1] <= value)
+    let description = isSorted ? "Program finished: array is sorted" : "Program finished: array is not sorted"
+    if (error) description = `Program stopped: ${error}`
+    if (this.truncated) description += ` (trace limited to ${CPP_TRACE_MAX_FRAMES} steps)`
+
+    this.truncated = false
+    this.frames.length = Math.min(this.frames.length, CPP_TRACE_MAX_FRAMES - 1)
+    this.record(array, {
+      sorted: isSorted && !error ? array.map((_, i) => i) : [],
+      description,
+      loc: null,
+    })
+    return this.frames
+  }
+}
@@ -0,0 +1,112 @@
+// Static types of the supported C++ subset
+const CppTypes = {
+  INT: { name: "int" },
+  LONG: { name: "long" },
+  UINT: { name: "unsigned" },
+  ULONG: { name: "unsigned long" },
+  DOUBLE: { name: "double" },
+  CHAR: { name: "char" },
+  BOOL: { name: "bool" },
+  VOID: { name: "void" },
+  STRING: { name: "string" },
+  AUTO: { name: "auto" },
+  OSTREAM: { name: "ostream" },
+  ISTREAM: { name: "istream" },
+  MANIP: { name: "manip" },
+  ERROR: { name: "error" },
+
+  vector(elem) {
+    return { name: "vector", elem }
+  },
+
+  array(elem, size) {
+    return { name: "array", elem, size }
+  },
+
+  pair(first, second) {
+    return { name: "pair", first, second }
+  },
+
+  queue(elem) {
+    return { name: "queue", elem }
+  },
+
+  stack(elem) {
+    return { name: "stack", elem }
+  },
+
+  priorityQueue(elem, greater = false) {
+    return { name: "priority_queue", elem, greater }
+  },
+
+  iterator(elem) {
+    return { name: "iterator", elem }
+  },
+
+  comparator(greater) {
+    return { name: "comparator", greater }
+  },
+
+  isNumeric(type) {
+    return ["int", "long", "unsigned", "unsigned long", "double", "char", "bool"].includes(type.name)
+  },
+
+  isIntegral(type) {
+    return ["int", "long", "unsigned", "unsigned long", "char", "bool"].includes(type.name)
+  },
+
+  isIndexable(type) {
+    return ["vector", "array", "string"].includes(type.name)
+  },
+
+  isError(type) {
+    return type.name === "error"
+  },
+
+  elementType(type) {
+    return type.name === "string" ? CppTypes.CHAR : type.elem
+  },
+
+  // Usual arithmetic conversions: bool and char promote to int, long and double widen, and an unsigned operand makes
+  // the result unsigned unless the other one is a wider signed type
+  arithmeticResult(left, right) {
+    const either = (name) => left.name === name || right.name === name
+    if (either("double")) return CppTypes.DOUBLE
+    if (either("unsigned long")) return CppTypes.ULONG
+    if (either("long")) return CppTypes.LONG
+    if (either("unsigned")) return CppTypes.UINT
+    return CppTypes.INT
+  },
+
+  equals(a, b) {
+    if (a.name !== b.name) return false
+    if (a.name === "pair") return CppTypes.equals(a.first, b.first) && CppTypes.equals(a.second, b.second)
+    if (a.elem && b.elem) return CppTypes.equals(a.elem, b.elem)
+    return true
+  },
+
+  toString(type) {
+    switch (type.name) {
+      case "vector":
+      case "queue":
+      case "stack":
+        return `${type.name}<${CppTypes.toString(type.elem)}>`
+      case "priority_queue":
+        return `priority_queue<${CppTypes.toString(type.elem)}${type.greater ? ", greater" : ""}>`
+      case "array":
+        return `${CppTypes.toString(type.elem)}[]`
+      case "pair":
+        return `pair<${CppTypes.toString(type.first)}, ${CppTypes.toString(type.second)}>`
+      case "iterator":
+        return `${CppTypes.toString(type.elem)} iterator`
+      case "long":
+        return "long long"
+      case "unsigned":
+        return "unsigned int"
+      case "unsigned long":
+        return "unsigned long long"
+      default:
+        return type.name
+    }
+  },
+}
@@ -0,0 +1,78 @@
+// Runs C++ programs off the main thread so long or endless loops never freeze the editor
+importScripts(
+  "cpp-lexer.js",
+  "cpp-types.js",
+  "cpp-parser.js",
+  "cpp-checker.js",
+  "cpp-interpreter.js",
+  "call-recorder.js",
+  "cpp-tracer.js",
+)
+
+const FLUSH_INTERVAL = 50
+const FLUSH_SIZE = 8192
+
+self.onmessage = (event) => {
+  const { type, code, stdin } = event.data
+  if (type === "run") runProgram(code, stdin)
+}
+
+function runProgram(code, stdin) {
+  const { program, diagnostics } = compileCppProgram(code)
+  if (diagnostics.some((diagnostic) => diagnostic.severity === "error")) {
+    self.postMessage({ type: "compileError", diagnostics })
+    return
+  }
+  self.postMessage({ type: "started" })
+
+  // Output is batched so that chatty programs do not flood the main thread with messages
+  let buffer = ""
+  let bufferStream = "stdout"
+  let lastFlush = Date.now()
+  const flush = () => {
+    if (buffer) self.postMessage({ type: "stdout", text: buffer, stream: bufferStream })
+    buffer = ""
+    lastFlush = Date.now()
+  }
+
+  const tracer = new CppTracer(code)
+  const interpreter = new CppInterpreter(program, {
+    stdin,
+    hooks: tracer,
+    onOutput: (text, stream) => {
+      if (stream !== bufferStream) {
+        flush()
+        bufferStream = stream
+      }
+      buffer += text
+      if (buffer.length >= FLUSH_SIZE) flush()
+    },
+    onTick: () => {
+      if (Date.now() - lastFlush >= FLUSH_INTERVAL) flush()
+    },
+  })
+
+  const startTime = Date.now()
+  try {
+    const exitCode = interpreter.run()
+    flush()
+    self.postMessage({
+      type: "exit",
+      exitCode,
+      steps: interpreter.steps,
+      time: Date.now() - startTime,
+      trace: tracer.finish(),
+    })
+  } catch (error) {
+    flush()
+    const isRuntimeError = error instanceof CppRuntimeError
+    const message = isRuntimeError ? error.message : `Internal interpreter error: ${error.message}`
+    self.postMessage({
+      type: "runtimeError",
+      message,
+      loc: isRuntimeError ? error.loc : interpreter.currentLoc,
+      callStack: interpreter.callStack.map((frame) => frame.fn.name),
+      trace: tracer.finish(message),
+    })
+  }
+}